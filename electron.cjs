@@ -1,5 +1,6 @@
 const { app, BrowserWindow, ipcMain, dialog } = require("electron");
 const path = require("path");
+const fs = require("fs");
 
 const isPackaged = app.isPackaged;
 
@@ -23,7 +24,7 @@ function createWindow() {
     resizable: true,
     autoHideMenuBar: true,
     webPreferences: {
-      preload: path.join(__dirname),
+      preload: path.join(__dirname, "preload.cjs"),
       contextIsolation: true,
       sandbox: true,
     },
@@ -47,6 +48,33 @@ app.whenReady().then(() => {
     return filePaths && filePaths.length > 0 ? filePaths[0] : null;
   });
 
+  const storageFilePath = path.join(app.getPath("userData"), "filesystem.json");
+
+  ipcMain.handle("storage:read", async () => {
+    try {
+      return await fs.promises.readFile(storageFilePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return null;
+      }
+      throw err;
+    }
+  });
+
+  ipcMain.handle("storage:write", async (event, data) => {
+    // Write to a temporary file first so a crash never leaves a half-written file system.
+    const tempPath = `${storageFilePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(storageFilePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, data, "utf8");
+    await fs.promises.rename(tempPath, storageFilePath);
+    return true;
+  });
+
+  ipcMain.handle("storage:clear", async () => {
+    await fs.promises.rm(storageFilePath, { force: true });
+    return true;
+  });
+
   createWindow();
 
   app.on("activate", () => {
@@ -1,7 +1,7 @@
 // scripts/main.js
 
 function initializeTerminalEventListeners(domElements, commandExecutor, dependencies) {
-  const { AppLayerManager, ModalManager, TerminalUI, TabCompletionManager, HistoryManager, SoundManager } = dependencies;
+  const { AppLayerManager, ModalManager, TerminalUI, TabCompletionManager, HistoryManager, SoundManager, SessionManager } = dependencies;
 
   if (!domElements.terminalDiv || !domElements.editableInputDiv) {
     console.error(
@@ -28,6 +28,12 @@ function initializeTerminalEventListeners(domElements, commandExecutor, dependen
   });
 
   document.addEventListener("keydown", async (e) => {
+    if (e.ctrlKey && e.altKey && /^F\d+$/.test(e.key)) {
+      e.preventDefault();
+      await SessionManager.switchTerminal(`tty${e.key.slice(1)}`);
+      return;
+    }
+
     if (ModalManager.isAwaiting()) {
       if (e.key === "Enter") {
         e.preventDefault();
@@ -136,6 +142,7 @@ function initializeTerminalEventListeners(domElements, commandExecutor, dependen
 
 window.onload = async () => {
   const domElements = {
+    terminalTabs: document.getElementById("terminal-tabs"),
     terminalBezel: document.getElementById("terminal-bezel"),
     terminalDiv: document.getElementById("terminal"),
     outputDiv: document.getElementById("output"),
@@ -151,6 +158,7 @@ window.onload = async () => {
   const storageManager = new StorageManager();
   const indexedDBManager = new IndexedDBManager();
   const groupManager = new GroupManager();
+  const quotaManager = new QuotaManager();
   const fsManager = new FileSystemManager(configManager);
   const sessionManager = new SessionManager();
   const sudoManager = new SudoManager();
@@ -170,7 +178,6 @@ window.onload = async () => {
   window.CommandRegistry = commandRegistry;
   const networkManager = new NetworkManager();
   const soundManager = new SoundManager();
-  const storageHAL = new IndexedDBStorageHAL();
 
   const dependencies = {
     Config: configManager,
@@ -182,6 +189,7 @@ window.onload = async () => {
     CommandExecutor: commandExecutor,
     SudoManager: sudoManager,
     GroupManager: groupManager,
+    QuotaManager: quotaManager,
     EnvironmentManager: environmentManager,
     OutputManager: outputManager,
     TerminalUI: terminalUI,
@@ -194,6 +202,7 @@ window.onload = async () => {
     ErrorHandler: ErrorHandler,
     Lexer: Lexer,
     Parser: Parser,
+    WordExpander: WordExpander,
     CommandRegistry: commandRegistry,
     TimestampParser: TimestampParser,
     DiffUtils: DiffUtils,
@@ -204,7 +213,6 @@ window.onload = async () => {
     UIComponents: uiComponents,
     domElements: domElements,
     SoundManager: soundManager,
-    StorageHAL: storageHAL,
   };
 
   const userManager = new UserManager(dependencies);
@@ -223,6 +231,7 @@ window.onload = async () => {
   environmentManager.setDependencies(userManager, fsManager, configManager);
   commandExecutor.setDependencies(dependencies);
   groupManager.setDependencies(dependencies);
+  quotaManager.setDependencies(dependencies);
   outputManager.setDependencies(dependencies);
   terminalUI.setDependencies(dependencies);
   modalManager.setDependencies(dependencies);
@@ -233,24 +242,36 @@ window.onload = async () => {
   uiComponents.setDependencies(dependencies);
   aiManager.setDependencies(dependencies);
   networkManager.setDependencies(dependencies);
-  storageHAL.setDependencies(dependencies);
 
   try {
     outputManager.initialize(domElements);
     terminalUI.initialize(domElements);
     modalManager.initialize(domElements);
     appLayerManager.initialize(domElements);
-    await storageHAL.init();
+    await fsManager.initStorage();
     aliasManager.initialize();
     outputManager.initializeConsoleOverrides();
     await fsManager.load();
+    for (const error of fsManager.mountDefaults()) {
+      console.warn(`mount: ${error}`);
+    }
+    await groupManager.initialize();
     await userManager.initializeDefaultUsers();
+    await sudoManager.initialize();
     await configManager.loadFromFile();
+    const configuredBackend = configManager.STORAGE.BACKEND;
+    if (configuredBackend && configuredBackend !== fsManager.getStorageBackendName()) {
+      const migrateResult = await fsManager.migrateStorage(configuredBackend);
+      if (!migrateResult.success) {
+        console.warn(`Storage: ${migrateResult.error}. Staying on '${fsManager.getStorageBackendName()}'.`);
+      }
+    }
     await configManager.loadPackageManifest();
-    groupManager.initialize();
+    quotaManager.initialize();
     environmentManager.initialize();
     sessionManager.initializeStack();
     sessionManager.loadAutomaticState(configManager.USER.DEFAULT_NAME);
+    await userManager.recordBoot();
 
     // After loading state, clear the screen and show a fresh welcome message for a clean boot experience.
     outputManager.clearOutput();
@@ -271,6 +292,7 @@ window.onload = async () => {
     initializeTerminalEventListeners(domElements, commandExecutor, dependencies);
 
     terminalUI.updatePrompt();
+    terminalUI.renderTerminalTabs();
     terminalUI.focusInput();
     console.log(
         `${configManager.OS.NAME} v.${configManager.OS.VERSION} loaded successfully!`
@@ -0,0 +1,9 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+contextBridge.exposeInMainWorld("electronAPI", {
+  showSaveDialog: (options) => ipcRenderer.invoke("dialog:showSaveDialog", options),
+  showOpenDialog: (options) => ipcRenderer.invoke("dialog:showOpenDialog", options),
+  readStorageFile: () => ipcRenderer.invoke("storage:read"),
+  writeStorageFile: (data) => ipcRenderer.invoke("storage:write", data),
+  clearStorageFile: () => ipcRenderer.invoke("storage:clear"),
+});
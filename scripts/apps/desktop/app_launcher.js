@@ -23,16 +23,30 @@ window.AppLauncher = class AppLauncher {
             'bas': { manager: 'BasicManager', files: ['apps/basic/basic_manager.js', 'apps/basic/basic_ui.js', 'apps/basic/basic_interp.js'] },
             'oopic': { manager: 'PaintManager', files: ['apps/paint/paint_manager.js', 'apps/paint/paint_ui.js'] },
         };
+        /** @type {Object.<string, string>} Maps the MIME types a file can be tagged with (system.mime_type) to appRegistry keys */
+        this.mimeTypeRegistry = {
+            'text/plain': 'txt',
+            'text/markdown': 'md',
+            'text/x-shellscript': 'sh',
+            'text/javascript': 'js',
+            'application/json': 'json',
+            'text/html': 'html',
+            'text/css': 'css',
+            'text/x-basic': 'bas',
+            'application/x-oopic': 'oopic',
+        };
     }
 
     /**
-     * Launches the appropriate application for a given file path
+     * Launches the appropriate application for a given file path. A MIME type
+     * tagged on the file takes precedence over its extension.
      * @param {string} filePath - Path to the file to open
      * @returns {Promise<void>}
      */
     async launch(filePath) {
         const { Utils, FileSystemManager, CommandExecutor } = this.dependencies;
-        const extension = Utils.getFileExtension(filePath);
+        const taggedType = this.mimeTypeRegistry[FileSystemManager.getTaggedMimeType(filePath)];
+        const extension = taggedType || Utils.getFileExtension(filePath);
         const appInfo = this.appRegistry[extension];
 
         if (!appInfo) {
@@ -121,7 +121,7 @@ window.EditorManager = class EditorManager extends App {
    * @param {Object} options - Configuration options
    */
   enter(appLayer, options = {}) {
-    const { filePath, fileContent, onSaveCallback, dependencies } = options;
+    const { filePath, fileContent, onSaveCallback, validateContent, dependencies } = options;
     this.dependencies = dependencies;
     this.callbacks = this._createCallbacks();
 
@@ -150,6 +150,7 @@ window.EditorManager = class EditorManager extends App {
           false
       ),
       onSaveCallback: onSaveCallback || null,
+      validateContent: validateContent || null,
     };
 
     this.isActive = true;
@@ -242,14 +243,25 @@ window.EditorManager = class EditorManager extends App {
   }
 
   /**
-   * Determine file mode based on extension
+   * Determine file mode from the file's tagged MIME type, or else its extension
    * @param {string} filePath - File path
    * @returns {string} File mode (text, markdown, html, code)
    * @private
    */
   _getFileMode(filePath) {
-    const { Utils } = this.dependencies;
+    const { Utils, FileSystemManager } = this.dependencies;
     if (!filePath) return "text";
+    const mimeTypeModes = {
+      "text/plain": "text",
+      "text/markdown": "markdown",
+      "text/html": "html",
+      "text/javascript": "code",
+      "text/x-shellscript": "code",
+      "text/css": "code",
+      "application/json": "code",
+    };
+    const taggedMode = mimeTypeModes[FileSystemManager.getTaggedMimeType(filePath)];
+    if (taggedMode) return taggedMode;
     const extension = Utils.getFileExtension(filePath);
     const codeExtensions = ["js", "sh", "css", "json"];
     if (extension === "md") return "markdown";
@@ -296,6 +308,13 @@ window.EditorManager = class EditorManager extends App {
         }
 
         const currentContent = this.ui.elements.textarea.textContent || "";
+        if (typeof this.state.validateContent === "function") {
+          const validationError = this.state.validateContent(currentContent);
+          if (validationError) {
+            this.ui.updateStatusMessage(`Error: ${validationError}. File not saved.`);
+            return;
+          }
+        }
         const saveResult = await FileSystemManager.createOrUpdateFile(
             savePath,
             currentContent,
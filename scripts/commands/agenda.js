@@ -169,6 +169,7 @@ class AgendaDaemon {
                 scheduleNode.owner = 'root';
                 scheduleNode.group = 'root';
                 scheduleNode.mode = 0o644;
+                FileSystemManager.markChanged(scheduleNode);
             }
             await FileSystemManager.save();
         }
@@ -61,11 +61,6 @@ DESCRIPTION
         osVersion: Config.OS.VERSION,
         timestamp: new Date().toISOString(),
         fsDataSnapshot: Utils.deepCopyNode(FileSystemManager.getFsData()),
-        userCredentials: StorageManager.loadItem(
-            Config.STORAGE_KEYS.USER_CREDENTIALS,
-            "User Credentials",
-            {}
-        ),
         editorWordWrapEnabled: StorageManager.loadItem(
             Config.STORAGE_KEYS.EDITOR_WORD_WRAP_ENABLED,
             "Editor Word Wrap",
@@ -75,7 +70,7 @@ DESCRIPTION
         manualSaveStates,
       };
 
-      const stringifiedDataForChecksum = JSON.stringify(backupData);
+      const stringifiedDataForChecksum = Utils.stringifyJSONWithBinary(backupData);
       const checksum = await Utils.calculateSHA256(
           stringifiedDataForChecksum
       );
@@ -87,7 +82,7 @@ DESCRIPTION
       }
       backupData.checksum = checksum;
 
-      const backupJsonString = JSON.stringify(backupData, null, 2);
+      const backupJsonString = Utils.stringifyJSONWithBinary(backupData, 2);
       const defaultFileName = `OopisOS_System_Backup_${
           currentUser.name
       }_${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
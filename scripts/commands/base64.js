@@ -18,6 +18,11 @@ OPTIONS
        -d, --decode
               Decode data.
 
+       -o, --output=FILE
+              With -d, write the decoded bytes to FILE instead of standard
+              output. Use this for binary data such as images or archives,
+              which cannot be printed as text.
+
 EXAMPLES
        base64 my_script.sh
               Encodes the script and prints the Base64 string to the terminal.
@@ -26,16 +31,22 @@ EXAMPLES
               Encodes the script and saves the output to a new file.
 
        cat encoded.txt | base64 -d
-              Decodes the content of 'encoded.txt' and prints the original script.`,
+              Decodes the content of 'encoded.txt' and prints the original script.
+
+       base64 -d -o photo.png photo.b64
+              Decodes 'photo.b64' and saves the image as 'photo.png'.`,
       isInputStream: true,
       completionType: "paths",
-      flagDefinitions: [{ name: "decode", short: "-d", long: "--decode" }],
+      flagDefinitions: [
+        { name: "decode", short: "-d", long: "--decode" },
+        { name: "output", short: "-o", long: "--output", takesValue: true },
+      ],
     });
   }
 
   async coreLogic(context) {
-    const { flags, inputItems, inputError, dependencies } = context;
-    const { ErrorHandler } = dependencies;
+    const { flags, inputItems, inputError, currentUser, dependencies } = context;
+    const { ErrorHandler, Utils, FileSystemManager, UserManager } = dependencies;
 
     if (inputError) {
       return ErrorHandler.createError(
@@ -43,28 +54,64 @@ EXAMPLES
       );
     }
 
+    if (flags.output && !flags.decode) {
+      return ErrorHandler.createError("base64: --output can only be used with --decode");
+    }
+
     if (!inputItems || inputItems.length === 0) {
       return ErrorHandler.createSuccess("");
     }
 
-    const inputData = inputItems.map((item) => item.content).join("\n");
+    if (!flags.decode) {
+      const chunks = inputItems.map((item, index) => {
+        const bytes = item.bytes || Utils.contentToBytes(item.content);
+        return index > 0 ? [Utils.contentToBytes("\n"), bytes] : [bytes];
+      }).flat();
+      const inputBytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+      let offset = 0;
+      for (const chunk of chunks) {
+        inputBytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+      return ErrorHandler.createSuccess(
+          Utils.bytesToBase64(inputBytes).replace(/(.{64})/g, "$1\n")
+      );
+    }
 
+    let decodedBytes;
     try {
-      if (flags.decode) {
-        const decodedData = atob(inputData);
-        return ErrorHandler.createSuccess(decodedData);
-      } else {
-        const encodedData = btoa(inputData);
-        return ErrorHandler.createSuccess(
-            encodedData.replace(/(.{64})/g, "$1\n")
-        );
-      }
+      decodedBytes = Utils.base64ToBytes(inputItems.map((item) => item.content).join("\n"));
     } catch (e) {
       if (e instanceof DOMException && e.name === "InvalidCharacterError") {
         return ErrorHandler.createError("base64: invalid input");
       }
       throw e;
     }
+    const decodedText = Utils.decodeTextIfPossible(decodedBytes);
+
+    if (flags.output) {
+      const outputPath = FileSystemManager.getAbsolutePath(flags.output);
+      const saveResult = await FileSystemManager.createOrUpdateFile(
+          outputPath,
+          decodedText ?? decodedBytes,
+          {
+            currentUser,
+            primaryGroup: UserManager.getPrimaryGroupForUser(currentUser),
+            mimeType: decodedText === null ? Utils.detectMimeType(decodedBytes) : null,
+          }
+      );
+      if (!saveResult.success) {
+        return ErrorHandler.createError(`base64: ${flags.output}: ${saveResult.error}`);
+      }
+      return ErrorHandler.createSuccess("", { stateModified: true });
+    }
+
+    if (decodedText === null) {
+      return ErrorHandler.createError(
+          "base64: decoded data is binary; use -o FILE to save it"
+      );
+    }
+    return ErrorHandler.createSuccess(decodedText);
   }
 }
 
@@ -20,18 +20,23 @@ window.BgCommand = class BgCommand extends Command {
     }
 
     async coreLogic(context) {
-        const { args, dependencies } = context;
-        const { CommandExecutor, ErrorHandler } = dependencies;
+        const { args, options, dependencies } = context;
+        const { CommandExecutor, SessionManager, ErrorHandler } = dependencies;
         const jobIdArg = args[0] ? args[0].replace('%', '') : null;
+        const tty = options.tty || SessionManager.getTty();
+        const jobs = CommandExecutor.getActiveJobs(tty);
         if (jobIdArg) {
-            const jobId = parseInt(jobIdArg, 10);
-            if (isNaN(jobId)) {
+            const jobNumber = parseInt(jobIdArg, 10);
+            if (isNaN(jobNumber)) {
                 return ErrorHandler.createError(`bg: invalid job ID: ${jobIdArg}`);
             }
-            const result = CommandExecutor.sendSignalToJob(jobId, 'CONT');
+            const job = CommandExecutor.findJobByNumber(tty, jobNumber);
+            if (!job) {
+                return ErrorHandler.createError(`bg: %${jobNumber}: no such job`);
+            }
+            const result = CommandExecutor.sendSignalToJob(job.id, 'CONT');
             return result.success ? ErrorHandler.createSuccess() : ErrorHandler.createError(result.error);
         } else {
-            const jobs = CommandExecutor.getActiveJobs();
             const jobIds = Object.keys(jobs);
             if (jobIds.length > 0) {
                 const lastJobId = jobIds[jobIds.length - 1];
@@ -12,6 +12,7 @@ window.CatCommand = class CatCommand extends Command {
       output. The file operands are processed in command-line order.
       If no files are specified, cat reads from standard input. This makes
       it useful in pipelines for displaying the output of other commands.
+      Binary files are shown decoded as UTF-8 text; copy them with cp.
       OPTIONS
       -n, --number
       Number all output lines, starting from 1.
@@ -26,39 +27,33 @@ window.CatCommand = class CatCommand extends Command {
       how cat handles piped input.`,
             completionType: "paths",
             isInputStream: true,
+            streamsInput: true,
             flagDefinitions: [{ name: "numberLines", short: "-n", long: "--number" }],
         });
     }
 
     async coreLogic(context) {
-        const { flags, inputItems, inputError, dependencies } = context;
+        const { flags, inputStream, stdout, dependencies } = context;
         const { ErrorHandler } = dependencies;
-        if (inputError) {
-            return ErrorHandler.createError(
-                "cat: One or more files could not be read."
-            );
-        }
-
-        if (!inputItems || inputItems.length === 0) {
-            return ErrorHandler.createSuccess("");
-        }
-
-        const content = inputItems.map((item) => item.content).join("\n");
 
         if (flags.numberLines) {
             let lineCounter = 1;
-            const lines = content.split("\n");
-            const processedLines =
-                lines.length > 0 && lines[lines.length - 1] === ""
-                    ? lines.slice(0, -1)
-                    : lines;
-            const numberedOutput = processedLines
-                .map((line) => `     ${String(lineCounter++).padStart(5)}  ${line}`)
-                .join("\n");
-            return ErrorHandler.createSuccess(numberedOutput);
+            for await (const line of this._readLines(inputStream)) {
+                const numberedLine = `     ${String(lineCounter++).padStart(5)}  ${line}`;
+                if (!(await stdout.writeLine(numberedLine))) break;
+            }
+        } else {
+            for await (const chunk of this._readChunks(inputStream)) {
+                if (!(await stdout.write(chunk))) break;
+            }
         }
 
-        return ErrorHandler.createSuccess(content);
+        if (context.inputError) {
+            return ErrorHandler.createError(
+                "cat: One or more files could not be read."
+            );
+        }
+        return ErrorHandler.createSuccess("");
     }
 }
 
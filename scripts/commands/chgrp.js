@@ -37,9 +37,7 @@ window.ChgrpCommand = class ChgrpCommand extends Command {
     }
 
     async _recursiveChgrp(node, newGroup, dependencies) {
-        const nowISO = new Date().toISOString();
-        node.group = newGroup;
-        node.mtime = nowISO;
+        dependencies.FileSystemManager.setNodeOwnership(node, null, newGroup);
 
         if (node.type === 'directory' && node.children) {
             for (const childName in node.children) {
@@ -79,8 +77,7 @@ window.ChgrpCommand = class ChgrpCommand extends Command {
             if (node.type === 'directory' && flags.recursive) {
                 await this._recursiveChgrp(node, groupName, dependencies);
             } else {
-                node.group = groupName;
-                node.mtime = new Date().toISOString();
+                FileSystemManager.setNodeOwnership(node, null, groupName);
             }
             changesMade = true;
         }
@@ -16,7 +16,7 @@ async function _getFilesForAnalysis(startPath, startNode, currentUser, FileSyste
         files.push({
           name: currentPath.split("/").pop(),
           path: currentPath,
-          content: node.content || "",
+          content: Utils.contentToText(node.content),
         });
       }
     } else if (node.type === "directory") {
@@ -177,7 +177,7 @@ window.ChidiCommand = class ChidiCommand extends Command {
             files.push({
               name: pathValidation.resolvedPath.split("/").pop(),
               path: pathValidation.resolvedPath,
-              content: pathValidation.node.content || "",
+              content: Utils.contentToText(pathValidation.node.content),
             });
           }
         }
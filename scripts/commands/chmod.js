@@ -9,9 +9,11 @@ window.ChmodCommand = class ChmodCommand extends Command {
       Change the access permissions of a file or directory.
       DESCRIPTION
       The chmod command changes the file mode bits of the file or
-      directory specified by <path>. The <mode> is a 3-digit octal
-      number that represents the permissions for the owner, the group,
-      and all other users.
+      directory specified by <path>. The <mode> is either an octal
+      number or a symbolic mode.
+      OCTAL MODES
+      A 3-digit octal number sets the permissions for the owner, the
+      group, and all other users.
       Each digit is a sum of the following values:
       4 - read (r)
       2 - write (w)
@@ -24,6 +26,23 @@ window.ChmodCommand = class ChmodCommand extends Command {
       - Owner: 7 (4+2+1) -> read, write, and execute
       - Group: 5 (4+0+1) -> read and execute
       - Other: 5 (4+0+1) -> read and execute
+      A 4th, leading digit sets the special bits:
+      4 - setuid: 'run' executes the script as the file's owner
+      2 - setgid: new entries in a directory take its group, and new
+          subdirectories are setgid as well
+      1 - sticky: entries in a directory can only be removed or
+          renamed by their owner, the directory's owner or root
+      A 3-digit mode leaves the setuid and setgid bits of a directory
+      unchanged; give all 4 digits to clear them.
+      If the file has an ACL (see setfacl), the group digit sets the
+      ACL mask instead of the owning group's permissions.
+      SYMBOLIC MODES
+      A symbolic mode is a comma-separated list of [ugoa][+-=][rwxXst]
+      clauses: who (user, group, others or all), whether to add,
+      remove or set, and which permissions. X adds execute only to
+      directories and to files that are already executable by someone.
+      Without a who, 'a' is used and bits set in the umask are left
+      alone.
       EXAMPLES
       chmod 755 script.sh
       Makes 'script.sh' executable by the owner, and readable
@@ -33,6 +52,12 @@ window.ChmodCommand = class ChmodCommand extends Command {
       Makes 'secret.txt' readable and writable by the owner,
       readable by the group, and completely inaccessible to
       other users.
+      chmod 1777 /tmp/shared
+      Lets everyone create files in '/tmp/shared', but only remove
+      their own.
+      chmod g+s,o-rwx project
+      Makes new files in 'project' belong to its group and hides it
+      from other users.
       PERMISSIONS
       To change the permissions of a file, you must be the owner of
       the file or the superuser (root).`,
@@ -51,21 +76,84 @@ window.ChmodCommand = class ChmodCommand extends Command {
         });
     }
 
+    /**
+     * Applies a symbolic mode such as "u+x,go-w" to a mode.
+     * @returns {number|null} The new mode, or null if the mode is invalid.
+     */
+    _applySymbolicMode(modeArg, mode, isDirectory, umask, Config) {
+        const { SETUID_BIT, SETGID_BIT, STICKY_BIT } = Config.FILESYSTEM;
+        const shifts = { u: 6, g: 3, o: 0 };
+        const specialBits = { u: SETUID_BIT, g: SETGID_BIT, o: STICKY_BIT };
+
+        for (const clause of modeArg.split(",")) {
+            const match = clause.match(/^([ugoa]*)((?:[-+=][rwxXst]*)+)$/);
+            if (!match) {
+                return null;
+            }
+            const whoSpec = match[1].replace(/a/g, "ugo");
+            const classes = whoSpec ? [...new Set(whoSpec)] : ["u", "g", "o"];
+            const mask = whoSpec ? 0 : umask;
+
+            for (const [, op, permChars] of match[2].matchAll(/([-+=])([rwxXst]*)/g)) {
+                const canExecute = isDirectory || (mode & 0o111) !== 0;
+                let bits = 0;
+                let clearBits = 0;
+                for (const who of classes) {
+                    let perms = 0;
+                    if (permChars.includes("r")) perms |= 4;
+                    if (permChars.includes("w")) perms |= 2;
+                    if (permChars.includes("x")) perms |= 1;
+                    if (permChars.includes("X") && canExecute) perms |= 1;
+                    bits |= perms << shifts[who];
+                    if (permChars.includes(who === "o" ? "t" : "s")) {
+                        bits |= specialBits[who];
+                    }
+                    clearBits |= (7 << shifts[who]) | specialBits[who];
+                }
+                bits &= ~mask;
+                if (op === "+") {
+                    mode |= bits;
+                } else if (op === "-") {
+                    mode &= ~bits;
+                } else {
+                    mode = (mode & ~(clearBits & ~mask)) | bits;
+                }
+            }
+        }
+        return mode;
+    }
+
     async coreLogic(context) {
         const { args, validatedPaths, dependencies } = context;
-        const { ErrorHandler } = dependencies;
+        const { ErrorHandler, FileSystemManager, Config } = dependencies;
         const modeArg = args[0];
         const { node } = validatedPaths[0];
+        const isDirectory = node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE;
+        const { SETUID_BIT, SETGID_BIT } = Config.FILESYSTEM;
 
-        if (!/^[0-7]{3,4}$/.test(modeArg)) {
-            return ErrorHandler.createError(
-                `chmod: invalid mode: ‘${modeArg}’ (must be 3 or 4 octal digits)`
+        let newMode;
+        if (/^[0-7]{3,4}$/.test(modeArg)) {
+            newMode = parseInt(modeArg, 8);
+            if (modeArg.length === 3 && isDirectory) {
+                newMode |= node.mode & (SETUID_BIT | SETGID_BIT);
+            }
+        } else {
+            newMode = this._applySymbolicMode(
+                modeArg,
+                node.mode || 0,
+                isDirectory,
+                FileSystemManager.getUmask(),
+                Config
             );
+            if (newMode === null) {
+                return ErrorHandler.createError(
+                    `chmod: invalid mode: ‘${modeArg}’`
+                );
+            }
         }
 
-        const newMode = parseInt(modeArg, 8);
         node.mode = newMode;
-        node.mtime = new Date().toISOString();
+        FileSystemManager.markChanged(node);
 
         return ErrorHandler.createSuccess("", { stateModified: true });
     }
@@ -33,14 +33,12 @@ window.ChownCommand = class ChownCommand extends Command {
         });
     }
 
-    async _recursiveChown(node, newOwner) {
-        const nowISO = new Date().toISOString();
-        node.owner = newOwner;
-        node.mtime = nowISO;
+    async _recursiveChown(node, newOwner, FileSystemManager) {
+        FileSystemManager.setNodeOwnership(node, newOwner, null);
 
         if (node.type === 'directory' && node.children) {
             for (const childName in node.children) {
-                await this._recursiveChown(node.children[childName], newOwner);
+                await this._recursiveChown(node.children[childName], newOwner, FileSystemManager);
             }
         }
     }
@@ -68,10 +66,9 @@ window.ChownCommand = class ChownCommand extends Command {
             }
             const { node } = pathDataResult.data;
             if (node.type === 'directory' && flags.recursive) {
-                await this._recursiveChown(node, newOwnerArg);
+                await this._recursiveChown(node, newOwnerArg, FileSystemManager);
             } else {
-                node.owner = newOwnerArg;
-                node.mtime = new Date().toISOString();
+                FileSystemManager.setNodeOwnership(node, newOwnerArg, null);
             }
             changesMade = true;
         }
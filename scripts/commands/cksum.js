@@ -14,7 +14,8 @@ DESCRIPTION
        The cksum utility calculates a 32-bit CRC checksum for each input
        file and writes it to standard output, along with the file's total
        byte count and name. It is a quick way to verify that a file has
-       not been corrupted or changed unexpectedly.
+       not been corrupted or changed unexpectedly. Text is counted as its
+       UTF-8 bytes, and binary files byte for byte.
 
        If no file is specified, or if the file is '-', cksum reads from
        standard input, and no filename is printed in the output.
@@ -34,7 +35,7 @@ EXAMPLES
     async coreLogic(context) {
 
         const { inputItems, inputError, dependencies } = context;
-        const { ErrorHandler } = dependencies;
+        const { ErrorHandler, Utils } = dependencies;
 
         if (inputError) {
             return ErrorHandler.createError(
@@ -46,7 +47,7 @@ EXAMPLES
             return ErrorHandler.createSuccess("");
         }
 
-        const crc32 = (str) => {
+        const crc32 = (bytes) => {
             const table = [];
             for (let i = 0; i < 256; i++) {
                 let c = i;
@@ -56,15 +57,15 @@ EXAMPLES
                 table[i] = c;
             }
             let crc = -1;
-            for (let i = 0; i < str.length; i++) {
-                crc = (crc >>> 8) ^ table[(crc ^ str.charCodeAt(i)) & 0xff];
+            for (let i = 0; i < bytes.length; i++) {
+                crc = (crc >>> 8) ^ table[(crc ^ bytes[i]) & 0xff];
             }
             return (crc ^ -1) >>> 0;
         };
 
         const outputLines = [];
         for (const item of inputItems) {
-            const input = item.content || "";
+            const input = item.bytes || Utils.contentToBytes(item.content);
             const checksum = crc32(input);
             const byteCount = input.length;
             const fileName =
@@ -52,9 +52,17 @@ window.ClearfsCommand = class ClearfsCommand extends Command {
         const homeNode = FileSystemManager.getNodeByPath(homePath);
 
         if (homeNode && homeNode.children) {
-            // Create a new empty children object
-            homeNode.children = {};
-            homeNode.mtime = new Date().toISOString();
+            // Unlink entries one by one so inodes and quota usage are released.
+            const clearDirectory = (directory) => {
+                for (const name of Object.keys(directory.children)) {
+                    const child = directory.children[name];
+                    if (child.type === 'directory' && child.children) {
+                        clearDirectory(child);
+                    }
+                    FileSystemManager.unlinkEntry(directory, name);
+                }
+            };
+            clearDirectory(homeNode);
             await FileSystemManager.save();
             return ErrorHandler.createSuccess("Home directory cleared.", { stateModified: true });
         }
@@ -0,0 +1,83 @@
+// scripts/commands/cmp.js
+
+window.CmpCommand = class CmpCommand extends Command {
+  constructor() {
+    super({
+      commandName: "cmp",
+      description: "Compares two files byte by byte.",
+      helpText: `Usage: cmp [-s] <file1> <file2>
+      Compare two files byte by byte.
+      OPTIONS
+      -s, --silent, --quiet
+            Print nothing; only report the result through the exit status.
+      DESCRIPTION
+      The cmp command reports the byte and line number of the first
+      difference between two files. If one file is a prefix of the
+      other, it reports which file ended first.
+      EXIT STATUS
+      0 if the files are identical, 1 if they differ, and 2 if a file
+      could not be read.
+      EXAMPLES
+      cmp original.txt copy.txt
+      Prints where the two files first differ, if anywhere.
+      cmp -s a.txt b.txt && echo "same"
+      Prints "same" only if the files are identical.`,
+      completionType: "paths",
+      errorExitCode: 2,
+      flagDefinitions: [
+        { name: "silent", short: "-s", long: "--silent", aliases: ["--quiet"] },
+      ],
+      argValidation: {
+        exact: 2,
+        error: "Usage: cmp [-s] <file1> <file2>"
+      },
+      validations: {
+        paths: [{
+          argIndex: 0,
+          options: {
+            expectedType: 'file',
+            permissions: ['read']
+          }
+        }, {
+          argIndex: 1,
+          options: {
+            expectedType: 'file',
+            permissions: ['read']
+          }
+        }]
+      },
+    });
+  }
+
+  async coreLogic(context) {
+    const { args, flags, validatedPaths, dependencies } = context;
+    const { ErrorHandler, Config, Utils } = dependencies;
+
+    const content1 = Utils.contentToBytes(validatedPaths[0].node.content);
+    const content2 = Utils.contentToBytes(validatedPaths[1].node.content);
+    const sharedLength = Math.min(content1.length, content2.length);
+
+    let line = 1;
+    for (let i = 0; i < sharedLength; i++) {
+      if (content1[i] !== content2[i]) {
+        return ErrorHandler.createSuccess(
+            flags.silent ? "" : `${args[0]} ${args[1]} differ: byte ${i + 1}, line ${line}`,
+            { exitCode: Config.EXIT_CODES.FAILURE }
+        );
+      }
+      if (content1[i] === 0x0a) line++;
+    }
+
+    if (content1.length === content2.length) {
+      return ErrorHandler.createSuccess("");
+    }
+
+    const shorterName = content1.length < content2.length ? args[0] : args[1];
+    return ErrorHandler.createSuccess(
+        flags.silent ? "" : `cmp: EOF on ${shorterName} after byte ${sharedLength}, line ${line}`,
+        { exitCode: Config.EXIT_CODES.FAILURE }
+    );
+  }
+}
+
+window.CommandRegistry.register(new CmpCommand());
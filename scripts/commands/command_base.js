@@ -11,7 +11,14 @@ class Command {
 
     async *_generateInputContent(context, fileArgs) {
         const { options, currentUser } = context;
-        const { FileSystemManager } = context.dependencies;
+        const { FileSystemManager, Utils } = context.dependencies;
+
+        if (options.stdinStream) {
+            for await (const chunk of options.stdinStream) {
+                yield { success: true, content: chunk, sourceName: "stdin" };
+            }
+            return;
+        }
 
         if (options.stdinContent !== null && options.stdinContent !== undefined) {
             yield {
@@ -49,12 +56,75 @@ class Command {
                 continue;
             }
 
-            yield { success: true, content: node.content || "", sourceName: pathArg };
+            FileSystemManager.markAccessed(node);
+            // Binary files are read as UTF-8 text; byte-oriented commands use `bytes`.
+            yield {
+                success: true,
+                content: Utils.contentToText(node.content),
+                bytes: Utils.isBinaryContent(node.content) ? node.content : undefined,
+                sourceName: pathArg,
+            };
+        }
+    }
+
+    async *_streamInputItems(context, fileArgs, inputErrors) {
+        context.inputError = false;
+        context.inputFileCount = 0;
+        context.firstSourceName = null;
+        for await (const item of this._generateInputContent(context, fileArgs)) {
+            context.inputFileCount++;
+            if (context.firstSourceName === null) context.firstSourceName = item.sourceName;
+
+            if (!item.success) {
+                inputErrors.push(item.error);
+                context.inputError = true;
+            } else {
+                yield { content: item.content, bytes: item.bytes, sourceName: item.sourceName };
+            }
+        }
+    }
+
+    /**
+     * Reads input items as text, separating different files with a newline
+     * the way `inputItems.map(...).join("\n")` does. Chunks arriving on a
+     * pipe are passed through unchanged.
+     */
+    async *_readChunks(inputItems) {
+        let previousSource = null;
+        for await (const item of inputItems) {
+            const isStdinChunk = previousSource === "stdin" && item.sourceName === "stdin";
+            const separator = previousSource !== null && !isStdinChunk ? "\n" : "";
+            previousSource = item.sourceName;
+            yield separator + item.content;
+        }
+    }
+
+    /**
+     * Reads input items line by line as they arrive. A trailing newline does
+     * not produce a final empty line.
+     */
+    async *_readLines(inputItems) {
+        let pending = "";
+        for await (const chunk of this._readChunks(inputItems)) {
+            const lines = (pending + chunk).split("\n");
+            pending = lines.pop();
+            yield* lines;
+        }
+        if (pending !== "") {
+            yield pending;
         }
     }
 
     async execute(rawArgs, options, dependencies) {
-        const { Utils, ErrorHandler, FileSystemManager, UserManager } = dependencies;
+        const { Utils, ErrorHandler, FileSystemManager, UserManager, Config } = dependencies;
+
+        if (options.stdinStream && !this.definition.streamsInput) {
+            options = {
+                ...options,
+                stdinContent: await options.stdinStream.readAll(),
+                stdinStream: null,
+            };
+        }
 
         const { flags, remainingArgs } = Utils.parseFlags(
             rawArgs,
@@ -68,7 +138,9 @@ class Command {
             );
             if (!argValidation.isValid) {
                 const errorMsg = this.definition.argValidation.error || argValidation.errorDetail;
-                return ErrorHandler.createError(`${this.commandName}: ${errorMsg}`);
+                return ErrorHandler.createError(`${this.commandName}: ${errorMsg}`, {
+                    exitCode: Config.EXIT_CODES.USAGE,
+                });
             }
         }
 
@@ -77,7 +149,9 @@ class Command {
             for (const rule of this.definition.validations.paths) {
                 const pathValidationResult = await this._validatePathRule(rule, remainingArgs, dependencies);
                 if (!pathValidationResult.success) {
-                    return ErrorHandler.createError(`${this.commandName}: ${pathValidationResult.error}`);
+                    return ErrorHandler.createError(`${this.commandName}: ${pathValidationResult.error}`, {
+                        exitCode: this.definition.errorExitCode ?? pathValidationResult.exitCode,
+                    });
                 }
                 validatedPaths.push(...pathValidationResult.data);
             }
@@ -91,48 +165,43 @@ class Command {
             validatedPaths,
             dependencies,
             signal: options.signal,
+            stdout: options.stdout || new OutputBuffer(),
         };
 
+        const inputErrors = [];
         if (this.definition.isInputStream) {
-            const inputParts = [];
-            let hadError = false;
-            let fileCount = 0;
-            let firstSourceName = null;
-
             const firstFileArgIndex = this.definition.firstFileArgIndex || 0;
             const fileArgsForStream = remainingArgs.slice(firstFileArgIndex);
+            const inputItems = this._streamInputItems(context, fileArgsForStream, inputErrors);
 
-            for await (const item of this._generateInputContent(context, fileArgsForStream)) {
-                fileCount++;
-                if (firstSourceName === null) firstSourceName = item.sourceName;
-
-                if (!item.success) {
-                    await dependencies.OutputManager.appendToOutput(item.error, {
-                        typeClass: dependencies.Config.CSS_CLASSES.ERROR_MSG,
-                    });
-                    hadError = true;
-                } else {
-                    inputParts.push({
-                        content: item.content,
-                        sourceName: item.sourceName,
-                    });
+            if (this.definition.streamsInput) {
+                context.inputStream = inputItems;
+            } else {
+                context.inputItems = [];
+                for await (const item of inputItems) {
+                    context.inputItems.push(item);
                 }
             }
-
-            context.inputItems = inputParts;
-            context.inputError = hadError;
-            context.inputFileCount = fileCount;
-            context.firstSourceName = firstSourceName;
         }
 
-        if (typeof this.coreLogic === 'function') {
-            return this.coreLogic(context);
+        let result = typeof this.coreLogic === 'function'
+            ? await this.coreLogic(context)
+            : await this.definition.coreLogic(context);
+
+        if (result?.success && context.stdout instanceof OutputBuffer && context.stdout.hasOutput()) {
+            result = { ...result, data: context.stdout.toString() + (result.data ?? "") };
+        }
+        if (inputErrors.length > 0 && result) {
+            return {
+                ...result,
+                stderr: [...inputErrors, result.stderr].filter(Boolean).join("\n"),
+            };
         }
-        return this.definition.coreLogic(context);
+        return result;
     }
 
     async _validatePathRule(rule, args, dependencies) {
-        const { FileSystemManager, UserManager, ErrorHandler } = dependencies;
+        const { FileSystemManager, UserManager, ErrorHandler, Config } = dependencies;
         const validatedPathsForRule = [];
         const currentUser = UserManager.getCurrentUser().name;
 
@@ -152,7 +221,9 @@ class Command {
             const pathValidationResult = FileSystemManager.validatePath(pathArg, rule.options || {});
 
             if (!pathValidationResult.success) {
-                return ErrorHandler.createError(pathValidationResult.error);
+                return ErrorHandler.createError(pathValidationResult.error, {
+                    exitCode: this._getPathErrorExitCode(pathArg, rule, dependencies),
+                });
             }
 
             const { node, resolvedPath } = pathValidationResult.data;
@@ -160,7 +231,11 @@ class Command {
             if (rule.permissions) {
                 for (const perm of rule.permissions) {
                     if (node && !FileSystemManager.hasPermission(node, currentUser, perm)) {
-                        return ErrorHandler.createError(`'${pathArg}': Permission denied`);
+                        return ErrorHandler.createError(`'${pathArg}': Permission denied`, {
+                            exitCode: perm === "execute"
+                                ? Config.EXIT_CODES.CANNOT_EXECUTE
+                                : Config.EXIT_CODES.FAILURE,
+                        });
                     }
                 }
             }
@@ -176,4 +251,19 @@ class Command {
 
         return ErrorHandler.createSuccess(validatedPathsForRule);
     }
+
+    _getPathErrorExitCode(pathArg, rule, dependencies) {
+        const { FileSystemManager, UserManager, Config } = dependencies;
+        const permissions = [...(rule.permissions || []), ...(rule.options?.permissions || [])];
+        if (!permissions.includes("execute")) {
+            return Config.EXIT_CODES.FAILURE;
+        }
+        const node = FileSystemManager.getNodeByPath(FileSystemManager.getAbsolutePath(pathArg));
+        if (!node) {
+            return Config.EXIT_CODES.NOT_FOUND;
+        }
+        return FileSystemManager.hasPermission(node, UserManager.getCurrentUser().name, "execute")
+            ? Config.EXIT_CODES.FAILURE
+            : Config.EXIT_CODES.CANNOT_EXECUTE;
+    }
 }
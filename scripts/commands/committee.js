@@ -73,6 +73,7 @@ window.CommitteeCommand = class CommitteeCommand extends Command {
 
         projectNode.group = committeeName;
         projectNode.mode = 0o770;
+        FileSystemManager.markChanged(projectNode);
 
         for (const member of members) {
             GroupManager.addUserToGroup(member, committeeName);
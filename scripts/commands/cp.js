@@ -22,7 +22,7 @@ window.CpCommand = class CpCommand extends Command {
       Prompt before overwriting an existing file.
       -p, --preserve
       Preserve the original file's mode, owner, group, and
-      modification time.
+      access and modification times.
       -r, -R, --recursive
       Copy directories recursively.
       BRACE EXPANSION
@@ -66,7 +66,6 @@ window.CpCommand = class CpCommand extends Command {
             ModalManager,
             OutputManager,
             UserManager,
-            Config
         } = dependencies;
         const nowISO = new Date().toISOString();
         let anyChangesMade = false;
@@ -148,17 +147,20 @@ window.CpCommand = class CpCommand extends Command {
                         primaryGroup: flags.preserve
                             ? sourceNode.group
                             : UserManager.getPrimaryGroupForUser(currentUser),
+                        mimeType: sourceNode.mimeType,
                     }
                 );
 
                 if (!createResult.success) {
-                    return createResult;
+                    return ErrorHandler.createError(`cp: ${createResult.error}`);
                 }
                 const newNode = FileSystemManager.getNodeByPath(newFilePath);
                 if (flags.preserve) {
                     newNode.mode = sourceNode.mode;
                     newNode.mtime = sourceNode.mtime;
+                    newNode.atime = sourceNode.atime;
                 }
+                FileSystemManager.markAccessed(sourceNode);
             } else if (sourceNode.type === "directory") {
                 if (!flags.recursive) {
                     await OutputManager.appendToOutput(
@@ -172,11 +174,14 @@ window.CpCommand = class CpCommand extends Command {
                     flags.preserve
                         ? sourceNode.group
                         : UserManager.getPrimaryGroupForUser(currentUser),
-                    flags.preserve
-                        ? sourceNode.mode
-                        : Config.FILESYSTEM.DEFAULT_DIR_MODE
+                    flags.preserve ? sourceNode.mode : null,
+                    nowISO
                 );
-                if (flags.preserve) newDirNode.mtime = sourceNode.mtime;
+                if (flags.preserve) {
+                    newDirNode.mtime = sourceNode.mtime;
+                    newDirNode.atime = sourceNode.atime;
+                }
+                else FileSystemManager.inheritFromParent(destinationParentNode, newDirNode);
                 destinationParentNode.children[finalName] = newDirNode;
 
                 for (const childName in sourceNode.children) {
@@ -189,7 +194,7 @@ window.CpCommand = class CpCommand extends Command {
                     if (!childResult.success) return childResult;
                 }
             }
-            destinationParentNode.mtime = nowISO;
+            FileSystemManager.markModified(destinationParentNode, nowISO);
             return ErrorHandler.createSuccess({ changed: true });
         }
     }
@@ -75,7 +75,7 @@ window.DelayCommand = class DelayCommand extends Command {
         }
 
         if (options.isInteractive && !options.scriptingContext) {
-            await OutputManager.appendToOutput(`Delay complete.`);
+            await OutputManager.appendToOutput(`Delay complete.`, { tty: options.tty });
         }
         return ErrorHandler.createSuccess("");
     }
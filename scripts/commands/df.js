@@ -11,6 +11,9 @@ window.DfCommand = class DfCommand extends Command {
       DESCRIPTION
       The df command displays the total amount of available disk space
       for the OopisOS virtual file system.
+      The Quota and QAvail columns show the current user's hard limit
+      (see 'quota') and the space left under it, or '-' if the user
+      has no limit.
       OPTIONS
       -h, --human-readable
       Print sizes in powers of 1024 (e.g., 1023M).
@@ -31,12 +34,11 @@ window.DfCommand = class DfCommand extends Command {
     }
 
     async coreLogic(context) {
-        const { flags, dependencies } = context;
-        const { Config, FileSystemManager, Utils, ErrorHandler } = dependencies;
+        const { flags, currentUser, dependencies } = context;
+        const { Config, FileSystemManager, QuotaManager, Utils, ErrorHandler } = dependencies;
 
         const totalSize = Config.FILESYSTEM.MAX_VFS_SIZE;
-        const rootNode = FileSystemManager.getNodeByPath("/");
-        const usedSize = FileSystemManager.calculateNodeSize(rootNode);
+        const usedSize = FileSystemManager.getUsedSize();
         const availableSize = totalSize - usedSize;
         const usePercentage =
             totalSize > 0 ? Math.round((usedSize / totalSize) * 100) : 0;
@@ -45,16 +47,27 @@ window.DfCommand = class DfCommand extends Command {
             ? Utils.formatBytes
             : (bytes) => bytes;
 
+        const quota = QuotaManager.getQuota("user", currentUser);
+        let quotaLimit = "-";
+        let quotaAvailable = "-";
+        if (quota && quota.hard) {
+            const quotaUsed = FileSystemManager.getQuotaUsage("user", currentUser);
+            quotaLimit = format(quota.hard);
+            quotaAvailable = format(Math.max(0, quota.hard - quotaUsed));
+        }
+
         const header =
-            "Filesystem      Size      Used     Avail   Use%  Mounted on";
+            "Filesystem      Size      Used     Avail   Use%     Quota    QAvail  Mounted on";
         const separator =
-            "----------  --------  --------  --------  ----  ----------";
+            "----------  --------  --------  --------  ----  --------  --------  ----------";
         const data = [
             "OopisVFS".padEnd(10),
             String(format(totalSize)).padStart(8),
             String(format(usedSize)).padStart(8),
             String(format(availableSize)).padStart(8),
             `${usePercentage}%`.padStart(4),
+            String(quotaLimit).padStart(8),
+            String(quotaAvailable).padStart(8),
             "/".padEnd(10),
         ].join("  ");
 
@@ -13,13 +13,18 @@ window.DiffCommand = class DiffCommand extends Command {
       DESCRIPTION
       The diff command analyzes two files and prints the lines that are
       different. By default, it uses a simple format. With the -u flag,
-      it produces a unified diff that can be used to patch files.
+      it produces a unified diff that can be used to patch files. If
+      either file is binary, diff only reports whether they differ.
+      EXIT STATUS
+      0 if the files are identical, 1 if they differ, and 2 if a file
+      could not be read.
       EXAMPLES
       diff original.txt updated.txt
       Shows the differences between the two text files.
       diff -u original.txt updated.txt > changes.patch
       Creates a patch file that can be applied with 'patch original.txt changes.patch'.`,
       completionType: "paths",
+      errorExitCode: 2,
       flagDefinitions: [
         { name: "unified",
           short: "-u",
@@ -157,12 +162,22 @@ window.DiffCommand = class DiffCommand extends Command {
 
   async coreLogic(context) {
     const { args, validatedPaths, dependencies } = context;
-    const { DiffUtils, ErrorHandler } = dependencies;
+    const { DiffUtils, ErrorHandler, Config, Utils } = dependencies;
 
     const file1Path = args[0];
     const file2Path = args[1];
     const file1Node = validatedPaths[0].node;
     const file2Node = validatedPaths[1].node;
+    const exitCode = Utils.contentEquals(file1Node.content, file2Node.content)
+        ? Config.EXIT_CODES.SUCCESS
+        : Config.EXIT_CODES.FAILURE;
+
+    if (Utils.isBinaryContent(file1Node.content) || Utils.isBinaryContent(file2Node.content)) {
+      return ErrorHandler.createSuccess(
+          exitCode === Config.EXIT_CODES.SUCCESS ? "" : `Binary files ${file1Path} and ${file2Path} differ`,
+          { exitCode }
+      );
+    }
 
     if (context.flags.unified) {
       const unifiedDiff = this._createUnifiedDiff(
@@ -171,13 +186,13 @@ window.DiffCommand = class DiffCommand extends Command {
           file1Path,
           file2Path
       );
-      return ErrorHandler.createSuccess(unifiedDiff);
+      return ErrorHandler.createSuccess(unifiedDiff, { exitCode });
     } else {
       const diffResult = DiffUtils.compare(
           file1Node.content || "",
           file2Node.content || ""
       );
-      return ErrorHandler.createSuccess(diffResult);
+      return ErrorHandler.createSuccess(diffResult, { exitCode });
     }
   }
 }
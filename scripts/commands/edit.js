@@ -44,7 +44,7 @@ window.EditCommand = class EditCommand extends Command {
 
     async coreLogic(context) {
         const { args, options, validatedPaths, dependencies } = context;
-        const { ErrorHandler, AppLayerManager, EditorManager, EditorUI, App } = dependencies;
+        const { ErrorHandler, AppLayerManager, EditorManager, EditorUI, App, Utils } = dependencies;
 
         if (!options.isInteractive) {
             return ErrorHandler.createError(
@@ -62,6 +62,12 @@ window.EditCommand = class EditCommand extends Command {
         const filePath = hasFileArgument ? validatedPaths[0].resolvedPath : null;
         const node = hasFileArgument ? validatedPaths[0].node : null;
 
+        if (node && Utils.isBinaryContent(node.content)) {
+            return ErrorHandler.createError(
+                `edit: ${args[0]}: cannot edit a binary file`
+            );
+        }
+
         const fileContent = node ? node.content || "" : "";
 
         AppLayerManager.show(new EditorManager(), {
@@ -0,0 +1,147 @@
+// scripts/commands/edquota.js
+
+window.EdquotaCommand = class EdquotaCommand extends Command {
+    constructor() {
+        super({
+            commandName: "edquota",
+            description: "Edits disk quota limits interactively.",
+            helpText: `Usage: edquota [-g] [-p <prototype>] <name>...
+       edquota -t
+      Edit disk quota limits.
+      DESCRIPTION
+      edquota prompts for the soft and hard limits of each named user
+      (or, with -g, group), showing the current value as the default.
+      Sizes are in bytes and may end in K, M or G; 0 means no limit.
+      With -t it prompts for the grace period instead.
+      See 'setquota' for how the limits are enforced, and to set them
+      from a script. Only root may edit quotas.
+      OPTIONS
+      -g, --group
+            Edit the limits of groups rather than users.
+      -p, --prototype <name>
+            Copy the limits of the user or group <name> instead of
+            prompting.
+      -t, --grace
+            Edit the grace period.
+      EXAMPLES
+      edquota alice
+      Prompts for alice's soft and hard limits.
+      edquota -p alice bob carol
+      Gives bob and carol the same limits as alice.`,
+            completionType: "users",
+            flagDefinitions: [
+                { name: "group", short: "-g", long: "--group" },
+                { name: "prototype", short: "-p", long: "--prototype", takesValue: true },
+                { name: "grace", short: "-t", long: "--grace" },
+            ],
+        });
+    }
+
+    _prompt(message, defaultValue, options, ModalManager) {
+        return new Promise((resolve) => {
+            ModalManager.request({
+                context: "terminal",
+                type: "input",
+                messageLines: [`${message} [${defaultValue}]:`],
+                onConfirm: (value) => resolve(value.trim() || String(defaultValue)),
+                onCancel: () => resolve(null),
+                options,
+            });
+        });
+    }
+
+    async _nameExists(kind, name, dependencies) {
+        const { UserManager, GroupManager } = dependencies;
+        return kind === "group"
+            ? GroupManager.groupExists(name)
+            : UserManager.userExists(name);
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, options, dependencies } = context;
+        const { QuotaManager, FileSystemManager, ModalManager, ErrorHandler, Config } = dependencies;
+        const kind = flags.group ? "group" : "user";
+
+        if (currentUser !== "root") {
+            return ErrorHandler.createError("edquota: only root can edit quotas");
+        }
+
+        if (flags.prototype) {
+            if (args.length === 0) {
+                return ErrorHandler.createError(
+                    "Usage: edquota [-g] -p <prototype> <name>...",
+                    { exitCode: Config.EXIT_CODES.USAGE }
+                );
+            }
+            if (!(await this._nameExists(kind, flags.prototype, dependencies))) {
+                return ErrorHandler.createError(`edquota: ${kind} '${flags.prototype}' does not exist`);
+            }
+            const prototype = QuotaManager.getQuota(kind, flags.prototype) || { soft: 0, hard: 0 };
+            for (const name of args) {
+                if (!(await this._nameExists(kind, name, dependencies))) {
+                    return ErrorHandler.createError(`edquota: ${kind} '${name}' does not exist`);
+                }
+                QuotaManager.setQuota(kind, name, prototype.soft, prototype.hard);
+                QuotaManager.updateGraceState(kind, name, FileSystemManager.getQuotaUsage(kind, name));
+            }
+            return ErrorHandler.createSuccess("");
+        }
+
+        if (!options.isInteractive) {
+            return ErrorHandler.createError(
+                "edquota: can only be run in interactive mode; use 'setquota' in scripts."
+            );
+        }
+
+        if (flags.grace) {
+            const current = Math.round(QuotaManager.getGracePeriod() / 1000);
+            const answer = await this._prompt("Grace period", `${current}s`, options, ModalManager);
+            if (answer === null) {
+                return ErrorHandler.createSuccess("");
+            }
+            const gracePeriod = QuotaManager.parseDuration(answer);
+            if (gracePeriod === null) {
+                return ErrorHandler.createError(`edquota: invalid grace period '${answer}'`);
+            }
+            QuotaManager.setGracePeriod(gracePeriod);
+            return ErrorHandler.createSuccess("");
+        }
+
+        if (args.length === 0) {
+            return ErrorHandler.createError(
+                "Usage: edquota [-g] [-p <prototype>] <name>...",
+                { exitCode: Config.EXIT_CODES.USAGE }
+            );
+        }
+
+        for (const name of args) {
+            if (!(await this._nameExists(kind, name, dependencies))) {
+                return ErrorHandler.createError(`edquota: ${kind} '${name}' does not exist`);
+            }
+            const current = QuotaManager.getQuota(kind, name) || { soft: 0, hard: 0 };
+            const softAnswer = await this._prompt(`Soft limit for ${kind} ${name}`, current.soft, options, ModalManager);
+            if (softAnswer === null) {
+                return ErrorHandler.createSuccess("");
+            }
+            const hardAnswer = await this._prompt(`Hard limit for ${kind} ${name}`, current.hard, options, ModalManager);
+            if (hardAnswer === null) {
+                return ErrorHandler.createSuccess("");
+            }
+            const soft = QuotaManager.parseSize(softAnswer);
+            const hard = QuotaManager.parseSize(hardAnswer);
+            if (soft === null || hard === null) {
+                return ErrorHandler.createError(
+                    `edquota: invalid limit '${soft === null ? softAnswer : hardAnswer}'`
+                );
+            }
+            if (hard > 0 && soft > hard) {
+                return ErrorHandler.createError("edquota: soft limit is larger than hard limit");
+            }
+            QuotaManager.setQuota(kind, name, soft, hard);
+            QuotaManager.updateGraceState(kind, name, FileSystemManager.getQuotaUsage(kind, name));
+        }
+        return ErrorHandler.createSuccess("");
+    }
+}
+
+window.CommandRegistry.register(new EdquotaCommand());
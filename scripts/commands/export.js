@@ -42,7 +42,9 @@ window.ExportCommand = class ExportCommand extends Command {
         );
 
         const blob = new Blob([node.content || ""], {
-            type: "text/plain;charset=utf-8",
+            type: Utils.isBinaryContent(node.content)
+                ? node.mimeType
+                : "text/plain;charset=utf-8",
         });
         const url = URL.createObjectURL(blob);
 
@@ -0,0 +1,90 @@
+// scripts/commands/faillock.js
+
+window.FaillockCommand = class FaillockCommand extends Command {
+    constructor() {
+        super({
+            commandName: "faillock",
+            description: "Shows or resets failed password attempts.",
+            helpText: `Usage: faillock [--user <username>] [--reset]
+      Show or reset the record of failed password attempts.
+      DESCRIPTION
+      Every wrong password given to 'login', 'su', 'sudo' or 'passwd' is
+      recorded in /var/log/faillog against the account it was for. The
+      record is cleared when the right password is next given.
+      After LOGIN.MAX_FAILED_ATTEMPTS failures in a row, 5 unless
+      /etc/oopis.conf says otherwise, the account is locked: its password
+      is refused even when right. The lock lifts LOGIN.LOCKOUT_MINUTES
+      after the last failure, 10 by default, or only when reset if that
+      is 0. Setting LOGIN.MAX_FAILED_ATTEMPTS to 0 turns locking off.
+      Root is never locked out.
+      Without options, faillock shows your own failed attempts, or
+      everyone's when run by root.
+      OPTIONS
+      --user <username>
+            Show or reset the attempts of <username> only.
+      --reset
+            Clear the attempts, unlocking the account. Only root can
+            do this.
+      EXAMPLES
+      faillock --user alice
+      Shows when and where alice's password was given wrongly.
+      sudo faillock --user alice --reset
+      Unlocks alice's account.`,
+            completionType: "users",
+            flagDefinitions: [
+                { name: "user", long: "--user", takesValue: true },
+                { name: "reset", long: "--reset" },
+            ],
+            validations: {
+                args: {
+                    exact: 0,
+                    error: "Usage: faillock [--user <username>] [--reset]"
+                }
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { flags, currentUser, dependencies } = context;
+        const { UserManager, ErrorHandler, Utils } = dependencies;
+
+        if (flags.user && !(await UserManager.userExists(flags.user))) {
+            return ErrorHandler.createError(`faillock: unknown user '${flags.user}'`);
+        }
+        if (currentUser !== "root" && (flags.reset || (flags.user && flags.user !== currentUser))) {
+            return ErrorHandler.createError("faillock: Permission denied");
+        }
+
+        const usernames = flags.user
+            ? [flags.user]
+            : currentUser === "root"
+                ? UserManager.getUsernames()
+                : [currentUser];
+
+        if (flags.reset) {
+            for (const username of usernames) {
+                UserManager.resetFailedAttempts(username);
+            }
+            return ErrorHandler.createSuccess("", { stateModified: true });
+        }
+
+        const sections = [];
+        for (const username of usernames) {
+            const attempts = UserManager.getFailedAttempts(username);
+            if (attempts.length === 0 && !flags.user && currentUser === "root") {
+                continue;
+            }
+            const locked = UserManager.isAccountLocked(username) ? " (locked)" : "";
+            sections.push([
+                `${username}:${locked}`,
+                `${"When".padEnd(19)}  Service`,
+                ...attempts.map(({ service, time }) =>
+                    `${Utils.formatLocalDateTime(new Date(time))}  ${service}`
+                ),
+            ].join("\n"));
+        }
+        return ErrorHandler.createSuccess(sections.join("\n"));
+    }
+}
+
+window.CommandRegistry.register(new FaillockCommand());
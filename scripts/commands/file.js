@@ -0,0 +1,143 @@
+// scripts/commands/file.js
+
+const FILE_TYPE_DESCRIPTIONS = {
+    "application/json": "JSON data",
+    "application/x-oopic": "OopisOS paint drawing, JSON data",
+    "application/x-adventure": "OopisOS text adventure, JSON data",
+    "text/html": "HTML document, %s text",
+    "text/x-basic": "BASIC program, %s text",
+    "text/plain": "%s text",
+    "image/png": "PNG image data",
+    "image/jpeg": "JPEG image data",
+    "image/gif": "GIF image data",
+    "image/bmp": "PC bitmap",
+    "image/webp": "RIFF (little-endian) data, Web/P image",
+    "application/pdf": "PDF document",
+    "application/zip": "Zip archive data",
+    "application/gzip": "gzip compressed data",
+    "audio/mpeg": "Audio file with ID3",
+    "audio/ogg": "Ogg data",
+    "audio/flac": "FLAC audio bitstream data",
+    "audio/wav": "RIFF (little-endian) data, WAVE audio",
+    "application/octet-stream": "data",
+};
+
+window.FileCommand = class FileCommand extends Command {
+    constructor() {
+        super({
+            commandName: "file",
+            description: "Determines file types from their contents.",
+            helpText: `Usage: file [-b] [-i] <path>...
+      Determine the type of each file by looking at what it holds.
+      DESCRIPTION
+      file reads each file and names what it looks like, ignoring its
+      extension. It recognises scripts from their '#!' line, JSON data,
+      paint drawings (.oopic) and text adventures (.adv), which are both
+      JSON, HTML pages, line-numbered BASIC programs and common image,
+      sound and archive formats.
+      To make the desktop and 'edit' treat a file as the type found,
+      store it with 'setfattr -n system.mime_type -v <type> <path>'.
+      OPTIONS
+      -b, --brief
+            Do not print the file name before the type.
+      -i, --mime-type
+            Print the MIME type instead of a description.
+      EXAMPLES
+      file game
+      Prints 'game: BASIC program, ASCII text' for an extensionless
+      BASIC program.
+      file -i *.json
+      Prints the MIME type of each JSON file.`,
+            completionType: "paths",
+            flagDefinitions: [
+                { name: "brief", short: "-b", long: "--brief" },
+                { name: "mime", short: "-i", long: "--mime-type" },
+            ],
+            validations: {
+                args: {
+                    min: 1,
+                    error: "Usage: file [-b] [-i] <path>..."
+                }
+            },
+        });
+    }
+
+    /**
+     * @returns {{mimeType: string, description: string}}
+     */
+    _identify(node, dependencies) {
+        const { Config, Utils } = dependencies;
+        if (node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+            return { mimeType: "inode/directory", description: "directory" };
+        }
+        if (node.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
+            return { mimeType: "inode/symlink", description: `symbolic link to ${node.target}` };
+        }
+        if (node.device) {
+            return { mimeType: "inode/chardevice", description: "character special" };
+        }
+
+        const content = node.content;
+        if (Utils.getContentSize(content) === 0) {
+            return { mimeType: "inode/x-empty", description: "empty" };
+        }
+        const text = Utils.isBinaryContent(content)
+            ? Utils.decodeTextIfPossible(content)
+            : content;
+        if (text === null) {
+            const mimeType = node.mimeType && node.mimeType !== "application/octet-stream"
+                ? node.mimeType
+                : Utils.detectMimeType(content);
+            return { mimeType, description: FILE_TYPE_DESCRIPTIONS[mimeType] || mimeType };
+        }
+
+        const mimeType = Utils.detectTextMimeType(text);
+        const charset = /^[\x00-\x7f]*$/.test(text) ? "ASCII" : "UTF-8";
+        if (text.startsWith("#!")) {
+            const interpreter = text.slice(2).split("\n")[0].trim();
+            const executable = (node.mode || 0) & 0o111 ? " executable" : "";
+            return { mimeType, description: `a ${interpreter} script, ${charset} text${executable}` };
+        }
+        const template = FILE_TYPE_DESCRIPTIONS[mimeType] || "%s text";
+        return { mimeType, description: template.replace("%s", charset) };
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler, Config } = dependencies;
+
+        const lines = [];
+        const errorLines = [];
+        for (const pathArg of args) {
+            const prefix = flags.brief ? "" : `${pathArg}: `;
+            const pathValidation = FileSystemManager.validatePath(pathArg, {
+                resolveLastSymlink: false,
+            });
+            if (!pathValidation.success) {
+                errorLines.push(`${prefix}cannot open '${pathArg}' (No such file or directory)`);
+                continue;
+            }
+            const { node } = pathValidation.data;
+            if (
+                node.type === dependencies.Config.FILESYSTEM.DEFAULT_FILE_TYPE &&
+                !FileSystemManager.hasPermission(node, currentUser, "read")
+            ) {
+                lines.push(`${prefix}regular file, no read permission`);
+                continue;
+            }
+            const { mimeType, description } = this._identify(node, dependencies);
+            FileSystemManager.markAccessed(node);
+            lines.push(prefix + (flags.mime ? mimeType : description));
+        }
+
+        if (errorLines.length > 0) {
+            return ErrorHandler.createSuccess(lines.join("\n"), {
+                stderr: errorLines.join("\n"),
+                exitCode: Config.EXIT_CODES.FAILURE,
+            });
+        }
+        return ErrorHandler.createSuccess(lines.join("\n"));
+    }
+}
+
+window.CommandRegistry.register(new FileCommand());
@@ -20,6 +20,14 @@ window.FindCommand = class FindCommand extends Command {
       -user <name>        File is owned by user <name>.
       -perm <mode>        File's permission bits are exactly <mode> (octal).
       -mtime <n>          File's data was last modified n*24 hours ago.
+                          +n means more than n days, -n less than n.
+      -atime <n>          File was last read n*24 hours ago.
+      -ctime <n>          File's status was last changed n*24 hours ago.
+      -newer <file>       File was modified more recently than <file>.
+      -size [+-]<n>[ckMG] File uses n units of space, rounded up. Units
+                          are c (bytes), k, M, G, or 512-byte blocks
+                          if none is given. +n means more, -n less.
+      -empty              File is empty, or is a directory with no entries.
       -delete             Deletes found files. Use with caution.
       -exec <cmd> {} ;    Executes <cmd> on found files. {} is replaced by the file path.
       ! or -not           Inverts the sense of the next test.
@@ -32,7 +40,10 @@ window.FindCommand = class FindCommand extends Command {
       Finds all directories in /home that are owned by the user 'Guest'.
 
       find . -name "*.tmp" -delete
-      Finds and deletes all files ending in .tmp in the current hierarchy.`,
+      Finds and deletes all files ending in .tmp in the current hierarchy.
+
+      find ~ -size +100k -atime +30
+      Finds files over 100 KB in your home that nobody has read in a month.`,
       completionType: "paths",
       validations: {
         args: {
@@ -49,54 +60,66 @@ window.FindCommand = class FindCommand extends Command {
     const startPathArg = args[0];
     const expressionArgs = args.slice(1);
     let outputLines = [];
-    let hadError = false;
     let filesProcessedSuccessfully = true;
     let anyChangeMadeDuringFind = false;
 
+    const sizeUnits = { b: 512, c: 1, k: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+
+    function matchesAge(timestamp, daysSpec) {
+      if (!timestamp) return false;
+      const ageInMs = new Date().getTime() - new Date(timestamp).getTime();
+      const days = ageInMs / (24 * 60 * 60 * 1000);
+      let n;
+      if (daysSpec.startsWith("+")) {
+        n = parseInt(daysSpec.substring(1), 10);
+        return !isNaN(n) && days > n;
+      } else if (daysSpec.startsWith("-")) {
+        n = parseInt(daysSpec.substring(1), 10);
+        return !isNaN(n) && days < n;
+      } else {
+        n = parseInt(daysSpec, 10);
+        return !isNaN(n) && Math.floor(days) === n;
+      }
+    }
+
     const predicates = {
-      "-name": (node, path, pattern) => {
-        const regex = Utils.globToRegex(pattern);
-        if (!regex) {
-          outputLines.push(`find: invalid pattern for -name: ${pattern}`);
-          hadError = true;
-          return false;
-        }
-        return regex.test(path.substring(path.lastIndexOf("/") + 1));
-      },
-      "-type": (node, path, typeChar) => {
-        if (typeChar === "f") return node.type === "file";
-        if (typeChar === "d") return node.type === "directory";
-        outputLines.push(`find: unknown type '${typeChar}' for -type`);
-        hadError = true;
-        return false;
-      },
+      "-name": (node, path, regex) =>
+          regex.test(path.substring(path.lastIndexOf("/") + 1)),
+      "-type": (node, path, typeChar) =>
+          node.type === (typeChar === "f" ? "file" : "directory"),
       "-user": (node, path, username) => node.owner === username,
-      "-perm": (node, path, modeStr) => {
-        if (!/^[0-7]{3,4}$/.test(modeStr)) {
-          outputLines.push(`find: invalid mode '${modeStr}' for -perm`);
-          hadError = true;
-          return false;
-        }
-        return node.mode === parseInt(modeStr, 8);
+      "-perm": (node, path, modeStr) => node.mode === parseInt(modeStr, 8),
+      "-mtime": (node, path, daysSpec) => matchesAge(node.mtime, daysSpec),
+      "-atime": (node, path, daysSpec) => matchesAge(node.atime, daysSpec),
+      "-ctime": (node, path, daysSpec) => matchesAge(node.ctime, daysSpec),
+      "-newer": (node, path, referenceNode) =>
+          Boolean(node.mtime && referenceNode.mtime) &&
+          new Date(node.mtime) > new Date(referenceNode.mtime),
+      "-size": (node, path, sizeSpec) => {
+        const [, sign, count, unit] = /^([+-]?)(\d+)([bckMG]?)$/.exec(sizeSpec);
+        const unitSize = sizeUnits[unit || "b"];
+        const units = Math.ceil(FileSystemManager.calculateNodeSize(node) / unitSize);
+        if (sign === "+") return units > Number(count);
+        if (sign === "-") return units < Number(count);
+        return units === Number(count);
       },
-      "-mtime": (node, path, mtimeSpec) => {
-        if (!node.mtime) return false;
-        const ageInMs =
-            new Date().getTime() - new Date(node.mtime).getTime();
-        const days = ageInMs / (24 * 60 * 60 * 1000);
-        let n;
-        if (mtimeSpec.startsWith("+")) {
-          n = parseInt(mtimeSpec.substring(1), 10);
-          return !isNaN(n) && days > n;
-        } else if (mtimeSpec.startsWith("-")) {
-          n = parseInt(mtimeSpec.substring(1), 10);
-          return !isNaN(n) && days < n;
-        } else {
-          n = parseInt(mtimeSpec, 10);
-          return !isNaN(n) && Math.floor(days) === n;
+      "-empty": (node) => {
+        if (node.type === "directory") {
+          return Object.keys(node.children || {}).length === 0;
         }
+        return node.type === "file" && Utils.getContentSize(node.content) === 0;
       },
     };
+    const argumentlessTests = new Set(["-empty"]);
+    // Test arguments are checked once here rather than at every file.
+    const argumentChecks = {
+      "-type": [/^[fd]$/, (arg) => `find: unknown type '${arg}' for -type`],
+      "-perm": [/^[0-7]{3,4}$/, (arg) => `find: invalid mode '${arg}' for -perm`],
+      "-mtime": [/^[+-]?\d+$/, (arg) => `find: invalid argument '${arg}' to -mtime`],
+      "-atime": [/^[+-]?\d+$/, (arg) => `find: invalid argument '${arg}' to -atime`],
+      "-ctime": [/^[+-]?\d+$/, (arg) => `find: invalid argument '${arg}' to -ctime`],
+      "-size": [/^[+-]?\d+[bckMG]?$/, (arg) => `find: invalid argument '${arg}' to -size`],
+    };
 
     const actions = {
       "-print": async (node, path) => {
@@ -112,7 +135,7 @@ window.FindCommand = class FindCommand extends Command {
         });
         if (!result.success) {
           outputLines.push(
-              `find: -exec: command '${cmdStr}' failed: ${result.error}`
+              `find: -exec: command '${cmdStr}' failed: ${result.error || `exit status ${result.exitCode}`}`
           );
           filesProcessedSuccessfully = false;
           return false;
@@ -166,12 +189,38 @@ window.FindCommand = class FindCommand extends Command {
       if (predicates[token]) {
         term.type = "TEST";
         term.eval = predicates[token];
-        if (i + 1 < expressionArgs.length) {
-          term.arg = expressionArgs[++i];
-        } else {
-          return ErrorHandler.createError(
-              `find: missing argument to \`${token}\``
-          );
+        if (!argumentlessTests.has(token)) {
+          if (i + 1 < expressionArgs.length) {
+            term.arg = expressionArgs[++i];
+          } else {
+            return ErrorHandler.createError(
+                `find: missing argument to \`${token}\``
+            );
+          }
+        }
+        if (argumentChecks[token]) {
+          const [pattern, describeError] = argumentChecks[token];
+          if (!pattern.test(term.arg)) {
+            return ErrorHandler.createError(describeError(term.arg));
+          }
+        }
+        if (token === "-name") {
+          const regex = Utils.globToRegex(term.arg);
+          if (!regex) {
+            return ErrorHandler.createError(
+                `find: invalid pattern for -name: ${term.arg}`
+            );
+          }
+          term.arg = regex;
+        }
+        if (token === "-newer") {
+          const reference = FileSystemManager.validatePath(term.arg);
+          if (!reference.success) {
+            return ErrorHandler.createError(
+                `find: '${term.arg}': No such file or directory`
+            );
+          }
+          term.arg = reference.data.node;
         }
       } else if (actions[token]) {
         term.type = "ACTION";
@@ -305,7 +354,7 @@ window.FindCommand = class FindCommand extends Command {
     );
     await recurseFind(startPathResolved, impliesDepth);
 
-    if (hadError || !filesProcessedSuccessfully) {
+    if (!filesProcessedSuccessfully) {
       return ErrorHandler.createError(outputLines.join("\n"));
     }
     return ErrorHandler.createSuccess(outputLines.join("\n"), {
@@ -18,6 +18,12 @@ window.FsckCommand = class FsckCommand extends Command {
       - Ownership: Checks for valid user and group ownership.
       - User Homes: Confirms every user has a valid home directory.
       - Symbolic Links: Identifies broken or dangling symbolic links.
+      - Inodes: Checks each file's link count against the names that
+        refer to it, and finds inodes no name refers to. This check
+        always covers the whole filesystem.
+      - Snapshots: Checks that each snapshot still matches the checksum
+        taken with it and is still read-only. This check also covers
+        the whole filesystem.
 
       OPTIONS
       --repair
@@ -38,7 +44,7 @@ window.FsckCommand = class FsckCommand extends Command {
 
     async coreLogic(context) {
         const { args, flags, dependencies, options } = context;
-        const { FileSystemManager, UserManager, GroupManager, StorageManager, OutputManager, ModalManager, ErrorHandler, Config } = dependencies;
+        const { FileSystemManager, UserManager, GroupManager, OutputManager, ModalManager, ErrorHandler, Config, Utils } = dependencies;
 
         const startPath = args[0] || '/';
         const repairMode = flags.repair || false;
@@ -63,10 +69,16 @@ window.FsckCommand = class FsckCommand extends Command {
                         auditIssues.push({ type: 'MALFORMED_NODE', path, issue: `Malformed node: missing '${prop}' property.`, data: { node } });
                     }
                 }
+                if (node.acl && (typeof node.acl.users !== 'object' || typeof node.acl.groups !== 'object' || !Number.isInteger(node.acl.group))) {
+                    auditIssues.push({ type: 'MALFORMED_ACL', path, issue: "ACL is malformed.", data: { node } });
+                }
+                if (node.defaultAcl && (node.type !== 'directory' || typeof node.defaultAcl.users !== 'object' || typeof node.defaultAcl.groups !== 'object')) {
+                    auditIssues.push({ type: 'MALFORMED_ACL', path, issue: "Default ACL is malformed or set on a non-directory.", data: { node } });
+                }
                 if (node.type === 'directory' && (typeof node.children !== 'object' || node.children === null)) {
                     auditIssues.push({ type: 'TYPE_INCONSISTENCY', path, issue: "Directory node is missing or has invalid 'children' object.", data: { node } });
-                } else if (node.type === 'file' && typeof node.content !== 'string') {
-                    auditIssues.push({ type: 'TYPE_INCONSISTENCY', path, issue: "File node is missing 'content' string.", data: { node } });
+                } else if (node.type === 'file' && typeof node.content !== 'string' && !Utils.isBinaryContent(node.content)) {
+                    auditIssues.push({ type: 'TYPE_INCONSISTENCY', path, issue: "File node is missing 'content' string or bytes.", data: { node } });
                 }
                 if (node.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
                     const parentOfLink = path.substring(0, path.lastIndexOf('/')) || '/';
@@ -95,8 +107,7 @@ window.FsckCommand = class FsckCommand extends Command {
 
         const ownershipAudit = async () => {
             const auditIssues = [];
-            const allUsers = StorageManager.loadItem(Config.STORAGE_KEYS.USER_CREDENTIALS, "User list", {});
-            const userSet = new Set(Object.keys(allUsers));
+            const userSet = new Set(UserManager.getUsernames());
             userSet.add(Config.USER.DEFAULT_NAME);
 
             const traverse = async (path, node) => {
@@ -106,6 +117,18 @@ window.FsckCommand = class FsckCommand extends Command {
                 if (!GroupManager.groupExists(node.group)) {
                     auditIssues.push({ type: 'INVALID_GROUP', path, issue: `Invalid group: group '${node.group}' does not exist.`, data: { node } });
                 }
+                for (const isDefault of [false, true]) {
+                    const acl = isDefault ? node.defaultAcl : node.acl;
+                    if (!acl) continue;
+                    const label = isDefault ? 'Default ACL' : 'ACL';
+                    for (const [tag, names, exists] of [['user', acl.users, (name) => userSet.has(name)], ['group', acl.groups, (name) => GroupManager.groupExists(name)]]) {
+                        for (const name of Object.keys(names || {})) {
+                            if (!exists(name)) {
+                                auditIssues.push({ type: 'INVALID_ACL_ENTRY', path, issue: `${label} entry for ${tag} '${name}', which does not exist.`, data: { node, entry: { tag, qualifier: name }, isDefault } });
+                            }
+                        }
+                    }
+                }
                 if (node.type === 'directory' && node.children) {
                     for (const childName in node.children) {
                         const childPath = FileSystemManager.getAbsolutePath(childName, path);
@@ -125,8 +148,7 @@ window.FsckCommand = class FsckCommand extends Command {
 
         const homeDirectoryAudit = async () => {
             const auditIssues = [];
-            const allUsers = StorageManager.loadItem(Config.STORAGE_KEYS.USER_CREDENTIALS, "User list", {});
-            const userList = Object.keys(allUsers);
+            const userList = UserManager.getUsernames();
             userList.push(Config.USER.DEFAULT_NAME);
 
             output.push("\n--- Phase 3: User Homestead Inspection ---");
@@ -149,8 +171,42 @@ window.FsckCommand = class FsckCommand extends Command {
             }
         };
 
+        const inodeAudit = async () => {
+            const auditIssues = [];
+            const { linkCounts, orphans } = FileSystemManager.auditInodes();
+            for (const { node, paths, recorded, actual } of linkCounts) {
+                auditIssues.push({ type: 'LINK_COUNT_MISMATCH', path: paths[0], issue: `Inode ${node.inode} records ${recorded ?? 'no'} link(s) but ${actual} name(s) refer to it.`, data: { node, actual } });
+            }
+            for (const { inode, node } of orphans) {
+                auditIssues.push({ type: 'ORPHANED_INODE', path: `<inode ${inode}>`, issue: `Orphaned ${node.type}: no directory entry refers to it.`, data: { inode, node } });
+            }
+            output.push("\n--- Phase 4: Inode and Link Count Audit ---");
+            if (auditIssues.length > 0) {
+                auditIssues.forEach(iss => output.push(`[INODE ISSUE] at ${iss.path}: ${iss.issue}`));
+                issues.push(...auditIssues);
+            } else {
+                output.push("  ✅ All link counts match and no inodes are orphaned.");
+            }
+        };
+
+        const snapshotAudit = async () => {
+            const auditIssues = FileSystemManager.verifySnapshots().map((problem) => ({
+                type: problem.type,
+                path: problem.name === null ? Config.FILESYSTEM.SNAPSHOT_PATH : `${Config.FILESYSTEM.SNAPSHOT_PATH}/${problem.name}`,
+                issue: problem.issue,
+                data: problem,
+            }));
+            output.push("\n--- Phase 5: Snapshot Verification ---");
+            if (auditIssues.length > 0) {
+                auditIssues.forEach(iss => output.push(`[SNAPSHOT ISSUE] at ${iss.path}: ${iss.issue}`));
+                issues.push(...auditIssues);
+            } else {
+                output.push("  ✅ All snapshots are intact.");
+            }
+        };
+
         const performRepairs = async () => {
-            output.push("\n--- Phase 4: Interactive Repair ---");
+            output.push("\n--- Phase 6: Interactive Repair ---");
             let quitRepair = false;
             for (const issue of issues) {
                 if (quitRepair) break;
@@ -180,17 +236,79 @@ window.FsckCommand = class FsckCommand extends Command {
                     case 'ORPHANED_OWNER':
                         choice = await getChoice(["[1] Reassign owner to 'root'", "[2] Ignore", "[q] Quit Repair"]);
                         if (choice === '1') {
-                            issue.data.node.owner = 'root';
+                            FileSystemManager.setNodeOwnership(issue.data.node, 'root', null);
                             actionResult = { success: true, message: "Owner reassigned to 'root'." };
                         }
                         break;
                     case 'INVALID_GROUP':
                         choice = await getChoice(["[1] Reassign group to 'root'", "[2] Ignore", "[q] Quit Repair"]);
                         if (choice === '1') {
-                            issue.data.node.group = 'root';
+                            FileSystemManager.setNodeOwnership(issue.data.node, null, 'root');
                             actionResult = { success: true, message: "Group reassigned to 'root'." };
                         }
                         break;
+                    case 'INVALID_ACL_ENTRY':
+                        choice = await getChoice(["[1] Remove ACL entry", "[2] Ignore", "[q] Quit Repair"]);
+                        if (choice === '1') {
+                            FileSystemManager.removeAclEntries(issue.data.node, [issue.data.entry], issue.data.isDefault);
+                            actionResult = { success: true, message: `Removed ACL entry for ${issue.data.entry.tag} '${issue.data.entry.qualifier}'.` };
+                        }
+                        break;
+                    case 'MALFORMED_ACL':
+                        choice = await getChoice(["[1] Remove ACLs", "[2] Ignore", "[q] Quit Repair"]);
+                        if (choice === '1') {
+                            delete issue.data.node.acl;
+                            delete issue.data.node.defaultAcl;
+                            FileSystemManager.markChanged(issue.data.node);
+                            actionResult = { success: true, message: `Removed ACLs from '${issue.path}'.` };
+                        }
+                        break;
+                    case 'LINK_COUNT_MISMATCH':
+                        choice = await getChoice([`[1] Set link count to ${issue.data.actual}`, "[2] Ignore", "[q] Quit Repair"]);
+                        if (choice === '1') {
+                            issue.data.node.nlink = issue.data.actual;
+                            FileSystemManager.markChanged(issue.data.node);
+                            actionResult = { success: true, message: `Link count of inode ${issue.data.node.inode} set to ${issue.data.actual}.` };
+                        }
+                        break;
+                    case 'ORPHANED_INODE':
+                        choice = await getChoice(["[1] Release inode", "[2] Ignore", "[q] Quit Repair"]);
+                        if (choice === '1') {
+                            FileSystemManager.releaseInode(issue.data.inode, issue.data.node);
+                            actionResult = { success: true, message: `Released inode ${issue.data.inode}.` };
+                        }
+                        break;
+                    case 'SNAPSHOT_WRITABLE':
+                        choice = await getChoice(["[1] Make read-only", "[2] Ignore", "[q] Quit Repair"]);
+                        if (choice === '1') {
+                            // An earlier repair may have deleted or replaced the snapshot.
+                            const snapshotNode = FileSystemManager.getNodeByPath(issue.path);
+                            if (!snapshotNode) {
+                                actionResult = { success: false, message: `'${issue.path}' no longer exists; skipped.` };
+                                break;
+                            }
+                            const makeReadOnly = (node) => {
+                                node.readOnly = true;
+                                FileSystemManager.markChanged(node);
+                                Object.values(node.children || {}).forEach(makeReadOnly);
+                            };
+                            if (issue.data.name === null) {
+                                snapshotNode.readOnly = true;
+                                FileSystemManager.markChanged(snapshotNode);
+                            } else {
+                                makeReadOnly(snapshotNode);
+                            }
+                            actionResult = { success: true, message: `'${issue.path}' is read-only again.` };
+                        }
+                        break;
+                    case 'SNAPSHOT_MISSING_METADATA':
+                    case 'SNAPSHOT_CHECKSUM_MISMATCH':
+                        choice = await getChoice(["[1] Delete snapshot", "[2] Ignore", "[q] Quit Repair"]);
+                        if (choice === '1') {
+                            const deleteResult = FileSystemManager.deleteSnapshot(issue.data.name);
+                            actionResult = { success: deleteResult.success, message: deleteResult.success ? `Deleted snapshot '${issue.data.name}'.` : `Failed to delete.` };
+                        }
+                        break;
                     case 'MISSING_HOME':
                         choice = await getChoice(["[1] Create home directory", "[2] Ignore", "[q] Quit Repair"]);
                         if (choice === '1') {
@@ -201,8 +319,7 @@ window.FsckCommand = class FsckCommand extends Command {
                     case 'INCORRECT_HOME_OWNER':
                         choice = await getChoice(["[1] Correct ownership", "[2] Ignore", "[q] Quit Repair"]);
                         if (choice === '1') {
-                            issue.data.node.owner = issue.data.username;
-                            issue.data.node.group = issue.data.username;
+                            FileSystemManager.setNodeOwnership(issue.data.node, issue.data.username, issue.data.username);
                             actionResult = { success: true, message: `Ownership of '${issue.path}' corrected.` };
                         }
                         break;
@@ -221,6 +338,8 @@ window.FsckCommand = class FsckCommand extends Command {
         await structuralAudit();
         await ownershipAudit();
         await homeDirectoryAudit();
+        await inodeAudit();
+        await snapshotAudit();
 
         if (repairMode && issues.length > 0) {
             await performRepairs();
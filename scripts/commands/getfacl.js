@@ -0,0 +1,86 @@
+// scripts/commands/getfacl.js
+
+window.GetfaclCommand = class GetfaclCommand extends Command {
+    constructor() {
+        super({
+            commandName: "getfacl",
+            description: "Displays the access control lists of files.",
+            helpText: `Usage: getfacl <path>...
+      Display the access control list (ACL) of each file or directory.
+      DESCRIPTION
+      For each path, getfacl prints its owner and group, then one line
+      per ACL entry:
+      user::perms          The file's owner.
+      user:name:perms      A named user.
+      group::perms         The file's owning group.
+      group:name:perms     A named group.
+      mask::perms          The most any named user or group entry, or
+                           the owning group, is allowed.
+      other::perms         Everyone else.
+      Entries limited by the mask are followed by '#effective:' and the
+      permissions that actually apply. Directories may also have a
+      default ACL, printed with a 'default:' prefix, which new files and
+      directories created inside them inherit.
+      A file without an ACL is shown with the entries its mode bits
+      imply. Use setfacl to change ACLs.
+      EXAMPLES
+      getfacl /home/project
+      Shows who may access '/home/project'.`,
+            completionType: "paths",
+            validations: {
+                args: {
+                    min: 1,
+                    error: "Usage: getfacl <path>..."
+                }
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, dependencies } = context;
+        const { FileSystemManager, ErrorHandler } = dependencies;
+
+        const blocks = [];
+        const errors = [];
+
+        for (const pathArg of args) {
+            const pathValidation = FileSystemManager.validatePath(pathArg);
+            if (!pathValidation.success) {
+                errors.push(`getfacl: ${pathValidation.error}`);
+                continue;
+            }
+            const { node } = pathValidation.data;
+            const lines = [
+                `# file: ${pathArg}`,
+                `# owner: ${node.owner}`,
+                `# group: ${node.group}`,
+            ];
+            for (const entry of FileSystemManager.getAclEntries(node)) {
+                lines.push(this._formatEntry(entry, ""));
+            }
+            for (const entry of FileSystemManager.getAclEntries(node, true)) {
+                lines.push(this._formatEntry(entry, "default:"));
+            }
+            blocks.push(lines.join("\n"));
+        }
+
+        const output = blocks.join("\n\n");
+        if (errors.length > 0) {
+            return ErrorHandler.createError(
+                [output, ...errors].filter(Boolean).join("\n")
+            );
+        }
+        return ErrorHandler.createSuccess(output);
+    }
+
+    _formatEntry(entry, prefix) {
+        const permString = (perms) =>
+            (perms & 4 ? "r" : "-") + (perms & 2 ? "w" : "-") + (perms & 1 ? "x" : "-");
+        const line = `${prefix}${entry.tag}:${entry.qualifier}:${permString(entry.perms)}`;
+        return entry.effective !== entry.perms
+            ? `${line}\t#effective:${permString(entry.effective)}`
+            : line;
+    }
+}
+
+window.CommandRegistry.register(new GetfaclCommand());
@@ -0,0 +1,111 @@
+// scripts/commands/getfattr.js
+
+window.GetfattrCommand = class GetfattrCommand extends Command {
+    constructor() {
+        super({
+            commandName: "getfattr",
+            description: "Displays the extended attributes of files.",
+            helpText: `Usage: getfattr [-d] [-n <name>] [-m <pattern>] [--only-values] <path>...
+      Display the extended attributes of files and directories.
+      DESCRIPTION
+      Extended attributes are name and value pairs attached to a file.
+      Names in the 'user.' namespace are free for any use.
+      'system.mime_type' tells the desktop and 'edit' what kind of file
+      this is, ahead of its extension (see 'file').
+      For each path, getfattr prints '# file:' and the path, then the
+      names of its attributes, or with -d their values too. Only names
+      matching the pattern are listed; by default, those starting with
+      'user.'.
+      OPTIONS
+      -n, --name <name>
+            Print the value of the named attribute only.
+      -d, --dump
+            Print the values of all matching attributes.
+      -m, --match <pattern>
+            List only names matching this regular expression. '-'
+            matches every name.
+      --only-values
+            Print bare values without names or file headings.
+      EXAMPLES
+      getfattr -d notes.txt
+      Shows the 'user.' attributes of notes.txt and their values.
+      getfattr -n system.mime_type hello
+      Shows what MIME type 'hello' has been tagged with.`,
+            completionType: "paths",
+            flagDefinitions: [
+                { name: "name", short: "-n", long: "--name", takesValue: true },
+                { name: "dump", short: "-d", long: "--dump" },
+                { name: "match", short: "-m", long: "--match", takesValue: true },
+                { name: "onlyValues", long: "--only-values" },
+            ],
+            validations: {
+                args: {
+                    min: 1,
+                    error: "Usage: getfattr [-d] [-n <name>] [-m <pattern>] [--only-values] <path>..."
+                }
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler } = dependencies;
+
+        let pattern;
+        try {
+            pattern = new RegExp(flags.match === "-" ? "" : flags.match ?? "^user\\.");
+        } catch (e) {
+            return ErrorHandler.createError(`getfattr: invalid pattern '${flags.match}'`);
+        }
+
+        const blocks = [];
+        const errors = [];
+        for (const pathArg of args) {
+            const pathValidation = FileSystemManager.validatePath(pathArg);
+            if (!pathValidation.success) {
+                errors.push(`getfattr: ${pathArg}: No such file or directory`);
+                continue;
+            }
+            const { node } = pathValidation.data;
+            if (!FileSystemManager.hasPermission(node, currentUser, "read")) {
+                errors.push(`getfattr: ${pathArg}: Permission denied`);
+                continue;
+            }
+            const attributes = FileSystemManager.getXattrs(node);
+
+            let names;
+            if (flags.name !== null) {
+                if (!(flags.name in attributes)) {
+                    errors.push(`getfattr: ${pathArg}: ${flags.name}: No such attribute`);
+                    continue;
+                }
+                names = [flags.name];
+            } else {
+                names = Object.keys(attributes).filter((name) => pattern.test(name)).sort();
+            }
+            if (names.length === 0) continue;
+
+            if (flags.onlyValues) {
+                blocks.push(names.map((name) => attributes[name]).join("\n"));
+                continue;
+            }
+            const showValues = flags.dump || flags.name !== null;
+            blocks.push([
+                `# file: ${pathArg}`,
+                ...names.map((name) =>
+                    showValues ? `${name}="${attributes[name].replace(/(["\\])/g, "\\$1")}"` : name
+                ),
+            ].join("\n"));
+        }
+
+        const output = blocks.join(flags.onlyValues ? "\n" : "\n\n");
+        if (errors.length > 0) {
+            return ErrorHandler.createError(
+                [output, ...errors].filter(Boolean).join("\n")
+            );
+        }
+        return ErrorHandler.createSuccess(output);
+    }
+}
+
+window.CommandRegistry.register(new GetfattrCommand());
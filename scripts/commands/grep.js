@@ -9,7 +9,8 @@ window.GrepCommand = class GrepCommand extends Command {
       Search for PATTERN in each FILE or standard input.
       DESCRIPTION
       The grep command searches for lines containing a match to the given
-      PATTERN. When a line matches, it is printed.
+      PATTERN. When a line matches, it is printed. For a binary file,
+      grep only reports whether it matches.
       OPTIONS
       -i, --ignore-case
       Ignore case distinctions in patterns and data.
@@ -25,6 +26,9 @@ window.GrepCommand = class GrepCommand extends Command {
       Read all files under each directory, recursively.
       -E, --extended-regexp
       Interpret PATTERN as an extended regular expression. (Currently no-op)
+      EXIT STATUS
+      0 if a line was selected, 1 if no lines were selected, and 2 if
+      an error occurred.
       EXAMPLES
       grep "error" /data/logs/system.log
       Finds all lines containing "error" in the system log.
@@ -33,6 +37,7 @@ window.GrepCommand = class GrepCommand extends Command {
       grep -R "TODO" /home/Guest/src
       Recursively searches for "TODO" in the 'src' directory.`,
       completionType: "paths",
+      streamsInput: true,
       flagDefinitions: [
         { name: "ignoreCase", short: "-i", long: "--ignore-case" },
         { name: "invertMatch", short: "-v", long: "--invert-match" },
@@ -45,11 +50,13 @@ window.GrepCommand = class GrepCommand extends Command {
   }
 
   async coreLogic(context) {
-    const { args, flags, currentUser, options, dependencies } = context;
-    const { ErrorHandler, FileSystemManager } = dependencies;
+    const { args, flags, currentUser, options, stdout, dependencies } = context;
+    const { ErrorHandler, FileSystemManager, Config, Utils } = dependencies;
 
     if (args.length === 0) {
-      return ErrorHandler.createError("grep: missing pattern");
+      return ErrorHandler.createError("grep: missing pattern", {
+        exitCode: Config.EXIT_CODES.USAGE,
+      });
     }
 
     const patternStr = args[0];
@@ -60,25 +67,30 @@ window.GrepCommand = class GrepCommand extends Command {
       regex = new RegExp(patternStr, flags.ignoreCase ? "i" : "");
     } catch (e) {
       return ErrorHandler.createError(
-          `grep: invalid regular expression '${patternStr}': ${e.message}`
+          `grep: invalid regular expression '${patternStr}': ${e.message}`,
+          { exitCode: Config.EXIT_CODES.USAGE }
       );
     }
 
     const outputLines = [];
-    let hadError = false;
+    const errorLines = [];
+    let totalMatchCount = 0;
+
+    const matchesLine = (line) => {
+      const isMatch = regex.test(line);
+      return flags.invertMatch ? !isMatch : isMatch;
+    };
 
     const processContent = (content, filePathForDisplay, displayFileName) => {
-      const lines = content.split("\n");
+      const isBinary = Utils.isBinaryContent(content);
+      const lines = Utils.contentToText(content).split("\n");
       let fileMatchCount = 0;
       let fileOutput = [];
 
       lines.forEach((line, index) => {
         if (index === lines.length - 1 && line === "") return;
 
-        const isMatch = regex.test(line);
-        const effectiveMatch = flags.invertMatch ? !isMatch : isMatch;
-
-        if (effectiveMatch) {
+        if (matchesLine(line)) {
           fileMatchCount++;
           if (!flags.count) {
             let outputLine = "";
@@ -94,6 +106,7 @@ window.GrepCommand = class GrepCommand extends Command {
         }
       });
 
+      totalMatchCount += fileMatchCount;
       if (flags.count) {
         let countOutput = "";
         if (displayFileName) {
@@ -101,6 +114,10 @@ window.GrepCommand = class GrepCommand extends Command {
         }
         countOutput += fileMatchCount;
         outputLines.push(countOutput);
+      } else if (isBinary) {
+        if (fileMatchCount > 0) {
+          outputLines.push(`Binary file ${filePathForDisplay} matches`);
+        }
       } else {
         outputLines.push(...fileOutput);
       }
@@ -123,8 +140,7 @@ window.GrepCommand = class GrepCommand extends Command {
           ) {
             await searchDirectory(childPath);
           } else {
-            outputLines.push(`grep: ${childPath}: Permission denied`);
-            hadError = true;
+            errorLines.push(`grep: ${childPath}: Permission denied`);
           }
         } else if (childNode.type === "file") {
           if (
@@ -132,8 +148,7 @@ window.GrepCommand = class GrepCommand extends Command {
           ) {
             processContent(childNode.content || "", childPath, true);
           } else {
-            outputLines.push(`grep: ${childPath}: Permission denied`);
-            hadError = true;
+            errorLines.push(`grep: ${childPath}: Permission denied`);
           }
         }
       }
@@ -145,36 +160,56 @@ window.GrepCommand = class GrepCommand extends Command {
         const node = FileSystemManager.getNodeByPath(resolvedPath);
 
         if (!node) {
-          outputLines.push(`grep: ${pathArg}: No such file or directory`);
-          hadError = true;
+          errorLines.push(`grep: ${pathArg}: No such file or directory`);
           continue;
         }
 
         if (!FileSystemManager.hasPermission(node, currentUser, "read")) {
-          outputLines.push(`grep: ${pathArg}: Permission denied`);
-          hadError = true;
+          errorLines.push(`grep: ${pathArg}: Permission denied`);
           continue;
         }
 
         if (node.type === "directory" && flags.recursive) {
           await searchDirectory(resolvedPath);
         } else if (node.type === "directory" && !flags.recursive) {
-          outputLines.push(`grep: ${pathArg}: is a directory`);
-          hadError = true;
+          errorLines.push(`grep: ${pathArg}: is a directory`);
         } else {
           processContent(node.content || "", pathArg, filePaths.length > 1);
         }
       }
-    } else if (options.stdinContent !== null) {
-      processContent(options.stdinContent, "(standard input)", false);
+    } else if (options.stdinStream || options.stdinContent !== null) {
+      let lineNumber = 0;
+      let stdinMatchCount = 0;
+      const stdinItems = this._generateInputContent(context, []);
+      for await (const line of this._readLines(stdinItems)) {
+        lineNumber++;
+        if (!matchesLine(line)) continue;
+        stdinMatchCount++;
+        if (flags.count) continue;
+        const outputLine = flags.lineNumber ? `${lineNumber}:${line}` : line;
+        if (!(await stdout.writeLine(outputLine))) break;
+      }
+      totalMatchCount += stdinMatchCount;
+      if (flags.count) {
+        outputLines.push(String(stdinMatchCount));
+      }
     } else {
-      return ErrorHandler.createError("grep: missing operand");
+      return ErrorHandler.createError("grep: missing operand", {
+        exitCode: Config.EXIT_CODES.USAGE,
+      });
     }
 
-    if (hadError) {
-      return ErrorHandler.createError(outputLines.join("\n"));
+    if (errorLines.length > 0) {
+      return ErrorHandler.createSuccess(outputLines.join("\n"), {
+        stderr: errorLines.join("\n"),
+        exitCode: Config.EXIT_CODES.USAGE,
+      });
     }
-    return ErrorHandler.createSuccess(outputLines.join("\n"));
+    return ErrorHandler.createSuccess(outputLines.join("\n"), {
+      exitCode: totalMatchCount > 0
+          ? Config.EXIT_CODES.SUCCESS
+          : Config.EXIT_CODES.FAILURE,
+    });
   }
 }
 
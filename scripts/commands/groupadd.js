@@ -13,6 +13,7 @@ window.GroupaddCommand = class GroupaddCommand extends Command {
       with the 'usermod' command, and file group ownership can be
       changed with the 'chgrp' command to manage permissions for
       shared resources.
+      Groups are listed in /etc/group, one 'name:x:gid:members' line each.
       Group names cannot contain spaces.
       EXAMPLES
       groupadd developers
@@ -47,7 +48,9 @@ window.GroupaddCommand = class GroupaddCommand extends Command {
 
         GroupManager.createGroup(groupName);
 
-        return ErrorHandler.createSuccess(`Group '${groupName}' created.`);
+        return ErrorHandler.createSuccess(`Group '${groupName}' created.`, {
+            stateModified: true,
+        });
     }
 }
 
@@ -28,7 +28,7 @@ window.GroupdelCommand = class GroupdelCommand extends Command {
 
     async coreLogic(context) {
         const { args, currentUser, dependencies } = context;
-        const { GroupManager, ErrorHandler } = dependencies;
+        const { GroupManager, QuotaManager, ErrorHandler } = dependencies;
         const groupName = args[0];
 
         if (currentUser !== "root") {
@@ -42,8 +42,11 @@ window.GroupdelCommand = class GroupdelCommand extends Command {
         if (!result.success) {
             return ErrorHandler.createError(`groupdel: ${result.error}`);
         }
+        QuotaManager.removeQuota("group", groupName);
 
-        return ErrorHandler.createSuccess(`Group '${groupName}' deleted.`);
+        return ErrorHandler.createSuccess(`Group '${groupName}' deleted.`, {
+            stateModified: true,
+        });
     }
 }
 
@@ -24,6 +24,7 @@ window.HeadCommand = class HeadCommand extends Command {
       ls | head -n 3
       Displays the first 3 files or directories in the current location.`,
             isInputStream: true,
+            streamsInput: true,
             flagDefinitions: [
                 { name: "lines", short: "-n", long: "--lines", takesValue: true },
                 { name: "bytes", short: "-c", long: "--bytes", takesValue: true },
@@ -32,25 +33,13 @@ window.HeadCommand = class HeadCommand extends Command {
     }
 
     async coreLogic(context) {
-        const { flags, inputItems, inputError, dependencies } = context;
+        const { flags, inputStream, stdout, dependencies } = context;
         const { ErrorHandler, Utils } = dependencies;
 
-        if (inputError) {
-            return ErrorHandler.createError(
-                "head: No readable input provided or permission denied."
-            );
-        }
-
-        if (!inputItems || inputItems.length === 0) {
-            return ErrorHandler.createSuccess("");
-        }
-
         if (flags.lines && flags.bytes) {
             return ErrorHandler.createError("head: cannot use both -n and -c");
         }
 
-        const input = inputItems.map((item) => item.content).join("\n");
-
         let lineCount = 10;
         if (flags.lines) {
             const linesResult = Utils.parseNumericArg(flags.lines, {
@@ -79,14 +68,31 @@ window.HeadCommand = class HeadCommand extends Command {
             byteCount = bytesResult.value;
         }
 
-        let output;
+        // Stop reading as soon as enough input has arrived; the pipeline then
+        // tells the upstream command that nobody is listening any more.
         if (byteCount !== null) {
-            output = input.substring(0, byteCount);
-        } else {
-            output = input.split("\n").slice(0, lineCount).join("\n");
+            let input = "";
+            if (byteCount > 0) {
+                for await (const chunk of this._readChunks(inputStream)) {
+                    input += chunk;
+                    if (input.length >= byteCount) break;
+                }
+            }
+            await stdout.write(input.substring(0, byteCount));
+        } else if (lineCount > 0) {
+            let linesRead = 0;
+            for await (const line of this._readLines(inputStream)) {
+                await stdout.writeLine(line);
+                if (++linesRead >= lineCount) break;
+            }
         }
 
-        return ErrorHandler.createSuccess(output);
+        if (context.inputError) {
+            return ErrorHandler.createError(
+                "head: No readable input provided or permission denied."
+            );
+        }
+        return ErrorHandler.createSuccess("");
     }
 }
 
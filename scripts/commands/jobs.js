@@ -10,7 +10,9 @@ window.JobsCommand = class JobsCommand extends Command {
       DESCRIPTION
       The jobs command provides a list of processes that are running in the
       background. This is similar to 'ps', but is typically used to manage
-      jobs that can be brought to the foreground with 'fg'.`,
+      jobs that can be brought to the foreground with 'fg'. Each terminal
+      numbers its own jobs from 1; 'fg %1' or 'kill %1' refers to job 1
+      of the terminal it is run on, while 'ps' shows process IDs.`,
             validations: {
                 args: {
                     exact: 0
@@ -20,13 +22,13 @@ window.JobsCommand = class JobsCommand extends Command {
     }
 
     async coreLogic(context) {
-        const { dependencies } = context;
-        const { CommandExecutor, ErrorHandler } = dependencies;
-        const jobs = CommandExecutor.getActiveJobs();
+        const { options, dependencies } = context;
+        const { CommandExecutor, SessionManager, ErrorHandler } = dependencies;
+        const jobs = CommandExecutor.getActiveJobs(options.tty || SessionManager.getTty());
         const outputLines = [];
 
         Object.values(jobs).forEach((job, index) => {
-            outputLines.push(`[${job.id}]  ${job.status.padEnd(8)}  ${job.command}`);
+            outputLines.push(`[${job.number}]  ${job.status.padEnd(8)}  ${job.command}`);
         });
 
         if (outputLines.length === 0) {
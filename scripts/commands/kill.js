@@ -10,6 +10,7 @@ window.KillCommand = class KillCommand extends Command {
       DESCRIPTION
       The kill command sends a signal to the background job identified by
       <job_id>. Use the 'ps' command to get a list of active background jobs.
+      %<n> names job <n> of the current terminal, as listed by 'jobs'.
       SIGNALS
       -s, --signal <signal>
             Specify the signal to send. Can be KILL, TERM, STOP, or CONT.
@@ -26,7 +27,9 @@ window.KillCommand = class KillCommand extends Command {
       kill -STOP 1
       Pauses job 1. You will see its status as 'T' in 'ps'.
       kill -CONT 1
-      Resumes job 1.`,
+      Resumes job 1.
+      kill %2
+      Terminates the second job started from this terminal.`,
       flagDefinitions: [
         { name: "signal", short: "-s", long: "--signal", takesValue: true },
         { name: "STOP", short: "-STOP" },
@@ -42,8 +45,8 @@ window.KillCommand = class KillCommand extends Command {
   }
 
   async coreLogic(context) {
-    const { args, flags, dependencies } = context;
-    const { ErrorHandler, CommandExecutor, Utils } = dependencies;
+    const { args, flags, options, dependencies } = context;
+    const { ErrorHandler, CommandExecutor, SessionManager, Utils } = dependencies;
 
     let signal = "TERM";
     const signalFlags = ["STOP", "CONT", "KILL", "TERM"];
@@ -71,12 +74,23 @@ window.KillCommand = class KillCommand extends Command {
     }
 
     const jobIdArg = args[0];
-    const parsedJobId = Utils.parseNumericArg(jobIdArg, { allowFloat: false, allowNegative: false });
+    const isJobNumber = jobIdArg.startsWith("%");
+    const parsedJobId = Utils.parseNumericArg(
+        isJobNumber ? jobIdArg.slice(1) : jobIdArg,
+        { allowFloat: false, allowNegative: false }
+    );
 
     if (parsedJobId.error) {
       return ErrorHandler.createError(`kill: invalid job ID: ${jobIdArg}`);
     }
-    const jobId = parsedJobId.value;
+    let jobId = parsedJobId.value;
+    if (isJobNumber) {
+      const job = CommandExecutor.findJobByNumber(options.tty || SessionManager.getTty(), jobId);
+      if (!job) {
+        return ErrorHandler.createError(`kill: ${jobIdArg}: no such job`);
+      }
+      jobId = job.id;
+    }
 
     const result = CommandExecutor.sendSignalToJob(jobId, signal);
 
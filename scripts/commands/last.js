@@ -0,0 +1,101 @@
+// scripts/commands/last.js
+
+window.LastCommand = class LastCommand extends Command {
+    constructor() {
+        super({
+            commandName: "last",
+            description: "Lists recent logins and system boots.",
+            helpText: `Usage: last [-n <number>] [username...]
+      Show a listing of the last logged in users.
+      DESCRIPTION
+      last goes through /var/log/wtmp, where 'login', 'su' and 'logout'
+      record each session, and lists the sessions newest first: the user,
+      the terminal, who ran 'su' for it, and when it started and ended.
+      A session still open is 'still logged in'. One left open when
+      OopisOS was closed without 'reboot' ends with 'crash'.
+      Each boot is listed as the pseudo-user 'reboot'.
+      OPTIONS
+      -n <number>
+            Show only the last <number> sessions.
+      EXAMPLES
+      last
+      Lists every session recorded.
+      last -n 5 alice
+      Lists alice's last five sessions.
+      last reboot
+      Lists when OopisOS was started.`,
+            completionType: "users",
+            flagDefinitions: [
+                { name: "count", short: "-n", takesValue: true },
+            ],
+        });
+    }
+
+    _formatStart(date) {
+        return `${date.toString().slice(0, 10)} ${date.toTimeString().slice(0, 5)}`;
+    }
+
+    _formatDuration(milliseconds) {
+        const totalMinutes = Math.max(0, Math.floor(milliseconds / 60000));
+        const days = Math.floor(totalMinutes / (24 * 60));
+        const hours = String(Math.floor(totalMinutes / 60) % 24).padStart(2, "0");
+        const minutes = String(totalMinutes % 60).padStart(2, "0");
+        return `(${days > 0 ? `${days}+` : ""}${hours}:${minutes})`;
+    }
+
+    _formatSession(session) {
+        const isBoot = session.type === "reboot";
+        const start = new Date(session.start);
+        let span;
+        if (!session.end) {
+            span = isBoot ? "  still running" : "  still logged in";
+        } else {
+            const end = new Date(session.end);
+            const endText = session.crashed ? "crash" : end.toTimeString().slice(0, 5);
+            span = ` - ${endText}  ${this._formatDuration(end - start)}`;
+        }
+        return [
+            session.username.padEnd(8),
+            (isBoot ? "system boot" : session.tty).padEnd(12),
+            (session.from || "").padEnd(16),
+            this._formatStart(start) + span,
+        ].join(" ");
+    }
+
+    async coreLogic(context) {
+        const { args, flags, dependencies } = context;
+        const { UserManager, ErrorHandler, Config } = dependencies;
+
+        if (flags.count !== null && !/^\d+$/.test(flags.count)) {
+            return ErrorHandler.createError(
+                `last: invalid number of lines '${flags.count}'`,
+                { exitCode: Config.EXIT_CODES.USAGE }
+            );
+        }
+
+        const records = UserManager.getSessionRecords();
+        if (records.length === 0) {
+            return ErrorHandler.createSuccess("");
+        }
+
+        let sessions = UserManager.getLoginSessions().reverse();
+        if (args.length > 0) {
+            sessions = sessions.filter((session) => args.includes(session.username));
+        }
+        if (flags.count !== null) {
+            sessions = sessions.slice(0, parseInt(flags.count, 10));
+        }
+
+        const firstRecord = new Date(records[0].time);
+        const begins = `${firstRecord.toString().slice(0, 10)} ${firstRecord.toTimeString().slice(0, 8)} ${firstRecord.getFullYear()}`;
+        return ErrorHandler.createSuccess(
+            [
+                ...sessions.map((session) => this._formatSession(session)),
+                "",
+                `wtmp begins ${begins}`,
+            ].join("\n")
+        );
+    }
+}
+
+window.CommandRegistry.register(new LastCommand());
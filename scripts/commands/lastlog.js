@@ -0,0 +1,71 @@
+// scripts/commands/lastlog.js
+
+window.LastlogCommand = class LastlogCommand extends Command {
+    constructor() {
+        super({
+            commandName: "lastlog",
+            description: "Shows when each user last logged in.",
+            helpText: `Usage: lastlog [-u <username>]
+      Report the most recent login of all users or of a given user.
+      DESCRIPTION
+      lastlog lists every account in /etc/passwd with the terminal and
+      time it last started a session with 'login' or 'su', and for 'su'
+      the user it was run from, as recorded in /var/log/wtmp. Accounts
+      that never have are shown as '**Never logged in**'.
+      OPTIONS
+      -u, --user <username>
+            Show only the given user.
+      EXAMPLES
+      lastlog
+      Shows the last login of every user.
+      lastlog -u alice
+      Shows when alice last logged in.`,
+            completionType: "users",
+            flagDefinitions: [
+                { name: "user", short: "-u", long: "--user", takesValue: true },
+            ],
+            validations: {
+                args: {
+                    exact: 0,
+                    error: "Usage: lastlog [-u <username>]"
+                }
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { flags, dependencies } = context;
+        const { UserManager, ErrorHandler } = dependencies;
+
+        if (flags.user && !(await UserManager.userExists(flags.user))) {
+            return ErrorHandler.createError(`lastlog: unknown user '${flags.user}'`);
+        }
+        const usernames = flags.user ? [flags.user] : UserManager.getUsernames();
+
+        const latest = {};
+        for (const session of UserManager.getLoginSessions()) {
+            if (session.type === "login" || session.type === "su") {
+                latest[session.username] = session;
+            }
+        }
+
+        const lines = [`${"Username".padEnd(16)} ${"Port".padEnd(8)} ${"From".padEnd(16)} Latest`];
+        for (const username of usernames) {
+            const session = latest[username];
+            if (!session) {
+                lines.push(`${username.padEnd(16)} ${"".padEnd(8)} ${"".padEnd(16)} **Never logged in**`);
+                continue;
+            }
+            const start = new Date(session.start);
+            lines.push([
+                username.padEnd(16),
+                session.tty.padEnd(8),
+                (session.from || "").padEnd(16),
+                `${start.toString().slice(0, 10)} ${start.toTimeString().slice(0, 8)} ${start.getFullYear()}`,
+            ].join(" "));
+        }
+        return ErrorHandler.createSuccess(lines.join("\n"));
+    }
+}
+
+window.CommandRegistry.register(new LastlogCommand());
@@ -26,13 +26,8 @@ window.ListusersCommand = class ListusersCommand extends Command {
 
     async coreLogic(context) {
         const { dependencies } = context;
-        const { StorageManager, Config, ErrorHandler } = dependencies;
-        const users = StorageManager.loadItem(
-            Config.STORAGE_KEYS.USER_CREDENTIALS,
-            "User list",
-            {}
-        );
-        let userNames = Object.keys(users);
+        const { UserManager, Config, ErrorHandler } = dependencies;
+        let userNames = UserManager.getUsernames();
 
         if (!userNames.includes(Config.USER.DEFAULT_NAME)) {
             userNames.push(Config.USER.DEFAULT_NAME);
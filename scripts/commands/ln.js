@@ -5,17 +5,30 @@ window.LnCommand = class LnCommand extends Command {
         super({
             commandName: "ln",
             description: "Create links between files.",
-            helpText: `Usage: ln -s <target> <link_name>
-      Create a symbolic link.
+            helpText: `Usage: ln [-s] <target> <link_name>
+      Create a hard or symbolic link.
       DESCRIPTION
-      The ln command creates a symbolic link at <link_name> that points to <target>.
-      Currently, only symbolic links created with the -s flag are supported.
+      By default, ln creates a hard link: a second name, <link_name>, for
+      the same file as <target>. Both names share one inode, so a change
+      made through either shows in both, and the contents are kept until
+      the last name is removed. 'ls -i' and 'stat' show inode numbers and
+      'ls -l' the number of links.
+      Directories cannot be hard linked, and neither can files in a
+      mounted filesystem such as /proc. Unless you are root, you must own
+      <target> or be able to read and write it.
+      With -s, ln creates a symbolic link instead: a small file holding
+      the path <target>, which is followed when the link is used.
+      OPTIONS
+      -s, --symbolic
+            Make a symbolic link instead of a hard link.
       EXAMPLES
+      ln notes.txt notes-backup.txt
+      Gives notes.txt a second name; editing either edits both.
       ln -s /home/Guest/documents/report.txt /home/Guest/recent_report.txt
       Creates a symbolic link named 'recent_report.txt' that points to the original report.`,
-            flagDefinitions: [{ name: "symbolic", short: "-s" }],
+            flagDefinitions: [{ name: "symbolic", short: "-s", long: "--symbolic" }],
             validations: {
-                args: { exact: 2, error: "Usage: ln -s <target> <link_name>" }
+                args: { exact: 2, error: "Usage: ln [-s] <target> <link_name>" }
             },
         });
     }
@@ -24,34 +37,58 @@ window.LnCommand = class LnCommand extends Command {
         const { args, flags, currentUser, dependencies } = context;
         const { FileSystemManager, UserManager, ErrorHandler } = dependencies;
 
-        if (!flags.symbolic) {
-            return ErrorHandler.createError("ln: only symbolic links (-s) are supported.");
-        }
-
         const target = args[0];
         const linkName = args[1];
 
         const linkPath = FileSystemManager.getAbsolutePath(linkName);
         const parentDir = linkPath.substring(0, linkPath.lastIndexOf('/')) || '/';
 
-        if (FileSystemManager.getNodeByPath(linkPath)) {
-            return ErrorHandler.createError(`ln: failed to create symbolic link '${linkName}': File exists`);
+        const linkKind = flags.symbolic ? "symbolic link" : "hard link";
+
+        if (FileSystemManager.getNodeByPath(linkPath, { resolveLastSymlink: false })) {
+            return ErrorHandler.createError(`ln: failed to create ${linkKind} '${linkName}': File exists`);
         }
 
         const parentNode = FileSystemManager.getNodeByPath(parentDir);
         if (!parentNode || parentNode.type !== 'directory') {
-            return ErrorHandler.createError(`ln: cannot create symbolic link in '${parentDir}': No such file or directory`);
+            return ErrorHandler.createError(`ln: cannot create ${linkKind} in '${parentDir}': No such file or directory`);
         }
 
         if (!FileSystemManager.hasPermission(parentNode, currentUser, 'write')) {
-            return ErrorHandler.createError(`ln: cannot create symbolic link in '${parentDir}': Permission denied`);
+            return ErrorHandler.createError(`ln: cannot create ${linkKind} in '${parentDir}': Permission denied`);
+        }
+
+        const finalLinkName = linkPath.substring(linkPath.lastIndexOf('/') + 1);
+
+        if (!flags.symbolic) {
+            const targetValidation = FileSystemManager.validatePath(target, { resolveLastSymlink: false });
+            if (!targetValidation.success) {
+                return ErrorHandler.createError(`ln: failed to access '${target}': No such file or directory`);
+            }
+            const targetNode = targetValidation.data.node;
+            if (targetNode.type === 'directory') {
+                return ErrorHandler.createError(`ln: '${target}': hard link not allowed for directory`);
+            }
+            if (targetNode.synthetic || parentNode.synthetic || targetNode.readOnly) {
+                return ErrorHandler.createError(`ln: failed to create hard link '${linkName}' => '${target}': Invalid cross-device link`);
+            }
+            const mayLink =
+                currentUser === 'root' ||
+                targetNode.owner === currentUser ||
+                (FileSystemManager.hasPermission(targetNode, currentUser, 'read') &&
+                    FileSystemManager.hasPermission(targetNode, currentUser, 'write'));
+            if (!mayLink) {
+                return ErrorHandler.createError(`ln: failed to create hard link '${linkName}' => '${target}': Operation not permitted`);
+            }
+            FileSystemManager.linkNode(targetNode, parentNode, finalLinkName);
+            return ErrorHandler.createSuccess("", { stateModified: true });
         }
 
         const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
         const symlinkNode = FileSystemManager._createNewSymlinkNode(target, currentUser, primaryGroup);
 
-        const finalLinkName = linkPath.substring(linkPath.lastIndexOf('/') + 1);
         parentNode.children[finalLinkName] = symlinkNode;
+        FileSystemManager.markModified(parentNode);
 
         return ErrorHandler.createSuccess("", { stateModified: true });
     }
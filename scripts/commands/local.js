@@ -0,0 +1,48 @@
+// scripts/commands/local.js
+
+window.LocalCommand = class LocalCommand extends Command {
+    constructor() {
+        super({
+            commandName: "local",
+            description: "Declares variables local to the current shell function.",
+            helpText: `Usage: local <name>[=<value>]...
+      Declare function-local variables.
+      DESCRIPTION
+      The local command creates variables that are only visible inside
+      the shell function that declares them and the functions it calls.
+      When the function returns, their previous values are restored.
+      Variables assigned without 'local' inside a function remain set
+      after the function returns.
+      A variable declared without a value is set to an empty string.
+      'local' may only be used inside a function.
+      EXAMPLES
+      greet() { local name=$1; echo "Hello, $name"; }
+      Defines a function whose 'name' variable does not leak out.`,
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, dependencies } = context;
+        const { CommandExecutor, EnvironmentManager, ErrorHandler } = dependencies;
+
+        if (!CommandExecutor.isInFunction()) {
+            return ErrorHandler.createError("local: can only be used in a function");
+        }
+
+        for (const arg of args) {
+            const eqIndex = arg.indexOf("=");
+            const name = eqIndex === -1 ? arg : arg.substring(0, eqIndex);
+            const value = eqIndex === -1 ? "" : arg.substring(eqIndex + 1);
+
+            CommandExecutor.declareLocal(name);
+            const result = EnvironmentManager.set(name, value);
+            if (!result.success) {
+                return ErrorHandler.createError(`local: ${result.error}`);
+            }
+        }
+
+        return ErrorHandler.createSuccess("");
+    }
+}
+
+window.CommandRegistry.register(new LocalCommand());
@@ -45,9 +45,12 @@ window.LoginCommand = class LoginCommand extends Command {
         if (result.success) {
             const resultData = result.data || {};
             if (resultData.isLogin) {
+                const welcome = `${Config.MESSAGES.WELCOME_PREFIX} ${username}${Config.MESSAGES.WELCOME_SUFFIX}`;
                 return ErrorHandler.createSuccess(
-                    `${Config.MESSAGES.WELCOME_PREFIX} ${username}${Config.MESSAGES.WELCOME_SUFFIX}`,
-                    { effect: "clear_screen" }
+                    resultData.passwordWarning
+                        ? `${welcome}\n${resultData.passwordWarning}`
+                        : welcome,
+                    { effect: "clear_screen", stateModified: true }
                 );
             }
             if (resultData.noAction) {
@@ -38,7 +38,7 @@ window.LogoutCommand = class LogoutCommand extends Command {
       if (resultData.isLogout) {
         return ErrorHandler.createSuccess(
             `${Config.MESSAGES.WELCOME_PREFIX} ${resultData.newUser}${Config.MESSAGES.WELCOME_SUFFIX}`,
-            { effect: "clear_screen" }
+            { effect: "clear_screen", stateModified: true }
         );
       }
       if (resultData.noAction) {
@@ -12,18 +12,34 @@ function getItemDetails(itemName, itemNode, itemPath, dependencies) {
     group: itemNode.group || "unknown",
     mode: itemNode.mode,
     mtime: itemNode.mtime ? new Date(itemNode.mtime) : new Date(0),
+    atime: itemNode.atime ? new Date(itemNode.atime) : new Date(0),
+    ctime: itemNode.ctime ? new Date(itemNode.ctime) : new Date(0),
+    btime: itemNode.btime ? new Date(itemNode.btime) : new Date(0),
     size: FileSystemManager.calculateNodeSize(itemNode),
     extension: Utils.getFileExtension(itemName),
-    linkCount: 1, // Hardcoded for this simulation
+    linkCount: FileSystemManager.getLinkCount(itemNode),
+    inode: itemNode.inode ?? "?",
   };
 }
 
+const TIME_FIELDS = {
+  atime: "atime", access: "atime", use: "atime",
+  ctime: "ctime", status: "ctime",
+  birth: "btime", creation: "btime",
+  mtime: "mtime", modification: "mtime",
+};
+
+function withInode(itemDetails, text, effectiveFlags) {
+  return effectiveFlags.inode ? `${String(itemDetails.inode).padStart(6)} ${text}` : text;
+}
+
 function formatLongListItem(itemDetails, effectiveFlags, dependencies) {
   const { FileSystemManager, Utils, Config } = dependencies;
   let perms = FileSystemManager.formatModeToString(itemDetails.node);
   if (itemDetails.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
     perms = 'l' + perms.substring(1);
   }
+  perms += FileSystemManager.hasExtendedAcl(itemDetails.node) ? "+" : " ";
   const owner = (itemDetails.node.owner || "unknown").padEnd(10);
   const group = (itemDetails.node.group || "unknown").padEnd(10);
   const size = effectiveFlags.humanReadable
@@ -31,7 +47,7 @@ function formatLongListItem(itemDetails, effectiveFlags, dependencies) {
       : String(itemDetails.size).padStart(8);
 
   let dateStr;
-  const fileDate = itemDetails.mtime;
+  const fileDate = itemDetails[effectiveFlags.timeField];
   if (fileDate && fileDate.getTime() !== 0) {
     const now = new Date();
     const sixMonthsAgo = new Date();
@@ -63,7 +79,11 @@ function formatLongListItem(itemDetails, effectiveFlags, dependencies) {
     nameOutput += "/";
   }
 
-  return `${perms}  ${String(itemDetails.linkCount).padStart(2)} ${owner} ${group} ${size} ${dateStr.padEnd(12)} ${nameOutput}`;
+  return withInode(
+      itemDetails,
+      `${perms} ${String(itemDetails.linkCount).padStart(2)} ${owner} ${group} ${size} ${dateStr.padEnd(12)} ${nameOutput}`,
+      effectiveFlags
+  );
 }
 
 function sortItems(items, currentFlags) {
@@ -76,7 +96,8 @@ function sortItems(items, currentFlags) {
 
   sortedItems.sort((a, b) => {
     if (currentFlags.sortByTime) {
-      return (b.mtime - a.mtime || a.name.localeCompare(b.name)) * sortOrder;
+      const field = currentFlags.timeField;
+      return (b[field] - a[field] || a.name.localeCompare(b.name)) * sortOrder;
     }
     if (currentFlags.sortBySize) {
       return (b.size - a.size || a.name.localeCompare(b.name)) * sortOrder;
@@ -169,9 +190,10 @@ async function listSinglePathContents(
       itemDetailsList.push(details);
       singleItemResultOutput = effectiveFlags.long
           ? formatLongListItem(details, effectiveFlags, dependencies)
-          : details.name;
+          : withInode(details, details.name, effectiveFlags);
     }
   } else if (targetNode.type === "directory") {
+    FileSystemManager.markAccessed(targetNode);
     const childrenNames = Object.keys(targetNode.children);
     for (const name of childrenNames) {
       if (!effectiveFlags.all && name.startsWith(".")) continue;
@@ -190,7 +212,7 @@ async function listSinglePathContents(
       itemDetailsList.push(details);
       singleItemResultOutput = effectiveFlags.long
           ? formatLongListItem(details, effectiveFlags, dependencies)
-          : details.name;
+          : withInode(details, details.name, effectiveFlags);
     }
   }
 
@@ -206,12 +228,12 @@ async function listSinglePathContents(
     } else if (effectiveFlags.oneColumn) {
       itemDetailsList.forEach((item) => {
         const nameSuffix = item.type === "directory" ? "/" : "";
-        currentPathOutputLines.push(`${item.name}${nameSuffix}`);
+        currentPathOutputLines.push(withInode(item, `${item.name}${nameSuffix}`, effectiveFlags));
       });
     } else {
       const namesToFormat = itemDetailsList.map((item) => {
         const nameSuffix = item.type === "directory" ? "/" : "";
-        return `${item.name}${nameSuffix}`;
+        return withInode(item, `${item.name}${nameSuffix}`, effectiveFlags);
       });
       currentPathOutputLines.push(formatToColumns(namesToFormat, options, dependencies));
     }
@@ -240,11 +262,20 @@ window.LsCommand = class LsCommand extends Command {
       output is not a terminal (e.g., a pipe), it defaults to a single
       column format.
       OPTIONS
-      -l              Use a long listing format.
+      -l              Use a long listing format. A '+' after the
+                      permissions marks entries with an ACL (see getfacl).
+                      The number after it is the count of hard links.
+      -i              Print each entry's inode number first.
       -a              Do not ignore entries starting with .
       -R              List subdirectories recursively.
       -r              Reverse order while sorting.
-      -t              Sort by modification time, newest first.
+      -t              Sort by time, newest first. The time is the
+                      modification time unless chosen below.
+      -u              Use the last access time for -l and -t.
+      -c              Use the last status change time for -l and -t.
+      --time=WORD     Use the time named by WORD for -l and -t:
+                      atime or access, ctime or status, birth or
+                      creation, mtime or modification.
       -S              Sort by file size, largest first.
       -X              Sort alphabetically by entry extension.
       -U              Do not sort; list entries in directory order.
@@ -264,15 +295,29 @@ window.LsCommand = class LsCommand extends Command {
         { name: "dirsOnly", short: "-d" },
         { name: "oneColumn", short: "-1" },
         { name: "humanReadable", short: "-h" },
+        { name: "inode", short: "-i" },
+        { name: "accessTime", short: "-u" },
+        { name: "changeTime", short: "-c" },
+        { name: "time", long: "--time", takesValue: true },
       ],
     });
   }
 
   async coreLogic(context) {
     const { args, flags, currentUser, options, dependencies } = context;
-    const { ErrorHandler } = dependencies;
+    const { ErrorHandler, Config } = dependencies;
 
     const effectiveFlags = { ...flags };
+    effectiveFlags.timeField = flags.accessTime ? "atime" : flags.changeTime ? "ctime" : "mtime";
+    if (flags.time) {
+      effectiveFlags.timeField = TIME_FIELDS[flags.time];
+      if (!effectiveFlags.timeField) {
+        return ErrorHandler.createError(
+            `ls: invalid argument '${flags.time}' for '--time'`,
+            { exitCode: Config.EXIT_CODES.USAGE }
+        );
+      }
+    }
     if (
         options &&
         !options.isInteractive &&
@@ -284,13 +329,10 @@ window.LsCommand = class LsCommand extends Command {
 
     const pathsToList = args.length > 0 ? args : ["."];
     let outputBlocks = [];
-    let overallSuccess = true;
+    const errorBlocks = [];
 
     if (effectiveFlags.recursive) {
       async function displayRecursive(currentPath, depth = 0) {
-        if (depth > 0 || pathsToList.length > 1) {
-          outputBlocks.push(`\n${currentPath}:`);
-        }
         const listResult = await listSinglePathContents(
             currentPath,
             effectiveFlags,
@@ -299,9 +341,11 @@ window.LsCommand = class LsCommand extends Command {
             dependencies
         );
         if (!listResult.success) {
-          outputBlocks.push(listResult.error);
-          overallSuccess = false;
+          errorBlocks.push(listResult.error);
         } else {
+          if (depth > 0 || pathsToList.length > 1) {
+            outputBlocks.push(`\n${currentPath}:`);
+          }
           const { output, items, isDir } = listResult.data;
           if (output) {
             outputBlocks.push(output);
@@ -324,7 +368,6 @@ window.LsCommand = class LsCommand extends Command {
     } else {
       const fileItems = [];
       const dirBlocks = [];
-      const errorBlocks = [];
 
       for (const path of pathsToList) {
         const listResult = await listSinglePathContents(path, effectiveFlags, currentUser, options, dependencies);
@@ -341,7 +384,7 @@ window.LsCommand = class LsCommand extends Command {
         }
       }
 
-      const finalOutputBlocks = [...errorBlocks];
+      const finalOutputBlocks = [];
       let fileBlockAdded = false;
 
       if (fileItems.length > 0) {
@@ -350,16 +393,16 @@ window.LsCommand = class LsCommand extends Command {
         if (effectiveFlags.long) {
           sortedFileItems.forEach(item => fileOutputLines.push(formatLongListItem(item, effectiveFlags, dependencies)));
         } else if (effectiveFlags.oneColumn) {
-          sortedFileItems.forEach(item => fileOutputLines.push(item.name));
+          sortedFileItems.forEach(item => fileOutputLines.push(withInode(item, item.name, effectiveFlags)));
         } else {
-          fileOutputLines.push(formatToColumns(sortedFileItems.map(item => item.name), options, dependencies));
+          fileOutputLines.push(formatToColumns(sortedFileItems.map(item => withInode(item, item.name, effectiveFlags)), options, dependencies));
         }
         finalOutputBlocks.push(fileOutputLines.join('\n'));
         fileBlockAdded = true;
       }
 
       dirBlocks.forEach((block, index) => {
-        if (fileBlockAdded || errorBlocks.length > 0 || index > 0) {
+        if (fileBlockAdded || index > 0) {
           finalOutputBlocks.push('');
         }
         if (pathsToList.length > 1) {
@@ -368,14 +411,14 @@ window.LsCommand = class LsCommand extends Command {
         finalOutputBlocks.push(block.output);
       });
 
-      if (errorBlocks.length > 0) {
-        return ErrorHandler.createError(finalOutputBlocks.join("\n"));
-      }
-      return ErrorHandler.createSuccess(finalOutputBlocks.join("\n"));
+      outputBlocks = finalOutputBlocks;
     }
 
-    if (!overallSuccess) {
-      return ErrorHandler.createError(outputBlocks.join("\n"));
+    if (errorBlocks.length > 0) {
+      return ErrorHandler.createSuccess(outputBlocks.join("\n"), {
+        stderr: errorBlocks.join("\n"),
+        exitCode: Config.EXIT_CODES.FAILURE,
+      });
     }
     return ErrorHandler.createSuccess(outputBlocks.join("\n"));
   }
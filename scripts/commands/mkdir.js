@@ -85,7 +85,7 @@ window.MkdirCommand = class MkdirCommand extends Command {
 
       if (flags.parents) {
         const parentDirResult =
-            FileSystemManager.createParentDirectoriesIfNeeded(resolvedPath);
+            FileSystemManager.createParentDirectoriesIfNeeded(resolvedPath, nowISO);
         if (!parentDirResult.success) {
           messages.push(`mkdir: ${parentDirResult.error}`);
           allSuccess = false;
@@ -123,9 +123,15 @@ window.MkdirCommand = class MkdirCommand extends Command {
         parentNodeToCreateIn.children[dirName] =
             FileSystemManager._createNewDirectoryNode(
                 currentUser,
-                primaryGroup
+                primaryGroup,
+                null,
+                nowISO
             );
-        parentNodeToCreateIn.mtime = nowISO;
+        FileSystemManager.inheritFromParent(
+            parentNodeToCreateIn,
+            parentNodeToCreateIn.children[dirName]
+        );
+        FileSystemManager.markModified(parentNodeToCreateIn, nowISO);
         changesMade = true;
       }
     }
@@ -0,0 +1,90 @@
+// scripts/commands/mount.js
+
+window.MountCommand = class MountCommand extends Command {
+    constructor() {
+        super({
+            commandName: "mount",
+            description: "Lists or mounts synthetic filesystems.",
+            helpText: `Usage: mount
+       mount -t <type> [source] <directory>
+       mount -a
+      List or mount synthetic filesystems.
+      DESCRIPTION
+      A synthetic filesystem makes up its files when they are looked at
+      rather than storing them. Mounting one on a directory hides the
+      directory's own contents until it is unmounted with 'umount'.
+      With no arguments, mount lists what is mounted. Mounts last until
+      the next reboot, when the defaults below are mounted again.
+      FILESYSTEM TYPES
+      proc    /proc: a directory per background job holding its
+              'cmdline' and 'status', plus 'meminfo' (file system
+              usage), 'mounts' and 'uptime'.
+      devfs   /dev: null, zero, random, tty, stdout and stderr.
+      sysfs   /sys: 'net/instance_id' and 'net/peers', the network
+              connections of this instance.
+      find, ls -R and tree descend into mounted filesystems. Mounted
+      files take no space: du, df and quota count only stored files.
+      OPTIONS
+      -t, --types <type>
+            The type of filesystem to mount.
+      -a, --all
+            Mount each default filesystem that is not already mounted.
+      EXAMPLES
+      mount
+      Lists the mounted filesystems.
+      mkdir /mnt/proc && mount -t proc /mnt/proc
+      Makes a second view of /proc.`,
+            completionType: "paths",
+            flagDefinitions: [
+                { name: "type", short: "-t", long: "--types", takesValue: true },
+                { name: "all", short: "-a", long: "--all" },
+            ],
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler, Config } = dependencies;
+
+        if (!flags.type && !flags.all) {
+            if (args.length > 0) {
+                return ErrorHandler.createError(
+                    "Usage: mount -t <type> [source] <directory>",
+                    { exitCode: Config.EXIT_CODES.USAGE }
+                );
+            }
+            const lines = FileSystemManager.getMounts().map(
+                (mount) => `${mount.source} on ${mount.target} type ${mount.type} (${mount.readOnly ? "ro" : "rw"})`
+            );
+            return ErrorHandler.createSuccess(lines.join("\n"));
+        }
+
+        if (currentUser !== "root") {
+            return ErrorHandler.createError("mount: only root can mount filesystems");
+        }
+
+        if (flags.all) {
+            const errors = FileSystemManager.mountDefaults();
+            if (errors.length > 0) {
+                return ErrorHandler.createError(errors.map((error) => `mount: ${error}`).join("\n"));
+            }
+            return ErrorHandler.createSuccess("");
+        }
+
+        if (args.length < 1 || args.length > 2) {
+            return ErrorHandler.createError(
+                "Usage: mount -t <type> [source] <directory>",
+                { exitCode: Config.EXIT_CODES.USAGE }
+            );
+        }
+        const target = FileSystemManager.getAbsolutePath(args[args.length - 1]);
+        const source = args.length === 2 ? args[0] : flags.type;
+        const result = FileSystemManager.mount(flags.type, target, source);
+        if (!result.success) {
+            return ErrorHandler.createError(`mount: ${result.error}`);
+        }
+        return ErrorHandler.createSuccess("");
+    }
+}
+
+window.CommandRegistry.register(new MountCommand());
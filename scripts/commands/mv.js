@@ -14,6 +14,8 @@ window.MvCommand = class MvCommand extends Command {
       <directory>.
       If the last argument is an existing directory, all preceding
       source files and directories are moved inside of it.
+      Moving only changes directory entries: the file keeps its inode,
+      contents, hard links and timestamps.
       OPTIONS
       -f, --force
       Do not prompt before overwriting. This option overrides a
@@ -41,9 +43,8 @@ window.MvCommand = class MvCommand extends Command {
     }
 
     async coreLogic(context) {
-        const { args, options, flags, dependencies } = context;
-        const { FileSystemManager, ErrorHandler, ModalManager, Utils } = dependencies;
-        const nowISO = new Date().toISOString();
+        const { args, options, flags, currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler, ModalManager } = dependencies;
         let changesMade = false;
 
         const destPathArg = args.pop();
@@ -96,13 +97,22 @@ window.MvCommand = class MvCommand extends Command {
             const sourceParentNode =
                 FileSystemManager.getNodeByPath(sourceParentPath);
 
-            const movedNode = Utils.deepCopyNode(operation.sourceNode);
-            movedNode.mtime = nowISO;
-            operation.destinationParentNode.children[operation.finalName] =
-                movedNode;
-            operation.destinationParentNode.mtime = nowISO;
-            delete sourceParentNode.children[sourceName];
-            sourceParentNode.mtime = nowISO;
+            if (operation.willOverwrite) {
+                const replaceResult = await FileSystemManager.deleteNodeRecursive(
+                    operation.destinationAbsPath,
+                    { force: true, currentUser }
+                );
+                if (!replaceResult.success) {
+                    return ErrorHandler.createError(`mv: ${replaceResult.error}`);
+                }
+            }
+
+            FileSystemManager.renameEntry(
+                sourceParentNode,
+                sourceName,
+                operation.destinationParentNode,
+                operation.finalName
+            );
             changesMade = true;
         }
 
@@ -79,7 +79,7 @@ window.OcryptCommand = class OcryptCommand extends Command {
 
   async coreLogic(context) {
     const { args, flags, currentUser, validatedPaths, dependencies } = context;
-    const { FileSystemManager, UserManager, ErrorHandler } = dependencies;
+    const { FileSystemManager, UserManager, ErrorHandler, Utils } = dependencies;
     const blockSize = 8;
 
     const key = args[0];
@@ -89,8 +89,7 @@ window.OcryptCommand = class OcryptCommand extends Command {
     const keyMatrix = _generateKeyMatrix(key, blockSize);
     const operationMatrix = flags.decrypt ? _transpose(keyMatrix) : keyMatrix;
 
-    const textEncoder = new TextEncoder();
-    const inputBytes = textEncoder.encode(inputFileNode.content || "");
+    const inputBytes = Utils.contentToBytes(inputFileNode.content);
     const outputBytes = new Uint8Array(inputBytes.length);
 
     for (let i = 0; i < inputBytes.length; i += blockSize) {
@@ -104,20 +103,12 @@ window.OcryptCommand = class OcryptCommand extends Command {
       }
     }
 
-    const textDecoder = new TextDecoder("utf-8", { fatal: true });
-    let outputContent;
-    try {
-      outputContent = textDecoder.decode(outputBytes);
-    } catch (e) {
-      outputContent = Array.from(outputBytes)
-          .map((byte) => String.fromCharCode(byte))
-          .join("");
-    }
+    const outputContent = Utils.decodeTextIfPossible(outputBytes) ?? outputBytes;
 
     if (outputFile) {
       const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
       const saveResult = await FileSystemManager.createOrUpdateFile(
-          outputFile,
+          FileSystemManager.getAbsolutePath(outputFile),
           outputContent,
           { currentUser, primaryGroup }
       );
@@ -127,7 +118,7 @@ window.OcryptCommand = class OcryptCommand extends Command {
       }
       return ErrorHandler.createSuccess("", { stateModified: true });
     } else {
-      return ErrorHandler.createSuccess(outputContent);
+      return ErrorHandler.createSuccess(Utils.contentToText(outputContent));
     }
   }
 }
@@ -73,7 +73,7 @@ window.PaintCommand = class PaintCommand extends Command {
       }
 
       const fileContent = pathValidation.node
-          ? pathValidation.node.content || ""
+          ? Utils.contentToText(pathValidation.node.content)
           : "";
 
       AppLayerManager.show(new PaintManager(), {
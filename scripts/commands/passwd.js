@@ -6,19 +6,49 @@ window.PasswdCommand = class PasswdCommand extends Command {
             commandName: "passwd",
             description: "Change a user's password.",
             helpText: `Usage: passwd [username]
-      Change a user's password.
+       passwd -S [username]
+       passwd [-e] [-n <days>] [-x <days>] [-w <days>] <username>
+      Change a user's password or its ageing.
       DESCRIPTION
       The passwd command updates the password for a user account.
       If run without arguments, it changes the password for the current user.
       You will be prompted for your current password, and then for the new password twice.
       The root user can change the password for any user by specifying their
       username, and will not be prompted for the old password.
+      New passwords must be at least LOGIN.MIN_PASSWORD_LENGTH characters
+      long, 4 unless /etc/oopis.conf says otherwise.
+      Passwords are stored hashed in /etc/shadow, which only root can read.
+      A user whose password has expired must choose a new one when they
+      next log in with 'login' or 'su', and is warned in the days before.
+      OPTIONS
+      -S, --status
+            Show the password status: the user, P for a usable password,
+            NP for none or L for locked, the date it was last changed, and
+            its minimum age, maximum age and warning period in days.
+      The options below may only be used by root.
+      -e, --expire
+            Expire the password, so the user must change it at next login.
+      -n, --mindays <days>
+            Days before the user may change the password again.
+      -x, --maxdays <days>
+            Days the password stays valid; 99999 means it never expires.
+      -w, --warndays <days>
+            Days before it expires that the user is warned.
       EXAMPLES
       passwd
       Initiates the process to change your own password.
       sudo passwd Guest
-      As root, initiates the process to change the password for 'Guest'.`,
+      As root, initiates the process to change the password for 'Guest'.
+      passwd -x 90 -w 14 alice
+      Makes alice choose a new password every 90 days.`,
             completionType: "users",
+            flagDefinitions: [
+                { name: "status", short: "-S", long: "--status" },
+                { name: "expire", short: "-e", long: "--expire" },
+                { name: "minDays", short: "-n", long: "--mindays", takesValue: true },
+                { name: "maxDays", short: "-x", long: "--maxdays", takesValue: true },
+                { name: "warnDays", short: "-w", long: "--warndays", takesValue: true },
+            ],
             validations: {
                 args: {
                     max: 1
@@ -27,10 +57,86 @@ window.PasswdCommand = class PasswdCommand extends Command {
         });
     }
 
+    _formatStatus(username, UserManager) {
+        const aging = UserManager.getPasswordAging(username);
+        const lastChange = new Date((aging.lastChange || 0) * 24 * 60 * 60 * 1000);
+        const date = [
+            String(lastChange.getUTCMonth() + 1).padStart(2, "0"),
+            String(lastChange.getUTCDate()).padStart(2, "0"),
+            lastChange.getUTCFullYear(),
+        ].join("/");
+        return [
+            username,
+            aging.status,
+            date,
+            aging.minDays,
+            aging.maxDays ?? 99999,
+            aging.warnDays,
+        ].join(" ");
+    }
+
+    async _handleAging(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { UserManager, ErrorHandler, Config } = dependencies;
+        if (currentUser !== "root") {
+            return ErrorHandler.createError(
+                "passwd: only root can change password ageing."
+            );
+        }
+        if (!args[0]) {
+            return ErrorHandler.createError(
+                "passwd: a username is needed to change password ageing.",
+                { exitCode: Config.EXIT_CODES.USAGE }
+            );
+        }
+        const changes = { expire: flags.expire };
+        for (const field of ["minDays", "maxDays", "warnDays"]) {
+            if (flags[field] === null) continue;
+            if (!/^\d+$/.test(flags[field])) {
+                return ErrorHandler.createError(
+                    `passwd: invalid number of days '${flags[field]}'`,
+                    { exitCode: Config.EXIT_CODES.USAGE }
+                );
+            }
+            changes[field] = parseInt(flags[field], 10);
+        }
+        const result = UserManager.setPasswordAging(args[0], changes);
+        if (!result.success) {
+            return ErrorHandler.createError(`passwd: ${result.error}`);
+        }
+        return ErrorHandler.createSuccess(
+            `passwd: password ageing for '${args[0]}' updated.`,
+            { stateModified: true }
+        );
+    }
+
     async coreLogic(context) {
-        const { args, currentUser, options, dependencies } = context;
+        const { args, flags, currentUser, options, dependencies } = context;
         const { UserManager, ErrorHandler, ModalManager, Config } = dependencies;
 
+        if (flags.status) {
+            const username = args[0] || currentUser;
+            if (currentUser !== "root" && username !== currentUser) {
+                return ErrorHandler.createError(
+                    "passwd: you may only see your own password status."
+                );
+            }
+            if (!(await UserManager.userExists(username))) {
+                return ErrorHandler.createError(
+                    `passwd: user '${username}' does not exist.`
+                );
+            }
+            return ErrorHandler.createSuccess(this._formatStatus(username, UserManager));
+        }
+        if (
+            flags.expire ||
+            flags.minDays !== null ||
+            flags.maxDays !== null ||
+            flags.warnDays !== null
+        ) {
+            return this._handleAging(context);
+        }
+
         if (!options.isInteractive) {
             return ErrorHandler.createError(
                 "passwd: can only be run in interactive mode."
@@ -59,12 +165,9 @@ window.PasswdCommand = class PasswdCommand extends Command {
                     messageLines: [`Enter new password for ${targetUsername}:`],
                     obscured: true,
                     onConfirm: (newPassword) => {
-                        if (!newPassword) {
-                            resolve(
-                                ErrorHandler.createError(
-                                    Config.MESSAGES.EMPTY_PASSWORD_NOT_ALLOWED
-                                )
-                            );
+                        const passwordValidation = UserManager.validatePassword(newPassword);
+                        if (!passwordValidation.isValid) {
+                            resolve(ErrorHandler.createError(passwordValidation.error));
                             return;
                         }
                         ModalManager.request({
@@ -125,7 +228,9 @@ window.PasswdCommand = class PasswdCommand extends Command {
             }
         }).then((result) => {
             if (result.success) {
-                return ErrorHandler.createSuccess(result.data);
+                return ErrorHandler.createSuccess(result.data, {
+                    stateModified: result.stateModified
+                });
             }
             return result;
         });
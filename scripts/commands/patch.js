@@ -98,7 +98,7 @@ window.PatchCommand = class PatchCommand extends Command {
 
     async coreLogic(context) {
         const { args, validatedPaths, currentUser, dependencies } = context;
-        const { FileSystemManager, UserManager, ErrorHandler, PatchUtils } = dependencies;
+        const { FileSystemManager, UserManager, ErrorHandler, PatchUtils, Utils } = dependencies;
 
         if (!PatchUtils || !PatchUtils.applyPatch) {
             return ErrorHandler.createError("patch: Patch utility is not available.");
@@ -108,8 +108,12 @@ window.PatchCommand = class PatchCommand extends Command {
         const targetFilePath = validatedPaths[0].resolvedPath;
         const patchFileNode = validatedPaths[1].node;
 
+        if (Utils.isBinaryContent(targetFileNode.content)) {
+            return ErrorHandler.createError(`patch: '${args[0]}' is a binary file; only text files can be patched.`);
+        }
+
         const targetContent = targetFileNode.content || "";
-        const patchContent = patchFileNode.content || "";
+        const patchContent = Utils.contentToText(patchFileNode.content);
 
         try {
             const patchObject = this._parsePatch(patchContent);
@@ -9,9 +9,10 @@ window.PsCommand = class PsCommand extends Command {
       Report a snapshot of current background processes.
       DESCRIPTION
       The ps command displays information about active background jobs
-      started with the '&' operator.
+      started with the '&' operator on any terminal.
       The output includes:
       PID     The unique process ID for the job.
+      TTY     The terminal the job was started from.
       STAT    The current status of the job (R for running, T for stopped).
       COMMAND The command that was executed.
       Use 'kill <PID>' to terminate a background job.`,
@@ -32,7 +33,7 @@ window.PsCommand = class PsCommand extends Command {
             return ErrorHandler.createSuccess("");
         }
 
-        let output = "  PID  STAT  COMMAND\n";
+        let output = "  PID  TTY   STAT  COMMAND\n";
         for (const pid in jobs) {
             const job = jobs[pid];
             const command = job.command;
@@ -41,7 +42,7 @@ window.PsCommand = class PsCommand extends Command {
                 status = 'T';
             }
 
-            output += `  ${String(pid).padEnd(4)} ${status.padEnd(5)} ${command}\n`;
+            output += `  ${String(pid).padEnd(4)} ${(job.tty || "?").padEnd(5)} ${status.padEnd(5)} ${command}\n`;
         }
 
         return ErrorHandler.createSuccess(output.trim());
@@ -0,0 +1,113 @@
+// scripts/commands/quota.js
+
+window.QuotaCommand = class QuotaCommand extends Command {
+    constructor() {
+        super({
+            commandName: "quota",
+            description: "Displays disk usage and limits.",
+            helpText: `Usage: quota [-g] [-s] [name]
+      Display disk usage and quota limits.
+      DESCRIPTION
+      With no name, quota shows the current user's usage and limits,
+      followed by those of each group the user belongs to that has a
+      quota. Usage is the total size of the files a user or group owns.
+      A '*' after the usage means it is over the soft limit. The grace
+      column shows how long remains before the soft limit is enforced
+      like the hard one, or 'none' once that time has run out.
+      Only root may look at the quotas of other users, or of groups it
+      does not belong to. Limits are set with 'setquota' or 'edquota'.
+      OPTIONS
+      -g, --group
+            Treat name as a group. Without a name, show every group
+            you belong to.
+      -s, --human-readable
+            Print sizes in a human-readable format.
+      EXAMPLES
+      quota
+      Shows your own usage and limits.
+      quota -g -s developers
+      Shows the 'developers' group's usage in human-readable sizes.`,
+            completionType: "users",
+            flagDefinitions: [
+                { name: "group", short: "-g", long: "--group" },
+                { name: "humanReadable", short: "-s", long: "--human-readable" },
+            ],
+            validations: {
+                args: { max: 1, error: "Usage: quota [-g] [-s] [name]" },
+            },
+        });
+    }
+
+    _formatReport(kind, name, flags, dependencies) {
+        const { FileSystemManager, QuotaManager, Utils } = dependencies;
+        const quota = QuotaManager.getQuota(kind, name);
+        const usage = FileSystemManager.getQuotaUsage(kind, name);
+        const format = (bytes) =>
+            String(flags.humanReadable ? Utils.formatBytes(bytes, 1) : bytes);
+
+        const lines = [`Disk quotas for ${kind} ${name}:`];
+        if (!quota) {
+            lines.push(`  used ${format(usage)}, no limited resources`);
+            return lines;
+        }
+
+        const overSoftLimit = quota.soft > 0 && usage > quota.soft;
+        let grace = "";
+        if (overSoftLimit && quota.graceExpires) {
+            grace = QuotaManager.formatDuration(
+                new Date(quota.graceExpires).getTime() - Date.now()
+            );
+        }
+        lines.push(
+            "      used      soft      hard     grace",
+            [
+                (format(usage) + (overSoftLimit ? "*" : "")).padStart(10),
+                format(quota.soft).padStart(9),
+                format(quota.hard).padStart(9),
+                grace.padStart(9),
+            ].join(" ").trimEnd()
+        );
+        return lines;
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { UserManager, GroupManager, QuotaManager, ErrorHandler } = dependencies;
+        const kind = flags.group ? "group" : "user";
+        const userGroups = GroupManager.getGroupsForUser(currentUser);
+
+        if (args.length === 0 && flags.group) {
+            const lines = userGroups.flatMap((group) =>
+                this._formatReport("group", group, flags, dependencies)
+            );
+            return ErrorHandler.createSuccess(lines.join("\n"));
+        }
+
+        const name = args[0] || currentUser;
+        if (kind === "user" && !(await UserManager.userExists(name))) {
+            return ErrorHandler.createError(`quota: user '${name}' does not exist`);
+        }
+        if (kind === "group" && !GroupManager.groupExists(name)) {
+            return ErrorHandler.createError(`quota: group '${name}' does not exist`);
+        }
+        const isOwnReport =
+            kind === "user" ? name === currentUser : userGroups.includes(name);
+        if (currentUser !== "root" && !isOwnReport) {
+            return ErrorHandler.createError(
+                `quota: permission denied to view quotas of ${kind} '${name}'`
+            );
+        }
+
+        const lines = this._formatReport(kind, name, flags, dependencies);
+        if (kind === "user") {
+            for (const group of GroupManager.getGroupsForUser(name)) {
+                if (QuotaManager.getQuota("group", group)) {
+                    lines.push(...this._formatReport("group", group, flags, dependencies));
+                }
+            }
+        }
+        return ErrorHandler.createSuccess(lines.join("\n"));
+    }
+}
+
+window.CommandRegistry.register(new QuotaCommand());
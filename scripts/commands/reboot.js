@@ -25,7 +25,8 @@ window.RebootCommand = class RebootCommand extends Command {
 
     async coreLogic(context) {
         const { dependencies } = context;
-        const { ErrorHandler, Config } = dependencies;
+        const { ErrorHandler, Config, UserManager } = dependencies;
+        await UserManager.recordShutdown();
         setTimeout(() => {
             window.location.reload();
         }, 500);
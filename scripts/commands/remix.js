@@ -57,15 +57,15 @@ window.RemixCommand = class RemixCommand extends Command {
 
     async coreLogic(context) {
         const { args, options, flags, validatedPaths, dependencies } = context;
-        const { ErrorHandler, AIManager, OutputManager, Config, StorageManager } = dependencies;
+        const { ErrorHandler, AIManager, OutputManager, Config, StorageManager, Utils } = dependencies;
 
         const file1Node = validatedPaths[0].node;
         const file1Path = validatedPaths[0].arg;
         const file2Node = validatedPaths[1].node;
         const file2Path = validatedPaths[1].arg;
 
-        const file1Content = file1Node.content || "";
-        const file2Content = file2Node.content || "";
+        const file1Content = Utils.contentToText(file1Node.content);
+        const file2Content = Utils.contentToText(file2Node.content);
 
         if (!file1Content.trim() || !file2Content.trim()) {
             return ErrorHandler.createError("remix: One or both input files are empty.");
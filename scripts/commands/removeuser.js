@@ -11,7 +11,10 @@ window.RemoveuserCommand = class RemoveuserCommand extends Command {
       DESCRIPTION
       The removeuser command permanently deletes the user account specified
       by <username>. By default, this action only removes the user's
-      credentials and group memberships, preserving their home directory.
+      entries in /etc/passwd and /etc/shadow and their group memberships
+      in /etc/group, preserving their home directory. Their primary group
+      is deleted too, unless other users are members of it or have it as
+      their primary group.
       To also remove the user's home directory and all its contents,
       the -r or --remove-home flag must be used.
       The 'root' and 'Guest' users cannot be removed. You also cannot
@@ -47,7 +50,7 @@ window.RemoveuserCommand = class RemoveuserCommand extends Command {
 
     async coreLogic(context) {
         const { args, currentUser, flags, options, dependencies } = context;
-        const { UserManager, ModalManager, FileSystemManager, GroupManager, SessionManager, Config, ErrorHandler } = dependencies;
+        const { UserManager, ModalManager, FileSystemManager, GroupManager, QuotaManager, SessionManager, Config, ErrorHandler } = dependencies;
         const usernameToRemove = args[0];
 
         if (usernameToRemove === currentUser) {
@@ -133,13 +136,26 @@ window.RemoveuserCommand = class RemoveuserCommand extends Command {
             }
         }
 
+        const primaryGroup = UserManager.getPrimaryGroupForUser(usernameToRemove);
+        if (UserManager.deleteUser(usernameToRemove)) {
+            changesMade = true;
+        } else {
+            allDeletionsSuccessful = false;
+            errorMessages.push("Failed to remove the account from /etc/passwd.");
+        }
         GroupManager.removeUserFromAllGroups(usernameToRemove);
+        QuotaManager.removeQuota("user", usernameToRemove);
+        if (
+            primaryGroup &&
+            GroupManager.getGroupMembers(primaryGroup).length === 0 &&
+            GroupManager.deleteGroup(primaryGroup).success
+        ) {
+            QuotaManager.removeQuota("group", primaryGroup);
+        }
 
         if (!SessionManager.clearUserSessionStates(usernameToRemove)) {
             allDeletionsSuccessful = false;
-            errorMessages.push(
-                "Failed to clear user session states and credentials."
-            );
+            errorMessages.push("Failed to clear user session states.");
         }
 
         if (allDeletionsSuccessful) {
@@ -56,7 +56,7 @@ window.RestoreCommand = class RestoreCommand extends Command {
 
         let backupData;
         try {
-            backupData = JSON.parse(backupFileNode.content || "{}");
+            backupData = Utils.parseJSONWithBinary(Utils.contentToText(backupFileNode.content) || "{}");
         } catch (e) {
             return ErrorHandler.createError(
                 "restore: Invalid backup file. Content is not valid JSON."
@@ -73,7 +73,7 @@ window.RestoreCommand = class RestoreCommand extends Command {
         }
 
         const { checksum, ...dataToVerify } = backupData;
-        const stringifiedData = JSON.stringify(dataToVerify);
+        const stringifiedData = Utils.stringifyJSONWithBinary(dataToVerify);
         const calculatedChecksum = await Utils.calculateSHA256(stringifiedData);
 
         if (calculatedChecksum !== checksum) {
@@ -105,17 +105,21 @@ window.RestoreCommand = class RestoreCommand extends Command {
         const allKeys = StorageManager.getAllLocalStorageKeys();
         const OS_KEY_PREFIX = "oopisOs";
         allKeys.forEach((key) => {
-            if (key.startsWith(OS_KEY_PREFIX)) {
+            if (key.startsWith(OS_KEY_PREFIX) && key !== Config.STORAGE_KEYS.STORAGE_BACKEND) {
                 StorageManager.removeItem(key);
             }
         });
         await FileSystemManager.clearAllFS();
 
-        StorageManager.saveItem(
-            Config.STORAGE_KEYS.USER_CREDENTIALS,
-            backupData.userCredentials,
-            "User Credentials"
-        );
+        if (backupData.userCredentials) {
+            // Older backups kept accounts outside the file system; the next
+            // boot moves them into /etc/passwd.
+            StorageManager.saveItem(
+                Config.STORAGE_KEYS.USER_CREDENTIALS,
+                backupData.userCredentials,
+                "User Credentials"
+            );
+        }
         StorageManager.saveItem(
             Config.STORAGE_KEYS.EDITOR_WORD_WRAP_ENABLED,
             backupData.editorWordWrapEnabled,
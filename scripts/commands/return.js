@@ -0,0 +1,48 @@
+// scripts/commands/return.js
+
+window.ReturnCommand = class ReturnCommand extends Command {
+    constructor() {
+        super({
+            commandName: "return",
+            description: "Returns from a shell function with an exit status.",
+            helpText: `Usage: return [n]
+      Return from a shell function.
+      DESCRIPTION
+      The return command stops the current shell function and makes
+      it exit with status n (0-255). Zero means success; any other
+      value means failure, so the call can drive 'if', '&&' and '||'.
+      Without n, the status of the last command run is used.
+      'return' may only be used inside a function.
+      EXAMPLES
+      is_even() { if test $(expr $1 % 2) -eq 0; then return 0; fi; return 1; }
+      is_even 4 && echo "even"
+      Prints "even".`,
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, dependencies } = context;
+        const { CommandExecutor, ErrorHandler, Config } = dependencies;
+
+        if (!CommandExecutor.isInFunction()) {
+            return ErrorHandler.createError("return: can only `return' from a function");
+        }
+        if (args.length > 1) {
+            return ErrorHandler.createError("return: too many arguments");
+        }
+
+        let exitCode = CommandExecutor.getLastExitStatus();
+        if (args.length === 1) {
+            if (!/^-?\d+$/.test(args[0])) {
+                return ErrorHandler.createError(`return: ${args[0]}: numeric argument required`, {
+                    exitCode: Config.EXIT_CODES.USAGE,
+                });
+            }
+            exitCode = ((parseInt(args[0], 10) % 256) + 256) % 256;
+        }
+
+        return ErrorHandler.createSuccess(null, { isReturn: true, exitCode });
+    }
+}
+
+window.CommandRegistry.register(new ReturnCommand());
@@ -61,8 +61,7 @@ window.RmdirCommand = class RmdirCommand extends Command {
       const parentNode = FileSystemManager.getNodeByPath(parentPath);
 
       if (parentNode && parentNode.children[dirName]) {
-        delete parentNode.children[dirName];
-        parentNode.mtime = new Date().toISOString();
+        FileSystemManager.unlinkEntry(parentNode, dirName);
         anyChangeMade = true;
       } else {
         errorMessages.push(
@@ -5,7 +5,7 @@ window.RunCommand = class RunCommand extends Command {
     super({
       commandName: "run",
       description: "Executes a script file as a series of commands.",
-      helpText: `Usage: run <script_path>
+      helpText: `Usage: run <script_path> [arguments...]
       Execute a script from a file.
       DESCRIPTION
       The run command reads the specified script file and executes its
@@ -13,14 +13,76 @@ window.RunCommand = class RunCommand extends Command {
       This is useful for automating repetitive tasks.
       - Lines starting with # are treated as comments and ignored.
       - Blank lines are ignored.
+      - Any extra arguments are available to the script as $1, $2, ...,
+        with $# holding their count and $@ all of them.
+      CONTROL FLOW
+      Scripts may span several lines with the following blocks:
+      if <list>; then <list>; [elif <list>; then <list>;] [else <list>;] fi
+      for <name> in <words>; do <list>; done
+      while <list>; do <list>; done
+      until <list>; do <list>; done
+      case <word> in <pattern>[|<pattern>]) <list> ;; ... esac
+      <name>() { <list>; }
+      ( <list> )      Run list in a subshell; changes it makes to variables,
+                      functions, shell options, the umask and the working
+                      directory are undone when it ends.
+      { <list>; }     Run list as a group in the current shell.
+      Both may be piped, redirected or run in the background with &
+      like a single command.
+      Functions receive their own $1, $2, ..., $# and $@, may declare
+      variables with 'local', and set their status with 'return [n]'.
+      Conditions succeed or fail with the command they run, and $?
+      holds the exit status of the last pipeline (0 for success).
+      $PIPESTATUS holds the status of the first command of that pipeline
+      and \${PIPESTATUS[@]} the status of every command in it.
+      Failing commands do not stop a script unless 'set -e' is in
+      effect; see 'help set'. The script's exit status is that of the
+      last command it ran.
+      If the script has its setuid bit set (chmod u+s), it runs with
+      the identity of the file's owner instead of the user who ran it.
+      EXPANSION
+      Each word is expanded in order: braces ({a,b}, {1..5}), a leading
+      ~, parameters, $(command) and $((arithmetic)), then the results
+      of unquoted expansions are split on $IFS and matched as file
+      patterns. Single quotes prevent all expansion; double quotes allow
+      $ expansions but not splitting or pattern matching.
+      File patterns may use *, ?, [abc] and [!a-z] in any part of a
+      path, and ** to match any number of directories; see 'help set'
+      for nullglob, dotglob and extglob.
+      \${#name}                  Length of the value.
+      \${name:-word}             word if name is unset or empty.
+      \${name:=word}             As above, also assigning word to name.
+      \${name:+word}             word if name is set and not empty.
+      \${name:?message}          Fail with message if unset or empty.
+      \${name#pat}, \${name##pat} Remove the shortest/longest prefix.
+      \${name%pat}, \${name%%pat} Remove the shortest/longest suffix.
+      REDIRECTION
+      Any command or block may redirect its output and errors:
+      < file          Read standard input from file.
+      <<WORD          Read standard input from the following lines, up
+                      to a line holding only WORD. Variables are expanded
+                      unless WORD is quoted; <<-WORD also strips leading
+                      tabs.
+      <<< word        Read standard input from word and a newline.
+      > file, >> file Write (or append) standard output to file.
+      2> file, 2>> file
+                      Write (or append) error output to file.
+      2>&1            Send error output wherever standard output goes.
+      >&2             Send standard output to the error stream.
+      &> file, &>> file
+                      Write (or append) both streams to file.
+      Writing to /dev/null discards a stream; /dev/stdout and /dev/stderr
+      name the two output streams, and /dev/tty is the terminal itself.
       EXAMPLES
       run setup_project.sh
-      Executes the commands listed in the 'setup_project.sh' file.`,
+      Executes the commands listed in the 'setup_project.sh' file.
+      run greet.sh Alice Bob
+      Executes 'greet.sh' with $1 set to "Alice" and $2 to "Bob".`,
       completionType: "paths",
       validations: {
         args: {
-          exact: 1,
-          error: "Usage: run <script_path>"
+          min: 1,
+          error: "Usage: run <script_path> [arguments...]"
         },
         paths: [{
           argIndex: 0,
@@ -34,18 +96,33 @@ window.RunCommand = class RunCommand extends Command {
   }
 
   async coreLogic(context) {
-    const { validatedPaths, dependencies } = context;
-    const { CommandExecutor, ErrorHandler } = dependencies;
+    const { args, options, validatedPaths, dependencies } = context;
+    const { CommandExecutor, ErrorHandler, UserManager, FileSystemManager, Config, Utils } = dependencies;
     const fileNode = validatedPaths[0].node;
+    if (Utils.isBinaryContent(fileNode.content)) {
+      return ErrorHandler.createError(`run: ${args[0]}: cannot execute binary file`, {
+        exitCode: Config.EXIT_CODES.CANNOT_EXECUTE,
+      });
+    }
+    FileSystemManager.markAccessed(fileNode);
 
     const scriptContent = fileNode.content || "";
     const lines = scriptContent.split("\n");
+    const runScript = () =>
+        CommandExecutor.executeScript(lines, {
+          isInteractive: false,
+          args: args.slice(1),
+          tty: options.tty,
+        });
 
     try {
-      await CommandExecutor.executeScript(lines, {
-        isInteractive: false,
+      const result =
+          fileNode.mode & Config.FILESYSTEM.SETUID_BIT
+              ? await UserManager.executeAsUser(fileNode.owner, runScript)
+              : await runScript();
+      return ErrorHandler.createSuccess("We did it!", {
+        exitCode: result.exitCode,
       });
-      return ErrorHandler.createSuccess("We did it!");
     } catch (e) {
       return ErrorHandler.createError(`run: ${e.message}`);
     }
@@ -6,7 +6,8 @@ window.SetCommand = class SetCommand extends Command {
             commandName: "set",
             description: "Sets or displays shell environment variables.",
             helpText: `Usage: set [variable[=value]]
-      Set or display environment variables.
+       set [-e|+e] [-o|+o option_name]...
+      Set or display environment variables and shell options.
       DESCRIPTION
       With no arguments, 'set' displays a list of all current environment
       variables.
@@ -15,20 +16,90 @@ window.SetCommand = class SetCommand extends Command {
       Variable names must start with a letter or underscore and can only
       contain letters, numbers, and underscores.
       Use 'unset <variable>' to remove a variable.
+      SHELL OPTIONS
+      A leading '-' turns an option on and '+' turns it off. 'set -o'
+      on its own lists every option and its state.
+      -e, -o errexit
+            Stop a script as soon as a command fails. Failures in 'if',
+            'while' and 'until' conditions, and before '&&' or '||',
+            do not count.
+      -o pipefail
+            A pipeline's exit status is that of the last command to
+            fail rather than that of the final command.
+      -o nullglob
+            A file pattern that matches nothing expands to nothing
+            instead of being left as written.
+      -o dotglob
+            Let file patterns match names that start with '.'.
+      -o extglob
+            Enable the patterns ?(list), *(list), +(list), @(list) and
+            !(list), matching zero or one, zero or more, one or more,
+            exactly one, or none of the '|'-separated patterns in list.
+      Options set inside a script are restored when the script ends.
       EXAMPLES
       set
       Displays all current environment variables.
       set MY_VAR="Hello World"
       Sets the variable MY_VAR to "Hello World".
       echo $MY_VAR
-      Displays the value of MY_VAR.`,
+      Displays the value of MY_VAR.
+      set -e -o pipefail
+      Makes a script stop on the first failing command or pipeline.
+      set -o extglob; ls !(*.log)
+      Lists every file except those ending in .log.`,
         });
     }
 
+    _setShellOptions(args, dependencies) {
+        const { CommandExecutor, ErrorHandler, Config } = dependencies;
+        const shortOptions = { e: "errexit" };
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            const enable = arg.startsWith("-");
+            if (!/^[-+]/.test(arg)) {
+                return ErrorHandler.createError(`set: ${arg}: invalid option`, {
+                    exitCode: Config.EXIT_CODES.USAGE,
+                });
+            }
+
+            if (arg.substring(1) === "o") {
+                const optionName = args[++i];
+                if (optionName === undefined) {
+                    const output = Object.entries(CommandExecutor.getShellOptions())
+                        .map(([name, isOn]) => `${name.padEnd(15)}${isOn ? "on" : "off"}`)
+                        .join("\n");
+                    return ErrorHandler.createSuccess(output);
+                }
+                if (!CommandExecutor.setShellOption(optionName, enable)) {
+                    return ErrorHandler.createError(`set: ${optionName}: invalid option name`, {
+                        exitCode: Config.EXIT_CODES.USAGE,
+                    });
+                }
+                continue;
+            }
+
+            for (const flag of arg.substring(1)) {
+                if (!shortOptions[flag]) {
+                    return ErrorHandler.createError(`set: ${arg[0]}${flag}: invalid option`, {
+                        exitCode: Config.EXIT_CODES.USAGE,
+                    });
+                }
+                CommandExecutor.setShellOption(shortOptions[flag], enable);
+            }
+        }
+
+        return ErrorHandler.createSuccess("");
+    }
+
     async coreLogic(context) {
         const { args, dependencies } = context;
         const { EnvironmentManager, Utils, ErrorHandler } = dependencies;
 
+        if (args.length > 0 && /^[-+]/.test(args[0])) {
+            return this._setShellOptions(args, dependencies);
+        }
+
         if (args.length === 0) {
             const allVars = EnvironmentManager.getAll();
             const output = Object.entries(allVars)
@@ -0,0 +1,216 @@
+// scripts/commands/setfacl.js
+
+window.SetfaclCommand = class SetfaclCommand extends Command {
+    constructor() {
+        super({
+            commandName: "setfacl",
+            description: "Changes the access control lists of files.",
+            helpText: `Usage: setfacl [-R] [-d] {-m <acl_spec> | -x <acl_spec> | -b | -k} <path>...
+      Change the access control list (ACL) of files and directories.
+      DESCRIPTION
+      An ACL grants permissions to named users and groups on top of the
+      owner, group and other mode bits. <acl_spec> is a comma-separated
+      list of entries:
+      u[ser]:name:perms    Permissions for a named user.
+      g[roup]:name:perms   Permissions for a named group.
+      u[ser]::perms        The owner's permissions.
+      g[roup]::perms       The owning group's permissions.
+      m[ask]::perms        The most any named entry or the owning group
+                           may be granted.
+      o[ther]::perms       Everyone else's permissions.
+      perms is a combination of r, w, x and -, or an octal digit.
+      Prefix an entry with d[efault]: to change a directory's default
+      ACL, which new files and directories created in it inherit.
+      Unless the mask is given, it is recalculated to cover every named
+      entry and the owning group. While a file has an ACL, 'ls -l' shows
+      a '+' after its permissions and the group digit of chmod sets the
+      mask.
+      OPTIONS
+      -m, --modify=<acl_spec>
+            Add or change the given entries.
+      -x, --remove=<acl_spec>
+            Remove named user and group entries (perms are omitted, as
+            in 'u:alice').
+      -b, --remove-all
+            Remove the ACL and the default ACL.
+      -k, --remove-default
+            Remove the default ACL.
+      -d, --default
+            Apply -m and -x to the default ACL.
+      -R, --recursive
+            Apply to directories and everything below them.
+      EXAMPLES
+      setfacl -m u:alice:rwx,u:bob:rx /home/project
+      Gives alice full access to '/home/project' and bob read access.
+      setfacl -d -m g:writers:rwx /home/project
+      Lets the 'writers' group change anything later created inside.
+      setfacl -x u:bob /home/project
+      Removes bob's entry.
+      PERMISSIONS
+      Only the owner of a file or the superuser (root) can change its
+      ACL.`,
+            completionType: "paths",
+            flagDefinitions: [
+                { name: "modify", short: "-m", long: "--modify", takesValue: true },
+                { name: "remove", short: "-x", long: "--remove", takesValue: true },
+                { name: "removeAll", short: "-b", long: "--remove-all" },
+                { name: "removeDefault", short: "-k", long: "--remove-default" },
+                { name: "default", short: "-d", long: "--default" },
+                { name: "recursive", short: "-R", long: "--recursive" },
+            ],
+            validations: {
+                args: {
+                    min: 1,
+                    error: "Usage: setfacl [-R] [-d] {-m <acl_spec> | -x <acl_spec> | -b | -k} <path>..."
+                }
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { FileSystemManager, UserManager, GroupManager, ErrorHandler, Config } = dependencies;
+
+        if (!flags.modify && !flags.remove && !flags.removeAll && !flags.removeDefault) {
+            return ErrorHandler.createError(
+                "setfacl: one of -m, -x, -b or -k is required",
+                { exitCode: Config.EXIT_CODES.USAGE }
+            );
+        }
+
+        const modifyResult = flags.modify ? this._parseAclSpec(flags.modify, true, flags.default) : { entries: [] };
+        const removeResult = flags.remove ? this._parseAclSpec(flags.remove, false, flags.default) : { entries: [] };
+        const parseError = modifyResult.error || removeResult.error;
+        if (parseError) {
+            return ErrorHandler.createError(`setfacl: ${parseError}`, {
+                exitCode: Config.EXIT_CODES.USAGE,
+            });
+        }
+
+        for (const entry of [...modifyResult.entries, ...removeResult.entries]) {
+            if (!entry.qualifier) continue;
+            const exists = entry.tag === "user"
+                ? await UserManager.userExists(entry.qualifier)
+                : GroupManager.groupExists(entry.qualifier);
+            if (!exists) {
+                return ErrorHandler.createError(
+                    `setfacl: ${entry.tag} '${entry.qualifier}' does not exist`
+                );
+            }
+        }
+
+        const errors = [];
+        let changed = false;
+
+        const applyTo = (node, pathArg, isTopLevel) => {
+            if (!FileSystemManager.canUserModifyNode(node, currentUser)) {
+                errors.push(`setfacl: ${pathArg}: Operation not permitted`);
+                return;
+            }
+            const isDirectory = node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE;
+            const hasDefaultEntries = [...modifyResult.entries, ...removeResult.entries].some((entry) => entry.isDefault);
+            if (hasDefaultEntries && !isDirectory && isTopLevel) {
+                errors.push(`setfacl: ${pathArg}: Only directories can have default ACLs`);
+                return;
+            }
+
+            if (flags.removeAll || flags.removeDefault) {
+                FileSystemManager.removeAcl(node, !flags.removeAll);
+            }
+            for (const isDefault of [false, true]) {
+                if (isDefault && !isDirectory) continue;
+                const removals = removeResult.entries.filter((entry) => entry.isDefault === isDefault);
+                const modifications = modifyResult.entries.filter((entry) => entry.isDefault === isDefault);
+                if (removals.length > 0) {
+                    FileSystemManager.removeAclEntries(node, removals, isDefault);
+                }
+                if (modifications.length > 0) {
+                    FileSystemManager.modifyAcl(node, modifications, isDefault);
+                }
+            }
+            changed = true;
+
+            if (flags.recursive && isDirectory) {
+                for (const childName of Object.keys(node.children)) {
+                    const child = node.children[childName];
+                    if (child.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) continue;
+                    applyTo(child, `${pathArg.replace(/\/$/, "")}/${childName}`, false);
+                }
+            }
+        };
+
+        for (const pathArg of args) {
+            const pathValidation = FileSystemManager.validatePath(pathArg);
+            if (!pathValidation.success) {
+                errors.push(`setfacl: ${pathValidation.error}`);
+                continue;
+            }
+            applyTo(pathValidation.data.node, pathArg, true);
+        }
+
+        if (errors.length > 0) {
+            return ErrorHandler.createError(errors.join("\n"), { stateModified: changed });
+        }
+        return ErrorHandler.createSuccess("", { stateModified: changed });
+    }
+
+    /**
+     * Parses a comma-separated ACL specification.
+     * @param {string} spec - Entries such as "u:alice:rw,d:g:staff:rx".
+     * @param {boolean} withPerms - Whether entries carry permissions (-m) or not (-x).
+     * @param {boolean} allDefault - Treat every entry as a default ACL entry (-d).
+     * @returns {{entries: object[], error?: string}}
+     */
+    _parseAclSpec(spec, withPerms, allDefault) {
+        const tags = {
+            u: "user", user: "user",
+            g: "group", group: "group",
+            m: "mask", mask: "mask",
+            o: "other", other: "other",
+        };
+        const entries = [];
+        for (const part of spec.split(",").map((text) => text.trim()).filter(Boolean)) {
+            const fields = part.split(":");
+            let isDefault = allDefault;
+            if (fields[0] === "d" || fields[0] === "default") {
+                isDefault = true;
+                fields.shift();
+            }
+            const tag = tags[fields[0]];
+            if (!tag) {
+                return { entries, error: `invalid ACL entry '${part}'` };
+            }
+            const hasQualifierField = withPerms ? fields.length === 3 : fields.length === 2;
+            const qualifier = (tag === "user" || tag === "group") && hasQualifierField ? fields[1] : "";
+            if (!withPerms) {
+                if (!qualifier) {
+                    return { entries, error: `'${part}': only named user and group entries can be removed` };
+                }
+                entries.push({ tag, qualifier, isDefault });
+                continue;
+            }
+            const permText = fields[fields.length - 1];
+            const perms = this._parsePerms(permText);
+            if (fields.length < 2 || fields.length > 3 || perms === null) {
+                return { entries, error: `invalid ACL entry '${part}'` };
+            }
+            entries.push({ tag, qualifier, perms, isDefault });
+        }
+        if (entries.length === 0) {
+            return { entries, error: `invalid ACL specification '${spec}'` };
+        }
+        return { entries };
+    }
+
+    _parsePerms(text) {
+        if (/^[0-7]$/.test(text)) {
+            return parseInt(text, 10);
+        }
+        if (!/^[rwx-]+$/.test(text)) {
+            return null;
+        }
+        return (text.includes("r") ? 4 : 0) | (text.includes("w") ? 2 : 0) | (text.includes("x") ? 1 : 0);
+    }
+}
+
+window.CommandRegistry.register(new SetfaclCommand());
@@ -0,0 +1,88 @@
+// scripts/commands/setfattr.js
+
+window.SetfattrCommand = class SetfattrCommand extends Command {
+    constructor() {
+        super({
+            commandName: "setfattr",
+            description: "Changes the extended attributes of files.",
+            helpText: `Usage: setfattr {-n <name> [-v <value>] | -x <name>} <path>...
+      Set or remove an extended attribute of files and directories.
+      DESCRIPTION
+      Extended attributes are name and value pairs attached to a file;
+      'getfattr' shows them. Two kinds of names are supported:
+      user.<anything>      Free-form notes. Anyone who may write to a
+                           file may set them.
+      system.mime_type     The MIME type the file should be opened as.
+                           The desktop and 'edit' go by it instead of
+                           the file's extension. Only the owner of a
+                           file or root may set it.
+      Attributes belong to the file rather than its name, so they follow
+      it through 'mv' and are shared by its hard links.
+      OPTIONS
+      -n, --name <name>
+            The attribute to set.
+      -v, --value <value>
+            The value to give it. Without -v, the value is empty.
+      -x, --remove <name>
+            The attribute to remove.
+      EXAMPLES
+      setfattr -n user.reviewed -v yes report.txt
+      Notes on report.txt that it has been reviewed.
+      setfattr -n system.mime_type -v text/x-basic game
+      Makes the desktop open 'game' in BASIC, despite it having no
+      extension. 'file --mime-type game' suggests a value.
+      setfattr -x user.reviewed report.txt
+      Removes the note again.`,
+            completionType: "paths",
+            flagDefinitions: [
+                { name: "name", short: "-n", long: "--name", takesValue: true },
+                { name: "value", short: "-v", long: "--value", takesValue: true },
+                { name: "remove", short: "-x", long: "--remove", takesValue: true },
+            ],
+            validations: {
+                args: {
+                    min: 1,
+                    error: "Usage: setfattr {-n <name> [-v <value>] | -x <name>} <path>..."
+                }
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler, Config } = dependencies;
+
+        if ((flags.name === null) === (flags.remove === null)) {
+            return ErrorHandler.createError(
+                "setfattr: exactly one of -n and -x is required",
+                { exitCode: Config.EXIT_CODES.USAGE }
+            );
+        }
+
+        let changed = false;
+        const errors = [];
+        for (const pathArg of args) {
+            const pathValidation = FileSystemManager.validatePath(pathArg);
+            if (!pathValidation.success) {
+                errors.push(`setfattr: ${pathArg}: No such file or directory`);
+                continue;
+            }
+            const { node } = pathValidation.data;
+            const result = flags.remove !== null
+                ? FileSystemManager.removeXattr(node, flags.remove, currentUser)
+                : FileSystemManager.setXattr(node, flags.name, flags.value ?? "", currentUser);
+            if (!result.success) {
+                errors.push(`setfattr: ${pathArg}: ${result.error}`);
+                continue;
+            }
+            changed = true;
+        }
+
+        if (errors.length > 0) {
+            return ErrorHandler.createError(errors.join("\n"), { stateModified: changed });
+        }
+        return ErrorHandler.createSuccess("", { stateModified: changed });
+    }
+}
+
+window.CommandRegistry.register(new SetfattrCommand());
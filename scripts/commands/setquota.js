@@ -0,0 +1,97 @@
+// scripts/commands/setquota.js
+
+window.SetquotaCommand = class SetquotaCommand extends Command {
+    constructor() {
+        super({
+            commandName: "setquota",
+            description: "Sets disk quota limits for a user or group.",
+            helpText: `Usage: setquota [-g] <name> <soft> <hard>
+       setquota -t <grace>
+      Set disk quota limits.
+      DESCRIPTION
+      setquota sets the soft and hard limits on the total size of the
+      files a user (or, with -g, a group) owns. Sizes are in bytes and
+      may end in K, M or G. A limit of 0 means no limit; setting both
+      to 0 removes the quota.
+      Writes that would take usage over the hard limit fail with
+      'Disk quota exceeded'. Usage may go over the soft limit for the
+      grace period; after that, the soft limit is enforced like the
+      hard one until usage drops back below it.
+      Root is never limited. Only root may set quotas.
+      OPTIONS
+      -g, --group
+            Set the limits of a group rather than a user.
+      -t, --grace <time>
+            Set the grace period, e.g. 7days, 12h, 30m or a number of
+            seconds.
+      EXAMPLES
+      setquota alice 80M 100M
+      Warns alice at 80 MB and stops her at 100 MB.
+      setquota -g developers 0 1G
+      Limits the 'developers' group to 1 GB, with no soft limit.
+      setquota -t 2days
+      Sets the grace period to two days.`,
+            completionType: "users",
+            flagDefinitions: [
+                { name: "group", short: "-g", long: "--group" },
+                { name: "grace", short: "-t", long: "--grace", takesValue: true },
+            ],
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { UserManager, GroupManager, QuotaManager, FileSystemManager, ErrorHandler, Config } = dependencies;
+
+        if (currentUser !== "root") {
+            return ErrorHandler.createError("setquota: only root can set quotas");
+        }
+
+        if (flags.grace) {
+            if (args.length > 0) {
+                return ErrorHandler.createError("Usage: setquota -t <grace>", {
+                    exitCode: Config.EXIT_CODES.USAGE,
+                });
+            }
+            const gracePeriod = QuotaManager.parseDuration(flags.grace);
+            if (gracePeriod === null) {
+                return ErrorHandler.createError(`setquota: invalid grace period '${flags.grace}'`);
+            }
+            QuotaManager.setGracePeriod(gracePeriod);
+            return ErrorHandler.createSuccess("");
+        }
+
+        if (args.length !== 3) {
+            return ErrorHandler.createError(
+                "Usage: setquota [-g] <name> <soft> <hard>",
+                { exitCode: Config.EXIT_CODES.USAGE }
+            );
+        }
+
+        const [name, softArg, hardArg] = args;
+        const kind = flags.group ? "group" : "user";
+        if (kind === "user" && !(await UserManager.userExists(name))) {
+            return ErrorHandler.createError(`setquota: user '${name}' does not exist`);
+        }
+        if (kind === "group" && !GroupManager.groupExists(name)) {
+            return ErrorHandler.createError(`setquota: group '${name}' does not exist`);
+        }
+
+        const soft = QuotaManager.parseSize(softArg);
+        const hard = QuotaManager.parseSize(hardArg);
+        if (soft === null || hard === null) {
+            return ErrorHandler.createError(
+                `setquota: invalid limit '${soft === null ? softArg : hardArg}'`
+            );
+        }
+        if (hard > 0 && soft > hard) {
+            return ErrorHandler.createError("setquota: soft limit is larger than hard limit");
+        }
+
+        QuotaManager.setQuota(kind, name, soft, hard);
+        QuotaManager.updateGraceState(kind, name, FileSystemManager.getQuotaUsage(kind, name));
+        return ErrorHandler.createSuccess("");
+    }
+}
+
+window.CommandRegistry.register(new SetquotaCommand());
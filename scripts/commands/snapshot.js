@@ -0,0 +1,238 @@
+// scripts/commands/snapshot.js
+
+window.SnapshotCommand = class SnapshotCommand extends Command {
+    constructor() {
+        super({
+            commandName: "snapshot",
+            description: "Takes, compares and restores filesystem snapshots.",
+            helpText: `Usage: snapshot <sub-command> [options]
+      Take named snapshots of part of the filesystem and roll back to them.
+
+      DESCRIPTION
+      A snapshot is a read-only copy of a file or directory tree as it was
+      when the snapshot was taken. Snapshots are kept inside the
+      filesystem and can be browsed like any directory under
+      /.snapshots/<name>, with the permissions the files had. Taking one
+      is cheap: file contents are shared with the live files until those
+      are changed.
+      Snapshots count towards the size of the filesystem, but not towards
+      anyone's disk quota. 'fsck' checks that they are intact.
+
+      SUB-COMMANDS:
+        create <name> <path>   Snapshot <path> under the given name.
+        list                   List snapshots, oldest first.
+        diff <name>            Show what changed at the snapshotted path
+                               since the snapshot: '+' added, '-' removed,
+                               'M' modified contents, mode or ownership.
+        restore [-f] <name>    Put the snapshotted path back as it was,
+                               replacing what is there now. Asks first
+                               unless -f is given or run from a script.
+        delete <name>          Delete a snapshot.
+
+      PERMISSIONS
+      Root may snapshot anything. Other users may only snapshot trees
+      they own every file of, and only restore or delete their own
+      snapshots. Restoring also needs write permission on the directory
+      the path is in, and ownership of everything it replaces.
+
+      EXAMPLES:
+        snapshot create before-upgrade /home/Guest/project_x
+        run upgrade.sh || snapshot restore -f before-upgrade
+        snapshot diff before-upgrade
+        ls /.snapshots/before-upgrade`,
+            completionType: "paths",
+            flagDefinitions: [
+                { name: "force", short: "-f", long: "--force" },
+            ],
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, dependencies } = context;
+        const { ErrorHandler, Config } = dependencies;
+        const subCommand = args[0];
+
+        if (!subCommand) {
+            return ErrorHandler.createError(
+                "snapshot: missing sub-command. Use 'create', 'list', 'diff', 'restore' or 'delete'.",
+                { exitCode: Config.EXIT_CODES.USAGE }
+            );
+        }
+
+        switch (subCommand) {
+            case "create":
+                return this._handleCreate(context);
+            case "list":
+                return this._handleList(context);
+            case "diff":
+                return this._handleDiff(context);
+            case "restore":
+                return this._handleRestore(context);
+            case "delete":
+                return this._handleDelete(context);
+            default:
+                return ErrorHandler.createError(
+                    `snapshot: unknown sub-command '${subCommand}'.`,
+                    { exitCode: Config.EXIT_CODES.USAGE }
+                );
+        }
+    }
+
+    _ownsTree(node, username) {
+        return node.owner === username &&
+            Object.values(node.children || {}).every((child) => this._ownsTree(child, username));
+    }
+
+    /**
+     * Looks up a snapshot the current user may restore or delete.
+     * @returns {object} The snapshot's root node, or an error result.
+     */
+    _findOwnSnapshot(name, context) {
+        const { currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler } = dependencies;
+        const snapshotRoot = FileSystemManager.getSnapshot(name);
+        if (!snapshotRoot) {
+            return ErrorHandler.createError(`snapshot: snapshot '${name}' does not exist`);
+        }
+        if (currentUser !== "root" && snapshotRoot.snapshot?.creator !== currentUser) {
+            return ErrorHandler.createError(`snapshot: '${name}': Permission denied`);
+        }
+        return ErrorHandler.createSuccess(snapshotRoot);
+    }
+
+    async _handleCreate(context) {
+        const { args, currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler, Config } = dependencies;
+        if (args.length !== 3) {
+            return ErrorHandler.createError("Usage: snapshot create <name> <path>", {
+                exitCode: Config.EXIT_CODES.USAGE,
+            });
+        }
+        const [, name, path] = args;
+
+        const node = FileSystemManager.validatePath(path).data?.node;
+        if (node && currentUser !== "root" && !this._ownsTree(node, currentUser)) {
+            return ErrorHandler.createError(
+                `snapshot: cannot snapshot '${path}': it holds files you do not own`
+            );
+        }
+        const result = FileSystemManager.createSnapshot(name, path, currentUser);
+        if (!result.success) {
+            return ErrorHandler.createError(`snapshot: ${result.error}`);
+        }
+        return ErrorHandler.createSuccess("", { stateModified: true });
+    }
+
+    async _handleList(context) {
+        const { dependencies } = context;
+        const { FileSystemManager, ErrorHandler, Utils } = dependencies;
+        const snapshots = FileSystemManager.listSnapshots();
+        if (snapshots.length === 0) {
+            return ErrorHandler.createSuccess("No snapshots.");
+        }
+        const nameWidth = Math.max(4, ...snapshots.map((snapshot) => snapshot.name.length));
+        const lines = [
+            `${"NAME".padEnd(nameWidth)}  ${"CREATED".padEnd(24)}  ${"BY".padEnd(10)}  ${"SIZE".padStart(8)}  SOURCE`,
+            ...snapshots.map((snapshot) => [
+                snapshot.name.padEnd(nameWidth),
+                (snapshot.created || "-").padEnd(24),
+                (snapshot.creator || "-").padEnd(10),
+                Utils.formatBytes(snapshot.size).padStart(8),
+                snapshot.source || "-",
+            ].join("  ")),
+        ];
+        return ErrorHandler.createSuccess(lines.join("\n"));
+    }
+
+    async _handleDiff(context) {
+        const { args, dependencies } = context;
+        const { FileSystemManager, ErrorHandler, Config } = dependencies;
+        if (args.length !== 2) {
+            return ErrorHandler.createError("Usage: snapshot diff <name>", {
+                exitCode: Config.EXIT_CODES.USAGE,
+            });
+        }
+        if (!FileSystemManager.getSnapshot(args[1])?.snapshot) {
+            return ErrorHandler.createError(`snapshot: snapshot '${args[1]}' does not exist`);
+        }
+        const changes = FileSystemManager.diffSnapshot(args[1]);
+        return ErrorHandler.createSuccess(
+            changes.map(({ change, path }) => `${change}\t${path}`).join("\n")
+        );
+    }
+
+    async _handleRestore(context) {
+        const { args, flags, currentUser, options, dependencies } = context;
+        const { FileSystemManager, ModalManager, ErrorHandler, Config } = dependencies;
+        if (args.length !== 2) {
+            return ErrorHandler.createError("Usage: snapshot restore [-f] <name>", {
+                exitCode: Config.EXIT_CODES.USAGE,
+            });
+        }
+        const name = args[1];
+        const lookup = this._findOwnSnapshot(name, context);
+        if (!lookup.success) {
+            return lookup;
+        }
+        const source = lookup.data.snapshot?.source;
+        if (!source) {
+            return ErrorHandler.createError(`snapshot: '${name}' does not record where it was taken from`);
+        }
+
+        if (currentUser !== "root") {
+            const parentPath = source.substring(0, source.lastIndexOf("/")) || "/";
+            const parentNode = FileSystemManager.getNodeByPath(parentPath);
+            if (parentNode && !FileSystemManager.hasPermission(parentNode, currentUser, "write")) {
+                return ErrorHandler.createError(`snapshot: cannot restore '${source}': Permission denied`);
+            }
+            const currentNode = FileSystemManager.getNodeByPath(source);
+            if (currentNode && !this._ownsTree(currentNode, currentUser)) {
+                return ErrorHandler.createError(
+                    `snapshot: cannot restore '${source}': it holds files you do not own`
+                );
+            }
+        }
+
+        if (options.isInteractive && !flags.force) {
+            const confirmed = await new Promise((resolve) => {
+                ModalManager.request({
+                    context: "terminal",
+                    messageLines: [
+                        `Restore '${source}' from snapshot '${name}'?`,
+                        "Any changes made there since the snapshot will be lost.",
+                    ],
+                    onConfirm: () => resolve(true),
+                    onCancel: () => resolve(false),
+                    options,
+                });
+            });
+            if (!confirmed) {
+                return ErrorHandler.createSuccess("Restore cancelled.");
+            }
+        }
+
+        const result = FileSystemManager.restoreSnapshot(name);
+        if (!result.success) {
+            return ErrorHandler.createError(`snapshot: ${result.error}`);
+        }
+        return ErrorHandler.createSuccess("", { stateModified: true });
+    }
+
+    async _handleDelete(context) {
+        const { args, dependencies } = context;
+        const { FileSystemManager, ErrorHandler, Config } = dependencies;
+        if (args.length !== 2) {
+            return ErrorHandler.createError("Usage: snapshot delete <name>", {
+                exitCode: Config.EXIT_CODES.USAGE,
+            });
+        }
+        const lookup = this._findOwnSnapshot(args[1], context);
+        if (!lookup.success) {
+            return lookup;
+        }
+        FileSystemManager.deleteSnapshot(args[1]);
+        return ErrorHandler.createSuccess("", { stateModified: true });
+    }
+}
+
+window.CommandRegistry.register(new SnapshotCommand());
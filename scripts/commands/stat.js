@@ -0,0 +1,139 @@
+// scripts/commands/stat.js
+
+window.StatCommand = class StatCommand extends Command {
+    constructor() {
+        super({
+            commandName: "stat",
+            description: "Displays file or directory status.",
+            helpText: `Usage: stat [-L] [-c <format>] <path>...
+      Display file or directory status.
+      DESCRIPTION
+      stat prints the details the filesystem keeps about each path: its
+      size and type, inode number, number of hard links, permissions,
+      owner, group, and its access, modification, change and birth times.
+      A symbolic link is described itself rather than the file it
+      points to, unless -L is given.
+      OPTIONS
+      -L, --dereference
+            Follow symbolic links.
+      -c, --format <format>
+            Print only what the format asks for, one line per path.
+            The format may contain these sequences:
+              %n  file name           %N  quoted name, with link target
+              %s  size in bytes       %F  file type
+              %i  inode number        %h  number of hard links
+              %a  octal permissions   %A  permissions as in 'ls -l'
+              %U  owner               %G  group
+              %x  access time         %X  access time, seconds since 1970
+              %y  modify time         %Y  modify time, seconds since 1970
+              %z  change time         %Z  change time, seconds since 1970
+              %w  birth time          %W  birth time, seconds since 1970
+              %%  a literal '%'
+      EXAMPLES
+      stat notes.txt
+      Shows the inode and link count of notes.txt, among other things.
+      stat -c '%U %s %n' *.txt
+      Prints the owner, size and name of each text file.`,
+            completionType: "paths",
+            flagDefinitions: [
+                { name: "dereference", short: "-L", long: "--dereference" },
+                { name: "format", short: "-c", long: "--format", takesValue: true },
+            ],
+            validations: {
+                args: { min: 1, error: "Usage: stat [-L] [-c <format>] <path>..." },
+            },
+        });
+    }
+
+    _describeType(node, dependencies) {
+        const { Config, Utils } = dependencies;
+        if (node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+            return "directory";
+        }
+        if (node.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
+            return "symbolic link";
+        }
+        if (node.device) {
+            return "character special file";
+        }
+        return Utils.getContentSize(node.content) === 0 ? "regular empty file" : "regular file";
+    }
+
+    _formatStatus(pathArg, node, dependencies) {
+        const { FileSystemManager } = dependencies;
+        const name = node.type === dependencies.Config.FILESYSTEM.SYMBOLIC_LINK_TYPE
+            ? `${pathArg} -> ${node.target}`
+            : pathArg;
+        const mode = (node.mode || 0).toString(8).padStart(4, "0");
+        return [
+            `  File: ${name}`,
+            `  Size: ${String(FileSystemManager.calculateNodeSize(node)).padEnd(12)}${this._describeType(node, dependencies)}`,
+            ` Inode: ${String(node.inode ?? "?").padEnd(12)}Links: ${FileSystemManager.getLinkCount(node)}`,
+            `Access: (${mode}/${FileSystemManager.formatModeToString(node)})  Owner: ${node.owner}  Group: ${node.group}`,
+            `Access: ${node.atime || "-"}`,
+            `Modify: ${node.mtime || "-"}`,
+            `Change: ${node.ctime || "-"}`,
+            ` Birth: ${node.btime || "-"}`,
+        ].join("\n");
+    }
+
+    _formatCustom(format, pathArg, node, dependencies) {
+        const { FileSystemManager, Config } = dependencies;
+        const isSymlink = node.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE;
+        const seconds = (time) => (time ? String(Math.floor(new Date(time).getTime() / 1000)) : "-");
+        const sequences = {
+            n: () => pathArg,
+            N: () => (isSymlink ? `'${pathArg}' -> '${node.target}'` : `'${pathArg}'`),
+            s: () => String(FileSystemManager.calculateNodeSize(node)),
+            F: () => this._describeType(node, dependencies),
+            i: () => String(node.inode ?? "?"),
+            h: () => String(FileSystemManager.getLinkCount(node)),
+            a: () => (node.mode || 0).toString(8),
+            A: () => FileSystemManager.formatModeToString(node),
+            U: () => node.owner,
+            G: () => node.group,
+            x: () => node.atime || "-",
+            y: () => node.mtime || "-",
+            z: () => node.ctime || "-",
+            w: () => node.btime || "-",
+            X: () => seconds(node.atime),
+            Y: () => seconds(node.mtime),
+            Z: () => seconds(node.ctime),
+            W: () => seconds(node.btime),
+            "%": () => "%",
+        };
+        return format.replace(/%(.)?/g, (match, letter) =>
+            sequences[letter] ? sequences[letter]() : match
+        );
+    }
+
+    async coreLogic(context) {
+        const { args, flags, dependencies } = context;
+        const { FileSystemManager, ErrorHandler } = dependencies;
+
+        const blocks = [];
+        const errors = [];
+        for (const pathArg of args) {
+            const validation = FileSystemManager.validatePath(pathArg, {
+                resolveLastSymlink: Boolean(flags.dereference),
+            });
+            if (!validation.success) {
+                errors.push(`stat: cannot stat '${pathArg}': No such file or directory`);
+                continue;
+            }
+            const { node } = validation.data;
+            blocks.push(
+                flags.format !== null
+                    ? this._formatCustom(flags.format, pathArg, node, dependencies)
+                    : this._formatStatus(pathArg, node, dependencies)
+            );
+        }
+
+        if (errors.length > 0) {
+            return ErrorHandler.createError([...blocks, ...errors].join("\n"));
+        }
+        return ErrorHandler.createSuccess(blocks.join("\n"));
+    }
+}
+
+window.CommandRegistry.register(new StatCommand());
@@ -0,0 +1,119 @@
+// scripts/commands/storage.js
+
+window.StorageCommand = class StorageCommand extends Command {
+    constructor() {
+        super({
+            commandName: "storage",
+            description: "Shows or changes where the file system is stored.",
+            helpText: `Usage: storage [migrate <backend>]
+      Show or change the storage backend.
+      DESCRIPTION
+      With no arguments, storage lists the available backends and marks
+      the one the file system is currently saved to.
+      'storage migrate <backend>' copies the whole file system into
+      another backend and switches to it. The choice is recorded as
+      STORAGE.BACKEND in /etc/oopis.conf, which is read on every boot;
+      editing that line and rebooting migrates in the same way. The
+      copy left in the previous backend is not removed.
+      BACKENDS
+      indexeddb   Browser IndexedDB database (default).
+      opfs        Origin Private File System; each file is stored
+                  separately so saves only rewrite what changed.
+      memory      Kept in memory only and lost on reload, for tests
+                  and kiosk sessions.
+      json        A JSON file in the desktop app's data folder
+                  (Electron build only).
+      EXAMPLES
+      storage
+      Lists the backends.
+      storage migrate opfs
+      Moves the file system to the Origin Private File System.
+      PERMISSIONS
+      Only the superuser (root) can migrate the file system.`,
+            validations: {
+                args: {
+                    max: 2,
+                    error: "Usage: storage [migrate <backend>]"
+                }
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler, Config } = dependencies;
+
+        if (args.length === 0) {
+            const active = FileSystemManager.getStorageBackendName();
+            const names = StorageHAL.getBackendNames();
+            const width = Math.max(...names.map((name) => name.length));
+            const lines = [`Active backend: ${active}`, "Available backends:"];
+            for (const name of names) {
+                const marker = name === active ? "*" : " ";
+                lines.push(`${marker} ${name.padEnd(width)}  ${StorageHAL.describe(name)}`);
+            }
+            return ErrorHandler.createSuccess(lines.join("\n"));
+        }
+
+        if (args[0] !== "migrate" || args.length !== 2) {
+            return ErrorHandler.createError("Usage: storage [migrate <backend>]", {
+                exitCode: Config.EXIT_CODES.USAGE,
+            });
+        }
+
+        if (currentUser !== "root") {
+            return ErrorHandler.createError(
+                "storage: only root can migrate the file system."
+            );
+        }
+
+        const backendName = args[1];
+        const migrateResult = await FileSystemManager.migrateStorage(backendName);
+        if (!migrateResult.success) {
+            return ErrorHandler.createError(`storage: ${migrateResult.error}`);
+        }
+
+        const confResult = await this._recordBackend(backendName, dependencies);
+        if (!confResult.success) {
+            return ErrorHandler.createError(
+                `storage: migrated, but could not update /etc/oopis.conf: ${confResult.error}`
+            );
+        }
+        Config.STORAGE.BACKEND = backendName;
+
+        return ErrorHandler.createSuccess(
+            `File system migrated from '${migrateResult.data.from}' to '${backendName}'.`,
+            { stateModified: true }
+        );
+    }
+
+    async _recordBackend(backendName, dependencies) {
+        const { FileSystemManager, Utils } = dependencies;
+        const confPath = "/etc/oopis.conf";
+        const confNode = FileSystemManager.getNodeByPath(confPath);
+        const contentText = confNode ? Utils.contentToText(confNode.content) : "";
+        const lines = contentText ? contentText.split("\n") : [];
+        const entry = `STORAGE.BACKEND=${backendName}`;
+        const index = lines.findIndex((line) => /^\s*STORAGE\.BACKEND\s*=/.test(line));
+        if (index === -1) {
+            if (lines.length > 0 && lines[lines.length - 1] === "") {
+                lines.splice(lines.length - 1, 0, entry);
+            } else {
+                lines.push(entry, "");
+            }
+        } else {
+            lines[index] = entry;
+        }
+        const writeResult = await FileSystemManager.createOrUpdateFile(
+            confPath,
+            lines.join("\n"),
+            { currentUser: "root", primaryGroup: "root" }
+        );
+        if (!writeResult.success) {
+            return writeResult;
+        }
+        return FileSystemManager.save();
+    }
+}
+
+window.CommandRegistry.register(new StorageCommand());
@@ -45,9 +45,12 @@ window.SuCommand = class SuCommand extends Command {
         if (result.success) {
             const resultData = result.data || {};
             if (!resultData.noAction) {
+                const welcome = `${Config.MESSAGES.WELCOME_PREFIX} ${targetUser}${Config.MESSAGES.WELCOME_SUFFIX}`;
                 return ErrorHandler.createSuccess(
-                    `${Config.MESSAGES.WELCOME_PREFIX} ${targetUser}${Config.MESSAGES.WELCOME_SUFFIX}`,
-                    { effect: "clear_screen" }
+                    resultData.passwordWarning
+                        ? `${welcome}\n${resultData.passwordWarning}`
+                        : welcome,
+                    { effect: "clear_screen", stateModified: true }
                 );
             }
             return ErrorHandler.createSuccess(resultData.message);
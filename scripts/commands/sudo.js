@@ -4,57 +4,222 @@ window.SudoCommand = class SudoCommand extends Command {
   constructor() {
     super({
       commandName: "sudo",
-      description: "Executes a command as the superuser (root).",
-      helpText: `Usage: sudo <command> [arguments]
+      description: "Executes a command as the superuser (root) or another user.",
+      helpText: `Usage: sudo [-k] [-u <user>] [-i] <command> [arguments]
+       sudo [-k] [-u <user>] -i
+       sudo -l [command]
+       sudo -k
       Execute a command with superuser privileges.
       DESCRIPTION
       sudo allows a permitted user to execute a command as the superuser or another
       user, as specified by the security policy in the /etc/sudoers file.
       If the user has a valid timestamp (i.e., they have successfully authenticated
       recently), the command is executed without a password prompt. Otherwise, sudo
-      requires the user to authenticate with their own password.
-      To edit the sudoers file, use the 'visudo' command.`,
+      requires the user to authenticate with their own password. Wrong
+      passwords count towards locking the account; see 'faillock'.
+      A rule can let a user run a command without a password (NOPASSWD),
+      only with certain arguments, or only as certain users; see 'visudo'.
+      Every attempt, allowed or not, is recorded in /var/log/sudo.log with
+      the user, working directory, target user and command. Only root can
+      read the log.
+      If /etc/sudoers has a syntax error, sudo refuses to run anything
+      until it is fixed.
+      To edit the sudoers file, use the 'visudo' command.
+      OPTIONS
+      Options must come before the command; anything after it is passed
+      to the command.
+      -u <user>
+            Run the command as <user> instead of root.
+      -i
+            Run the command from the target user's home directory. Without
+            a command, become the target user until 'logout'.
+      -l
+            List the commands you may run. Given a command, print it if you
+            may run it (as the -u user, if given) and fail otherwise.
+      -k
+            Forget that you authenticated recently, so the next sudo asks
+            for your password. With a command, ask for it this time too.
+      EXAMPLES
+      sudo -l
+      Shows what /etc/sudoers lets you run.
+      sudo -u alice cat /home/alice/notes.txt
+      Reads a file as alice.
+      sudo -i
+      Becomes root until 'logout'.`,
       completionType: "commands",
       argValidation: {
         min: 1,
-        error: "usage: sudo <command> [args ...]",
+        error: "usage: sudo [-k] [-u <user>] [-i] <command> [args ...]",
       },
     });
   }
 
+  _toCommandResult(execResult, ErrorHandler) {
+    if (execResult.error) {
+      return ErrorHandler.createError(execResult.error, {
+        exitCode: execResult.exitCode,
+      });
+    }
+    return ErrorHandler.createSuccess(execResult.output, {
+      exitCode: execResult.exitCode,
+      stateModified: true,
+    });
+  }
+
+  /**
+   * Reads sudo's own options, which end at the first word that is not one,
+   * so that the command's options are left alone.
+   * @returns {?object} The options and the command's words, or null if an
+   * option is unknown or -u lacks a user.
+   */
+  _parseOptions(args) {
+    const parsed = { list: false, login: false, reset: false, user: null, commandArgs: [] };
+    let i = 0;
+    for (; i < args.length && args[i].startsWith("-"); i++) {
+      const arg = args[i];
+      if (arg === "--") {
+        i++;
+        break;
+      }
+      if (arg === "-u") {
+        if (i + 1 >= args.length) return null;
+        parsed.user = args[++i];
+        continue;
+      }
+      for (const char of arg.substring(1)) {
+        if (char === "l") parsed.list = true;
+        else if (char === "i") parsed.login = true;
+        else if (char === "k") parsed.reset = true;
+        else return null;
+      }
+    }
+    parsed.commandArgs = args.slice(i);
+    return parsed;
+  }
+
+  /**
+   * Records a refused attempt. Only successful commands have the file
+   * system saved for them, so the entry is saved here.
+   */
+  async _logDenied(context, targetUser, command, reason) {
+    const { currentUser, dependencies } = context;
+    const { SudoManager, FileSystemManager } = dependencies;
+    SudoManager.logAttempt(currentUser, FileSystemManager.getCurrentPath(), targetUser, command, reason);
+    await FileSystemManager.save();
+  }
+
+  _handleList(context, targetUser, commandArgs) {
+    const { currentUser, dependencies } = context;
+    const { SudoManager, ErrorHandler } = dependencies;
+    if (commandArgs.length > 0) {
+      const { allowed } = SudoManager.checkCommand(currentUser, targetUser, commandArgs);
+      return allowed
+          ? ErrorHandler.createSuccess(commandArgs.join(" "))
+          : ErrorHandler.createSuccess("", { exitCode: 1 });
+    }
+    const { defaults, commands } = SudoManager.listPrivileges(currentUser);
+    if (commands.length === 0) {
+      return ErrorHandler.createError(
+          `User ${currentUser} is not allowed to run sudo on OopisOs.`
+      );
+    }
+    return ErrorHandler.createSuccess(
+        [
+          `Matching Defaults entries for ${currentUser} on OopisOs:`,
+          ...defaults.map((entry) => `    ${entry}`),
+          "",
+          `User ${currentUser} may run the following commands on OopisOs:`,
+          ...commands.map((command) => `    ${command}`),
+        ].join("\n")
+    );
+  }
+
   async coreLogic(context) {
     const { args, currentUser, options, dependencies } = context;
-    const { ErrorHandler, CommandExecutor, SudoManager, UserManager, ModalManager } = dependencies;
+    const { ErrorHandler, CommandExecutor, SudoManager, UserManager, FileSystemManager, ModalManager, Config, Utils } = dependencies;
 
-    const commandToRun = args[0];
-    const fullCommandStr = args.join(" ");
-
-    if (currentUser === "root") {
-      const result = await CommandExecutor.processSingleCommand(
-          fullCommandStr,
-          { isInteractive: options.isInteractive }
+    const parsed = this._parseOptions(args);
+    if (!parsed) {
+      return ErrorHandler.createError(
+          "usage: sudo [-k] [-u <user>] [-i] <command> [args ...]",
+          { exitCode: Config.EXIT_CODES.USAGE }
       );
-      if (result.success) {
-        return ErrorHandler.createSuccess(result.output);
+    }
+    const { list, login, reset, commandArgs } = parsed;
+    const targetUser = parsed.user || "root";
+
+    if (reset) {
+      SudoManager.clearUserTimestamp(currentUser);
+      if (!list && !login && commandArgs.length === 0) {
+        return ErrorHandler.createSuccess("");
       }
-      return ErrorHandler.createError(result.error);
+    }
+    const sudoersError = SudoManager.getSudoersError();
+    if (sudoersError) {
+      return ErrorHandler.createError(
+          `sudo: parse error in ${Config.SUDO.SUDOERS_PATH}, ${sudoersError}\nsudo: no valid sudoers sources found, quitting`
+      );
+    }
+    if (list) {
+      return this._handleList(context, targetUser, commandArgs);
+    }
+    if (!login && commandArgs.length === 0) {
+      return ErrorHandler.createError(
+          "usage: sudo [-k] [-u <user>] [-i] <command> [args ...]",
+          { exitCode: Config.EXIT_CODES.USAGE }
+      );
     }
 
+    // Each checked argument is re-quoted so the shell runs exactly the argv
+    // the sudoers rules approved, with no operators or expansions inside it.
+    const fullCommandStr = commandArgs.map((arg) => Utils.quoteShellWord(arg)).join(" ");
+    const loggedCommand = commandArgs.join(" ") || "(login shell)";
     if (
-        !SudoManager.canUserRunCommand(currentUser, commandToRun) &&
-        !SudoManager.canUserRunCommand(currentUser, "ALL")
+        targetUser !== Config.USER.DEFAULT_NAME &&
+        !(await UserManager.userExists(targetUser))
     ) {
+      await this._logDenied(context, targetUser, loggedCommand, "unknown user");
+      return ErrorHandler.createError(`sudo: unknown user ${targetUser}`);
+    }
+
+    const { allowed, noPassword } = SudoManager.checkCommand(currentUser, targetUser, commandArgs);
+    if (!allowed) {
+      await this._logDenied(context, targetUser, loggedCommand, "command not allowed");
       return ErrorHandler.createError(
-          `sudo: Sorry, user ${currentUser} is not allowed to execute '${commandToRun}' as root on OopisOs.`
+          `sudo: Sorry, user ${currentUser} is not allowed to execute '${commandArgs[0] || "a login shell"}' as ${targetUser} on OopisOs.`
       );
     }
 
-    if (SudoManager.isUserTimestampValid(currentUser)) {
-      const result = await UserManager.sudoExecute(fullCommandStr, options);
-      if (result.success) {
-        return ErrorHandler.createSuccess(result.output);
+    const run = async () => {
+      SudoManager.logAttempt(currentUser, FileSystemManager.getCurrentPath(), targetUser, loggedCommand);
+      if (!fullCommandStr) {
+        UserManager.sudoLogin(targetUser);
+        return ErrorHandler.createSuccess(
+            `${Config.MESSAGES.WELCOME_PREFIX} ${targetUser}${Config.MESSAGES.WELCOME_SUFFIX}`,
+            { effect: "clear_screen", stateModified: true }
+        );
       }
-      return ErrorHandler.createError(result.error);
+      if (currentUser === "root" && targetUser === "root" && !login) {
+        const result = await CommandExecutor.processSingleCommand(
+            fullCommandStr,
+            { isInteractive: options.isInteractive, tty: options.tty }
+        );
+        return this._toCommandResult(result, ErrorHandler);
+      }
+      const execResult = await UserManager.sudoExecute(fullCommandStr, options, {
+        user: targetUser,
+        login,
+      });
+      return this._toCommandResult(execResult, ErrorHandler);
+    };
+
+    if (noPassword || (!reset && SudoManager.isUserTimestampValid(currentUser))) {
+      return run();
+    }
+
+    if (UserManager.isAccountLocked(currentUser)) {
+      await this._logDenied(context, targetUser, loggedCommand, "account locked");
+      return ErrorHandler.createError(`sudo: ${UserManager.getLockMessage(currentUser)}`);
     }
 
     return new Promise((resolve) => {
@@ -71,20 +236,16 @@ window.SudoCommand = class SudoCommand extends Command {
 
           if (authResult.success) {
             SudoManager.updateUserTimestamp(currentUser);
-            const execResult = await UserManager.sudoExecute(
-                fullCommandStr,
-                options
-            );
-            if (execResult.success) {
-              resolve(ErrorHandler.createSuccess(execResult.output));
-            } else {
-              resolve(ErrorHandler.createError(execResult.error));
-            }
+            resolve(await run());
           } else {
+            await this._logDenied(context, targetUser, loggedCommand, "incorrect password attempt");
             resolve(ErrorHandler.createError("sudo: Sorry, try again."));
           }
         },
-        onCancel: () => resolve(ErrorHandler.createSuccess("")),
+        onCancel: async () => {
+          await this._logDenied(context, targetUser, loggedCommand, "password prompt cancelled");
+          resolve(ErrorHandler.createSuccess(""));
+        },
         options,
       });
     });
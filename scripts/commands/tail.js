@@ -17,7 +17,8 @@ window.TailCommand = class TailCommand extends Command {
       -f, --follow
       Output appended data as the file grows. This is ignored
       if standard input is a pipe. In OopisOS, this simulates
-      watching a file for changes.
+      watching a file for changes. When its output is piped, new
+      lines are passed on as they appear, e.g. 'tail -f log | grep ERR'.
       EXAMPLES
       tail /data/logs/system.log
       Displays the last 10 lines of the system log.
@@ -36,7 +37,7 @@ window.TailCommand = class TailCommand extends Command {
     }
 
     async coreLogic(context) {
-        const { flags, args, inputItems, inputError, signal, dependencies } = context;
+        const { flags, args, inputItems, inputError, signal, stdout, dependencies } = context;
         const { ErrorHandler, Utils, FileSystemManager, OutputManager, Config } = dependencies;
 
         if (inputError && (!args || args.length === 0)) {
@@ -74,13 +75,20 @@ window.TailCommand = class TailCommand extends Command {
                 return ErrorHandler.createError(`tail: ${pathValidation.error}`);
             }
 
-            let lastContent = pathValidation.data.node.content || "";
+            // When piped, follow into the pipe and stop once the reader is gone.
+            const isPiped = stdout instanceof PipeStream;
+            const emit = (text) =>
+                isPiped
+                    ? stdout.write(text + "\n")
+                    : OutputManager.appendToOutput(text);
+
+            let lastContent = Utils.contentToText(pathValidation.data.node.content);
             const initialLines = lastContent.split("\n").slice(-lineCount);
-            await OutputManager.appendToOutput(initialLines.join("\n"));
+            await emit(initialLines.join("\n"));
 
             const followPromise = new Promise((resolve) => {
                 const checkInterval = setInterval(() => {
-                    if (signal?.aborted) {
+                    if (signal?.aborted || (isPiped && stdout.cancelled)) {
                         clearInterval(checkInterval);
                         resolve(ErrorHandler.createSuccess(""));
                         return;
@@ -95,21 +103,21 @@ window.TailCommand = class TailCommand extends Command {
                         );
                         return;
                     }
-                    const newContent = currentNode.content || "";
+                    const newContent = Utils.contentToText(currentNode.content);
                     if (newContent.length > lastContent.length) {
                         const appendedContent = newContent.substring(
                             lastContent.length
                         );
-                        void OutputManager.appendToOutput(appendedContent.trim());
+                        void emit(appendedContent.trim());
                         lastContent = newContent;
                     } else if (newContent.length < lastContent.length) {
-                        void OutputManager.appendToOutput(
+                        void emit(
                             Config.MESSAGES.FILE_TRUNCATED_PREFIX +
                             filePath +
                             Config.MESSAGES.FILE_TRUNCATED_SUFFIX
                         );
                         const newLines = newContent.split("\n").slice(-lineCount);
-                        void OutputManager.appendToOutput(newLines.join("\n"));
+                        void emit(newLines.join("\n"));
                         lastContent = newContent;
                     }
                 }, 1000);
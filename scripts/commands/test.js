@@ -0,0 +1,134 @@
+// scripts/commands/test.js
+
+window.TestCommand = class TestCommand extends Command {
+    constructor() {
+        super({
+            commandName: "test",
+            description: "Evaluates a conditional expression.",
+            helpText: `Usage: test <expression>
+      Evaluate a conditional expression and succeed or fail accordingly.
+      DESCRIPTION
+      The test command produces no output. It exits with status 0 when
+      the expression is true and 1 when it is false, which makes it the
+      usual condition for 'if', 'while' and 'until'. A malformed
+      expression is reported with exit status 2.
+      FILE TESTS
+      -e FILE    FILE exists
+      -f FILE    FILE exists and is a regular file
+      -d FILE    FILE exists and is a directory
+      -L FILE    FILE exists and is a symbolic link
+      -s FILE    FILE exists and is not empty
+      -r/-w/-x FILE
+                 FILE is readable/writable/executable by you
+      STRING TESTS
+      -z STRING  STRING is empty
+      -n STRING  STRING is not empty
+      S1 = S2    the strings are equal (also ==)
+      S1 != S2   the strings are not equal
+      INTEGER TESTS
+      N1 -eq N2, -ne, -lt, -le, -gt, -ge
+      OTHER
+      ! EXPR     negates EXPR
+      EXAMPLES
+      if test -f notes.txt; then cat notes.txt; fi
+      Prints notes.txt only if it exists.
+      while test $COUNT -lt 5; do ...; done
+      Loops while COUNT is below 5.`,
+        });
+    }
+
+    _evaluateFileTest(operator, pathArg, context) {
+        const { FileSystemManager, Config } = context.dependencies;
+        const { currentUser } = context;
+        const resolvedPath = FileSystemManager.getAbsolutePath(pathArg);
+        const node = FileSystemManager.getNodeByPath(resolvedPath, {
+            resolveLastSymlink: operator !== "-L",
+        });
+        if (!node) return false;
+
+        switch (operator) {
+            case "-e":
+                return true;
+            case "-f":
+                return node.type === Config.FILESYSTEM.DEFAULT_FILE_TYPE;
+            case "-d":
+                return node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE;
+            case "-L":
+                return node.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE;
+            case "-s":
+                return FileSystemManager.calculateNodeSize(node) > 0;
+            case "-r":
+                return FileSystemManager.hasPermission(node, currentUser, "read");
+            case "-w":
+                return FileSystemManager.hasPermission(node, currentUser, "write");
+            case "-x":
+                return FileSystemManager.hasPermission(node, currentUser, "execute");
+        }
+        return false;
+    }
+
+    _evaluate(args, context) {
+        if (args.length === 0) return false;
+        if (args[0] === "!") return !this._evaluate(args.slice(1), context);
+        if (args.length === 1) return args[0] !== "";
+
+        if (args.length === 2) {
+            const [operator, operand] = args;
+            if (operator === "-z") return operand === "";
+            if (operator === "-n") return operand !== "";
+            if (["-e", "-f", "-d", "-L", "-s", "-r", "-w", "-x"].includes(operator)) {
+                return this._evaluateFileTest(operator, operand, context);
+            }
+            throw new Error(`unknown unary operator '${operator}'`);
+        }
+
+        if (args.length === 3) {
+            const [left, operator, right] = args;
+            switch (operator) {
+                case "=":
+                case "==":
+                    return left === right;
+                case "!=":
+                    return left !== right;
+            }
+            const integerOperators = {
+                "-eq": (a, b) => a === b,
+                "-ne": (a, b) => a !== b,
+                "-lt": (a, b) => a < b,
+                "-le": (a, b) => a <= b,
+                "-gt": (a, b) => a > b,
+                "-ge": (a, b) => a >= b,
+            };
+            if (integerOperators[operator]) {
+                const a = Number(left);
+                const b = Number(right);
+                if (!Number.isInteger(a) || !Number.isInteger(b)) {
+                    throw new Error("integer expression expected");
+                }
+                return integerOperators[operator](a, b);
+            }
+            throw new Error(`unknown binary operator '${operator}'`);
+        }
+
+        throw new Error("too many arguments");
+    }
+
+    async coreLogic(context) {
+        const { args, dependencies } = context;
+        const { ErrorHandler, Config } = dependencies;
+
+        try {
+            return ErrorHandler.createSuccess("", {
+                exitCode: this._evaluate(args, context)
+                    ? Config.EXIT_CODES.SUCCESS
+                    : Config.EXIT_CODES.FAILURE,
+            });
+        } catch (e) {
+            return ErrorHandler.createError(`test: ${e.message}`, {
+                exitCode: Config.EXIT_CODES.USAGE,
+            });
+        }
+    }
+}
+
+window.CommandRegistry.register(new TestCommand());
@@ -8,11 +8,16 @@ window.TouchCommand = class TouchCommand extends Command {
       helpText: `Usage: touch [OPTION]... FILE...
       Change file timestamps.
       DESCRIPTION
-      The touch command updates the modification time of each FILE to
+      The touch command updates the access and modification times of
+      each FILE to the current time. Its change time is always set to
       the current time.
       A FILE argument that does not exist is created empty, unless the
       -c option is supplied.
       OPTIONS
+      -a
+      Change only the access time.
+      -m
+      Change only the modification time.
       -c, --no-create
       Do not create any files.
       -d, --date=<string>
@@ -29,6 +34,8 @@ window.TouchCommand = class TouchCommand extends Command {
       create it if it's missing.`,
       completionType: "paths",
       flagDefinitions: [
+        { name: "accessOnly", short: "-a" },
+        { name: "modifyOnly", short: "-m" },
         { name: "noCreate", short: "-c", long: "--no-create" },
         { name: "dateString", short: "-d", long: "--date", takesValue: true },
         { name: "stamp", short: "-t", takesValue: true },
@@ -52,6 +59,11 @@ window.TouchCommand = class TouchCommand extends Command {
     let changesMade = false;
 
     const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
+    const setTimes = (node) => {
+      if (!flags.modifyOnly || flags.accessOnly) node.atime = timestampToUse;
+      if (!flags.accessOnly || flags.modifyOnly) node.mtime = timestampToUse;
+      FileSystemManager.markChanged(node);
+    };
 
     for (const pathArg of args) {
       const pathValidationResult = FileSystemManager.validatePath(pathArg, {
@@ -83,7 +95,7 @@ window.TouchCommand = class TouchCommand extends Command {
           allSuccess = false;
           continue;
         }
-        node.mtime = timestampToUse;
+        setTimes(node);
         changesMade = true;
       } else {
         if (flags.noCreate) continue;
@@ -108,7 +120,7 @@ window.TouchCommand = class TouchCommand extends Command {
         }
         const newNode = FileSystemManager.getNodeByPath(resolvedPath);
         if (newNode) {
-          newNode.mtime = timestampToUse;
+          setTimes(newNode);
           changesMade = true;
         }
       }
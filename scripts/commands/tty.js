@@ -0,0 +1,58 @@
+// scripts/commands/tty.js
+
+window.TtyCommand = class TtyCommand extends Command {
+    constructor() {
+        super({
+            commandName: "tty",
+            description: "Prints the name of the current terminal.",
+            helpText: `Usage: tty [-s]
+      Print the file name of the terminal connected to standard input.
+      DESCRIPTION
+      OopisOS has up to TERMINAL.MAX_TTYS virtual terminals, tty1 to tty6
+      by default, each with its own logged-in users, working directory,
+      environment, shell functions and options, history and jobs. Switch between them with the tabs
+      above the terminal or with Ctrl+Alt+F1 to Ctrl+Alt+F6; one not yet
+      opened starts with the default user logged in. Commands keep running
+      on a terminal that is switched away from, as its user and in its
+      working directory.
+      tty prints the terminal the command was typed on, such as
+      '/dev/tty2', or 'not a tty' when its input comes from a pipe or
+      a file.
+      OPTIONS
+      -s, --silent
+            Print nothing; only set the exit status.
+      EXAMPLES
+      tty
+      Prints /dev/tty1 on the first terminal.
+      who
+      Lists who is logged in on each terminal.`,
+            flagDefinitions: [
+                { name: "silent", short: "-s", long: "--silent" },
+            ],
+            validations: {
+                args: {
+                    exact: 0,
+                    error: "Usage: tty [-s]"
+                }
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { flags, options, dependencies } = context;
+        const { SessionManager, ErrorHandler } = dependencies;
+
+        const hasStdin =
+            options.stdinStream ||
+            (options.stdinContent !== null && options.stdinContent !== undefined);
+        if (hasStdin) {
+            return ErrorHandler.createSuccess(flags.silent ? "" : "not a tty", { exitCode: 1 });
+        }
+        if (flags.silent) {
+            return ErrorHandler.createSuccess("");
+        }
+        return ErrorHandler.createSuccess(`/dev/${options.tty || SessionManager.getTty()}`);
+    }
+}
+
+window.CommandRegistry.register(new TtyCommand());
@@ -0,0 +1,94 @@
+// scripts/commands/umask.js
+
+window.UmaskCommand = class UmaskCommand extends Command {
+    constructor() {
+        super({
+            commandName: "umask",
+            description: "Displays or sets the file creation mask.",
+            helpText: `Usage: umask [-S] [mode]
+      Display or set the file creation mask.
+      DESCRIPTION
+      The umask lists the permission bits that are removed from new
+      files and directories. New files are created with mode 666 and
+      new directories with mode 777, minus the bits in the umask; the
+      default umask of 022 gives 644 and 755.
+      With no mode, umask prints the current mask as an octal number.
+      The mode may be an octal number, or a symbolic list such as
+      u=rwx,g=rx,o= naming the permissions to keep.
+      The umask belongs to the current session. Changes made inside a
+      script or a ( ) subshell are undone when it ends. A default ACL
+      on the parent directory (see setfacl) takes precedence over it.
+      OPTIONS
+      -S, --symbolic
+            Print the mask in symbolic form.
+      EXAMPLES
+      umask 027
+      New files are 640 and new directories 750: nothing for others.
+      umask -S
+      Prints 'u=rwx,g=rx,o=rx' for the default mask.`,
+            flagDefinitions: [
+                { name: "symbolic", short: "-S", long: "--symbolic" },
+            ],
+            validations: {
+                args: { max: 1, error: "Usage: umask [-S] [mode]" },
+            },
+        });
+    }
+
+    _toSymbolic(mask) {
+        const allowed = ~mask & 0o777;
+        return ["u", "g", "o"]
+            .map((who, index) => {
+                const perms = (allowed >> (6 - index * 3)) & 7;
+                return `${who}=${perms & 4 ? "r" : ""}${perms & 2 ? "w" : ""}${perms & 1 ? "x" : ""}`;
+            })
+            .join(",");
+    }
+
+    _parseSymbolic(modeArg) {
+        const shifts = { u: 6, g: 3, o: 0 };
+        let allowed = 0;
+        for (const clause of modeArg.split(",")) {
+            const match = clause.match(/^([ugoa]+)=([rwx]*)$/);
+            if (!match) {
+                return null;
+            }
+            let perms = 0;
+            if (match[2].includes("r")) perms |= 4;
+            if (match[2].includes("w")) perms |= 2;
+            if (match[2].includes("x")) perms |= 1;
+            for (const who of new Set(match[1].replace(/a/g, "ugo"))) {
+                allowed = (allowed & ~(7 << shifts[who])) | (perms << shifts[who]);
+            }
+        }
+        return ~allowed & 0o777;
+    }
+
+    async coreLogic(context) {
+        const { args, flags, dependencies } = context;
+        const { ErrorHandler, FileSystemManager } = dependencies;
+
+        if (args.length === 0) {
+            const mask = FileSystemManager.getUmask();
+            return ErrorHandler.createSuccess(
+                flags.symbolic
+                    ? this._toSymbolic(mask)
+                    : mask.toString(8).padStart(4, "0")
+            );
+        }
+
+        const modeArg = args[0];
+        const mask = /^[0-7]{1,4}$/.test(modeArg)
+            ? parseInt(modeArg, 8)
+            : this._parseSymbolic(modeArg);
+        if (mask === null || mask > 0o777) {
+            return ErrorHandler.createError(
+                `umask: ${modeArg}: invalid mode`
+            );
+        }
+        FileSystemManager.setUmask(mask);
+        return ErrorHandler.createSuccess("");
+    }
+}
+
+window.CommandRegistry.register(new UmaskCommand());
@@ -0,0 +1,44 @@
+// scripts/commands/umount.js
+
+window.UmountCommand = class UmountCommand extends Command {
+    constructor() {
+        super({
+            commandName: "umount",
+            description: "Unmounts synthetic filesystems.",
+            helpText: `Usage: umount <directory>...
+      Unmount synthetic filesystems.
+      DESCRIPTION
+      umount detaches the filesystem mounted on each directory, so the
+      directory's own contents show again. A filesystem cannot be
+      unmounted while the current directory is inside it.
+      Only root may unmount filesystems. 'mount -a' mounts the
+      defaults again.
+      EXAMPLES
+      umount /sys
+      Detaches the network view mounted on /sys.`,
+            completionType: "paths",
+            validations: {
+                args: { min: 1, error: "Usage: umount <directory>..." },
+            },
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, currentUser, dependencies } = context;
+        const { FileSystemManager, ErrorHandler } = dependencies;
+
+        if (currentUser !== "root") {
+            return ErrorHandler.createError("umount: only root can unmount filesystems");
+        }
+
+        for (const arg of args) {
+            const result = FileSystemManager.unmount(FileSystemManager.getAbsolutePath(arg));
+            if (!result.success) {
+                return ErrorHandler.createError(`umount: ${result.error}`);
+            }
+        }
+        return ErrorHandler.createSuccess("");
+    }
+}
+
+window.CommandRegistry.register(new UmountCommand());
@@ -9,7 +9,7 @@ async function _restoreNode(name, nodeData, parentPath, dependencies, currentUse
         const result = await FileSystemManager.createOrUpdateFile(
             fullPath,
             nodeData.content || '',
-            { currentUser, primaryGroup }
+            { currentUser, primaryGroup, mimeType: nodeData.mimeType }
         );
         if (!result.success) {
             throw new Error(`Failed to create file ${fullPath}: ${result.error}`);
@@ -74,7 +74,7 @@ window.UnzipCommand = class UnzipCommand extends Command {
 
     async coreLogic(context) {
         const { currentUser, validatedPaths, dependencies } = context;
-        const { ErrorHandler, FileSystemManager } = dependencies;
+        const { ErrorHandler, FileSystemManager, Utils } = dependencies;
 
         if (!validatedPaths || validatedPaths.length === 0) {
             return ErrorHandler.createError("unzip: missing file operand");
@@ -90,7 +90,7 @@ window.UnzipCommand = class UnzipCommand extends Command {
 
         let archiveData;
         try {
-            archiveData = JSON.parse(archiveNode.content || "{}");
+            archiveData = Utils.parseJSONWithBinary(Utils.contentToText(archiveNode.content) || "{}");
         } catch (e) {
             return ErrorHandler.createError(
                 `unzip: cannot process archive, invalid JSON format. ${e.message}`
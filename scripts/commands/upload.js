@@ -105,13 +105,18 @@ window.UploadCommand = class UploadCommand extends Command {
                     const uploadPromise = new Promise((fileResolve) => {
                         const reader = new FileReader();
                         reader.onload = async (event) => {
-                            const content = event.target.result;
+                            const bytes = new Uint8Array(event.target.result);
+                            const text = Utils.decodeTextIfPossible(bytes);
                             const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
 
                             const saveResult = await FileSystemManager.createOrUpdateFile(
                                 newFilePath,
-                                content,
-                                { currentUser, primaryGroup }
+                                text ?? bytes,
+                                {
+                                    currentUser,
+                                    primaryGroup,
+                                    mimeType: file.type || Utils.detectMimeType(bytes),
+                                }
                             );
 
                             if (saveResult.success) {
@@ -132,13 +137,7 @@ window.UploadCommand = class UploadCommand extends Command {
                             fileResolve(false);
                         };
 
-                        const binaryExtensions = ['mxl'];
-                        const extension = file.name.split('.').pop().toLowerCase();
-                        if (binaryExtensions.includes(extension)) {
-                            reader.readAsArrayBuffer(file);
-                        } else {
-                            reader.readAsText(file);
-                        }
+                        reader.readAsArrayBuffer(file);
 
                     });
 
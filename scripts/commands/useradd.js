@@ -13,6 +13,12 @@ window.UseraddCommand = class UseraddCommand extends Command {
       confirm a password for the new user in a secure, obscured input.
       When run from a script, it will consume the next two lines of the
       script as the password and confirmation.
+      The account is added to /etc/passwd, with the hashed password in
+      /etc/shadow, which only root can read. A group of the same name is
+      added to /etc/group as the user's primary group.
+      The password must be at least LOGIN.MIN_PASSWORD_LENGTH characters
+      long, and ages by the LOGIN.PASS_MIN_DAYS, PASS_MAX_DAYS and
+      PASS_WARN_AGE settings in /etc/oopis.conf; see 'passwd'.
       EXAMPLES
       useradd newdev
       Starts the process to create a user named 'newdev',
@@ -27,15 +33,10 @@ window.UseraddCommand = class UseraddCommand extends Command {
 
     async coreLogic(context) {
         const { args, options, dependencies } = context;
-        const { UserManager, ErrorHandler, ModalManager, Config, StorageManager } = dependencies;
+        const { UserManager, ErrorHandler, ModalManager, Config } = dependencies;
         const username = args[0];
 
-        const userCheck = StorageManager.loadItem(
-            Config.STORAGE_KEYS.USER_CREDENTIALS,
-            "User list",
-            {}
-        );
-        if (userCheck[username]) {
+        if (await UserManager.userExists(username)) {
             return ErrorHandler.createError(
                 `useradd: User '${username}' already exists.`
             );
@@ -48,12 +49,9 @@ window.UseraddCommand = class UseraddCommand extends Command {
                 messageLines: [Config.MESSAGES.PASSWORD_PROMPT],
                 obscured: true,
                 onConfirm: (firstPassword) => {
-                    if (firstPassword.trim() === "") {
-                        resolve(
-                            ErrorHandler.createError(
-                                Config.MESSAGES.EMPTY_PASSWORD_NOT_ALLOWED
-                            )
-                        );
+                    const passwordValidation = UserManager.validatePassword(firstPassword);
+                    if (!passwordValidation.isValid) {
+                        resolve(ErrorHandler.createError(passwordValidation.error));
                         return;
                     }
                     ModalManager.request({
@@ -5,16 +5,37 @@ window.VisudoCommand = class VisudoCommand extends Command {
         super({
             commandName: "visudo",
             description: "Edits the sudoers file with syntax checking.",
-            helpText: `Usage: visudo
+            helpText: `Usage: visudo [-c]
       Edit the sudoers file.
       DESCRIPTION
       visudo edits the sudoers file in a safe fashion. It opens the
-      /etc/sudoers file in the 'edit' application. Upon saving, visudo
+      /etc/sudoers file in the 'edit' application. On each save, visudo
       parses the file to check for syntax errors before installing it.
-      If errors are found, the changes are not saved, and the user is
-      prompted to re-edit or quit.
+      If errors are found, the file is not saved and the error and its
+      line are shown, so it can be corrected or the editor left without
+      saving.
       This prevents syntax errors in the sudoers file from locking users
       out of the 'sudo' command.
+      FILE FORMAT
+      Defaults timestamp_timeout=<minutes>
+            How long sudo remembers a password; 0 asks every time.
+      User_Alias NAME = alice, %staff
+      Runas_Alias, Host_Alias and Cmnd_Alias work the same way.
+      <users> <hosts> = [(<run as>)] [NOPASSWD:] <command> [<args>], ...
+            Users may be names, %groups or aliases, and hosts OopisOs or
+            ALL. Without (<run as>), commands run as root only. A command
+            with no arguments given allows any, "" allows none, and
+            otherwise the arguments must match, where * and ? are
+            wildcards. '!' before an entry excludes it, and the last
+            matching entry wins.
+      OPTIONS
+      -c, --check
+            Check the installed file and report any errors, without
+            editing it.
+      EXAMPLES
+      %staff ALL = (ALL) ALL
+      ops ALL = NOPASSWD: systemctl restart web, !systemctl stop *
+      Cmnd_Alias VIEW = cat /var/log/*, less /var/log/*
       PERMISSIONS
       Only the superuser (root) can run this command.`,
             dependencies: [
@@ -22,6 +43,9 @@ window.VisudoCommand = class VisudoCommand extends Command {
                 "apps/editor/editor_manager.js",
             ],
             applicationModules: ["EditorManager", "EditorUI", "App"],
+            flagDefinitions: [
+                { name: "check", short: "-c", long: "--check" },
+            ],
             validations: {
                 args: {
                     exact: 0
@@ -31,12 +55,14 @@ window.VisudoCommand = class VisudoCommand extends Command {
     }
 
     async coreLogic(context) {
-        const { currentUser, options, dependencies } = context;
+        const { currentUser, flags, options, dependencies } = context;
         const {
             FileSystemManager,
             SudoManager,
-            CommandExecutor,
+            AppLayerManager,
+            EditorManager,
             ErrorHandler,
+            Config,
         } = dependencies;
 
         if (currentUser !== "root") {
@@ -45,42 +71,36 @@ window.VisudoCommand = class VisudoCommand extends Command {
             );
         }
 
+        const sudoersPath = Config.SUDO.SUDOERS_PATH;
+        const sudoersNode = FileSystemManager.getNodeByPath(sudoersPath);
+        const originalContent = sudoersNode ? sudoersNode.content || "" : "";
+
+        if (flags.check) {
+            const { error } = SudoManager.parseSudoers(originalContent);
+            if (error) {
+                return ErrorHandler.createError(`visudo: ${sudoersPath}: ${error}`);
+            }
+            return ErrorHandler.createSuccess(`${sudoersPath}: parsed OK`);
+        }
+
         if (!options.isInteractive) {
             return ErrorHandler.createError(
                 "visudo: Can only be run in interactive mode."
             );
         }
 
-        const sudoersPath = SudoManager.config.SUDO.SUDOERS_PATH;
-        let originalContent = "";
-        const sudoersNode = FileSystemManager.getNodeByPath(sudoersPath);
-        if (sudoersNode) {
-            originalContent = sudoersNode.content || "";
-        }
-
-        options.postSaveHook = async (newContent) => {
-            const { isValid, error } = SudoManager.parseSudoers(newContent);
-            if (isValid) {
-                return { success: true, message: "sudoers file updated." };
-            } else {
-                const reEditCallback = async (editorInstance) => {
-                    editorInstance.setContent(originalContent);
-                    editorInstance.ui.showToast(
-                        `Syntax error: ${error}. Reverting changes.`,
-                        "error"
-                    );
-                };
-
-                return {
-                    success: false,
-                    message: `visudo: >>> sudoers file syntax error <<<`,
-                    error: `${error}\nChanges not saved.`,
-                    reEditCallback,
-                };
-            }
-        };
+        AppLayerManager.show(new EditorManager(), {
+            filePath: sudoersPath,
+            fileContent: originalContent,
+            validateContent: (newContent) => {
+                const { error } = SudoManager.parseSudoers(newContent);
+                return error ? `sudoers syntax error, ${error}` : null;
+            },
+            onSaveCallback: () => SudoManager.invalidateSudoersCache(),
+            dependencies,
+        });
 
-        return CommandExecutor.processSingleCommand(`edit ${sudoersPath}`, options);
+        return ErrorHandler.createSuccess("");
     }
 }
 
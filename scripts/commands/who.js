@@ -0,0 +1,69 @@
+// scripts/commands/who.js
+
+window.WhoCommand = class WhoCommand extends Command {
+    constructor() {
+        super({
+            commandName: "who",
+            description: "Shows who is logged in.",
+            helpText: `Usage: who [-H] [am i]
+      Show who is logged in.
+      DESCRIPTION
+      who lists the sessions open now, as recorded in /var/log/wtmp: the
+      user, the terminal, when the session started and, for one started
+      with 'su', the user it was run from. Sessions stacked with 'su' are
+      listed under the one they were started from. Each virtual terminal
+      opened, tty1 to tty6, has its own sessions; see 'tty'.
+      To send a message to one, use 'write <username> <tty>'.
+      OPTIONS
+      -H, --heading
+            Print a line of column headings first.
+      am i
+            Show only your own session on this terminal.
+      EXAMPLES
+      who
+      Lists everyone logged in.
+      who am i
+      Shows the session you are typing in.`,
+            flagDefinitions: [
+                { name: "heading", short: "-H", long: "--heading" },
+            ],
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, flags, currentUser, dependencies } = context;
+        const { UserManager, SessionManager, ErrorHandler, Config, Utils } = dependencies;
+
+        const selfOnly = args.length === 2 && args[0] === "am" && args[1].toLowerCase() === "i";
+        if (args.length > 0 && !selfOnly) {
+            return ErrorHandler.createError("Usage: who [-H] [am i]", {
+                exitCode: Config.EXIT_CODES.USAGE,
+            });
+        }
+
+        let sessions = UserManager.getLoginSessions().filter(
+            (session) => session.type !== "reboot" && !session.end
+        );
+        if (selfOnly) {
+            sessions = sessions
+                .filter(
+                    (session) =>
+                        session.username === currentUser &&
+                        session.tty === SessionManager.getTty()
+                )
+                .slice(-1);
+        }
+
+        const lines = sessions.map((session) => {
+            const from = session.from ? ` (${session.from})` : "";
+            const start = Utils.formatLocalDateTime(new Date(session.start)).slice(0, 16);
+            return `${session.username.padEnd(8)} ${session.tty.padEnd(12)} ${start}${from}`;
+        });
+        if (flags.heading) {
+            lines.unshift(`${"NAME".padEnd(8)} ${"LINE".padEnd(12)} ${"TIME".padEnd(16)} COMMENT`);
+        }
+        return ErrorHandler.createSuccess(lines.join("\n"));
+    }
+}
+
+window.CommandRegistry.register(new WhoCommand());
@@ -0,0 +1,96 @@
+// scripts/commands/write.js
+
+window.WriteCommand = class WriteCommand extends Command {
+    constructor() {
+        super({
+            commandName: "write",
+            description: "Sends a message to another user's terminal.",
+            helpText: `Usage: write <username> [<tty>]
+      Send a message to another user.
+      DESCRIPTION
+      write shows a message on the terminal where <username> is logged
+      in, headed with who it is from, the terminal it was sent from and
+      the time, and ended with 'EOF'. The message is read from standard
+      input, or asked for when nothing is piped in.
+      When <username> is logged in on more than one terminal, give the
+      one to write to as <tty>, such as 'tty2'; otherwise the first is
+      used. Use 'who' to see who is logged in where.
+      EXAMPLES
+      write alice
+      Asks for a message and shows it on alice's terminal.
+      echo "build finished" | write root tty2
+      Shows 'build finished' on root's session on tty2.`,
+            completionType: "users",
+            isInputStream: true,
+            firstFileArgIndex: 2,
+            validations: {
+                args: {
+                    min: 1,
+                    max: 2,
+                    error: "Usage: write <username> [<tty>]"
+                }
+            },
+        });
+    }
+
+    async _promptForMessage(context) {
+        const { options, dependencies } = context;
+        const { ModalManager } = dependencies;
+        return new Promise((resolve) => {
+            ModalManager.request({
+                context: "terminal",
+                type: "input",
+                messageLines: ["Message:"],
+                onConfirm: (message) => resolve(message),
+                onCancel: () => resolve(null),
+                options,
+            });
+        });
+    }
+
+    async coreLogic(context) {
+        const { args, inputItems, currentUser, options, dependencies } = context;
+        const { SessionManager, OutputManager, ErrorHandler, Config } = dependencies;
+        const [username, ttyArg] = args;
+        const tty = ttyArg ? ttyArg.replace(/^\/dev\//, "") : null;
+
+        const terminals = SessionManager.getTerminals()
+            .filter((terminal) => terminal.stack.includes(username))
+            .map((terminal) => terminal.tty);
+        if (terminals.length === 0) {
+            return ErrorHandler.createError(`write: ${username} is not logged in`);
+        }
+        if (tty && !terminals.includes(tty)) {
+            return ErrorHandler.createError(`write: ${username} is not logged in on ${tty}`);
+        }
+        const target = tty || terminals[0];
+
+        const message = inputItems && inputItems.length > 0
+            ? inputItems.map((item) => item.content).join("\n")
+            : await this._promptForMessage(context);
+        if (message === null) {
+            return ErrorHandler.createSuccess("");
+        }
+
+        const fromTty = options.tty || SessionManager.getTty();
+        const time = new Date().toTimeString().slice(0, 5);
+        await OutputManager.appendToOutput(
+            [
+                "",
+                `Message from ${currentUser}@${Config.OS.DEFAULT_HOST_NAME} on ${fromTty} at ${time} ...`,
+                message.replace(/\n$/, ""),
+                "EOF",
+            ].join("\n"),
+            { tty: target, isBackground: true }
+        );
+
+        if (!tty && terminals.length > 1) {
+            return ErrorHandler.createSuccess("", {
+                stderr: `write: ${username} is logged in more than once; writing to ${target}`,
+            });
+        }
+        return ErrorHandler.createSuccess("");
+    }
+}
+
+window.CommandRegistry.register(new WriteCommand());
@@ -68,7 +68,10 @@ window.XargsCommand = class XargsCommand extends Command {
 
         const result = await CommandExecutor.processSingleCommand(commandWithReplacement, options);
         if (!result.success) {
-          return ErrorHandler.createError(result.error);
+          return ErrorHandler.createError(
+              result.error || `command exited with status ${result.exitCode}`,
+              { exitCode: 123 }
+          );
         }
       }
     } else {
@@ -79,7 +82,10 @@ window.XargsCommand = class XargsCommand extends Command {
 
         const result = await CommandExecutor.processSingleCommand(fullCommand, options);
         if (!result.success) {
-          return ErrorHandler.createError(result.error);
+          return ErrorHandler.createError(
+              result.error || `command exited with status ${result.exitCode}`,
+              { exitCode: 123 }
+          );
         }
       }
     }
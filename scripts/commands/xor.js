@@ -13,6 +13,7 @@ window.XorCommand = class XorCommand extends Command {
       purposes and is NOT cryptographically secure.
       The same command and key are used for both encryption and decryption.
       If [outputfile] is not specified, the result is printed to standard output.
+      Binary files are ciphered byte by byte and stay binary.
       WARNING
       This tool is for educational purposes ONLY. It is NOT
       cryptographically secure and should not be used to protect
@@ -33,7 +34,7 @@ window.XorCommand = class XorCommand extends Command {
 
     async coreLogic(context) {
         const { args, currentUser, validatedPaths, dependencies } = context;
-        const { FileSystemManager, UserManager, ErrorHandler } = dependencies;
+        const { FileSystemManager, UserManager, ErrorHandler, Utils } = dependencies;
 
         const key = args[0];
         const inputFileNode = validatedPaths[0].node;
@@ -42,16 +43,21 @@ window.XorCommand = class XorCommand extends Command {
         const inputContent = inputFileNode.content || "";
         let outputContent = "";
 
-        for (let i = 0; i < inputContent.length; i++) {
-            const charCode = inputContent.charCodeAt(i);
-            const keyCode = key.charCodeAt(i % key.length);
-            outputContent += String.fromCharCode(charCode ^ keyCode);
+        if (Utils.isBinaryContent(inputContent)) {
+            const keyBytes = Utils.contentToBytes(key);
+            outputContent = inputContent.map((byte, i) => byte ^ keyBytes[i % keyBytes.length]);
+        } else {
+            for (let i = 0; i < inputContent.length; i++) {
+                const charCode = inputContent.charCodeAt(i);
+                const keyCode = key.charCodeAt(i % key.length);
+                outputContent += String.fromCharCode(charCode ^ keyCode);
+            }
         }
 
         if (outputFile) {
             const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
             const saveResult = await FileSystemManager.createOrUpdateFile(
-                outputFile,
+                FileSystemManager.getAbsolutePath(outputFile),
                 outputContent,
                 { currentUser, primaryGroup }
             );
@@ -61,7 +67,7 @@ window.XorCommand = class XorCommand extends Command {
             }
             return ErrorHandler.createSuccess("", { stateModified: true });
         } else {
-            return ErrorHandler.createSuccess(outputContent);
+            return ErrorHandler.createSuccess(Utils.contentToText(outputContent));
         }
     }
 }
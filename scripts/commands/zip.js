@@ -6,6 +6,7 @@ async function _archiveNode(node, dependencies) {
         return {
             type: "file",
             content: node.content,
+            ...(node.mimeType ? { mimeType: node.mimeType } : {}),
         };
     }
 
@@ -50,7 +51,7 @@ window.ZipCommand = class ZipCommand extends Command {
 
     async coreLogic(context) {
         const { args, currentUser, dependencies } = context;
-        const { ErrorHandler, FileSystemManager, OutputManager, UserManager } = dependencies;
+        const { ErrorHandler, FileSystemManager, OutputManager, UserManager, Utils } = dependencies;
         let archivePath = args[0];
         const sourcePath = args[1];
 
@@ -104,7 +105,7 @@ window.ZipCommand = class ZipCommand extends Command {
         const archiveObject = {
             [sourceName]: await _archiveNode(sourceValidation.node, dependencies),
         };
-        const archiveContent = JSON.stringify(archiveObject, null, 2);
+        const archiveContent = Utils.stringifyJSONWithBinary(archiveObject, 2);
 
         const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
         const saveResult = await FileSystemManager.createOrUpdateFile(
@@ -13,6 +13,46 @@ class CommandExecutor {
     this.dependencies = dependencies;
   }
 
+  /** @returns {object} The shell state a newly opened terminal starts with. */
+  createShellState() {
+    return {
+      lastExitStatus: 0,
+      pipeStatus: [0],
+      shellOptions: {
+        errexit: false,
+        pipefail: false,
+        nullglob: false,
+        dotglob: false,
+        extglob: false,
+      },
+      functions: {},
+      callStack: [],
+    };
+  }
+
+  /** @returns {object} The shell state of the terminal this executor runs on. */
+  _getShell() {
+    const { SessionManager } = this.dependencies;
+    return SessionManager.getShellState(SessionManager.getTty());
+  }
+
+  getLastExitStatus() {
+    return this._getShell().lastExitStatus;
+  }
+
+  getShellOptions() {
+    return { ...this._getShell().shellOptions };
+  }
+
+  setShellOption(name, enabled) {
+    const { shellOptions } = this._getShell();
+    if (!(name in shellOptions)) {
+      return false;
+    }
+    shellOptions[name] = enabled;
+    return true;
+  }
+
   _loadScript(scriptPath) {
     if (this.loadedScripts.has(scriptPath)) {
       return Promise.resolve(true);
@@ -207,8 +247,27 @@ class CommandExecutor {
     return handler;
   }
 
-  getActiveJobs() {
-    return this.activeJobs;
+  getActiveJobs(tty = null) {
+    if (!tty) {
+      return this.activeJobs;
+    }
+    return Object.fromEntries(
+        Object.entries(this.activeJobs).filter(([, job]) => job.tty === tty)
+    );
+  }
+
+  /**
+   * Finds a job by the number it has on its terminal, as in "%1".
+   * @returns {?object} The job, or null if the terminal has no such job.
+   */
+  findJobByNumber(tty, number) {
+    return Object.values(this.getActiveJobs(tty)).find((job) => job.number === number) || null;
+  }
+
+  /** Job numbers count up per terminal, starting again once it has no jobs. */
+  _nextJobNumber(tty) {
+    const numbers = Object.values(this.getActiveJobs(tty)).map((job) => job.number);
+    return Math.max(0, ...numbers) + 1;
   }
 
   sendSignalToJob(jobId, signal) {
@@ -242,7 +301,8 @@ class CommandExecutor {
 
 
   async executeScript(lines, options = {}) {
-    const { ErrorHandler, EnvironmentManager, Config } = this.dependencies;
+    const { ErrorHandler, EnvironmentManager, FileSystemManager, SessionManager, Config } = this.dependencies;
+    const tty = options.tty || SessionManager.getTty();
 
     EnvironmentManager.push();
 
@@ -253,6 +313,10 @@ class CommandExecutor {
       args: options.args || [],
     };
 
+    const shell = this._getShell();
+    const savedFunctions = { ...shell.functions };
+    const savedShellOptions = { ...shell.shellOptions };
+    const savedUmask = FileSystemManager.getUmask();
     let stepCounter = 0;
     const MAX_STEPS = Config.FILESYSTEM.MAX_SCRIPT_STEPS || 10000;
 
@@ -265,35 +329,184 @@ class CommandExecutor {
         scriptingContext.currentLineIndex = i;
         const line = lines[i].trim();
         if (line && !line.startsWith("#")) {
-          const result = await this.processSingleCommand(line, {
+          let commandBlock = line;
+          while (
+              this._isIncompleteCommand(commandBlock) &&
+              scriptingContext.currentLineIndex < lines.length - 1
+          ) {
+            scriptingContext.currentLineIndex++;
+            commandBlock += "\n" + lines[scriptingContext.currentLineIndex];
+          }
+          const result = await this.processSingleCommand(commandBlock, {
             ...options,
+            tty,
             scriptingContext,
           });
+          const blockStartLine = i;
           i = scriptingContext.currentLineIndex;
-          if (!result.success) {
-            throw new Error(`Error on line ${i + 1}: ${result.error || 'Unknown error'}`);
+          if (result.errexit) {
+            throw new Error(`Error on line ${blockStartLine + 1}: ${result.error || `exited with status ${result.exitCode}`}`);
           }
         }
       }
     } finally {
+      shell.functions = savedFunctions;
+      shell.shellOptions = savedShellOptions;
+      FileSystemManager.setUmask(savedUmask);
+      EnvironmentManager.pop();
+    }
+
+    return ErrorHandler.createSuccess("Script finished successfully.", {
+      exitCode: shell.lastExitStatus,
+    });
+  }
+
+  _isIncompleteCommand(commandText) {
+    const { Lexer, Parser } = this.dependencies;
+    try {
+      new Parser(
+          new Lexer(this._stripComments(commandText), this.dependencies).tokenize(),
+          this.dependencies
+      ).parse();
+      return false;
+    } catch (e) {
+      return e.isIncomplete === true;
+    }
+  }
+
+  _getExpansionContext(options = {}) {
+    const shell = this._getShell();
+    return {
+      positionalArgs:
+          options.positionalArgs || options.scriptingContext?.args || [],
+      lastExitStatus: shell.lastExitStatus,
+      pipeStatus: shell.pipeStatus,
+      shellOptions: { ...shell.shellOptions },
+      tty: options.tty,
+    };
+  }
+
+  _getExitCode(result) {
+    if (typeof result.exitCode === "number") {
+      return result.exitCode;
+    }
+    return result.success ? 0 : 1;
+  }
+
+  _getPropagatedStatus(result) {
+    const status = { exitCode: this._getExitCode(result) };
+    if (result.isReturn) status.isReturn = true;
+    if (result.errexit) status.errexit = true;
+    return status;
+  }
+
+  isInFunction() {
+    return this._getShell().callStack.length > 0;
+  }
+
+  declareLocal(varName) {
+    if (!this.isInFunction()) {
+      return false;
+    }
+    const { callStack } = this._getShell();
+    callStack[callStack.length - 1].locals.add(varName);
+    return true;
+  }
+
+  async _executeFunction(name, args, options) {
+    const { ErrorHandler, EnvironmentManager, Config } = this.dependencies;
+    const MAX_DEPTH = Config.FILESYSTEM.MAX_SCRIPT_DEPTH || 100;
+    const shell = this._getShell();
+    if (shell.callStack.length >= MAX_DEPTH) {
+      return ErrorHandler.createError(
+          `${name}: maximum function nesting level (${MAX_DEPTH}) exceeded`
+      );
+    }
+
+    const { bodyOptions, collectedOutput, collectedErrors } =
+        this._prepareCapture(options);
+    bodyOptions.positionalArgs = args;
+
+    const frame = { name, locals: new Set() };
+    shell.callStack.push(frame);
+    EnvironmentManager.push();
+    let result;
+    try {
+      result = await this._executeCommandSequence(shell.functions[name], bodyOptions);
+    } finally {
+      const functionEnv = EnvironmentManager.getAll();
       EnvironmentManager.pop();
+      for (const [varName, value] of Object.entries(functionEnv)) {
+        if (!frame.locals.has(varName)) {
+          EnvironmentManager.set(varName, value);
+        }
+      }
+      for (const varName of Object.keys(EnvironmentManager.getAll())) {
+        if (!(varName in functionEnv) && !frame.locals.has(varName)) {
+          EnvironmentManager.unset(varName);
+        }
+      }
+      shell.callStack.pop();
     }
 
-    return ErrorHandler.createSuccess("Script finished successfully.");
+    const { isReturn, ...status } = this._getPropagatedStatus(result);
+    if (collectedErrors?.length) {
+      status.stderr = collectedErrors.join("\n");
+    }
+    if (!result.success) {
+      return ErrorHandler.createError(result.error, {
+        suppressErrorOutput: true,
+        ...status,
+      });
+    }
+    return ErrorHandler.createSuccess(
+        collectedOutput ? collectedOutput.join("\n") : null,
+        status
+    );
   }
 
   async _executeCommandHandler(
       segment,
       execCtxOpts,
       stdinContent = null,
-      signal
+      signal,
+      shellOptions = {}
   ) {
-    const { ErrorHandler } = this.dependencies;
-    const commandName = segment.command?.toLowerCase();
+    const { ErrorHandler, EnvironmentManager, WordExpander, Config } = this.dependencies;
+    const expander = new WordExpander(this.dependencies);
+    const expansionContext = this._getExpansionContext(execCtxOpts);
+
+    let words;
+    try {
+      const assignment = await expander.expandAssignment(
+          segment.words,
+          expansionContext
+      );
+      if (assignment) {
+        const setResult = EnvironmentManager.set(assignment.name, assignment.value);
+        return setResult.success
+            ? ErrorHandler.createSuccess("")
+            : ErrorHandler.createError(setResult.error);
+      }
+      words = await expander.expandWords(segment.words, expansionContext);
+    } catch (e) {
+      return ErrorHandler.createError(`${segment.command}: ${e.message}`);
+    }
+
+    if (words.length === 0) {
+      return ErrorHandler.createSuccess("");
+    }
+    const [commandWord, ...args] = words;
+    if (this._getShell().functions[commandWord]) {
+      return this._executeFunction(commandWord, args, shellOptions);
+    }
+    const commandName = commandWord.toLowerCase();
 
     const cmdInstance = await this._ensureCommandLoaded(commandName);
     if (!cmdInstance) {
-      return ErrorHandler.createError(`${commandName}: command not found`);
+      return ErrorHandler.createError(`${commandName}: command not found`, {
+        exitCode: Config.EXIT_CODES.NOT_FOUND,
+      });
     }
 
     if (cmdInstance instanceof Command) {
@@ -309,52 +522,207 @@ class CommandExecutor {
             }
           }
         }
-        return await cmdInstance.execute(segment.args, {
+        return await cmdInstance.execute(args, {
           ...execCtxOpts,
           stdinContent,
           signal,
         }, commandDependencies);
       } catch (e) {
-        console.error(`Error in command handler for '${segment.command}':`, e);
+        console.error(`Error in command handler for '${commandWord}':`, e);
         return ErrorHandler.createError(
-            `${segment.command}: ${e.message || "Unknown error"}`
+            `${commandWord}: ${e.message || "Unknown error"}`
         );
       }
-    } else if (segment.command) {
-      return ErrorHandler.createError(`${segment.command}: command not found`);
+    } else if (commandWord) {
+      return ErrorHandler.createError(`${commandWord}: command not found`, {
+        exitCode: Config.EXIT_CODES.NOT_FOUND,
+      });
     }
 
     return ErrorHandler.createSuccess("");
   }
 
-  async _executePipeline(pipeline, options) {
-    const { FileSystemManager, UserManager, OutputManager, Config, ErrorHandler, Utils } = this.dependencies;
-    const { isInteractive, signal, scriptingContext, suppressOutput } = options;
-    let currentStdin = null;
-    let lastResult = ErrorHandler.createSuccess("");
+  async _executeCompoundCommand(node, options) {
+    const { ErrorHandler } = this.dependencies;
+    const { bodyOptions, collectedOutput, collectedErrors } =
+        this._prepareCapture(options);
+
+    let result;
+    try {
+      switch (node.kind) {
+        case "if":
+          result = await this._executeIfClause(node, bodyOptions);
+          break;
+        case "for":
+          result = await this._executeForLoop(node, bodyOptions);
+          break;
+        case "while":
+        case "until":
+          result = await this._executeWhileLoop(node, bodyOptions);
+          break;
+        case "case":
+          result = await this._executeCaseClause(node, bodyOptions);
+          break;
+        case "subshell":
+          result = await this._executeSubshell(node, bodyOptions);
+          break;
+        case "group":
+          result = await this._executeCommandSequence(node.body, bodyOptions);
+          break;
+        case "function":
+          this._getShell().functions[node.name] = node.body;
+          return ErrorHandler.createSuccess(null);
+        default:
+          return ErrorHandler.createError(`unknown compound command '${node.kind}'`);
+      }
+    } catch (e) {
+      return ErrorHandler.createError(e.message);
+    }
+
+    const status = this._getPropagatedStatus(result);
+    if (collectedErrors?.length) {
+      status.stderr = collectedErrors.join("\n");
+    }
+    if (!result.success) {
+      return ErrorHandler.createError(result.error, {
+        suppressErrorOutput: true,
+        ...status,
+      });
+    }
+    return ErrorHandler.createSuccess(
+        collectedOutput ? collectedOutput.join("\n") : null,
+        status
+    );
+  }
+
+  async _executeSubshell(node, options) {
+    const { EnvironmentManager, FileSystemManager, TerminalUI } = this.dependencies;
+    const savedPath = FileSystemManager.getCurrentPath();
+    const shell = this._getShell();
+    const savedFunctions = { ...shell.functions };
+    const savedShellOptions = { ...shell.shellOptions };
+    const savedUmask = FileSystemManager.getUmask();
+    EnvironmentManager.push();
+    let result;
+    try {
+      result = await this._executeCommandSequence(node.body, options);
+    } finally {
+      EnvironmentManager.pop();
+      shell.functions = savedFunctions;
+      shell.shellOptions = savedShellOptions;
+      FileSystemManager.setUmask(savedUmask);
+      if (FileSystemManager.getCurrentPath() !== savedPath) {
+        FileSystemManager.setCurrentPath(savedPath);
+        if (options.isInteractive) {
+          TerminalUI.updatePrompt();
+        }
+      }
+    }
+    // 'return' and 'set -e' end the subshell, not the shell around it.
+    const { isReturn, errexit, ...subshellResult } = result;
+    return subshellResult;
+  }
+
+  _checkLoopIteration(iteration, options) {
+    const { Config } = this.dependencies;
+    const MAX_ITERATIONS = Config.FILESYSTEM.MAX_SCRIPT_STEPS || 10000;
+    if (options.signal?.aborted) {
+      throw new Error("Loop terminated.");
+    }
+    if (iteration > MAX_ITERATIONS) {
+      throw new Error(`Maximum loop iterations (${MAX_ITERATIONS}) exceeded.`);
+    }
+  }
+
+  async _executeIfClause(node, options) {
+    const { ErrorHandler } = this.dependencies;
+    for (const { condition, body } of node.clauses) {
+      const conditionResult = await this._executeCommandSequence(condition, {
+        ...options,
+        isCondition: true,
+      });
+      if (conditionResult.isReturn || conditionResult.errexit) {
+        return conditionResult;
+      }
+      if (this._getExitCode(conditionResult) === 0) {
+        return this._executeCommandSequence(body, options);
+      }
+    }
+    if (node.elseBody) {
+      return this._executeCommandSequence(node.elseBody, options);
+    }
+    return ErrorHandler.createSuccess("");
+  }
+
+  async _executeForLoop(node, options) {
+    const { ErrorHandler, EnvironmentManager, WordExpander } = this.dependencies;
+    const expansionContext = this._getExpansionContext(options);
+    const items =
+        node.words === null
+            ? expansionContext.positionalArgs
+            : await new WordExpander(this.dependencies).expandWords(
+                node.words,
+                expansionContext
+            );
+
+    let result = ErrorHandler.createSuccess("");
+    let iteration = 0;
+    for (const item of items) {
+      this._checkLoopIteration(++iteration, options);
+      EnvironmentManager.set(node.variable, item);
+      result = await this._executeCommandSequence(node.body, options);
+      if (result.isReturn || result.errexit) {
+        break;
+      }
+    }
+    return result;
+  }
 
-    if (pipeline.inputRedirectFile) {
-      const pathValidationResult = FileSystemManager.validatePath(
-          pipeline.inputRedirectFile,
-          { expectedType: "file" }
+  async _executeWhileLoop(node, options) {
+    const { ErrorHandler } = this.dependencies;
+    let result = ErrorHandler.createSuccess("");
+    let iteration = 0;
+    while (true) {
+      this._checkLoopIteration(++iteration, options);
+      const conditionResult = await this._executeCommandSequence(
+          node.condition,
+          { ...options, isCondition: true }
       );
-      if (!pathValidationResult.success) {
-        return pathValidationResult;
+      if (conditionResult.isReturn || conditionResult.errexit) {
+        return conditionResult;
       }
-      const { node } = pathValidationResult.data;
-      if (
-          !FileSystemManager.hasPermission(
-              node,
-              UserManager.getCurrentUser().name,
-              "read"
-          )
-      ) {
-        return ErrorHandler.createError(
-            `cannot open '${pipeline.inputRedirectFile}' for reading: Permission denied`
-        );
+      if ((this._getExitCode(conditionResult) === 0) === node.isUntil) {
+        break;
+      }
+      result = await this._executeCommandSequence(node.body, options);
+      if (result.isReturn || result.errexit) {
+        break;
+      }
+    }
+    return result;
+  }
+
+  async _executeCaseClause(node, options) {
+    const { ErrorHandler, WordExpander } = this.dependencies;
+    const expander = new WordExpander(this.dependencies);
+    const expansionContext = this._getExpansionContext(options);
+    const value = await expander.expandString(node.word, expansionContext);
+
+    for (const item of node.items) {
+      for (const pattern of item.patterns) {
+        if (await expander.matchesPattern(pattern, value, expansionContext)) {
+          return this._executeCommandSequence(item.body, options);
+        }
       }
-      currentStdin = node.content || "";
     }
+    return ErrorHandler.createSuccess("");
+  }
+
+  async _executePipeline(pipeline, options) {
+    const { FileSystemManager, UserManager, OutputManager, Config, ErrorHandler, Utils } = this.dependencies;
+    const { isInteractive, signal, scriptingContext, suppressOutput } = options;
+    let lastResult = ErrorHandler.createSuccess("");
+    let finalOutput = null;
 
     if (
         typeof UserManager === "undefined" ||
@@ -368,308 +736,503 @@ class CommandExecutor {
       });
       return ErrorHandler.createError(errorMsg);
     }
-    const user = UserManager.getCurrentUser().name;
-    const nowISO = new Date().toISOString();
-    for (let i = 0; i < pipeline.segments.length; i++) {
+    // Segments run concurrently, each reading from the pipe written by the
+    // one before it.
+    const lastIndex = pipeline.segments.length - 1;
+    const pipes = pipeline.segments
+        .slice(0, lastIndex)
+        .map(() => new PipeStream());
+    const results = [];
+    const pipeStatus = [];
+    let fatalResult = null;
+
+    const runSegment = async (i) => {
       const segment = pipeline.segments[i];
-      const execOptions = { isInteractive, scriptingContext };
-      if (pipeline.isBackground) {
-        const job = this.activeJobs[pipeline.jobId];
-        while (job && job.status === 'paused') {
-          await new Promise(resolve => setTimeout(resolve, 500));
+      const inputPipe = i > 0 ? pipes[i - 1] : null;
+      // The first segment of a pipeline inside a subshell or group reads
+      // from whatever feeds the block; it shares that input with the
+      // commands after it, so it must not cancel it.
+      const inheritedInput = i === 0 ? options.stdinStream || null : null;
+      const outputPipe = i < lastIndex ? pipes[i] : null;
+      const redirections = segment.redirections || [];
+      const redirectsStdout = redirections.some((redir) => redir.fd === 1);
+      const execOptions = {
+        isInteractive,
+        scriptingContext,
+        positionalArgs: options.positionalArgs,
+        tty: options.tty,
+        stdinStream: inputPipe || inheritedInput,
+        stdout: outputPipe && !redirectsStdout ? outputPipe : null,
+      };
+      const captureOutput = !!outputPipe || redirectsStdout || suppressOutput;
+      const captureErrors = redirections.some((redir) => redir.fd === 2);
+      // Once nobody reads this segment's output, stop feeding it input too,
+      // so a finished `head` winds down the whole pipeline behind it.
+      outputPipe?.onCancel(() => inputPipe?.cancel());
+      let result;
+      try {
+        if (pipeline.isBackground) {
+          const job = this.activeJobs[pipeline.jobId];
+          while (job && job.status === 'paused') {
+            await new Promise(resolve => setTimeout(resolve, 500));
+          }
+          execOptions.jobId = pipeline.jobId;
         }
-        execOptions.jobId = pipeline.jobId;
-      }
-      lastResult = await this._executeCommandHandler(
-          segment,
-          execOptions,
-          currentStdin,
-          signal
-      );
-      if (!lastResult) {
-        const err = `Critical: Command handler for '${segment.command}' returned an undefined result.`;
-        console.error(err, "Pipeline:", pipeline, "Segment:", segment);
-        lastResult = ErrorHandler.createError(err);
-      }
 
-      if (scriptingContext?.waitingForInput) {
-        return ErrorHandler.createSuccess("");
-      }
-
-      if (lastResult.success) {
-        if (lastResult.stateModified) {
-          const saveResult = await FileSystemManager.save();
-          if (!saveResult.success) {
-            return ErrorHandler.createError(
-                `CRITICAL: Failed to save file system state: ${saveResult.error}`
+        let stdinContent = null;
+        const inputResult = await this._readInputRedirection(redirections, options);
+        if (!inputResult.success) {
+          result = inputResult;
+        } else {
+          if (inputResult.data !== null) {
+            stdinContent = inputResult.data;
+            execOptions.stdinStream = null;
+            inputPipe?.cancel();
+          }
+          if (segment instanceof ParsedCompoundCommand) {
+            result = await this._executeCompoundCommand(segment, {
+              ...options,
+              stdinStream:
+                  stdinContent !== null
+                      ? await this._createInputStream(stdinContent)
+                      : execOptions.stdinStream,
+              captureOutput,
+              captureErrors,
+            });
+          } else {
+            result = await this._executeCommandHandler(
+                segment,
+                execOptions,
+                stdinContent,
+                signal,
+                { ...options, captureOutput, captureErrors }
             );
           }
         }
-
-        if (lastResult.effect === "clear_screen") {
-          OutputManager.clearOutput();
-        } else if (lastResult.effect === "backup") {
-          const { content, fileName } = lastResult.effectData;
-          const blob = new Blob([content], { type: "application/json" });
-          const url = URL.createObjectURL(blob);
-          const a = Utils.createElement("a", { href: url, download: fileName });
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
+        if (!result) {
+          const err = `Critical: Command handler for '${segment.command}' returned an undefined result.`;
+          console.error(err, "Pipeline:", pipeline, "Segment:", segment);
+          result = ErrorHandler.createError(err);
         }
+        // Whatever this segment did not read is discarded, so the commands
+        // feeding it stop instead of waiting on a full pipe.
+        inputPipe?.cancel();
+
+        if (result.success) {
+          if (result.stateModified) {
+            const saveResult = await FileSystemManager.save();
+            if (!saveResult.success) {
+              fatalResult = ErrorHandler.createError(
+                  `CRITICAL: Failed to save file system state: ${saveResult.error}`
+              );
+            }
+          }
 
-        currentStdin = lastResult.data;
-      } else {
-        const err = `${Config.MESSAGES.PIPELINE_ERROR_PREFIX}'${segment.command}': ${lastResult.error || "Unknown"}`;
-        if (!pipeline.isBackground) {
-          await OutputManager.appendToOutput(err, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        } else {
-          console.log(`Background job pipeline error: ${err}`);
+          if (result.effect === "clear_screen") {
+            OutputManager.clearOutput();
+          } else if (result.effect === "backup") {
+            const { content, fileName } = result.effectData;
+            const blob = new Blob([content], { type: "application/json" });
+            const url = URL.createObjectURL(blob);
+            const a = Utils.createElement("a", { href: url, download: fileName });
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+          }
         }
-        return lastResult;
-      }
-    }
-    if (pipeline.redirection && lastResult.success) {
-      const { type: redirType, file: redirFile } = pipeline.redirection;
 
-      let outputToWrite = lastResult.data || "";
-      if (!lastResult.suppressNewline) {
-        outputToWrite += "\n";
-      }
-      const redirValResult = FileSystemManager.validatePath(redirFile, {
-        allowMissing: true,
-        disallowRoot: true,
-        defaultToCurrentIfEmpty: false,
-      });
-
-      if (!redirValResult.success && !(redirValResult.data?.node === null)) {
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(redirValResult.error, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return redirValResult;
-      }
-      const { resolvedPath: absRedirPath } = redirValResult.data;
-      const pDirRes =
-          FileSystemManager.createParentDirectoriesIfNeeded(absRedirPath);
-      if (!pDirRes.success) {
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(
-              `Redir err: ${pDirRes.error}`,
-              {
-                typeClass: Config.CSS_CLASSES.ERROR_MSG,
-              }
-          );
-        return pDirRes;
-      }
-      const finalParentDirPath =
-          absRedirPath.substring(
-              0,
-              absRedirPath.lastIndexOf(Config.FILESYSTEM.PATH_SEPARATOR)
-          ) || Config.FILESYSTEM.ROOT_PATH;
-      const finalParentNodeForFile =
-          FileSystemManager.getNodeByPath(finalParentDirPath);
-      if (!finalParentNodeForFile) {
-        const errorMsg = `Redir err: critical internal error, parent dir '${finalParentDirPath}' for file write not found.`;
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(errorMsg, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return ErrorHandler.createError(
-            `parent dir '${finalParentDirPath}' for file write not found (internal)`
+        const routeResult = await this._routeSegmentOutput(
+            segment,
+            result,
+            pipeline,
+            options
         );
-      }
-
-      const existingNode = FileSystemManager.getNodeByPath(absRedirPath);
-      if (
-          existingNode &&
-          existingNode.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
-      ) {
-        const errorMsg = `Redir err: '${redirFile}' is dir.`;
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(errorMsg, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return ErrorHandler.createError(`'${redirFile}' is dir.`);
-      }
-      if (
-          existingNode &&
-          !FileSystemManager.hasPermission(existingNode, user, "write")
-      ) {
-        const errorMsg = `Redir err: no write to '${redirFile}'${Config.MESSAGES.PERMISSION_DENIED_SUFFIX}`;
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(errorMsg, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
+        if (!routeResult.success) {
+          await this._emitStderr(routeResult.error, pipeline, options);
+          result = ErrorHandler.createError(routeResult.error, {
+            suppressErrorOutput: true,
           });
-        return ErrorHandler.createError(`no write to '${redirFile}'`);
-      }
-      if (
-          !existingNode &&
-          !FileSystemManager.hasPermission(finalParentNodeForFile, user, "write")
-      ) {
-        const errorMsg = `Redir err: no create in '${finalParentDirPath}'${Config.MESSAGES.PERMISSION_DENIED_SUFFIX}`;
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(errorMsg, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return ErrorHandler.createError(`no create in '${finalParentDirPath}'`);
-      }
-
-      let finalFileContent;
-      if (redirType === "append" && existingNode) {
-        const existingContent = existingNode.content || "";
-        finalFileContent = existingContent + outputToWrite;
-      } else {
-        finalFileContent = outputToWrite;
-      }
-
-      const saveResult = await FileSystemManager.createOrUpdateFile(
-          absRedirPath,
-          finalFileContent,
-          {
-            currentUser: user,
-            primaryGroup: UserManager.getPrimaryGroupForUser(user),
-          }
-      );
+        }
 
-      if (!saveResult.success) {
-        if (!pipeline.isBackground) {
-          await OutputManager.appendToOutput(
-              `Redir err: ${saveResult.error}`,
-              { typeClass: Config.CSS_CLASSES.ERROR_MSG }
-          );
+        const stdout = routeResult.success ? routeResult.data : null;
+        if (outputPipe) {
+          await outputPipe.write(stdout);
+        } else {
+          finalOutput = stdout;
         }
-        return saveResult;
+      } finally {
+        inputPipe?.cancel();
+        outputPipe?.close();
       }
+      results[i] = result;
+      pipeStatus[i] = this._getExitCode(result);
+    };
 
-      FileSystemManager._updateNodeAndParentMtime(absRedirPath, nowISO);
-      const fsSaveResult = await FileSystemManager.save();
-      if (!fsSaveResult.success) {
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(
-              `Failed to save redir to '${redirFile}': ${fsSaveResult.error}`,
-              {
-                typeClass: Config.CSS_CLASSES.ERROR_MSG,
-              }
-          );
-        return ErrorHandler.createError(
-            `save redir fail: ${fsSaveResult.error}`
-        );
+    await Promise.all(pipeline.segments.map((_, i) => runSegment(i)));
+    if (fatalResult) {
+      return fatalResult;
+    }
+    if (scriptingContext?.waitingForInput) {
+      return ErrorHandler.createSuccess("");
+    }
+    lastResult = results[lastIndex] || lastResult;
+
+    let exitCode = pipeStatus.length > 0
+        ? pipeStatus[pipeStatus.length - 1]
+        : this._getExitCode(lastResult);
+    if (this._getShell().shellOptions.pipefail) {
+      const failedStatus = pipeStatus.filter((status) => status !== 0).pop();
+      if (failedStatus !== undefined) {
+        exitCode = failedStatus;
       }
-      lastResult.data = "";
     }
 
+    lastResult = { ...lastResult, data: finalOutput };
     if (
-        !pipeline.redirection &&
-        lastResult.success &&
-        lastResult.data !== null &&
-        lastResult.data !== undefined &&
+        finalOutput !== null &&
+        finalOutput !== undefined &&
         !lastResult.suppressNewline
     ) {
       if (pipeline.isBackground) {
-        if (lastResult.data) {
+        if (finalOutput) {
           await OutputManager.appendToOutput(
               `${Config.MESSAGES.BACKGROUND_PROCESS_OUTPUT_SUPPRESSED} (Job ${pipeline.jobId})`,
               {
                 typeClass: Config.CSS_CLASSES.CONSOLE_LOG_MSG,
                 isBackground: true,
+                tty: options.tty,
               }
           );
         }
+      } else if (finalOutput && options.outputCollector) {
+        options.outputCollector.push(finalOutput);
       } else {
-        if (lastResult.data && !suppressOutput) {
+        if (finalOutput && !suppressOutput) {
           if (typeof lastResult.data === "string") {
             lastResult.data = lastResult.data.replace(/\\n/g, "\n");
           }
           const { data, success, ...outputOptions } = lastResult;
-          await OutputManager.appendToOutput(data, outputOptions);
+          await OutputManager.appendToOutput(data, { ...outputOptions, tty: options.tty });
         }
       }
     }
-    return lastResult;
+    return { ...lastResult, exitCode, pipeStatus };
   }
 
-  _expandBraces(commandString) {
-    const braceExpansionRegex = /(\S*?)\{([^}]+)\}(\S*)/g;
-
-    const expander = (match, prefix, content, suffix) => {
-      if (content.includes('..')) { // Handle sequence expansion like {1..5} or {a..z}
-        const [start, end] = content.split('..');
-        const startNum = parseInt(start, 10);
-        const endNum = parseInt(end, 10);
-
-        if (!isNaN(startNum) && !isNaN(endNum)) { // Numeric sequence
-          const result = [];
-          const step = startNum <= endNum ? 1 : -1;
-          for (let i = startNum; step > 0 ? i <= endNum : i >= endNum; i += step) {
-            result.push(`${prefix}${i}${suffix}`);
-          }
-          return result.join(' ');
-        } else if (start.length === 1 && end.length === 1) { // Character sequence
-          const startCode = start.charCodeAt(0);
-          const endCode = end.charCodeAt(0);
-          const result = [];
-          const step = startCode <= endCode ? 1 : -1;
-          for (let i = startCode; step > 0 ? i <= endCode : i >= endCode; i += step) {
-            result.push(`${prefix}${String.fromCharCode(i)}${suffix}`);
-          }
-          return result.join(' ');
-        }
-      } else if (content.includes(',')) { // Handle comma expansion like {a,b,c}
-        return content.split(',')
-            .map(part => `${prefix}${part}${suffix}`)
-            .join(' ');
-      }
-      return match;
-    };
-
-    let expandedString = commandString;
-    let previousString;
-    do {
-      previousString = expandedString;
-      expandedString = expandedString.replace(braceExpansionRegex, expander);
-    } while (expandedString !== previousString);
-
-    return expandedString;
+  async _createInputStream(content) {
+    const stream = new PipeStream(1);
+    await stream.write(content);
+    stream.close();
+    return stream;
   }
 
-  async _preprocessCommandString(rawCommandText, scriptingContext = null) {
-    const { EnvironmentManager, AliasManager } = this.dependencies;
-    let commandToProcess = rawCommandText.trim();
-    
-    // Apply brace expansion before other processing
-    commandToProcess = this._expandBraces(commandToProcess);
-
-    const assignmentSubstitutionRegex = /^([a-zA-Z_][a-zA-Z0-9_]*)=\$\(([^)]+)\)$/;
-    const assignmentMatch = commandToProcess.match(assignmentSubstitutionRegex);
-
-    if (assignmentMatch) {
-      const varName = assignmentMatch[1];
-      const subCommand = assignmentMatch[2];
-      const result = await this.processSingleCommand(subCommand, { isInteractive: false, suppressOutput: true });
-      const output = result.success ? (result.output || '').trim().replace(/\n/g, ' ') : '';
-      EnvironmentManager.set(varName, output);
-      return "";
+  _prepareCapture(options) {
+    const { captureOutput, captureErrors, ...bodyOptions } = options;
+    const collectedOutput = captureOutput ? [] : null;
+    const collectedErrors = captureErrors ? [] : null;
+    if (collectedOutput) {
+      bodyOptions.outputCollector = collectedOutput;
     }
+    if (collectedErrors) {
+      bodyOptions.errorCollector = collectedErrors;
+    }
+    return { bodyOptions, collectedOutput, collectedErrors };
+  }
 
-    const commandSubstitutionRegex = /\$\(([^)]+)\)/g;
-    let inlineMatch;
-    while ((inlineMatch = commandSubstitutionRegex.exec(commandToProcess)) !== null) {
-      const subCommand = inlineMatch[1];
-      const result = await this.processSingleCommand(subCommand, { isInteractive: false, suppressOutput: true });
-      const output = result.success ? (result.output || '').trim().replace(/\n/g, ' ') : '';
-      commandToProcess = commandToProcess.replace(inlineMatch[0], output);
+  async _emitStderr(text, pipeline, options) {
+    const { OutputManager, Config } = this.dependencies;
+    if (options.errorCollector) {
+      options.errorCollector.push(text);
+    } else if (pipeline.isBackground) {
+      console.log(`Background job pipeline error: ${text}`);
+    } else {
+      await OutputManager.appendToOutput(text, {
+        typeClass: Config.CSS_CLASSES.ERROR_MSG,
+        tty: options.tty,
+      });
     }
+  }
 
-    let inQuote = null;
-    let commentIndex = -1;
+  // /dev/tty is the terminal itself, so writes to it bypass pipes and
+  // captured output.
+  async _emitTty(text) {
+    await this.dependencies.OutputManager.appendToOutput(text);
+  }
 
-    for (let i = 0; i < commandToProcess.length; i++) {
-      const char = commandToProcess[i];
+  async _expandRedirectionTarget(redirection, options) {
+    const { WordExpander } = this.dependencies;
+    if (!redirection.fileToken) {
+      return redirection.file;
+    }
+    return new WordExpander(this.dependencies).expandString(
+        redirection.fileToken,
+        this._getExpansionContext(options)
+    );
+  }
 
+  async _readInputRedirection(redirections, options) {
+    const { FileSystemManager, UserManager, ErrorHandler, Utils } = this.dependencies;
+    let content = null;
+    for (const redirection of redirections) {
+      if (redirection.fd !== 0) continue;
+      if (redirection.type === "heredoc") {
+        content = await this._expandRedirectionTarget(redirection, options);
+        continue;
+      }
+      if (redirection.type === "herestring") {
+        content =
+            (await this._expandRedirectionTarget(redirection, options)) + "\n";
+        continue;
+      }
+      const file = await this._expandRedirectionTarget(redirection, options);
+      const pathValidationResult = FileSystemManager.validatePath(file, {
+        expectedType: "file",
+      });
+      if (!pathValidationResult.success) {
+        return pathValidationResult;
+      }
+      const { node } = pathValidationResult.data;
+      if (
+          !FileSystemManager.hasPermission(
+              node,
+              UserManager.getCurrentUser().name,
+              "read"
+          )
+      ) {
+        return ErrorHandler.createError(
+            `cannot open '${file}' for reading: Permission denied`
+        );
+      }
+      FileSystemManager.markAccessed(node);
+      content = Utils.contentToText(node.content);
+    }
+    return ErrorHandler.createSuccess(content);
+  }
+
+  async _resolveOutputTargets(redirections, options) {
+    const { FileSystemManager, ErrorHandler } = this.dependencies;
+    const fds = { 1: { kind: "stdout" }, 2: { kind: "stderr" } };
+    for (const redirection of redirections) {
+      if (redirection.fd === 0) continue;
+      if (redirection.duplicate !== undefined) {
+        fds[redirection.fd] = fds[redirection.duplicate];
+        continue;
+      }
+      const file = await this._expandRedirectionTarget(redirection, options);
+      const redirValResult = FileSystemManager.validatePath(file, {
+        allowMissing: true,
+        disallowRoot: true,
+        defaultToCurrentIfEmpty: false,
+      });
+      if (!redirValResult.success && !(redirValResult.data?.node === null)) {
+        return redirValResult;
+      }
+      const { node, resolvedPath } = redirValResult.data;
+      if (["null", "zero", "random"].includes(node?.device)) {
+        fds[redirection.fd] = { kind: "null" };
+      } else if (node?.device === "tty") {
+        fds[redirection.fd] = { kind: "tty" };
+      } else if (node?.device === "stdout") {
+        fds[redirection.fd] = fds[1];
+      } else if (node?.device === "stderr") {
+        fds[redirection.fd] = fds[2];
+      } else {
+        fds[redirection.fd] = {
+          kind: "file",
+          file,
+          path: resolvedPath,
+          append: redirection.type === "append",
+        };
+      }
+    }
+    return ErrorHandler.createSuccess(fds);
+  }
+
+  async _routeSegmentOutput(segment, result, pipeline, options) {
+    const { Config, ErrorHandler } = this.dependencies;
+    const targetsResult = await this._resolveOutputTargets(
+        segment.redirections || [],
+        options
+    );
+    if (!targetsResult.success) {
+      return targetsResult;
+    }
+    const fds = targetsResult.data;
+
+    const errors = [];
+    if (result.stderr) {
+      errors.push({ text: result.stderr, display: result.stderr });
+    }
+    if (!result.success && !result.suppressErrorOutput) {
+      const message = result.error || "Unknown";
+      errors.push({
+        text: message,
+        display: `${Config.MESSAGES.PIPELINE_ERROR_PREFIX}'${segment.command}': ${message}`,
+      });
+    }
+
+    const stdoutParts = [];
+    const fileWrites = new Map();
+    for (const target of [fds[1], fds[2]]) {
+      if (target.kind === "file" && !fileWrites.has(target.path)) {
+        fileWrites.set(target.path, { target, parts: [] });
+      }
+    }
+
+    // A failing command may still have written output before it failed.
+    const hasOutput = result.data !== null && result.data !== undefined;
+    if (result.success || hasOutput) {
+      const newline = result.suppressNewline ? "" : "\n";
+      switch (fds[1].kind) {
+        case "stdout":
+          stdoutParts.push(result.data);
+          break;
+        case "stderr":
+          if (result.data) {
+            await this._emitStderr(result.data, pipeline, options);
+          }
+          break;
+        case "tty":
+          if (result.data) {
+            await this._emitTty(result.data);
+          }
+          break;
+        case "file":
+          fileWrites.get(fds[1].path).parts.push((result.data || "") + newline);
+          break;
+      }
+    }
+    for (const { text, display } of errors) {
+      switch (fds[2].kind) {
+        case "stdout":
+          stdoutParts.push(text);
+          break;
+        case "stderr":
+          await this._emitStderr(display, pipeline, options);
+          break;
+        case "tty":
+          await this._emitTty(text);
+          break;
+        case "file":
+          fileWrites.get(fds[2].path).parts.push(text + "\n");
+          break;
+      }
+    }
+
+    for (const { target, parts } of fileWrites.values()) {
+      const writeResult = await this._writeRedirectionFile(
+          target,
+          parts.join("")
+      );
+      if (!writeResult.success) {
+        return writeResult;
+      }
+    }
+
+    if (stdoutParts.length === 0) {
+      return ErrorHandler.createSuccess(fds[1].kind === "stdout" ? null : "");
+    }
+    if (stdoutParts.length === 1) {
+      return ErrorHandler.createSuccess(stdoutParts[0]);
+    }
+    return ErrorHandler.createSuccess(
+        stdoutParts.filter((part) => part).join("\n")
+    );
+  }
+
+  async _writeRedirectionFile(target, outputToWrite) {
+    const { FileSystemManager, UserManager, Config, ErrorHandler, Utils } = this.dependencies;
+    const { file: redirFile, path: absRedirPath, append } = target;
+    const user = UserManager.getCurrentUser().name;
+    const nowISO = new Date().toISOString();
+
+    const pDirRes =
+        FileSystemManager.createParentDirectoriesIfNeeded(absRedirPath);
+    if (!pDirRes.success) {
+      return ErrorHandler.createError(`Redir err: ${pDirRes.error}`);
+    }
+    const finalParentDirPath =
+        absRedirPath.substring(
+            0,
+            absRedirPath.lastIndexOf(Config.FILESYSTEM.PATH_SEPARATOR)
+        ) || Config.FILESYSTEM.ROOT_PATH;
+    const finalParentNodeForFile =
+        FileSystemManager.getNodeByPath(finalParentDirPath);
+    if (!finalParentNodeForFile) {
+      return ErrorHandler.createError(
+          `Redir err: critical internal error, parent dir '${finalParentDirPath}' for file write not found.`
+      );
+    }
+
+    const existingNode = FileSystemManager.getNodeByPath(absRedirPath);
+    if (
+        existingNode &&
+        existingNode.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
+    ) {
+      return ErrorHandler.createError(`Redir err: '${redirFile}' is dir.`);
+    }
+    if (
+        existingNode &&
+        !FileSystemManager.hasPermission(existingNode, user, "write")
+    ) {
+      return ErrorHandler.createError(
+          `Redir err: no write to '${redirFile}'${Config.MESSAGES.PERMISSION_DENIED_SUFFIX}`
+      );
+    }
+    if (
+        !existingNode &&
+        !FileSystemManager.hasPermission(finalParentNodeForFile, user, "write")
+    ) {
+      return ErrorHandler.createError(
+          `Redir err: no create in '${finalParentDirPath}'${Config.MESSAGES.PERMISSION_DENIED_SUFFIX}`
+      );
+    }
+
+    let finalFileContent;
+    if (append && existingNode) {
+      const existingContent = Utils.contentToText(existingNode.content);
+      finalFileContent = existingContent + outputToWrite;
+    } else {
+      finalFileContent = outputToWrite;
+    }
+
+    const saveResult = await FileSystemManager.createOrUpdateFile(
+        absRedirPath,
+        finalFileContent,
+        {
+          currentUser: user,
+          primaryGroup: UserManager.getPrimaryGroupForUser(user),
+        }
+    );
+    if (!saveResult.success) {
+      return ErrorHandler.createError(`Redir err: ${saveResult.error}`);
+    }
+
+    FileSystemManager._updateNodeAndParentMtime(absRedirPath, nowISO);
+    const fsSaveResult = await FileSystemManager.save();
+    if (!fsSaveResult.success) {
+      return ErrorHandler.createError(
+          `Failed to save redir to '${redirFile}': ${fsSaveResult.error}`
+      );
+    }
+    return ErrorHandler.createSuccess();
+  }
+
+  _stripComments(commandText) {
+    const { Lexer } = this.dependencies;
+    let inQuote = null;
+    let result = "";
+    const pendingHeredocs = [];
+
+    for (let i = 0; i < commandText.length; i++) {
+      const char = commandText[i];
+
+      if (char === "\\" && inQuote !== "'") {
+        result += commandText.substring(i, i + 2);
+        i++;
+        continue;
+      }
       if (inQuote) {
         if (char === inQuote) {
           inQuote = null;
@@ -677,39 +1240,61 @@ class CommandExecutor {
       } else {
         if (char === '"' || char === "'") {
           inQuote = char;
-        } else if (char === '#' && (i === 0 || /\s/.test(commandToProcess[i-1]))) {
-          commentIndex = i;
-          break;
+        } else if (commandText.startsWith("<<<", i)) {
+          result += "<<<";
+          i += 2;
+          continue;
+        } else if (commandText.startsWith("<<", i)) {
+          const heredoc = Lexer.scanHeredocDelimiter(commandText, i);
+          if (heredoc) {
+            pendingHeredocs.push(heredoc);
+            result += commandText.substring(i, heredoc.end);
+            i = heredoc.end - 1;
+            continue;
+          }
+        } else if (char === "\n" && pendingHeredocs.length > 0) {
+          // Here-document bodies are data, so they are kept verbatim.
+          let bodyStart = i + 1;
+          for (const heredoc of pendingHeredocs.splice(0)) {
+            const bodyResult = Lexer.readHeredocBody(commandText, bodyStart, heredoc);
+            if (!bodyResult) {
+              bodyStart = commandText.length + 1;
+              break;
+            }
+            bodyStart = bodyResult.end + 1;
+          }
+          const bodyEnd = Math.min(bodyStart - 1, commandText.length);
+          result += commandText.substring(i, bodyEnd);
+          i = bodyEnd - 1;
+          continue;
+        } else if (char === '#' && (i === 0 || /\s/.test(commandText[i-1]))) {
+          const lineEnd = commandText.indexOf("\n", i);
+          if (lineEnd === -1) {
+            break;
+          }
+          i = lineEnd - 1;
+          continue;
         }
       }
+      result += char;
     }
 
-    if (commentIndex > -1) {
-      commandToProcess = commandToProcess.substring(0, commentIndex).trim();
-    }
+    return result.trim();
+  }
+
+  async _preprocessCommandString(rawCommandText) {
+    const { AliasManager } = this.dependencies;
+    const commandToProcess = this._stripComments(rawCommandText.trim());
 
     if (!commandToProcess) {
       return "";
     }
 
-    if (scriptingContext && scriptingContext.args) {
-      const scriptArgs = scriptingContext.args;
-      commandToProcess = commandToProcess.replace(/\$@/g, scriptArgs.join(" "));
-      commandToProcess = commandToProcess.replace(/\$#/g, scriptArgs.length);
-      scriptArgs.forEach((arg, i) => {
-        const regex = new RegExp(`\\$${i + 1}`, "g");
-        commandToProcess = commandToProcess.replace(regex, arg);
-      });
+    const firstWord = commandToProcess.split(/\s+/)[0];
+    if (this._getShell().functions[firstWord]) {
+      return commandToProcess;
     }
 
-    commandToProcess = commandToProcess.replace(
-        /\$([a-zA-Z_][a-zA-Z0-9_]*)|\$\{([a-zA-Z_][a-zA-Z0-9_]*)}/g,
-        (match, var1, var2) => {
-          const varName = var1 || var2;
-          return EnvironmentManager.get(varName);
-        }
-    );
-
     const aliasResult = AliasManager.resolveAlias(commandToProcess);
     if (aliasResult.error) {
       throw new Error(aliasResult.error);
@@ -718,10 +1303,17 @@ class CommandExecutor {
     return aliasResult.newCommand;
   }
 
-  async _finalizeInteractiveModeUI(originalCommandText) {
-    const { TerminalUI, AppLayerManager, HistoryManager } = this.dependencies;
+  async _finalizeInteractiveModeUI(originalCommandText, tty = null) {
+    const { TerminalUI, AppLayerManager, HistoryManager, SessionManager } = this.dependencies;
+    // The user switched away while the command ran; its terminal is ready
+    // for input again when switched back to.
+    if (tty && tty !== SessionManager.getTty()) {
+      SessionManager.markTerminalIdle(tty);
+      return;
+    }
     TerminalUI.clearInput();
     TerminalUI.updatePrompt();
+    TerminalUI.renderTerminalTabs();
     if (!AppLayerManager.isActive()) {
       TerminalUI.showInputLine();
       TerminalUI.setInputState(true);
@@ -738,24 +1330,141 @@ class CommandExecutor {
     TerminalUI.setIsNavigatingHistory(false);
   }
 
+  async _executeCommandSequence(commandSequence, options = {}) {
+    const { OutputManager, Config, ErrorHandler, MessageBusManager } = this.dependencies;
+    let lastPipelineSuccess = true;
+    let finalResult = ErrorHandler.createSuccess("");
+
+    for (let i = 0; i < commandSequence.length; i++) {
+      const { pipeline, operator } = commandSequence[i];
+
+      if (i > 0) {
+        const prevOperator = commandSequence[i - 1].operator;
+        if (prevOperator === "&&" && !lastPipelineSuccess) continue;
+        if (prevOperator === "||" && lastPipelineSuccess) continue;
+      }
+      const isListedCondition = operator === "&&" || operator === "||";
+
+      let result;
+      if (operator === "&") {
+        pipeline.isBackground = true;
+        const jobId = ++this.backgroundProcessIdCounter;
+        pipeline.jobId = jobId;
+        MessageBusManager.registerJob(jobId);
+        const abortController = new AbortController();
+
+        const job = {
+          id: jobId,
+          number: this._nextJobNumber(options.tty),
+          command: options.commandText,
+          tty: options.tty,
+          abortController,
+          promise: null,
+          status: 'running',
+        };
+        this.activeJobs[jobId] = job;
+
+        const jobPromise = new Promise(resolve => {
+          setTimeout(() => {
+            this._executePipeline(pipeline, {
+              isInteractive: false,
+              signal: abortController.signal,
+              scriptingContext: options.scriptingContext,
+              positionalArgs: options.positionalArgs,
+              suppressOutput: true,
+              tty: options.tty,
+            }).then(resolve);
+          }, 0);
+        });
+
+        job.promise = jobPromise;
+
+        jobPromise.finally(() => {
+          delete this.activeJobs[jobId];
+          MessageBusManager.unregisterJob(jobId);
+        }).then((bgResult) => {
+          const statusMsg = `[Job ${job.number} ${bgResult.success ? "finished" : "finished with error"}${bgResult.success ? "" : `: ${bgResult.error || "Unknown error"}`}]`;
+          OutputManager.appendToOutput(statusMsg, {
+            typeClass: bgResult.success
+                ? Config.CSS_CLASSES.CONSOLE_LOG_MSG
+                : Config.CSS_CLASSES.WARNING_MSG,
+            isBackground: true,
+            tty: job.tty,
+          });
+        });
+
+        await OutputManager.appendToOutput(
+            `${Config.MESSAGES.BACKGROUND_PROCESS_STARTED_PREFIX}${job.number}${Config.MESSAGES.BACKGROUND_PROCESS_STARTED_SUFFIX}`,
+            { typeClass: Config.CSS_CLASSES.CONSOLE_LOG_MSG, tty: options.tty }
+        );
+
+        result = ErrorHandler.createSuccess();
+      } else {
+        result = await this._executePipeline(pipeline, {
+          signal: null,
+          ...options,
+          isCondition: options.isCondition || isListedCondition,
+        });
+      }
+
+      if (!result) {
+        const err = `Critical: Pipeline execution returned an undefined result.`;
+        console.error(err, "Pipeline:", pipeline);
+        result = ErrorHandler.createError(err);
+      }
+
+      const exitCode = this._getExitCode(result);
+      lastPipelineSuccess = exitCode === 0;
+      const shell = this._getShell();
+      shell.lastExitStatus = exitCode;
+      shell.pipeStatus = result.pipeStatus || [exitCode];
+      finalResult = result;
+
+      if (result.isReturn || result.errexit) {
+        break;
+      }
+
+      if (
+          !lastPipelineSuccess &&
+          shell.shellOptions.errexit &&
+          !options.isCondition &&
+          !isListedCondition
+      ) {
+        finalResult = { ...result, errexit: true };
+        break;
+      }
+    }
+
+    return finalResult;
+  }
+
   async processSingleCommand(rawCommandText, options = {}) {
-    const {
-      isInteractive = true,
-      scriptingContext = null,
-      suppressOutput = false
-    } = options;
     const {
       ModalManager,
       OutputManager,
       TerminalUI,
       AppLayerManager,
       HistoryManager,
+      SessionManager,
       Config,
       ErrorHandler,
       Lexer,
       Parser,
-      MessageBusManager
     } = this.dependencies;
+    const {
+      isInteractive = true,
+      scriptingContext = null,
+      suppressOutput = false,
+      tty = SessionManager.getTty(),
+    } = options;
+
+    const ttyDependencies = SessionManager.getDependencies(tty);
+    if (this.dependencies !== ttyDependencies) {
+      return ttyDependencies.CommandExecutor.processSingleCommand(rawCommandText, {
+        ...options,
+        tty,
+      });
+    }
 
     if (
         options.scriptingContext &&
@@ -782,10 +1491,7 @@ class CommandExecutor {
 
     let commandToParse;
     try {
-      commandToParse = await this._preprocessCommandString(
-          rawCommandText,
-          scriptingContext
-      );
+      commandToParse = await this._preprocessCommandString(rawCommandText);
     } catch (e) {
       await OutputManager.appendToOutput(e.message, {
         typeClass: Config.CSS_CLASSES.ERROR_MSG,
@@ -815,104 +1521,35 @@ class CommandExecutor {
           this.dependencies
       ).parse();
     } catch (e) {
+      this._getShell().lastExitStatus = Config.EXIT_CODES.USAGE;
       await OutputManager.appendToOutput(
           e.message || "Command parse error.",
           { typeClass: Config.CSS_CLASSES.ERROR_MSG }
       );
       if (isInteractive) await this._finalizeInteractiveModeUI(rawCommandText);
-      return ErrorHandler.createError(e.message || "Command parse error.");
+      return ErrorHandler.createError(e.message || "Command parse error.", {
+        exitCode: Config.EXIT_CODES.USAGE,
+      });
     }
 
-    let lastPipelineSuccess = true;
-    let finalResult = ErrorHandler.createSuccess("");
-
-    for (let i = 0; i < commandSequence.length; i++) {
-      const { pipeline, operator } = commandSequence[i];
-
-      if (i > 0) {
-        const prevOperator = commandSequence[i - 1].operator;
-        if (prevOperator === "&&" && !lastPipelineSuccess) continue;
-        if (prevOperator === "||" && lastPipelineSuccess) continue;
-      }
-
-      let result;
-      if (operator === "&") {
-        pipeline.isBackground = true;
-        const jobId = ++this.backgroundProcessIdCounter;
-        pipeline.jobId = jobId;
-        MessageBusManager.registerJob(jobId);
-        const abortController = new AbortController();
-
-        const job = {
-          id: jobId,
-          command: cmdToEcho,
-          abortController,
-          promise: null,
-          status: 'running',
-        };
-        this.activeJobs[jobId] = job;
-
-        const jobPromise = new Promise(resolve => {
-          setTimeout(() => {
-            this._executePipeline(pipeline, {
-              isInteractive: false,
-              signal: abortController.signal,
-              scriptingContext,
-              suppressOutput: true,
-            }).then(resolve);
-          }, 0);
-        });
-
-        job.promise = jobPromise;
-
-        jobPromise.finally(() => {
-          delete this.activeJobs[jobId];
-          MessageBusManager.unregisterJob(jobId);
-        }).then((bgResult) => {
-          const statusMsg = `[Job ${jobId} ${bgResult.success ? "finished" : "finished with error"}${bgResult.success ? "" : `: ${bgResult.error || "Unknown error"}`}]`;
-          OutputManager.appendToOutput(statusMsg, {
-            typeClass: bgResult.success
-                ? Config.CSS_CLASSES.CONSOLE_LOG_MSG
-                : Config.CSS_CLASSES.WARNING_MSG,
-            isBackground: true,
-          });
-        });
-
-        await OutputManager.appendToOutput(
-            `${Config.MESSAGES.BACKGROUND_PROCESS_STARTED_PREFIX}${jobId}${Config.MESSAGES.BACKGROUND_PROCESS_STARTED_SUFFIX}`,
-            { typeClass: Config.CSS_CLASSES.CONSOLE_LOG_MSG }
-        );
-
-        result = ErrorHandler.createSuccess();
-      } else {
-        result = await this._executePipeline(pipeline, {
-          isInteractive,
-          signal: null,
-          scriptingContext,
-          suppressOutput,
-        });
-      }
-
-      if (!result) {
-        const err = `Critical: Pipeline execution returned an undefined result.`;
-        console.error(err, "Pipeline:", pipeline);
-        result = ErrorHandler.createError(err);
-      }
-
-      lastPipelineSuccess = result.success;
-      finalResult = result;
-
-      if (!lastPipelineSuccess && (!operator || operator === ";")) {
-        break;
-      }
-    }
+    const finalResult = await this._executeCommandSequence(commandSequence, {
+      isInteractive,
+      scriptingContext,
+      suppressOutput,
+      positionalArgs: options.positionalArgs,
+      commandText: cmdToEcho,
+      tty,
+    });
 
     if (isInteractive && !scriptingContext) {
-      await this._finalizeInteractiveModeUI(rawCommandText);
+      await this._finalizeInteractiveModeUI(rawCommandText, tty);
     }
 
+    const exitCode = this._getExitCode(finalResult);
     return {
-      success: finalResult.success,
+      success: exitCode === 0,
+      exitCode,
+      errexit: finalResult.errexit === true,
       output: finalResult.success ? finalResult.data : null,
       error: !finalResult.success ? finalResult.error : null,
     };
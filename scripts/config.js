@@ -10,9 +10,16 @@ class ConfigManager {
     const defaultConfig = {
       DATABASE: {
         NAME: "OopisOsDB",
-        VERSION: 51,
+        VERSION: 52,
         FS_STORE_NAME: "FileSystemsStore",
         UNIFIED_FS_KEY: "OopisOS_SharedFS",
+        NODE_STORE_NAME: "FileSystemNodes",
+        JOURNAL_STORE_NAME: "FileSystemJournal",
+      },
+      STORAGE: {
+        BACKEND: null,
+        DEFAULT_BACKEND: "indexeddb",
+        OPFS_DIRECTORY: "oopisos",
       },
       OS: {
         NAME: "OopisOs",
@@ -30,11 +37,22 @@ class ConfigManager {
         DEFAULT_TIMEOUT: 15,
         AUDIT_LOG_PATH: "/var/log/sudo.log",
       },
+      LOGIN: {
+        MAX_FAILED_ATTEMPTS: 5,
+        LOCKOUT_MINUTES: 10,
+        MIN_PASSWORD_LENGTH: 4,
+        PASS_MIN_DAYS: 0,
+        PASS_MAX_DAYS: 99999,
+        PASS_WARN_AGE: 7,
+        FAILLOG_PATH: "/var/log/faillog",
+        WTMP_PATH: "/var/log/wtmp",
+      },
       TERMINAL: {
         MAX_HISTORY_SIZE: 50,
         PROMPT_CHAR: ">",
         PROMPT_SEPARATOR: ":",
         PROMPT_AT: "@",
+        MAX_TTYS: 6,
       },
       STORAGE_KEYS: {
         USER_CREDENTIALS: "oopisOsUserCredentials",
@@ -44,6 +62,8 @@ class ConfigManager {
         ALIAS_DEFINITIONS: "oopisOsAliasDefinitions",
         GEMINI_API_KEY: "oopisGeminiApiKey",
         USER_GROUPS: "oopisOsUserGroups",
+        STORAGE_BACKEND: "oopisOsStorageBackend",
+        DISK_QUOTAS: "oopisOsDiskQuotas",
       },
       FILESYSTEM: {
         ROOT_PATH: "/",
@@ -53,14 +73,28 @@ class ConfigManager {
         DEFAULT_FILE_TYPE: "file",
         SYMBOLIC_LINK_TYPE: 'symlink',
         PATH_SEPARATOR: "/",
-        DEFAULT_FILE_MODE: 0o644,
-        DEFAULT_DIR_MODE: 0o755,
+        DEFAULT_FILE_MODE: 0o666,
+        DEFAULT_DIR_MODE: 0o777,
+        DEFAULT_UMASK: 0o022,
         DEFAULT_SCRIPT_MODE: 0o755,
         DEFAULT_SH_MODE: 0o755,
         PERMISSION_BIT_READ: 0b100,
         PERMISSION_BIT_WRITE: 0b010,
         PERMISSION_BIT_EXECUTE: 0b001,
+        SETUID_BIT: 0o4000,
+        SETGID_BIT: 0o2000,
+        STICKY_BIT: 0o1000,
         MAX_VFS_SIZE: 640 * 1024 * 1024,
+        QUOTA_GRACE_PERIOD: 7 * 24 * 60 * 60 * 1000,
+        SNAPSHOT_PATH: "/.snapshots",
+        PASSWD_PATH: "/etc/passwd",
+        SHADOW_PATH: "/etc/shadow",
+        GROUP_PATH: "/etc/group",
+        DEFAULT_MOUNTS: [
+          { type: "devfs", target: "/dev", source: "devfs" },
+          { type: "proc", target: "/proc", source: "proc" },
+          { type: "sysfs", target: "/sys", source: "sysfs" },
+        ],
         MAX_SCRIPT_STEPS: 10000,
         MAX_SCRIPT_DEPTH: 100,
       },
@@ -144,20 +178,28 @@ class ConfigManager {
       COMMANDS_MANIFEST: [
         "adventure", "agenda", "alias", "awk", "backup", "base64", "basic", "bc", "beep", "bg", "binder",
         "bulletin", "cat", "cd", "check_fail", "chgrp", "chidi", "chmod", "chown", "cksum",
-        "clear", "clearfs", "comm", "committee", "cp", "csplit", "curl", "cut", "date", "delay",
-        "df", "diff", "du", "echo", "edit", "explore", "export", "expr", "fg", "find", "fsck", "gemini",
+        "clear", "clearfs", "cmp", "comm", "committee", "cp", "csplit", "curl", "cut", "date", "delay",
+        "df", "diff", "du", "echo", "edit", "edquota", "explore", "export", "expr", "faillock", "fg", "file", "find", "fsck", "gemini", "getfacl", "getfattr",
         "grep", "groupadd", "groupdel", "groups", "head", "help", "history", "jobs", "kill",
-        "less", "listusers", "log", "login", "logout", "ls", "ln", "man", "more", "mkdir", "mv", "mxml2sh",
+        "last", "lastlog", "less", "listusers", "local", "log", "login", "logout", "ls", "ln", "man", "more", "mkdir", "mount", "mv", "mxml2sh",
         "nc", "netstat", "nl", "ocrypt", "oopis-get", "paint", "passwd", "patch", "ping", "play", "printscreen",
-        "ps", "pwd", "reboot", "remix", "removeuser", "rename", "reset", "restore", "rm", "rmdir",
-        "run", "sed", "set", "shuf", "sort", "su", "sudo", "sync","tail", "top", "touch", "tr",
-        "tree", "unalias", "uniq", "unset", "unzip", "upload", "useradd", "usermod", "visudo",
-        "wc", "wget", "whoami", "xor", "zip", "xargs", "x"
+        "ps", "pwd", "quota", "reboot", "remix", "removeuser", "rename", "reset", "restore", "return", "rm", "rmdir",
+        "run", "sed", "set", "setfacl", "setfattr", "setquota", "shuf", "snapshot", "sort", "stat", "storage", "su", "sudo", "sync","tail", "test", "top", "touch", "tr",
+        "tree", "tty", "umask", "umount", "unalias", "uniq", "unset", "unzip", "upload", "useradd", "usermod", "visudo",
+        "wc", "wget", "who", "whoami", "write", "xor", "zip", "xargs", "x"
       ],
     };
 
     Object.assign(this, defaultConfig);
 
+    this.EXIT_CODES = Object.freeze({
+      SUCCESS: 0,
+      FAILURE: 1,
+      USAGE: 2,
+      CANNOT_EXECUTE: 126,
+      NOT_FOUND: 127,
+    });
+
     this.CSS_CLASSES = Object.freeze({
       ERROR_MSG: "text-error",
       SUCCESS_MSG: "text-success",
@@ -194,7 +236,7 @@ class ConfigManager {
       }
       current = current[parts[i]];
     }
-    current[parts.length - 1] = this._parseConfigValue(value);
+    current[parts[parts.length - 1]] = this._parseConfigValue(value);
   }
 
   async loadFromFile() {
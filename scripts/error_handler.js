@@ -4,19 +4,32 @@ class ErrorHandler {
   /**
    * Creates a standardized error object.
    * @param {string} message - A descriptive error message.
-   * @returns {{success: false, error: string}}
+   * @param {object} [options={}] - Extra properties to attach to the result,
+   *   such as a specific `exitCode` (defaults to 1).
+   * @returns {{success: false, error: string, exitCode: number}}
    */
-  static createError(message) {
+  static createError(message, options = {}) {
     return {
       success: false,
       error: message,
+      exitCode: 1,
+      ...options,
     };
   }
 
+  /**
+   * Creates a standardized success object. A command that ran normally but
+   * wants to report a false condition (e.g. grep finding no match) passes a
+   * non-zero `exitCode` and still has its output printed or piped.
+   * @param {*} [data=null] - The command output.
+   * @param {object} [options={}] - Extra properties to attach to the result.
+   * @returns {{success: true, data: *, exitCode: number}}
+   */
   static createSuccess(data = null, options = {}) {
     return {
       success: true,
       data: data,
+      exitCode: 0,
       ...options,
     };
   }
@@ -5,19 +5,102 @@ class FileSystemManager {
     this.config = config;
     this.fsData = {};
     this.currentPath = this.config.FILESYSTEM.ROOT_PATH;
+    this.umask = this.config.FILESYSTEM.DEFAULT_UMASK;
+    this.quotaUsage = null;
     this.dependencies = {};
     this.storageHAL = null;
+    this.storageBackendName = null;
+    this.persistedRecords = new Map();
+    this.persistedNodes = new Map();
+    this.persistedPaths = new Map();
+    this.dirtyNodes = new Set();
+    this.treeChanged = false;
+    this.activeCommit = null;
+    this.pendingCommit = null;
+    this.mounts = new Map();
+    this.inodes = new Map();
+    this.nextInode = 1;
   }
 
   setDependencies(dependencies) {
     this.dependencies = dependencies;
     this.userManager = dependencies.UserManager;
     this.groupManager = dependencies.GroupManager;
-    this.storageHAL = dependencies.StorageHAL;
+    if (dependencies.StorageHAL) {
+      this.storageHAL = dependencies.StorageHAL;
+    }
+  }
+
+  /**
+   * Opens the storage backend used on the previous boot. If it cannot be
+   * opened, falls back to the default backend and then to memory so the
+   * session still runs.
+   * @returns {Promise<string|null>} The name of the backend in use.
+   */
+  async initStorage() {
+    const { StorageManager } = this.dependencies;
+    const preferred = StorageManager.loadItem(
+        this.config.STORAGE_KEYS.STORAGE_BACKEND,
+        "Storage backend",
+        this.config.STORAGE.DEFAULT_BACKEND
+    );
+    const candidates = new Set([preferred, this.config.STORAGE.DEFAULT_BACKEND, "memory"]);
+    for (const name of candidates) {
+      const backend = await this._openStorageBackend(name);
+      if (backend) {
+        this.storageHAL = backend;
+        this.storageBackendName = name;
+        return name;
+      }
+    }
+    return null;
+  }
+
+  async _openStorageBackend(name) {
+    const backend = StorageHAL.create(name);
+    if (!backend) {
+      return null;
+    }
+    backend.setDependencies(this.dependencies);
+    return (await backend.init()) ? backend : null;
+  }
+
+  getStorageBackendName() {
+    return this.storageBackendName;
+  }
+
+  /**
+   * Copies the file system into another storage backend and makes it the
+   * active one, both for this session and for the next boot. The data in
+   * the previous backend is left in place.
+   * @param {string} name - The backend to migrate to.
+   */
+  async migrateStorage(name) {
+    const { ErrorHandler, StorageManager, Utils } = this.dependencies;
+    if (!StorageHAL.getBackendNames().includes(name)) {
+      return ErrorHandler.createError(`unknown storage backend '${name}'`);
+    }
+    if (name === this.storageBackendName) {
+      return ErrorHandler.createError(`already using the '${name}' backend`);
+    }
+    const backend = await this._openStorageBackend(name);
+    if (!backend) {
+      return ErrorHandler.createError(`could not initialize the '${name}' backend`);
+    }
+    if (!(await backend.save(Utils.deepCopyNode(this.fsData)))) {
+      return ErrorHandler.createError(`could not copy the file system to the '${name}' backend`);
+    }
+    const previous = this.storageBackendName;
+    this.storageHAL = backend;
+    this.storageBackendName = name;
+    this._markPersisted();
+    StorageManager.saveItem(this.config.STORAGE_KEYS.STORAGE_BACKEND, name, "Storage backend");
+    return ErrorHandler.createSuccess({ from: previous, to: name });
   }
 
   async initialize(guestUsername) {
     const nowISO = new Date().toISOString();
+    this.quotaUsage = null;
     this.fsData = {
       [this.config.FILESYSTEM.ROOT_PATH]: {
         type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
@@ -81,17 +164,65 @@ class FileSystemManager {
             mode: 0o755,
             mtime: nowISO,
           },
+          tmp: {
+            type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
+            children: {},
+            owner: "root",
+            group: "root",
+            mode: 0o1777,
+            mtime: nowISO,
+          },
+          dev: this._createDeviceDirectoryNode(nowISO),
+          proc: this._createMountPointNode(nowISO),
+          sys: this._createMountPointNode(nowISO),
         },
         owner: "root",
         group: "root",
-        mode: this.config.FILESYSTEM.DEFAULT_DIR_MODE,
+        mode: 0o755,
         mtime: nowISO,
       },
     };
+    this._rebuildInodeTable();
+    this._backfillTimestamps();
     await this.createUserHomeDirectory("root");
     await this.createUserHomeDirectory(guestUsername);
   }
 
+  _createDeviceDirectoryNode(nowISO) {
+    const deviceNode = (device) => ({
+      type: this.config.FILESYSTEM.DEFAULT_FILE_TYPE,
+      device,
+      content: "",
+      owner: "root",
+      group: "root",
+      mode: 0o666,
+      mtime: nowISO,
+    });
+    return {
+      type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
+      children: {
+        null: deviceNode("null"),
+        stdout: deviceNode("stdout"),
+        stderr: deviceNode("stderr"),
+      },
+      owner: "root",
+      group: "root",
+      mode: 0o755,
+      mtime: nowISO,
+    };
+  }
+
+  _createMountPointNode(nowISO) {
+    return {
+      type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
+      children: {},
+      owner: "root",
+      group: "root",
+      mode: 0o555,
+      mtime: nowISO,
+    };
+  }
+
   async createUserHomeDirectory(username) {
     if (!this.fsData["/"]?.children?.home) {
       console.error(
@@ -101,34 +232,253 @@ class FileSystemManager {
     }
     const homeDirNode = this.fsData["/"].children.home;
     if (!homeDirNode.children[username]) {
-      homeDirNode.children[username] = {
-        type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
-        children: {},
-        owner: username,
-        group: username,
-        mode: 0o755,
-        mtime: new Date().toISOString(),
-      };
-      homeDirNode.mtime = new Date().toISOString();
+      homeDirNode.children[username] = this._createNewDirectoryNode(
+          username,
+          username,
+          0o755
+      );
+      this.markModified(homeDirNode);
     }
   }
 
   async save() {
     const { ErrorHandler, Utils } = this.dependencies;
-    const saveData = Utils.deepCopyNode(this.fsData);
-    const success = await this.storageHAL.save(saveData);
+    if (!this.storageHAL.supportsCommit) {
+      this.dirtyNodes.clear();
+    }
+    const success = this.storageHAL.supportsCommit
+        ? await this._queueCommit()
+        : await this.storageHAL.save(Utils.deepCopyNode(this.fsData));
     if (success) {
       return ErrorHandler.createSuccess();
     }
     return ErrorHandler.createError("OopisOs failed to save the file system.");
   }
 
+  /**
+   * Saves made while a commit is in flight share the next commit, which
+   * picks up all of their changes at once.
+   * @returns {Promise<boolean>}
+   */
+  _queueCommit() {
+    if (!this.pendingCommit) {
+      this.pendingCommit = Promise.resolve(this.activeCommit).then(() => {
+        this.pendingCommit = null;
+        this.activeCommit = this._commitChanges();
+        return this.activeCommit;
+      });
+    }
+    return this.pendingCommit;
+  }
+
+  /*
+   * Commits only look at what changed. markModified, markChanged and
+   * markAccessed add the node to `dirtyNodes`; persistedNodes and
+   * persistedPaths find the stored paths of a dirty node, and a dirty
+   * directory's stored children are compared with its current entries to
+   * find the subtrees that were added, removed or replaced. Loading or
+   * swapping in a tree, and migrations that touch nodes all over it, set
+   * `treeChanged` instead, and the next commit compares every node.
+   */
+
+  /**
+   * Sends the backend the records of the nodes changed since the last
+   * successful commit and removes those of entries that are gone. Records
+   * that share content (see StorageHAL.shareContent) are rebuilt together.
+   * @returns {Promise<boolean>}
+   */
+  async _commitChanges() {
+    if (this.treeChanged) {
+      return this._commitTree();
+    }
+    const { DEFAULT_DIRECTORY_TYPE, DEFAULT_FILE_TYPE } = this.config.FILESYSTEM;
+    const dirtyNodes = this.dirtyNodes;
+    this.dirtyNodes = new Set();
+
+    // Paths staged with null are removed by this commit.
+    const staged = new Map();
+    const touched = new Set();
+    const nodeAt = (path) => (staged.has(path) ? staged.get(path) : this.persistedNodes.get(path) || null);
+    const childPath = (path, name) => (path === "/" ? `/${name}` : `${path}/${name}`);
+    const remove = (path) => {
+      staged.set(path, null);
+      for (const name of this.persistedRecords.get(path)?.children || []) {
+        remove(childPath(path, name));
+      }
+    };
+    const add = (path, node) => {
+      staged.set(path, node);
+      touched.add(path);
+      for (const [name, child] of Object.entries(node.children || {})) {
+        add(childPath(path, name), child);
+      }
+    };
+
+    // Parents first, so a subtree removed from its parent is not also
+    // walked under its old path.
+    const dirtyPaths = [];
+    for (const node of dirtyNodes) {
+      for (const path of this._getPersistedPaths(node)) {
+        dirtyPaths.push({ path, node, depth: path === "/" ? 0 : path.split("/").length });
+      }
+    }
+    dirtyPaths.sort((a, b) => a.depth - b.depth);
+    for (const { path, node } of dirtyPaths) {
+      if (nodeAt(path) !== node) continue;
+      touched.add(path);
+      if (node.type !== DEFAULT_DIRECTORY_TYPE) continue;
+      const children = node.children || {};
+      for (const name of this.persistedRecords.get(path)?.children || []) {
+        if (children[name] !== nodeAt(childPath(path, name))) {
+          remove(childPath(path, name));
+        }
+      }
+      for (const [name, child] of Object.entries(children)) {
+        if (nodeAt(childPath(path, name)) !== child) {
+          add(childPath(path, name), child);
+        }
+      }
+    }
+
+    for (const path of [...touched, ...staged.keys()]) {
+      for (const node of [nodeAt(path), this.persistedNodes.get(path)]) {
+        if (node?.type !== DEFAULT_FILE_TYPE) continue;
+        for (const sharedPath of this.persistedPaths.get(this._persistedKey(node)) || []) {
+          if (nodeAt(sharedPath)) touched.add(sharedPath);
+        }
+      }
+    }
+
+    const records = [];
+    for (const path of touched) {
+      const node = nodeAt(path);
+      if (node) records.push(StorageHAL.toRecord(node, path));
+    }
+    StorageHAL.shareContent(records);
+    const puts = records.filter((record) => !StorageHAL.recordsEqual(this.persistedRecords.get(record.path), record));
+    const deletes = [...staged.keys()].filter((path) => staged.get(path) === null && this.persistedRecords.has(path));
+    if (puts.length > 0 || deletes.length > 0) {
+      if (!(await this.storageHAL.commit({ puts, deletes }))) {
+        dirtyNodes.forEach((node) => this.dirtyNodes.add(node));
+        return false;
+      }
+    }
+    deletes.forEach((path) => this._forgetPersisted(path));
+    records.forEach((record) => this._rememberPersisted(record, nodeAt(record.path)));
+    return true;
+  }
+
+  /**
+   * Commits by comparing the record of every node with what was stored.
+   * @returns {Promise<boolean>}
+   */
+  async _commitTree() {
+    this.treeChanged = false;
+    this.dirtyNodes = new Set();
+    const records = StorageHAL.toRecords(this.fsData);
+    const nodes = this._collectNodes();
+    const puts = [];
+    const deletes = [];
+    for (const [path, record] of records) {
+      if (!StorageHAL.recordsEqual(this.persistedRecords.get(path), record)) {
+        puts.push(record);
+      }
+    }
+    for (const path of this.persistedRecords.keys()) {
+      if (!records.has(path)) {
+        deletes.push(path);
+      }
+    }
+    if (puts.length > 0 || deletes.length > 0) {
+      if (!(await this.storageHAL.commit({ puts, deletes }))) {
+        this.treeChanged = true;
+        return false;
+      }
+    }
+    this._setPersisted(records, nodes);
+    return true;
+  }
+
+  _markPersisted() {
+    this.dirtyNodes = new Set();
+    this.treeChanged = false;
+    if (this.storageHAL.supportsCommit) {
+      this._setPersisted(StorageHAL.toRecords(this.fsData), this._collectNodes());
+    } else {
+      this._setPersisted(new Map(), new Map());
+    }
+  }
+
+  /** @returns {Map<string, object>} Every stored node, keyed by path. */
+  _collectNodes() {
+    const nodes = new Map();
+    const walk = (node, path) => {
+      nodes.set(path, node);
+      for (const [name, child] of Object.entries(node.children || {})) {
+        walk(child, path === "/" ? `/${name}` : `${path}/${name}`);
+      }
+    };
+    const rootNode = this.fsData[this.config.FILESYSTEM.ROOT_PATH];
+    if (rootNode) {
+      walk(rootNode, this.config.FILESYSTEM.ROOT_PATH);
+    }
+    return nodes;
+  }
+
+  _setPersisted(records, nodes) {
+    this.persistedRecords = new Map();
+    this.persistedNodes = new Map();
+    this.persistedPaths = new Map();
+    for (const [path, record] of records) {
+      this._rememberPersisted(record, nodes.get(path));
+    }
+  }
+
+  _persistedKey(node) {
+    return Number.isInteger(node.inode) ? node.inode : node;
+  }
+
+  _getPersistedPaths(node) {
+    return [...(this.persistedPaths.get(this._persistedKey(node)) || [])].filter(
+        (path) => this.persistedNodes.get(path) === node
+    );
+  }
+
+  _rememberPersisted(record, node) {
+    const previous = this.persistedNodes.get(record.path);
+    if (previous && previous !== node) {
+      this._forgetPersisted(record.path);
+    }
+    this.persistedRecords.set(record.path, record);
+    this.persistedNodes.set(record.path, node);
+    const key = this._persistedKey(node);
+    if (!this.persistedPaths.has(key)) {
+      this.persistedPaths.set(key, new Set());
+    }
+    this.persistedPaths.get(key).add(record.path);
+  }
+
+  _forgetPersisted(path) {
+    const node = this.persistedNodes.get(path);
+    this.persistedRecords.delete(path);
+    this.persistedNodes.delete(path);
+    if (!node) return;
+    const key = this._persistedKey(node);
+    const paths = this.persistedPaths.get(key);
+    paths?.delete(path);
+    if (paths?.size === 0) {
+      this.persistedPaths.delete(key);
+    }
+  }
+
   async load() {
     const { ErrorHandler, OutputManager } = this.dependencies;
     const loadedData = await this.storageHAL.load();
 
     if (loadedData) {
       this.fsData = loadedData;
+      this.quotaUsage = null;
+      this._markPersisted();
       // --- Migration: Ensure essential files exist ---
       const etcNode = this.fsData['/']?.children?.etc;
       if (etcNode && etcNode.type === 'directory') {
@@ -162,10 +512,41 @@ class FileSystemManager {
         }
         
         if (needsSave) {
-          etcNode.mtime = nowISO;
+          this.markModified(etcNode, nowISO);
           await this.save();
         }
       }
+
+      const rootNode = this.fsData['/'];
+      if (rootNode && !rootNode.children.dev) {
+        rootNode.children.dev = this._createDeviceDirectoryNode(new Date().toISOString());
+        console.log("FileSystem Migration: Created missing /dev device nodes.");
+        this.treeChanged = true;
+        await this.save();
+      }
+      const missingMountPoints = ["proc", "sys"].filter(
+          (name) => rootNode && !rootNode.children[name]
+      );
+      if (missingMountPoints.length > 0) {
+        const nowISO = new Date().toISOString();
+        for (const name of missingMountPoints) {
+          rootNode.children[name] = this._createMountPointNode(nowISO);
+        }
+        console.log(`FileSystem Migration: Created missing mount points ${missingMountPoints.map((name) => `/${name}`).join(", ")}.`);
+        this.treeChanged = true;
+        await this.save();
+      }
+      const numberedCount = this._rebuildInodeTable();
+      if (numberedCount > 0) {
+        console.log(`FileSystem Migration: Assigned inode numbers to ${numberedCount} node(s).`);
+      }
+      const stampedCount = this._backfillTimestamps();
+      if (stampedCount > 0) {
+        console.log(`FileSystem Migration: Added access, change and birth times to ${stampedCount} node(s).`);
+      }
+      if (numberedCount > 0 || stampedCount > 0) {
+        await this.save();
+      }
     } else {
       await OutputManager.appendToOutput(
           "No file system found. Initializing new one.",
@@ -177,9 +558,91 @@ class FileSystemManager {
     return ErrorHandler.createSuccess();
   }
 
+  /**
+   * Mounts a synthetic filesystem on an existing directory. Lookups below
+   * the directory are answered by the filesystem until it is unmounted;
+   * the directory's stored contents are hidden meanwhile but kept.
+   * @param {string} type - A type registered with SyntheticFilesystem.
+   * @param {string} target - Absolute path of the mount point.
+   * @param {string} [source] - Shown in the mount table; defaults to the type.
+   */
+  mount(type, target, source = type) {
+    const { ErrorHandler } = this.dependencies;
+    const filesystem = SyntheticFilesystem.create(type);
+    if (!filesystem) {
+      return ErrorHandler.createError(`unknown filesystem type '${type}'`);
+    }
+    if (target === this.config.FILESYSTEM.ROOT_PATH) {
+      return ErrorHandler.createError(`${target}: cannot mount over the root directory`);
+    }
+    if (this.mounts.has(target)) {
+      return ErrorHandler.createError(`${target}: already mounted`);
+    }
+    const targetNode = this.getNodeByPath(target);
+    if (!targetNode) {
+      return ErrorHandler.createError(`${target}: mount point does not exist`);
+    }
+    if (targetNode.type !== this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+      return ErrorHandler.createError(`${target}: mount point is not a directory`);
+    }
+    if (targetNode.synthetic) {
+      return ErrorHandler.createError(`${target}: mount point is inside a mounted filesystem`);
+    }
+    filesystem.setDependencies(this.dependencies);
+    this.mounts.set(target, { type, source, target, filesystem });
+    return ErrorHandler.createSuccess();
+  }
+
+  unmount(target) {
+    const { ErrorHandler } = this.dependencies;
+    if (!this.mounts.has(target)) {
+      return ErrorHandler.createError(`${target}: not mounted`);
+    }
+    if (this.currentPath === target || this.currentPath.startsWith(`${target}/`)) {
+      return ErrorHandler.createError(`${target}: target is busy`);
+    }
+    this.mounts.delete(target);
+    return ErrorHandler.createSuccess();
+  }
+
+  /**
+   * @returns {{source: string, target: string, type: string, readOnly: boolean}[]}
+   *     The mounted filesystems, ordered by mount point.
+   */
+  getMounts() {
+    return [...this.mounts.values()]
+        .map(({ source, target, type, filesystem }) => ({
+          source,
+          target,
+          type,
+          readOnly: filesystem.readOnly,
+        }))
+        .sort((a, b) => a.target.localeCompare(b.target));
+  }
+
+  isMountPoint(path) {
+    return this.mounts.has(path);
+  }
+
+  /** Mounts everything in Config.FILESYSTEM.DEFAULT_MOUNTS that is not already mounted. */
+  mountDefaults() {
+    const errors = [];
+    for (const { type, target, source } of this.config.FILESYSTEM.DEFAULT_MOUNTS) {
+      if (this.mounts.has(target)) {
+        continue;
+      }
+      const result = this.mount(type, target, source);
+      if (!result.success) {
+        errors.push(result.error);
+      }
+    }
+    return errors;
+  }
+
   async clearAllFS() {
     const success = await this.storageHAL.clear();
     if (success) {
+      this.persistedRecords = new Map();
       return this.dependencies.ErrorHandler.createSuccess();
     }
     return this.dependencies.ErrorHandler.createError("Could not clear all user file systems.");
@@ -193,12 +656,525 @@ class FileSystemManager {
     this.currentPath = path;
   }
 
+  getUmask() {
+    return this.umask;
+  }
+
+  setUmask(mask) {
+    this.umask = mask & 0o777;
+  }
+
   getFsData() {
     return this.fsData;
   }
 
   setFsData(newData) {
     this.fsData = newData;
+    this.quotaUsage = null;
+    this._rebuildInodeTable();
+    this._backfillTimestamps();
+  }
+
+  /*
+   * Every stored node has an inode number, and `this.inodes` maps each
+   * number to its node. Directory entries are the names in a parent's
+   * `children`, so a file with several hard links is one node reachable
+   * under several names, and its `nlink` counts those names. Directories
+   * cannot be hard linked; their link count is derived from their
+   * subdirectories, as on Unix.
+   *
+   * The table itself is not stored: storage keeps a copy of a node under
+   * each of its names, and _rebuildInodeTable joins copies that share a
+   * number back into one node when a tree is loaded.
+   */
+
+  _allocateInode(node) {
+    node.inode = this.nextInode++;
+    if (node.type !== this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+      node.nlink = 1;
+    }
+    this.inodes.set(node.inode, node);
+    return node;
+  }
+
+  /**
+   * Rebuilds the inode table from the tree, joining hard-linked copies and
+   * numbering nodes that have no number (or one already taken by an
+   * unrelated node).
+   * @returns {number} How many nodes were given a new number.
+   */
+  _rebuildInodeTable() {
+    const { DEFAULT_DIRECTORY_TYPE, DEFAULT_FILE_TYPE, ROOT_PATH } = this.config.FILESYSTEM;
+    this.inodes = new Map();
+    // Joining copies replaces nodes, so the stored paths must be looked up again.
+    this.treeChanged = true;
+    const unnumbered = [];
+    const register = (node) => {
+      if (!Number.isInteger(node.inode)) {
+        unnumbered.push(node);
+        return node;
+      }
+      const existing = this.inodes.get(node.inode);
+      if (!existing) {
+        this.inodes.set(node.inode, node);
+        return node;
+      }
+      if (existing === node) {
+        return node;
+      }
+      if (existing.type === DEFAULT_FILE_TYPE && node.type === DEFAULT_FILE_TYPE) {
+        return existing;
+      }
+      unnumbered.push(node);
+      return node;
+    };
+    const snapshotStore = this._getSnapshotStore();
+    const walk = (directory) => {
+      for (const [name, child] of Object.entries(directory.children || {})) {
+        const node = register(child);
+        directory.children[name] = node;
+        if (node.type === DEFAULT_DIRECTORY_TYPE && node !== snapshotStore) {
+          walk(node);
+        }
+      }
+    };
+    const rootNode = this.fsData[ROOT_PATH];
+    if (rootNode) {
+      register(rootNode);
+      walk(rootNode);
+    }
+
+    this.nextInode = 1;
+    for (const inode of this.inodes.keys()) {
+      this.nextInode = Math.max(this.nextInode, inode + 1);
+    }
+    let numberedCount = 0;
+    for (const node of unnumbered) {
+      if (this.inodes.get(node.inode) === node) {
+        continue;
+      }
+      const nlink = node.nlink;
+      this._allocateInode(node);
+      if (Number.isInteger(nlink)) {
+        node.nlink = nlink;
+      }
+      numberedCount++;
+    }
+    return numberedCount;
+  }
+
+  getLinkCount(node) {
+    if (node.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+      const subdirectories = Object.values(node.children || {}).filter(
+          (child) => child.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
+      );
+      return 2 + subdirectories.length;
+    }
+    return node.nlink || 1;
+  }
+
+  /** Adds another directory entry for an existing file: a hard link. */
+  linkNode(node, parentNode, name) {
+    parentNode.children[name] = node;
+    node.nlink = this.getLinkCount(node) + 1;
+    this.markChanged(node);
+    this.markModified(parentNode);
+  }
+
+  /**
+   * Removes a directory entry. The node is released, and its size taken off
+   * its owner's quota, only when this was its last link.
+   */
+  unlinkEntry(parentNode, name) {
+    const node = parentNode.children[name];
+    if (!node) return;
+    delete parentNode.children[name];
+    this.markModified(parentNode);
+    if (node.type !== this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+      node.nlink = Math.max(0, this.getLinkCount(node) - 1);
+      this.markChanged(node);
+      if (node.nlink > 0) return;
+    }
+    if (node.type === this.config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+      this._chargeQuotaUsage(
+          node.owner,
+          node.group,
+          -this.dependencies.Utils.getContentSize(node.content)
+      );
+    }
+    this.releaseInode(node.inode, node);
+  }
+
+  /**
+   * Moves a directory entry. The node keeps its contents and modification
+   * time; only its change time is updated.
+   */
+  renameEntry(sourceParentNode, sourceName, destinationParentNode, destinationName) {
+    const nowISO = new Date().toISOString();
+    const node = sourceParentNode.children[sourceName];
+    delete sourceParentNode.children[sourceName];
+    destinationParentNode.children[destinationName] = node;
+    this.markChanged(node, nowISO);
+    this.markModified(sourceParentNode, nowISO);
+    this.markModified(destinationParentNode, nowISO);
+  }
+
+  /**
+   * Drops an inode from the table.
+   * @param {number} inode
+   * @param {object} [node] - If given, only drop the entry if it is this node.
+   */
+  releaseInode(inode, node = null) {
+    if (!node || this.inodes.get(inode) === node) {
+      this.inodes.delete(inode);
+    }
+  }
+
+  /**
+   * Compares the inode table with the directory tree.
+   * @returns {{linkCounts: object[], orphans: object[]}} Files whose `nlink`
+   *     differs from the number of entries naming them, and inodes that no
+   *     entry names.
+   */
+  auditInodes() {
+    const rootNode = this.fsData[this.config.FILESYSTEM.ROOT_PATH];
+    const references = new Map([[rootNode, [this.config.FILESYSTEM.ROOT_PATH]]]);
+    const snapshotStore = this._getSnapshotStore();
+    const walk = (directory, path) => {
+      for (const [name, child] of Object.entries(directory.children || {})) {
+        const childPath = this.getAbsolutePath(name, path);
+        if (!references.has(child)) {
+          references.set(child, []);
+        }
+        references.get(child).push(childPath);
+        if (child.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE && child !== snapshotStore) {
+          walk(child, childPath);
+        }
+      }
+    };
+    walk(rootNode, this.config.FILESYSTEM.ROOT_PATH);
+
+    const linkCounts = [];
+    for (const [node, paths] of references) {
+      if (
+          node.type !== this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE &&
+          this.getLinkCount(node) !== paths.length
+      ) {
+        linkCounts.push({ node, paths, recorded: node.nlink, actual: paths.length });
+      }
+    }
+    const orphans = [];
+    for (const [inode, node] of this.inodes) {
+      if (!references.has(node)) {
+        orphans.push({ inode, node });
+      }
+    }
+    return { linkCounts, orphans };
+  }
+
+  /*
+   * A snapshot is a read-only copy of a subtree, kept in a directory of its
+   * own under SNAPSHOT_PATH. Taking one copies the nodes but not the file
+   * contents: those are shared with the live files, which replace their
+   * contents when written rather than changing them in place, so a
+   * snapshot keeps the data as it was. Snapshot nodes keep the inode
+   * numbers of the files they were copied from, which is also how storage
+   * finds the content they share instead of saving it again. They are left
+   * out of the inode table, of quota usage and of the MAX_VFS_SIZE total,
+   * which only count live files. The root of each snapshot records where it
+   * was taken from and a checksum of its contents.
+   */
+
+  _getSnapshotStore() {
+    const { ROOT_PATH, SNAPSHOT_PATH } = this.config.FILESYSTEM;
+    return this.fsData?.[ROOT_PATH]?.children?.[SNAPSHOT_PATH.substring(1)] || null;
+  }
+
+  getSnapshot(name) {
+    return this._getSnapshotStore()?.children?.[name] || null;
+  }
+
+  /**
+   * @returns {{name: string, source: string, created: string, creator: string, size: number}[]}
+   *   The snapshots, oldest first. Hard-linked files are counted once.
+   */
+  listSnapshots() {
+    const sizeOf = (snapshotRoot) => {
+      const counted = new Set();
+      let size = 0;
+      const walk = (node) => {
+        const key = node.inode ?? node;
+        if (node.type === this.config.FILESYSTEM.DEFAULT_FILE_TYPE && !counted.has(key)) {
+          counted.add(key);
+          size += this.dependencies.Utils.getContentSize(node.content);
+        }
+        Object.values(node.children || {}).forEach(walk);
+      };
+      walk(snapshotRoot);
+      return size;
+    };
+    return Object.entries(this._getSnapshotStore()?.children || {})
+        .map(([name, snapshotRoot]) => ({ name, ...snapshotRoot.snapshot, size: sizeOf(snapshotRoot) }))
+        .sort((a, b) => (a.created || "").localeCompare(b.created || ""));
+  }
+
+  createSnapshot(name, sourcePath, creator) {
+    const { ErrorHandler } = this.dependencies;
+    const { ROOT_PATH, SNAPSHOT_PATH } = this.config.FILESYSTEM;
+    if (!/^\w[\w.-]*$/.test(name)) {
+      return ErrorHandler.createError(`invalid snapshot name '${name}'`);
+    }
+    if (this.getSnapshot(name)) {
+      return ErrorHandler.createError(`snapshot '${name}' already exists`);
+    }
+    const validation = this.validatePath(sourcePath);
+    if (!validation.success) {
+      return ErrorHandler.createError(`${sourcePath}: No such file or directory`);
+    }
+    const { node, resolvedPath } = validation.data;
+    if (resolvedPath === ROOT_PATH) {
+      return ErrorHandler.createError("cannot snapshot the root directory");
+    }
+    if (resolvedPath === SNAPSHOT_PATH || resolvedPath.startsWith(`${SNAPSHOT_PATH}/`)) {
+      return ErrorHandler.createError(`${sourcePath}: cannot snapshot a snapshot`);
+    }
+    if (node.synthetic) {
+      return ErrorHandler.createError(`${sourcePath}: cannot snapshot a mounted filesystem`);
+    }
+
+    let store = this._getSnapshotStore();
+    if (!store) {
+      const rootNode = this.fsData[ROOT_PATH];
+      store = this._createNewDirectoryNode("root", "root", 0o755);
+      store.readOnly = true;
+      rootNode.children[SNAPSHOT_PATH.substring(1)] = store;
+      this.markModified(rootNode);
+    }
+    const snapshotRoot = this._copyIntoSnapshot(node, new Map());
+    snapshotRoot.snapshot = {
+      source: resolvedPath,
+      created: new Date().toISOString(),
+      creator,
+      checksum: this._checksumSnapshot(snapshotRoot),
+    };
+    store.children[name] = snapshotRoot;
+    this.markModified(store);
+    return ErrorHandler.createSuccess();
+  }
+
+  _copyIntoSnapshot(node, copies) {
+    if (copies.has(node)) {
+      return copies.get(node);
+    }
+    const { children, content, ...fields } = node;
+    const copy = { ...JSON.parse(JSON.stringify(fields)), readOnly: true };
+    if (content !== undefined) {
+      copy.content = content;
+    }
+    copies.set(node, copy);
+    if (children) {
+      copy.children = {};
+      for (const [name, child] of Object.entries(children)) {
+        copy.children[name] = this._copyIntoSnapshot(child, copies);
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Puts the path a snapshot was taken from back the way the snapshot has
+   * it, replacing whatever is there now. Files restored get new inodes;
+   * files that were hard links of each other in the snapshot are again.
+   */
+  restoreSnapshot(name) {
+    const { ErrorHandler } = this.dependencies;
+    const { ROOT_PATH, DEFAULT_DIRECTORY_TYPE } = this.config.FILESYSTEM;
+    const snapshotRoot = this.getSnapshot(name);
+    if (!snapshotRoot?.snapshot) {
+      return ErrorHandler.createError(`snapshot '${name}' does not exist`);
+    }
+    const { source } = snapshotRoot.snapshot;
+    const parentPath = source.substring(0, source.lastIndexOf("/")) || ROOT_PATH;
+    const itemName = source.substring(source.lastIndexOf("/") + 1);
+    const parentNode = this.getNodeByPath(parentPath);
+    if (!parentNode || parentNode.type !== DEFAULT_DIRECTORY_TYPE) {
+      return ErrorHandler.createError(`${parentPath}: No such directory`);
+    }
+    if (parentNode.readOnly) {
+      return ErrorHandler.createError(`${parentPath}: Read-only file system`);
+    }
+    for (const target of this.mounts.keys()) {
+      if (target === source || target.startsWith(`${source}/`)) {
+        return ErrorHandler.createError(`${source}: Device or resource busy`);
+      }
+    }
+    const changeInBytes = this.calculateNodeSize(snapshotRoot) - this.calculateNodeSize(parentNode.children[itemName]);
+    if (this._willOperationExceedQuota(changeInBytes)) {
+      return ErrorHandler.createError("No space left on device");
+    }
+
+    if (parentNode.children[itemName]) {
+      this._unlinkTree(parentNode, itemName);
+    }
+    parentNode.children[itemName] = this._copyFromSnapshot(snapshotRoot, new Map());
+    this.markModified(parentNode);
+    return ErrorHandler.createSuccess();
+  }
+
+  _copyFromSnapshot(node, copies) {
+    const { DEFAULT_DIRECTORY_TYPE, DEFAULT_FILE_TYPE } = this.config.FILESYSTEM;
+    const key = node.type !== DEFAULT_DIRECTORY_TYPE && Number.isInteger(node.inode) ? node.inode : node;
+    if (copies.has(key)) {
+      const copy = copies.get(key);
+      copy.nlink++;
+      return copy;
+    }
+    const { children, content, readOnly, snapshot, inode, nlink, ...fields } = node;
+    const copy = JSON.parse(JSON.stringify(fields));
+    if (content !== undefined) {
+      copy.content = content;
+    }
+    this._allocateInode(copy);
+    this.markChanged(copy);
+    copies.set(key, copy);
+    if (copy.type === DEFAULT_FILE_TYPE) {
+      this._chargeQuotaUsage(copy.owner, copy.group, this.dependencies.Utils.getContentSize(content));
+    }
+    if (children) {
+      copy.children = {};
+      for (const [name, child] of Object.entries(children)) {
+        copy.children[name] = this._copyFromSnapshot(child, copies);
+      }
+    }
+    return copy;
+  }
+
+  _unlinkTree(parentNode, name) {
+    const node = parentNode.children[name];
+    if (node.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+      for (const childName of Object.keys(node.children || {})) {
+        this._unlinkTree(node, childName);
+      }
+    }
+    this.unlinkEntry(parentNode, name);
+  }
+
+  deleteSnapshot(name) {
+    const { ErrorHandler } = this.dependencies;
+    const store = this._getSnapshotStore();
+    if (!store?.children?.[name]) {
+      return ErrorHandler.createError(`snapshot '${name}' does not exist`);
+    }
+    delete store.children[name];
+    this.markModified(store);
+    return ErrorHandler.createSuccess();
+  }
+
+  /**
+   * Compares a snapshot with the path it was taken from as it is now.
+   * @returns {{change: string, path: string}[]} "+" for entries added since,
+   *   "-" for entries removed and "M" for entries whose type, contents,
+   *   target, mode or ownership changed.
+   */
+  diffSnapshot(name) {
+    const { DEFAULT_DIRECTORY_TYPE, DEFAULT_FILE_TYPE } = this.config.FILESYSTEM;
+    const { Utils } = this.dependencies;
+    const snapshotRoot = this.getSnapshot(name);
+    const changes = [];
+    const listAll = (node, path, change) => {
+      changes.push({ change, path });
+      for (const childName of Object.keys(node.children || {}).sort()) {
+        listAll(node.children[childName], `${path}/${childName}`, change);
+      }
+    };
+    const sameContent = (a, b) => {
+      if (Utils.isBinaryContent(a) && Utils.isBinaryContent(b)) {
+        return a.length === b.length && a.every((byte, index) => byte === b[index]);
+      }
+      return a === b;
+    };
+    const compare = (before, after, path) => {
+      if (!after) return listAll(before, path, "-");
+      if (!before) return listAll(after, path, "+");
+      if (before.type !== after.type) {
+        listAll(before, path, "-");
+        listAll(after, path, "+");
+        return;
+      }
+      if (
+          before.mode !== after.mode ||
+          before.owner !== after.owner ||
+          before.group !== after.group ||
+          before.target !== after.target ||
+          (before.type === DEFAULT_FILE_TYPE && !sameContent(before.content, after.content))
+      ) {
+        changes.push({ change: "M", path });
+      }
+      if (before.type === DEFAULT_DIRECTORY_TYPE) {
+        const names = new Set([...Object.keys(before.children || {}), ...Object.keys(after.children || {})]);
+        for (const childName of [...names].sort()) {
+          compare(before.children?.[childName], after.children?.[childName], `${path}/${childName}`);
+        }
+      }
+    };
+    if (snapshotRoot?.snapshot) {
+      const { source } = snapshotRoot.snapshot;
+      compare(snapshotRoot, this.getNodeByPath(source), source);
+    }
+    return changes;
+  }
+
+  /**
+   * Checks every snapshot against the record kept when it was taken.
+   * @returns {{name: string, type: string, issue: string, nodes?: object[]}[]}
+   */
+  verifySnapshots() {
+    const problems = [];
+    const store = this._getSnapshotStore();
+    if (store && !store.readOnly) {
+      problems.push({ name: null, type: "SNAPSHOT_WRITABLE", issue: "The snapshot directory is writable.", nodes: [store] });
+    }
+    for (const [name, snapshotRoot] of Object.entries(store?.children || {})) {
+      if (!snapshotRoot.snapshot) {
+        problems.push({ name, type: "SNAPSHOT_MISSING_METADATA", issue: "No record of where or when the snapshot was taken." });
+        continue;
+      }
+      if (this._checksumSnapshot(snapshotRoot) !== snapshotRoot.snapshot.checksum) {
+        problems.push({ name, type: "SNAPSHOT_CHECKSUM_MISMATCH", issue: "Contents no longer match the checksum taken with the snapshot." });
+      }
+      const writable = [];
+      const walk = (node) => {
+        if (!node.readOnly) writable.push(node);
+        Object.values(node.children || {}).forEach(walk);
+      };
+      walk(snapshotRoot);
+      if (writable.length > 0) {
+        problems.push({ name, type: "SNAPSHOT_WRITABLE", issue: `${writable.length} node(s) in the snapshot are writable.`, nodes: writable });
+      }
+    }
+    return problems;
+  }
+
+  /** @returns {string} An FNV-1a hash of the names, types, modes, ownership and contents in a snapshot. */
+  _checksumSnapshot(snapshotRoot) {
+    const { Utils } = this.dependencies;
+    let hash = 0x811c9dc5;
+    const feed = (text) => {
+      for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+      }
+    };
+    const walk = (node, path) => {
+      feed(`${path}\0${node.type}\0${node.mode}\0${node.owner}\0${node.group}\0${node.target ?? ""}\0`);
+      if (node.type === this.config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+        feed(Utils.isBinaryContent(node.content) ? Utils.bytesToBase64(node.content) : node.content || "");
+      }
+      for (const name of Object.keys(node.children || {}).sort()) {
+        walk(node.children[name], `${path}/${name}`);
+      }
+    };
+    walk(snapshotRoot, "");
+    return hash.toString(16).padStart(8, "0");
   }
 
   getAbsolutePath(targetPath, basePath) {
@@ -240,15 +1216,18 @@ class FileSystemManager {
     );
   }
 
-  _createNewSymlinkNode(targetPath, owner, group) {
-    return {
+  _createNewSymlinkNode(targetPath, owner, group, nowISO = new Date().toISOString()) {
+    return this._allocateInode({
       type: this.config.FILESYSTEM.SYMBOLIC_LINK_TYPE,
       target: targetPath,
       owner: owner,
       group: group,
       mode: 0o777,
-      mtime: new Date().toISOString()
-    };
+      mtime: nowISO,
+      atime: nowISO,
+      ctime: nowISO,
+      btime: nowISO,
+    });
   }
 
   getNodeByPath(absolutePath, options = {}) {
@@ -283,6 +1262,9 @@ class FileSystemManager {
 
         currentNode = currentNode.children[segment];
         pathTraversedSoFar = this.getAbsolutePath(segment, pathTraversedSoFar);
+        if (this.mounts.has(pathTraversedSoFar)) {
+          currentNode = this.mounts.get(pathTraversedSoFar).filesystem.getRoot();
+        }
 
         if (currentNode.type === this.config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
           if (isLastSegment && !resolveLastSymlink) {
@@ -349,23 +1331,167 @@ class FileSystemManager {
     return ErrorHandler.createSuccess({ node, resolvedPath });
   }
 
-  calculateNodeSize(node) {
-    if (!node) return 0;
+  calculateNodeSize(node, counted = new Set()) {
+    if (!node || counted.has(node)) return 0;
+    counted.add(node);
     if (node.type === this.config.FILESYSTEM.DEFAULT_FILE_TYPE)
-      return (node.content || "").length;
+      return this.dependencies.Utils.getContentSize(node.content);
     if (node.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
       let totalSize = 0;
       for (const childName in node.children)
-        totalSize += this.calculateNodeSize(node.children[childName]);
+        totalSize += this.calculateNodeSize(node.children[childName], counted);
       return totalSize;
     }
     return 0;
   }
 
+  /**
+   * Returns the bytes of file content owned by each user and group. The
+   * totals are counted once from the tree and then kept up to date by the
+   * methods that create, write, delete and chown files.
+   */
+  _getQuotaUsage() {
+    if (!this.quotaUsage) {
+      const usage = { users: {}, groups: {} };
+      const counted = new Set([this._getSnapshotStore()]);
+      const walk = (node) => {
+        if (counted.has(node)) return;
+        counted.add(node);
+        if (node.type === this.config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+          const size = this.dependencies.Utils.getContentSize(node.content);
+          usage.users[node.owner] = (usage.users[node.owner] || 0) + size;
+          usage.groups[node.group] = (usage.groups[node.group] || 0) + size;
+        } else if (node.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+          Object.values(node.children || {}).forEach(walk);
+        }
+      };
+      const rootNode = this.fsData[this.config.FILESYSTEM.ROOT_PATH];
+      if (rootNode) walk(rootNode);
+      this.quotaUsage = usage;
+    }
+    return this.quotaUsage;
+  }
+
+  /**
+   * @param {"user"|"group"} kind
+   * @param {string} name
+   * @returns {number} Bytes currently charged to the user or group.
+   */
+  getQuotaUsage(kind, name) {
+    const usage = this._getQuotaUsage();
+    return (kind === "group" ? usage.groups : usage.users)[name] || 0;
+  }
+
+  _adjustQuotaUsage(kind, name, delta) {
+    if (!delta) return;
+    const usage = this._getQuotaUsage();
+    const table = kind === "group" ? usage.groups : usage.users;
+    table[name] = (table[name] || 0) + delta;
+    this.dependencies.QuotaManager?.updateGraceState(kind, name, table[name]);
+  }
+
+  _chargeQuotaUsage(owner, group, delta) {
+    this._adjustQuotaUsage("user", owner, delta);
+    this._adjustQuotaUsage("group", group, delta);
+  }
+
+  /**
+   * Checks a write of `delta` bytes to a file owned by `owner` and `group`
+   * against their quotas. Root is not limited.
+   * @returns {string|null} The reason the write is refused, or null.
+   */
+  _checkQuota(owner, group, delta, currentUser) {
+    const { QuotaManager } = this.dependencies;
+    if (!QuotaManager || currentUser === "root" || delta <= 0) {
+      return null;
+    }
+    return (
+        QuotaManager.checkAllocation("user", owner, this.getQuotaUsage("user", owner), delta) ||
+        QuotaManager.checkAllocation("group", group, this.getQuotaUsage("group", group), delta)
+    );
+  }
+
+  /**
+   * Changes a node's owner and group, moving its size between their
+   * quota usage. Pass null to leave either unchanged.
+   */
+  setNodeOwnership(node, owner, group) {
+    const newOwner = owner ?? node.owner;
+    const newGroup = group ?? node.group;
+    if (node.type === this.config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+      const size = this.dependencies.Utils.getContentSize(node.content);
+      if (newOwner !== node.owner) {
+        this._adjustQuotaUsage("user", node.owner, -size);
+        this._adjustQuotaUsage("user", newOwner, size);
+      }
+      if (newGroup !== node.group) {
+        this._adjustQuotaUsage("group", node.group, -size);
+        this._adjustQuotaUsage("group", newGroup, size);
+      }
+    }
+    node.owner = newOwner;
+    node.group = newGroup;
+    this.markChanged(node);
+  }
+
+  /*
+   * Stored nodes carry four timestamps, as on Unix: `atime` when the node
+   * was last read, `mtime` when its contents (or a directory's entries)
+   * last changed, `ctime` when anything about it last changed, metadata
+   * included, and `btime` when it was created. Reading does not save the
+   * filesystem, so access times are stored with the next change.
+   */
+
+  markAccessed(node, nowISO = new Date().toISOString()) {
+    if (node && !node.synthetic) {
+      node.atime = nowISO;
+      this.dirtyNodes.add(node);
+    }
+  }
+
+  markModified(node, nowISO = new Date().toISOString()) {
+    if (node && !node.synthetic) {
+      node.mtime = nowISO;
+      node.ctime = nowISO;
+      this.dirtyNodes.add(node);
+    }
+  }
+
+  markChanged(node, nowISO = new Date().toISOString()) {
+    if (node && !node.synthetic) {
+      node.ctime = nowISO;
+      this.dirtyNodes.add(node);
+    }
+  }
+
+  /**
+   * Gives nodes from before access, change and birth times were kept a
+   * value for each, taken from their modification time.
+   * @returns {number} How many nodes were changed.
+   */
+  _backfillTimestamps() {
+    let stampedCount = 0;
+    const walk = (node) => {
+      if (!node.atime || !node.ctime || !node.btime) {
+        const fallback = node.mtime || new Date().toISOString();
+        node.atime = node.atime || fallback;
+        node.ctime = node.ctime || fallback;
+        node.btime = node.btime || fallback;
+        stampedCount++;
+      }
+      if (node.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+        Object.values(node.children || {}).forEach(walk);
+      }
+    };
+    const rootNode = this.fsData[this.config.FILESYSTEM.ROOT_PATH];
+    if (rootNode) walk(rootNode);
+    return stampedCount;
+  }
+
   _updateNodeAndParentMtime(nodePath, nowISO) {
     if (!nodePath || !nowISO) return;
     const node = this.getNodeByPath(nodePath);
-    if (node) node.mtime = nowISO;
+    if (node) this.markModified(node, nowISO);
     if (nodePath !== this.config.FILESYSTEM.ROOT_PATH) {
       const parentPath =
           nodePath.substring(
@@ -377,14 +1503,13 @@ class FileSystemManager {
           parentNode &&
           parentNode.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
       )
-        parentNode.mtime = nowISO;
+        this.markModified(parentNode, nowISO);
     }
   }
 
-  createParentDirectoriesIfNeeded(fullPath) {
+  createParentDirectoriesIfNeeded(fullPath, nowISO = new Date().toISOString()) {
     const { ErrorHandler } = this.dependencies;
     const currentUserForCPDIF = this.dependencies.UserManager.getCurrentUser().name;
-    const nowISO = new Date().toISOString();
     if (fullPath === this.config.FILESYSTEM.ROOT_PATH) {
       return ErrorHandler.createError(
           "Cannot create directory structure for root."
@@ -433,15 +1558,14 @@ class FileSystemManager {
           const errorMsg = `Cannot create directory '${segment}' in '${currentProcessedPath}'${this.config.MESSAGES.PERMISSION_DENIED_SUFFIX}`;
           return ErrorHandler.createError(errorMsg);
         }
-        currentParentNode.children[segment] = {
-          type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
-          children: {},
-          owner: currentUserForCPDIF,
-          group: currentUserForCPDIF,
-          mode: this.config.FILESYSTEM.DEFAULT_DIR_MODE,
-          mtime: nowISO,
-        };
-        currentParentNode.mtime = nowISO;
+        currentParentNode.children[segment] = this._createNewDirectoryNode(
+            currentUserForCPDIF,
+            currentUserForCPDIF,
+            null,
+            nowISO
+        );
+        this.inheritFromParent(currentParentNode, currentParentNode.children[segment]);
+        this.markModified(currentParentNode, nowISO);
       } else if (
           currentParentNode.children[segment].type !==
           this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
@@ -457,6 +1581,9 @@ class FileSystemManager {
           segment,
           currentProcessedPath
       );
+      if (this.mounts.has(currentProcessedPath)) {
+        currentParentNode = this.mounts.get(currentProcessedPath).filesystem.getRoot();
+      }
       if (
           !currentParentNode ||
           typeof currentParentNode.owner === "undefined" ||
@@ -470,6 +1597,10 @@ class FileSystemManager {
   }
 
   hasPermission(node, username, permissionType) {
+    // Read-only mounts refuse writes even to root.
+    if (node?.readOnly && permissionType === "write") {
+      return false;
+    }
     if (username === "root") {
       return true;
     }
@@ -500,6 +1631,32 @@ class FileSystemManager {
     }
 
     const userGroups = this.dependencies.GroupManager.getGroupsForUser(username);
+    if (node.acl) {
+      // With an ACL the mode's group bits act as the mask on every entry
+      // below the owner, and a user matched by any group entry never falls
+      // through to the other bits.
+      const mask = groupPerms;
+      const namedUserPerms = node.acl.users?.[username];
+      if (namedUserPerms !== undefined) {
+        return (namedUserPerms & mask & requiredPerm) === requiredPerm;
+      }
+      const matchedGroupPerms = [];
+      if (userGroups.includes(node.group)) {
+        matchedGroupPerms.push(node.acl.group);
+      }
+      for (const [groupName, perms] of Object.entries(node.acl.groups || {})) {
+        if (userGroups.includes(groupName)) {
+          matchedGroupPerms.push(perms);
+        }
+      }
+      if (matchedGroupPerms.length > 0) {
+        return matchedGroupPerms.some(
+            (perms) => (perms & mask & requiredPerm) === requiredPerm
+        );
+      }
+      return (otherPerms & requiredPerm) === requiredPerm;
+    }
+
     if (userGroups.includes(node.group)) {
       return (groupPerms & requiredPerm) === requiredPerm;
     }
@@ -507,18 +1664,303 @@ class FileSystemManager {
     return (otherPerms & requiredPerm) === requiredPerm;
   }
 
+  /**
+   * @returns {boolean} Whether the node has named ACL entries or a default ACL.
+   */
+  hasExtendedAcl(node) {
+    return Boolean(node && (node.acl || node.defaultAcl));
+  }
+
+  /**
+   * Lists a node's ACL entries in the order getfacl prints them.
+   * @param {object} node - The node to read.
+   * @param {boolean} [isDefault=false] - Read the default ACL of a directory.
+   * @returns {Array<{tag: string, qualifier: string, perms: number, effective: number}>}
+   *   The entries; `effective` is the permission left after the mask. Empty
+   *   if a default ACL was asked for and the node has none.
+   */
+  getAclEntries(node, isDefault = false) {
+    const acl = isDefault ? node.defaultAcl : node.acl;
+    if (isDefault && !acl) {
+      return [];
+    }
+    const mode = node.mode || 0;
+    const base = isDefault
+        ? { user: acl.user, group: acl.group, other: acl.other, mask: acl.mask }
+        : {
+          user: (mode >> 6) & 7,
+          group: acl ? acl.group : (mode >> 3) & 7,
+          other: mode & 7,
+          mask: acl ? (mode >> 3) & 7 : undefined,
+        };
+    const hasNamed = acl && (Object.keys(acl.users || {}).length > 0 || Object.keys(acl.groups || {}).length > 0);
+    const mask = hasNamed ? base.mask : 7;
+    const entries = [{ tag: "user", qualifier: "", perms: base.user, effective: base.user }];
+    for (const [name, perms] of Object.entries(acl?.users || {})) {
+      entries.push({ tag: "user", qualifier: name, perms, effective: perms & mask });
+    }
+    entries.push({ tag: "group", qualifier: "", perms: base.group, effective: base.group & mask });
+    for (const [name, perms] of Object.entries(acl?.groups || {})) {
+      entries.push({ tag: "group", qualifier: name, perms, effective: perms & mask });
+    }
+    if (hasNamed) {
+      entries.push({ tag: "mask", qualifier: "", perms: base.mask, effective: base.mask });
+    }
+    entries.push({ tag: "other", qualifier: "", perms: base.other, effective: base.other });
+    return entries;
+  }
+
+  /**
+   * Adds or changes ACL entries. Unless the entries set the mask
+   * themselves, it is recalculated to cover all named entries and the
+   * owning group.
+   * @param {object} node - The node to change.
+   * @param {Array<{tag: string, qualifier: string, perms: number}>} entries
+   * @param {boolean} [isDefault=false] - Change the default ACL of a directory.
+   */
+  modifyAcl(node, entries, isDefault = false) {
+    const acl = isDefault ? this._ensureDefaultAcl(node) : this._ensureAccessAcl(node);
+    let maskGiven = false;
+    for (const { tag, qualifier, perms } of entries) {
+      if ((tag === "user" || tag === "group") && qualifier) {
+        acl[tag === "user" ? "users" : "groups"][qualifier] = perms;
+      } else if (tag === "group") {
+        acl.group = perms;
+      } else if (tag === "mask") {
+        maskGiven = true;
+        if (isDefault) acl.mask = perms;
+        else this._setModeClass(node, 3, perms);
+      } else if (isDefault) {
+        acl[tag] = perms;
+      } else {
+        this._setModeClass(node, tag === "user" ? 6 : 0, perms);
+      }
+    }
+    this._finishAclChange(node, isDefault, !maskGiven);
+  }
+
+  /**
+   * Removes named user and group entries from an ACL.
+   * @param {object} node - The node to change.
+   * @param {Array<{tag: string, qualifier: string}>} entries
+   * @param {boolean} [isDefault=false] - Change the default ACL of a directory.
+   */
+  removeAclEntries(node, entries, isDefault = false) {
+    const acl = isDefault ? node.defaultAcl : node.acl;
+    if (!acl) {
+      return;
+    }
+    for (const { tag, qualifier } of entries) {
+      delete acl[tag === "user" ? "users" : "groups"][qualifier];
+    }
+    this._finishAclChange(node, isDefault, true);
+  }
+
+  /**
+   * Removes a node's ACLs, leaving its mode bits.
+   * @param {object} node - The node to change.
+   * @param {boolean} [defaultOnly=false] - Only remove the default ACL.
+   */
+  removeAcl(node, defaultOnly = false) {
+    delete node.defaultAcl;
+    if (!defaultOnly && node.acl) {
+      this._setModeClass(node, 3, node.acl.group);
+      delete node.acl;
+    }
+    this.markChanged(node);
+  }
+
+  /**
+   * Applies what a new node takes from the directory it is created in: a
+   * setgid directory passes on its group, and on its setgid bit to new
+   * subdirectories, and a default ACL is inherited as below.
+   */
+  inheritFromParent(parentNode, childNode) {
+    if (parentNode.mode & this.config.FILESYSTEM.SETGID_BIT) {
+      childNode.group = parentNode.group;
+      if (childNode.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+        childNode.mode |= this.config.FILESYSTEM.SETGID_BIT;
+      }
+    }
+    this.inheritDefaultAcl(parentNode, childNode);
+  }
+
+  /**
+   * Gives a node created in `parentNode` the parent's default ACL, the way
+   * POSIX does: the default entries replace the creation mode (umask does
+   * not apply), and new directories inherit the default ACL itself.
+   */
+  inheritDefaultAcl(parentNode, childNode) {
+    const defaultAcl = parentNode?.defaultAcl;
+    if (!defaultAcl) {
+      return;
+    }
+    const isDirectory = childNode.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE;
+    const requested = isDirectory
+        ? this.config.FILESYSTEM.DEFAULT_DIR_MODE
+        : this.config.FILESYSTEM.DEFAULT_FILE_MODE;
+    const hasNamed = Object.keys(defaultAcl.users).length > 0 || Object.keys(defaultAcl.groups).length > 0;
+    const groupClass = hasNamed ? defaultAcl.mask : defaultAcl.group;
+    const permissionBits = ((defaultAcl.user << 6) | (groupClass << 3) | defaultAcl.other) & requested;
+    childNode.mode = (childNode.mode & ~0o777) | permissionBits;
+    if (hasNamed) {
+      childNode.acl = {
+        group: defaultAcl.group,
+        users: { ...defaultAcl.users },
+        groups: { ...defaultAcl.groups },
+      };
+    }
+    if (isDirectory) {
+      childNode.defaultAcl = {
+        ...defaultAcl,
+        users: { ...defaultAcl.users },
+        groups: { ...defaultAcl.groups },
+      };
+    }
+  }
+
+  _ensureAccessAcl(node) {
+    if (!node.acl) {
+      node.acl = { group: ((node.mode || 0) >> 3) & 7, users: {}, groups: {} };
+    }
+    return node.acl;
+  }
+
+  _ensureDefaultAcl(node) {
+    if (!node.defaultAcl) {
+      const access = this.getAclEntries(node);
+      const baseEntry = (tag) => access.find((entry) => entry.tag === tag && !entry.qualifier).perms;
+      node.defaultAcl = {
+        user: baseEntry("user"),
+        group: baseEntry("group"),
+        other: baseEntry("other"),
+        mask: baseEntry("group"),
+        users: {},
+        groups: {},
+      };
+    }
+    return node.defaultAcl;
+  }
+
+  _setModeClass(node, shift, perms) {
+    node.mode = ((node.mode || 0) & ~(7 << shift)) | (perms << shift);
+  }
+
+  _finishAclChange(node, isDefault, recalculateMask) {
+    const acl = isDefault ? node.defaultAcl : node.acl;
+    const namedPerms = [...Object.values(acl.users), ...Object.values(acl.groups)];
+    if (recalculateMask) {
+      const mask = namedPerms.reduce((union, perms) => union | perms, acl.group);
+      if (isDefault) acl.mask = mask;
+      else this._setModeClass(node, 3, mask);
+    }
+    if (!isDefault && namedPerms.length === 0) {
+      this._setModeClass(node, 3, acl.group);
+      delete node.acl;
+    }
+    this.markChanged(node);
+  }
+
+  /*
+   * Extended attributes are name/value strings kept in `node.xattrs`.
+   * Names in the `user.` namespace are free for anyone who may write the
+   * file. `system.mime_type` tags a file with the MIME type it should be
+   * opened as, whatever its extension; only the owner or root may set it.
+   */
+
+  /**
+   * @returns {Object<string, string>} A copy of the node's attributes.
+   */
+  getXattrs(node) {
+    return { ...(node?.xattrs || {}) };
+  }
+
+  /**
+   * @returns {string|null} The MIME type the file at a path has been tagged
+   *   with, if any.
+   */
+  getTaggedMimeType(path) {
+    const node = this.getNodeByPath(this.getAbsolutePath(path));
+    return node?.xattrs?.["system.mime_type"] || null;
+  }
+
+  setXattr(node, name, value, username) {
+    const { ErrorHandler } = this.dependencies;
+    const check = this._checkXattrChange(node, name, username);
+    if (!check.success) {
+      return check;
+    }
+    if (name === "system.mime_type" && !/^[\w.+-]+\/[\w.+-]+$/.test(value)) {
+      return ErrorHandler.createError(`${name}: Invalid argument`);
+    }
+    node.xattrs = { ...(node.xattrs || {}), [name]: String(value) };
+    this.markChanged(node);
+    return ErrorHandler.createSuccess();
+  }
+
+  removeXattr(node, name, username) {
+    const { ErrorHandler } = this.dependencies;
+    const check = this._checkXattrChange(node, name, username);
+    if (!check.success) {
+      return check;
+    }
+    if (!node.xattrs || !(name in node.xattrs)) {
+      return ErrorHandler.createError(`${name}: No such attribute`);
+    }
+    delete node.xattrs[name];
+    if (Object.keys(node.xattrs).length === 0) {
+      delete node.xattrs;
+    }
+    this.markChanged(node);
+    return ErrorHandler.createSuccess();
+  }
+
+  _checkXattrChange(node, name, username) {
+    const { ErrorHandler } = this.dependencies;
+    const isUserAttribute = /^user\..+/.test(name);
+    if (!isUserAttribute && name !== "system.mime_type") {
+      return ErrorHandler.createError(`${name}: Operation not supported`);
+    }
+    if (node.synthetic) {
+      return ErrorHandler.createError(`${name}: Operation not supported`);
+    }
+    if (node.readOnly) {
+      return ErrorHandler.createError(`${name}: Read-only file system`);
+    }
+    if (isUserAttribute) {
+      if (node.type === this.config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
+        return ErrorHandler.createError(`${name}: Operation not permitted`);
+      }
+      if (!this.hasPermission(node, username, "write")) {
+        return ErrorHandler.createError(`${name}: Permission denied`);
+      }
+    } else if (!this.canUserModifyNode(node, username)) {
+      return ErrorHandler.createError(`${name}: Operation not permitted`);
+    }
+    return ErrorHandler.createSuccess();
+  }
+
   formatModeToString(node) {
     if (!node || typeof node.mode !== "number") {
       return "----------";
     }
-    const typeChar =
-        node.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE ? "d" : "-";
+    let typeChar = "-";
+    if (node.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+      typeChar = "d";
+    } else if (node.type === this.config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
+      typeChar = "l";
+    } else if (node.device) {
+      typeChar = "c";
+    }
 
     const ownerPerms = (node.mode >> 6) & 7;
     const groupPerms = (node.mode >> 3) & 7;
     const otherPerms = node.mode & 7;
+    const { SETUID_BIT, SETGID_BIT, STICKY_BIT } = this.config.FILESYSTEM;
 
-    const perm_str = (permValue) => {
+    // A special bit shows in the execute slot: lower case when execute is
+    // also set, upper case when it is not.
+    const perm_str = (permValue, special = false, specialChar = "s") => {
       let str = "";
       let p_copy = permValue;
 
@@ -534,7 +1976,9 @@ class FileSystemManager {
       } else {
         str += "-";
       }
-      if (p_copy >= 1) {
+      if (special) {
+        str += p_copy >= 1 ? specialChar : specialChar.toUpperCase();
+      } else if (p_copy >= 1) {
         str += "x";
       } else {
         str += "-";
@@ -544,9 +1988,9 @@ class FileSystemManager {
 
     return (
         typeChar +
-        perm_str(ownerPerms) +
-        perm_str(groupPerms) +
-        perm_str(otherPerms)
+        perm_str(ownerPerms, Boolean(node.mode & SETUID_BIT)) +
+        perm_str(groupPerms, Boolean(node.mode & SETGID_BIT)) +
+        perm_str(otherPerms, Boolean(node.mode & STICKY_BIT), "t")
     );
   }
 
@@ -564,6 +2008,9 @@ class FileSystemManager {
       return ErrorHandler.createError(pathValidationResult.error);
     }
     const { node, resolvedPath } = pathValidationResult.data;
+    if (this.mounts.has(resolvedPath)) {
+      return ErrorHandler.createError(`cannot remove '${path}': Device or resource busy`);
+    }
     const parentPath =
         resolvedPath.substring(
             0,
@@ -573,17 +2020,15 @@ class FileSystemManager {
     const itemName = resolvedPath.substring(
         resolvedPath.lastIndexOf(this.config.FILESYSTEM.PATH_SEPARATOR) + 1
     );
-    const nowISO = new Date().toISOString();
     let messages = [];
     let anyChangeMade = false;
-    if (!parentNode || !this.hasPermission(parentNode, currentUser, "write")) {
+    if (!parentNode || !this.canRemoveFromDirectory(parentNode, node, currentUser)) {
       const permError = `cannot remove '${path}'${this.config.MESSAGES.PERMISSION_DENIED_SUFFIX}`;
       return ErrorHandler.createError(permError);
     }
     
     if (node.type === this.config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
-      delete parentNode.children[itemName];
-      parentNode.mtime = nowISO;
+      this.unlinkEntry(parentNode, itemName);
       anyChangeMade = true;
       return ErrorHandler.createSuccess({ messages, anyChangeMade });
     }
@@ -607,57 +2052,92 @@ class FileSystemManager {
       }
     }
     
-    delete parentNode.children[itemName];
-    parentNode.mtime = nowISO;
+    this.unlinkEntry(parentNode, itemName);
     anyChangeMade = true;
     return ErrorHandler.createSuccess({ messages, anyChangeMade });
   }
 
-  _createNewFileNode(name, content, owner, group, mode = null) {
-    const nowISO = new Date().toISOString();
-    return {
+  _createNewFileNode(
+      name,
+      content,
+      owner,
+      group,
+      mode = null,
+      mimeType = null,
+      nowISO = new Date().toISOString()
+  ) {
+    const node = {
       type: this.config.FILESYSTEM.DEFAULT_FILE_TYPE,
-      content: content || "",
+      content: "",
       owner: owner,
       group: group,
-      mode: mode !== null ? mode : this.config.FILESYSTEM.DEFAULT_FILE_MODE,
+      mode: mode !== null ? mode : this.config.FILESYSTEM.DEFAULT_FILE_MODE & ~this.umask,
       mtime: nowISO,
+      atime: nowISO,
+      ctime: nowISO,
+      btime: nowISO,
     };
+    this._setFileContent(node, content, mimeType);
+    return this._allocateInode(node);
+  }
+
+  /**
+   * Stores text or binary content in a file node. Binary nodes are marked
+   * with `encoding: "binary"` and a MIME type; text nodes carry neither.
+   */
+  _setFileContent(node, content, mimeType = null) {
+    const { Utils } = this.dependencies;
+    if (Utils.isBinaryContent(content)) {
+      node.content = content;
+      node.encoding = "binary";
+      node.mimeType = mimeType || "application/octet-stream";
+    } else {
+      node.content = content || "";
+      delete node.encoding;
+      delete node.mimeType;
+    }
   }
 
-  _calculateTotalSize() {
+  /** @returns {number} Bytes used by live files, the total MAX_VFS_SIZE limits. */
+  getUsedSize() {
     if (!this.fsData || !this.fsData[this.config.FILESYSTEM.ROOT_PATH]) return 0;
-    return this.calculateNodeSize(this.fsData[this.config.FILESYSTEM.ROOT_PATH]);
+    return this.calculateNodeSize(
+        this.fsData[this.config.FILESYSTEM.ROOT_PATH],
+        new Set([this._getSnapshotStore()])
+    );
   }
 
   _willOperationExceedQuota(changeInBytes) {
-    const currentSize = this._calculateTotalSize();
+    const currentSize = this.getUsedSize();
     return currentSize + changeInBytes > this.config.FILESYSTEM.MAX_VFS_SIZE;
   }
 
-  _createNewDirectoryNode(owner, group, mode = null) {
-    const nowISO = new Date().toISOString();
-    return {
+  _createNewDirectoryNode(owner, group, mode = null, nowISO = new Date().toISOString()) {
+    return this._allocateInode({
       type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
       children: {},
       owner: owner,
       group: group,
-      mode: mode !== null ? mode : this.config.FILESYSTEM.DEFAULT_DIR_MODE,
+      mode: mode !== null ? mode : this.config.FILESYSTEM.DEFAULT_DIR_MODE & ~this.umask,
       mtime: nowISO,
-    };
+      atime: nowISO,
+      ctime: nowISO,
+      btime: nowISO,
+    });
   }
 
   async createOrUpdateFile(absolutePath, content, context) {
-    const { ErrorHandler } = this.dependencies;
+    const { ErrorHandler, Utils } = this.dependencies;
     const {
       currentUser,
       primaryGroup,
       isDirectory = false,
+      mimeType = null,
     } = context;
     const nowISO = new Date().toISOString();
 
     if (isDirectory) {
-      const parentDirResult = this.createParentDirectoriesIfNeeded(absolutePath);
+      const parentDirResult = this.createParentDirectoriesIfNeeded(absolutePath, nowISO);
       if (!parentDirResult.success) {
         return parentDirResult;
       }
@@ -667,18 +2147,25 @@ class FileSystemManager {
       }
       const dirName = absolutePath.substring(absolutePath.lastIndexOf("/") + 1);
       if (parentNode.children && !parentNode.children[dirName]) {
-        parentNode.children[dirName] = this._createNewDirectoryNode(currentUser, primaryGroup);
-        parentNode.mtime = nowISO;
+        parentNode.children[dirName] = this._createNewDirectoryNode(
+            currentUser,
+            primaryGroup,
+            null,
+            nowISO
+        );
+        this.inheritFromParent(parentNode, parentNode.children[dirName]);
+        this.markModified(parentNode, nowISO);
       }
       return ErrorHandler.createSuccess();
     }
 
     const existingNode = this.getNodeByPath(absolutePath);
-    const changeInBytes = (content || "").length - (existingNode?.content?.length || 0);
+    const contentSize = Utils.getContentSize(content);
+    const changeInBytes = contentSize - Utils.getContentSize(existingNode?.content);
 
     if (this._willOperationExceedQuota(changeInBytes)) {
       return ErrorHandler.createError(
-          `Disk quota exceeded. Cannot write ${content.length} bytes.`
+          `Disk quota exceeded. Cannot write ${contentSize} bytes.`
       );
     }
 
@@ -691,11 +2178,30 @@ class FileSystemManager {
       if (!this.hasPermission(existingNode, currentUser, "write")) {
         return ErrorHandler.createError(`'${absolutePath}': Permission denied`);
       }
-      existingNode.content = content;
-      existingNode.mtime = nowISO;
+      if (existingNode.device) {
+        // Device nodes swallow writes; the shell routes /dev/stdout, /dev/stderr and /dev/tty itself.
+        return ErrorHandler.createSuccess();
+      }
+      const quotaError = this._checkQuota(
+          existingNode.owner,
+          existingNode.group,
+          changeInBytes,
+          currentUser
+      );
+      if (quotaError) {
+        return ErrorHandler.createError(
+            `'${absolutePath}': Disk quota exceeded (${quotaError})`
+        );
+      }
+      this._chargeQuotaUsage(existingNode.owner, existingNode.group, changeInBytes);
+      this._setFileContent(existingNode, content, mimeType);
+      if (currentUser !== "root") {
+        existingNode.mode &= ~(this.config.FILESYSTEM.SETUID_BIT | this.config.FILESYSTEM.SETGID_BIT);
+      }
+      this.markModified(existingNode, nowISO);
     } else {
       const parentDirResult =
-          this.createParentDirectoriesIfNeeded(absolutePath);
+          this.createParentDirectoriesIfNeeded(absolutePath, nowISO);
       if (!parentDirResult.success) {
         return parentDirResult;
       }
@@ -724,22 +2230,129 @@ class FileSystemManager {
       const fileName = absolutePath.substring(
           absolutePath.lastIndexOf(this.config.FILESYSTEM.PATH_SEPARATOR) + 1
       );
-      parentNode.children[fileName] = this._createNewFileNode(
+      const newNode = this._createNewFileNode(
           fileName,
           content,
           currentUser,
-          primaryGroup
+          primaryGroup,
+          null,
+          mimeType,
+          nowISO
+      );
+      this.inheritFromParent(parentNode, newNode);
+      const quotaError = this._checkQuota(
+          newNode.owner,
+          newNode.group,
+          contentSize,
+          currentUser
       );
-      parentNode.mtime = nowISO;
+      if (quotaError) {
+        this.releaseInode(newNode.inode, newNode);
+        return ErrorHandler.createError(
+            `'${absolutePath}': Disk quota exceeded (${quotaError})`
+        );
+      }
+      parentNode.children[fileName] = newNode;
+      this._chargeQuotaUsage(newNode.owner, newNode.group, contentSize);
+      this.markModified(parentNode, nowISO);
     }
 
     return ErrorHandler.createSuccess();
   }
 
+  /**
+   * Looks up a stored node without following symlinks, consulting mounts or
+   * checking permissions. Permission checks themselves read the account
+   * files, so they cannot go through getNodeByPath.
+   */
+  _getStoredNode(absolutePath) {
+    let node = this.fsData[this.config.FILESYSTEM.ROOT_PATH];
+    for (const segment of absolutePath.split(this.config.FILESYSTEM.PATH_SEPARATOR).filter(Boolean)) {
+      node = node?.children?.[segment];
+    }
+    return node || null;
+  }
+
+  /**
+   * @returns {?string} The text of a system file such as /etc/group, or
+   * null if it does not exist.
+   */
+  readSystemFile(absolutePath) {
+    const node = this._getStoredNode(absolutePath);
+    if (node?.type !== this.config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+      return null;
+    }
+    return typeof node.content === "string" ? node.content : "";
+  }
+
+  /**
+   * Replaces the contents of a system file such as /etc/passwd, creating it
+   * owned by root with the given mode if it is missing. The caller acts for
+   * the system, so no user's permissions or quota are checked; an existing
+   * file keeps whatever ownership and mode root has given it.
+   */
+  writeSystemFile(absolutePath, content, mode) {
+    const { ErrorHandler, Utils } = this.dependencies;
+    const existingNode = this._getStoredNode(absolutePath);
+    if (existingNode) {
+      if (existingNode.type !== this.config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+        return ErrorHandler.createError(`Cannot overwrite non-file '${absolutePath}'`);
+      }
+      if (existingNode.readOnly) {
+        return ErrorHandler.createError(`'${absolutePath}': Read-only file system`);
+      }
+      this._chargeQuotaUsage(
+          existingNode.owner,
+          existingNode.group,
+          Utils.getContentSize(content) - Utils.getContentSize(existingNode.content)
+      );
+      this._setFileContent(existingNode, content);
+      this.markModified(existingNode);
+      return ErrorHandler.createSuccess();
+    }
+
+    const separatorIndex = absolutePath.lastIndexOf(this.config.FILESYSTEM.PATH_SEPARATOR);
+    const parentNode = this._getStoredNode(absolutePath.substring(0, separatorIndex));
+    if (!parentNode || parentNode.type !== this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+      return ErrorHandler.createError(`'${absolutePath}': No such file or directory`);
+    }
+    if (parentNode.readOnly) {
+      return ErrorHandler.createError(`'${absolutePath}': Read-only file system`);
+    }
+    const fileName = absolutePath.substring(separatorIndex + 1);
+    const newNode = this._createNewFileNode(fileName, content, "root", "root", mode);
+    parentNode.children[fileName] = newNode;
+    this._chargeQuotaUsage("root", "root", Utils.getContentSize(content));
+    this.markModified(parentNode);
+    return ErrorHandler.createSuccess();
+  }
+
   canUserModifyNode(node, username) {
+    if (node.readOnly) {
+      return false;
+    }
     return username === "root" || node.owner === username;
   }
 
+  /**
+   * Checks whether a user may unlink a node from a directory. In a sticky
+   * directory (like /tmp) write access is not enough: only the owner of the
+   * node, the owner of the directory or root may remove it.
+   */
+  canRemoveFromDirectory(parentNode, node, username) {
+    if (!this.hasPermission(parentNode, username, "write")) {
+      return false;
+    }
+    if (!(parentNode.mode & this.config.FILESYSTEM.STICKY_BIT)) {
+      return true;
+    }
+    return (
+        username === "root" ||
+        node.owner === username ||
+        parentNode.owner === username
+    );
+  }
+
   async prepareFileOperation(sourcePathArgs, destPathArg, options = {}) {
     const { ErrorHandler } = this.dependencies;
     const { isCopy = false, isMove = false } = options;
@@ -774,6 +2387,14 @@ class FileSystemManager {
         });
       } else {
         sourceValidationResult = this.validatePath(sourcePath);
+        if (
+            sourceValidationResult.success &&
+            this.mounts.has(sourceValidationResult.data.resolvedPath)
+        ) {
+          return ErrorHandler.createError(
+              `cannot move '${sourcePath}': Device or resource busy`
+          );
+        }
         if (sourceValidationResult.success) {
           const sourceParentPath =
               sourceValidationResult.data.resolvedPath.substring(
@@ -783,7 +2404,14 @@ class FileSystemManager {
           const parentValidation = this.validatePath(sourceParentPath, {
             permissions: ["write"],
           });
-          if (!parentValidation.success) {
+          if (
+              !parentValidation.success ||
+              !this.canRemoveFromDirectory(
+                  parentValidation.data.node,
+                  sourceValidationResult.data.node,
+                  this.userManager.getCurrentUser().name
+              )
+          ) {
             return ErrorHandler.createError(
                 `cannot move '${sourcePath}', permission denied in source directory`
             );
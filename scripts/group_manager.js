@@ -2,7 +2,7 @@
 
 class GroupManager {
   constructor() {
-    this.groups = {};
+    this.cache = { content: null, groups: {} };
     this.dependencies = {};
   }
 
@@ -10,84 +10,154 @@ class GroupManager {
     this.dependencies = dependencies;
   }
 
-  initialize() {
-    const { StorageManager, Config } = this.dependencies;
-    this.groups = StorageManager.loadItem(
-        Config.STORAGE_KEYS.USER_GROUPS,
-        "User Groups",
-        {}
-    );
-    if (!this.groups["root"]) {
+  async initialize() {
+    const { FileSystemManager, StorageManager, Config } = this.dependencies;
+    let migrated = false;
+    if (FileSystemManager.readSystemFile(Config.FILESYSTEM.GROUP_PATH) === null) {
+      const legacyGroups = StorageManager.loadItem(
+          Config.STORAGE_KEYS.USER_GROUPS,
+          "User Groups",
+          {}
+      );
+      const groups = {};
+      for (const [groupName, group] of Object.entries(legacyGroups)) {
+        groups[groupName] = {
+          gid: this._nextGid(groups, groupName),
+          members: [...(group.members || [])],
+        };
+      }
+      this._save(groups);
+      migrated = Object.keys(legacyGroups).length > 0;
+      if (migrated) {
+        console.log(
+            `GroupManager Migration: Moved ${Object.keys(groups).length} group(s) into ${Config.FILESYSTEM.GROUP_PATH}.`
+        );
+      }
+    }
+    if (!this.groupExists("root")) {
       this.createGroup("root");
       this.addUserToGroup("root", "root");
     }
-    if (!this.groups["Guest"]) {
+    if (!this.groupExists("Guest")) {
       this.createGroup("Guest");
       this.addUserToGroup("Guest", "Guest");
     }
-    if (!this.groups["userDiag"]) {
+    if (!this.groupExists("userDiag")) {
       this.createGroup("userDiag");
       this.addUserToGroup("userDiag", "userDiag");
     }
-    if (!this.groups["towncrier"]) {
+    if (!this.groupExists("towncrier")) {
       this.createGroup("towncrier");
     }
+    await FileSystemManager.save();
+    if (migrated) {
+      StorageManager.removeItem(Config.STORAGE_KEYS.USER_GROUPS);
+    }
     console.log("GroupManager initialized.");
   }
 
-  _save() {
-    const { StorageManager, Config } = this.dependencies;
-    StorageManager.saveItem(
-        Config.STORAGE_KEYS.USER_GROUPS,
-        this.groups,
-        "User Groups"
+  /**
+   * Reads /etc/group, one 'name:password:gid:member,member' line per
+   * group. The parse is kept until the file changes, as every permission
+   * check asks for a user's groups.
+   * @returns {Object<string, {gid: number, members: string[]}>}
+   */
+  _load() {
+    const { FileSystemManager, Config } = this.dependencies;
+    const content = FileSystemManager.readSystemFile(Config.FILESYSTEM.GROUP_PATH) || "";
+    if (content === this.cache.content) {
+      return this.cache.groups;
+    }
+    const groups = {};
+    for (const line of content.split("\n")) {
+      const [groupName, , gid, members = ""] = line.split(":");
+      if (!groupName || line.startsWith("#")) continue;
+      groups[groupName] = {
+        gid: parseInt(gid, 10),
+        members: members.split(",").filter(Boolean),
+      };
+    }
+    this.cache = { content, groups };
+    return groups;
+  }
+
+  _save(groups) {
+    const { FileSystemManager, Config } = this.dependencies;
+    const lines = Object.entries(groups).map(
+        ([groupName, group]) => `${groupName}:x:${group.gid}:${group.members.join(",")}`
     );
+    return FileSystemManager.writeSystemFile(
+        Config.FILESYSTEM.GROUP_PATH,
+        lines.map((line) => `${line}\n`).join(""),
+        0o644
+    ).success;
+  }
+
+  _nextGid(groups, groupName) {
+    if (groupName === "root") {
+      return 0;
+    }
+    const usedGids = new Set(Object.values(groups).map((group) => group.gid));
+    let gid = 1000;
+    while (usedGids.has(gid)) gid++;
+    return gid;
   }
 
   groupExists(groupName) {
-    return !!this.groups[groupName];
+    return Object.prototype.hasOwnProperty.call(this._load(), groupName);
+  }
+
+  getGroupName(gid) {
+    const entry = Object.entries(this._load()).find(([, group]) => group.gid === gid);
+    return entry ? entry[0] : null;
+  }
+
+  getGid(groupName) {
+    return this._load()[groupName]?.gid ?? null;
   }
 
   createGroup(groupName) {
     if (this.groupExists(groupName)) {
       return false;
     }
-    this.groups[groupName] = { members: [] };
-    this._save();
-    return true;
+    const groups = { ...this._load() };
+    groups[groupName] = { gid: this._nextGid(groups, groupName), members: [] };
+    return this._save(groups);
   }
 
   addUserToGroup(username, groupName) {
+    const groups = this._load();
     if (
         this.groupExists(groupName) &&
-        !this.groups[groupName].members.includes(username)
+        !groups[groupName].members.includes(username)
     ) {
-      this.groups[groupName].members.push(username);
-      this._save();
-      return true;
+      return this._save({
+        ...groups,
+        [groupName]: {
+          ...groups[groupName],
+          members: [...groups[groupName].members, username],
+        },
+      });
     }
     return false;
   }
 
+  getGroupMembers(groupName) {
+    return this._load()[groupName]?.members || [];
+  }
+
   getGroupsForUser(username) {
-    const { StorageManager, Config } = this.dependencies;
+    const { UserManager } = this.dependencies;
+    const groups = this._load();
     const userGroups = [];
-    const users = StorageManager.loadItem(
-        Config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
-    );
-    const primaryGroup = users[username]?.primaryGroup;
+    const primaryGroup = UserManager.getPrimaryGroupForUser(username);
 
     if (primaryGroup) {
       userGroups.push(primaryGroup);
     }
 
-    for (const groupName in this.groups) {
-      if (
-          this.groups[groupName].members &&
-          this.groups[groupName].members.includes(username)
-      ) {
+    for (const groupName in groups) {
+      if (groups[groupName].members.includes(username)) {
         if (!userGroups.includes(groupName)) {
           userGroups.push(groupName);
         }
@@ -97,18 +167,13 @@ class GroupManager {
   }
 
   deleteGroup(groupName) {
-    const { StorageManager } = this.dependencies;
+    const { UserManager } = this.dependencies;
     if (!this.groupExists(groupName)) {
       return { success: false, error: `group '${groupName}' does not exist.` };
     }
 
-    const users = StorageManager.loadItem(
-        this.dependencies.Config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
-    );
-    for (const username in users) {
-      if (users[username].primaryGroup === groupName) {
+    for (const username of UserManager.getUsernames()) {
+      if (UserManager.getPrimaryGroupForUser(username) === groupName) {
         return {
           success: false,
           error: `cannot remove group '${groupName}': it is the primary group of user '${username}'.`,
@@ -116,22 +181,26 @@ class GroupManager {
       }
     }
 
-    delete this.groups[groupName];
-    this._save();
+    const groups = { ...this._load() };
+    delete groups[groupName];
+    this._save(groups);
     return { success: true };
   }
 
   removeUserFromAllGroups(username) {
+    const groups = { ...this._load() };
     let changed = false;
-    for (const groupName in this.groups) {
-      const index = this.groups[groupName].members.indexOf(username);
-      if (index > -1) {
-        this.groups[groupName].members.splice(index, 1);
+    for (const groupName in groups) {
+      if (groups[groupName].members.includes(username)) {
+        groups[groupName] = {
+          ...groups[groupName],
+          members: groups[groupName].members.filter((member) => member !== username),
+        };
         changed = true;
       }
     }
     if (changed) {
-      this._save();
+      this._save(groups);
     }
   }
-}
\ No newline at end of file
+}
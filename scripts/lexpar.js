@@ -2,24 +2,59 @@
 
 const TokenType = {
   WORD: "WORD",
-  STRING_DQ: "STRING_DQ",
-  STRING_SQ: "STRING_SQ",
   OPERATOR_GT: "OPERATOR_GT",
   OPERATOR_GTGT: "OPERATOR_GTGT",
+  OPERATOR_ERR_GT: "OPERATOR_ERR_GT",
+  OPERATOR_ERR_GTGT: "OPERATOR_ERR_GTGT",
+  OPERATOR_ERR_TO_OUT: "OPERATOR_ERR_TO_OUT",
+  OPERATOR_OUT_TO_ERR: "OPERATOR_OUT_TO_ERR",
+  OPERATOR_ALL_GT: "OPERATOR_ALL_GT",
+  OPERATOR_ALL_GTGT: "OPERATOR_ALL_GTGT",
   OPERATOR_LT: "OPERATOR_LT",
+  OPERATOR_HEREDOC: "OPERATOR_HEREDOC",
+  OPERATOR_HERESTRING: "OPERATOR_HERESTRING",
   OPERATOR_PIPE: "OPERATOR_PIPE",
   OPERATOR_SEMICOLON: "OPERATOR_SEMICOLON",
   OPERATOR_BG: "OPERATOR_BG",
   OPERATOR_AND: "OPERATOR_AND",
   OPERATOR_OR: "OPERATOR_OR",
+  OPERATOR_DSEMI: "OPERATOR_DSEMI",
+  OPERATOR_LPAREN: "OPERATOR_LPAREN",
+  OPERATOR_RPAREN: "OPERATOR_RPAREN",
+  NEWLINE: "NEWLINE",
   EOF: "EOF",
 };
 
+const COMPOUND_KEYWORDS = ["if", "for", "while", "until", "case"];
+
+const REDIRECTION_OPERATORS = [
+  TokenType.OPERATOR_GT,
+  TokenType.OPERATOR_GTGT,
+  TokenType.OPERATOR_LT,
+  TokenType.OPERATOR_HEREDOC,
+  TokenType.OPERATOR_HERESTRING,
+  TokenType.OPERATOR_ERR_GT,
+  TokenType.OPERATOR_ERR_GTGT,
+  TokenType.OPERATOR_ERR_TO_OUT,
+  TokenType.OPERATOR_OUT_TO_ERR,
+  TokenType.OPERATOR_ALL_GT,
+  TokenType.OPERATOR_ALL_GTGT,
+];
+
+const WORD_BREAK_CHARS = [">", "<", "|", "&", ";", "(", ")"];
+
+/**
+ * A lexical token. WORD tokens also carry `parts`, the pieces of the word as
+ * written: `{ text, quote }` where quote is null for unquoted text, '"' or
+ * "'" for quoted text, and "\\" for a backslash-escaped character. The word
+ * expander relies on the parts to know which text is subject to expansion.
+ */
 class Token {
-  constructor(type, value, position) {
+  constructor(type, value, position, parts = null) {
     this.type = type;
     this.value = value;
     this.position = position;
+    this.parts = parts;
   }
 }
 
@@ -28,27 +63,98 @@ class Lexer {
     this.input = input;
     this.position = 0;
     this.tokens = [];
+    this.pendingHeredocs = [];
     this.dependencies = dependencies;
   }
 
+  static scanHeredocDelimiter(input, position) {
+    const stripTabs = input[position + 2] === "-";
+    let end = position + (stripTabs ? 3 : 2);
+    while (end < input.length && (input[end] === " " || input[end] === "\t")) {
+      end++;
+    }
+    let delimiter = "";
+    let quoted = false;
+    while (end < input.length) {
+      const char = input[end];
+      if (char === '"' || char === "'") {
+        const close = input.indexOf(char, end + 1);
+        if (close === -1) {
+          return null;
+        }
+        delimiter += input.substring(end + 1, close);
+        quoted = true;
+        end = close + 1;
+      } else if (char === "\\") {
+        delimiter += input[end + 1] || "";
+        quoted = true;
+        end += 2;
+      } else if (/\s/.test(char) || "<>|&;()".includes(char)) {
+        break;
+      } else {
+        delimiter += char;
+        end++;
+      }
+    }
+    return delimiter ? { delimiter, quoted, stripTabs, end } : null;
+  }
+
+  static readHeredocBody(input, position, { delimiter, stripTabs }) {
+    let body = "";
+    let lineStart = position;
+    while (lineStart < input.length) {
+      let lineEnd = input.indexOf("\n", lineStart);
+      if (lineEnd === -1) lineEnd = input.length;
+      let line = input.substring(lineStart, lineEnd);
+      if (stripTabs) line = line.replace(/^\t+/, "");
+      if (line === delimiter) {
+        return { body, end: lineEnd };
+      }
+      body += line + "\n";
+      lineStart = lineEnd + 1;
+    }
+    return null;
+  }
+
+  /**
+   * Splits text into word parts as if it were a single word, with
+   * whitespace and operators taken literally. Used for the words embedded
+   * in `${name:-word}` style expansions.
+   * @param {string} text
+   * @returns {Array<{text: string, quote: ?string}>}
+   */
+  static splitWordParts(text) {
+    return new Lexer(text)._tokenizeWord(false).parts;
+  }
+
   tokenize() {
-    const specialChars = ['"', "'", ">", "<", "|", "&", ";"];
     while (this.position < this.input.length) {
       let char = this.input[this.position];
+      if (char === "\n") {
+        this.tokens.push(new Token(TokenType.NEWLINE, "\n", this.position));
+        this.position++;
+        this._readPendingHeredocs();
+        continue;
+      }
       if (/\s/.test(char)) {
         this.position++;
         continue;
       }
-      if (char === '"') {
-        this.tokens.push(this._tokenizeString('"'));
+      if (char === "\\" && this.input[this.position + 1] === "\n") {
+        this.position += 2;
         continue;
       }
-      if (char === "'") {
-        this.tokens.push(this._tokenizeString("'"));
+      if ((char === "1" || char === "2") && this.input[this.position + 1] === ">") {
+        this._tokenizeNumberedRedirection(char);
         continue;
       }
       if (char === ">") {
-        if (this.input[this.position + 1] === ">") {
+        if (this.input.startsWith(">&2", this.position)) {
+          this.tokens.push(
+              new Token(TokenType.OPERATOR_OUT_TO_ERR, ">&2", this.position)
+          );
+          this.position += 3;
+        } else if (this.input[this.position + 1] === ">") {
           this.tokens.push(
               new Token(TokenType.OPERATOR_GTGT, ">>", this.position)
           );
@@ -62,8 +168,17 @@ class Lexer {
         continue;
       }
       if (char === "<") {
-        this.tokens.push(new Token(TokenType.OPERATOR_LT, "<", this.position));
-        this.position++;
+        if (this.input.startsWith("<<<", this.position)) {
+          this.tokens.push(
+              new Token(TokenType.OPERATOR_HERESTRING, "<<<", this.position)
+          );
+          this.position += 3;
+        } else if (this.input[this.position + 1] === "<") {
+          this._tokenizeHeredoc();
+        } else {
+          this.tokens.push(new Token(TokenType.OPERATOR_LT, "<", this.position));
+          this.position++;
+        }
         continue;
       }
       if (char === "|") {
@@ -81,14 +196,45 @@ class Lexer {
         continue;
       }
       if (char === ";") {
+        if (this.input[this.position + 1] === ";") {
+          this.tokens.push(
+              new Token(TokenType.OPERATOR_DSEMI, ";;", this.position)
+          );
+          this.position += 2;
+        } else {
+          this.tokens.push(
+              new Token(TokenType.OPERATOR_SEMICOLON, ";", this.position)
+          );
+          this.position++;
+        }
+        continue;
+      }
+      if (char === "(") {
+        this.tokens.push(
+            new Token(TokenType.OPERATOR_LPAREN, "(", this.position)
+        );
+        this.position++;
+        continue;
+      }
+      if (char === ")") {
         this.tokens.push(
-            new Token(TokenType.OPERATOR_SEMICOLON, ";", this.position)
+            new Token(TokenType.OPERATOR_RPAREN, ")", this.position)
         );
         this.position++;
         continue;
       }
       if (char === "&") {
-        if (this.input[this.position + 1] === "&") {
+        if (this.input.startsWith("&>>", this.position)) {
+          this.tokens.push(
+              new Token(TokenType.OPERATOR_ALL_GTGT, "&>>", this.position)
+          );
+          this.position += 3;
+        } else if (this.input[this.position + 1] === ">") {
+          this.tokens.push(
+              new Token(TokenType.OPERATOR_ALL_GT, "&>", this.position)
+          );
+          this.position += 2;
+        } else if (this.input[this.position + 1] === "&") {
           this.tokens.push(
               new Token(TokenType.OPERATOR_AND, "&&", this.position)
           );
@@ -102,95 +248,303 @@ class Lexer {
         continue;
       }
 
-      let value = "";
-      const startPos = this.position;
-      while (this.position < this.input.length) {
-        let innerChar = this.input[this.position];
+      this.tokens.push(this._tokenizeWord());
+    }
+    if (this.pendingHeredocs.length > 0) {
+      throw this._unterminatedHeredocError(this.pendingHeredocs[0]);
+    }
+    this.tokens.push(new Token(TokenType.EOF, null, this.position));
+    return this.tokens;
+  }
+
+  _tokenizeHeredoc() {
+    const startPos = this.position;
+    const heredoc = Lexer.scanHeredocDelimiter(this.input, this.position);
+    if (!heredoc) {
+      throw new Error(
+          `Lexer Error: Expected here-document delimiter at position ${startPos}.`
+      );
+    }
+    const token = new Token(
+        TokenType.OPERATOR_HEREDOC,
+        heredoc.stripTabs ? "<<-" : "<<",
+        startPos
+    );
+    token.heredoc = {
+      delimiter: heredoc.delimiter,
+      quoted: heredoc.quoted,
+      stripTabs: heredoc.stripTabs,
+      body: null,
+    };
+    this.tokens.push(token);
+    this.pendingHeredocs.push(token.heredoc);
+    this.position = heredoc.end;
+  }
+
+  _readPendingHeredocs() {
+    while (this.pendingHeredocs.length > 0) {
+      const heredoc = this.pendingHeredocs[0];
+      const bodyResult = Lexer.readHeredocBody(this.input, this.position, heredoc);
+      if (!bodyResult) {
+        throw this._unterminatedHeredocError(heredoc);
+      }
+      heredoc.body = bodyResult.body;
+      this.pendingHeredocs.shift();
+      this.position = bodyResult.end;
+    }
+  }
+
+  _unterminatedHeredocError(heredoc) {
+    const error = new Error(
+        `Lexer Error: Here-document not terminated, expected '${heredoc.delimiter}'.`
+    );
+    error.isIncomplete = true;
+    return error;
+  }
+
+  _tokenizeNumberedRedirection(fd) {
+    const startPos = this.position;
+    const operators =
+        fd === "2"
+            ? [
+              ["2>&1", TokenType.OPERATOR_ERR_TO_OUT],
+              ["2>>", TokenType.OPERATOR_ERR_GTGT],
+              ["2>", TokenType.OPERATOR_ERR_GT],
+            ]
+            : [
+              ["1>&2", TokenType.OPERATOR_OUT_TO_ERR],
+              ["1>>", TokenType.OPERATOR_GTGT],
+              ["1>", TokenType.OPERATOR_GT],
+            ];
+    const [text, type] = operators.find(([op]) =>
+        this.input.startsWith(op, this.position)
+    );
+    this.tokens.push(new Token(type, text, startPos));
+    this.position += text.length;
+  }
+
+  /**
+   * Reads one word up to unquoted whitespace or an operator character,
+   * recording its quoted and unquoted parts.
+   * @param {boolean} [stopAtOperators=true] - When false, whitespace and
+   *   operator characters are part of the word and it runs to end of input.
+   * @returns {Token} A WORD token.
+   */
+  _tokenizeWord(stopAtOperators = true) {
+    const startPos = this.position;
+    const parts = [];
+    let unquoted = "";
+    const flushUnquoted = () => {
+      if (unquoted) {
+        parts.push({ text: unquoted, quote: null });
+        unquoted = "";
+      }
+    };
+
+    while (this.position < this.input.length) {
+      const char = this.input[this.position];
+      const nextChar = this.input[this.position + 1];
 
-        if (innerChar === "\\") {
+      if (char === "\\") {
+        if (nextChar === undefined) {
+          unquoted += char;
           this.position++;
-          if (this.position < this.input.length) {
-            value += this.input[this.position];
-            this.position++;
-          } else {
-            value += "\\";
-          }
           continue;
         }
-
-        if (/\s/.test(innerChar) || specialChars.includes(innerChar)) {
-          break;
+        this.position += 2;
+        if (nextChar !== "\n") {
+          flushUnquoted();
+          parts.push({ text: nextChar, quote: "\\" });
         }
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        flushUnquoted();
+        parts.push(this._readQuoted(char));
+        continue;
+      }
+      if (char === "$" && (nextChar === "(" || nextChar === "{")) {
+        unquoted += this._readExpansion();
+        continue;
+      }
+      if ("?*+@!".includes(char) && nextChar === "(") {
+        // An extglob pattern such as @(a|b) stays within the word.
+        unquoted += this._readExpansion();
+        continue;
+      }
+      if (
+          stopAtOperators &&
+          (/\s/.test(char) || WORD_BREAK_CHARS.includes(char))
+      ) {
+        break;
+      }
+      unquoted += char;
+      this.position++;
+    }
+    flushUnquoted();
+
+    const value = parts.map((part) => part.text).join("");
+    return new Token(TokenType.WORD, value, startPos, parts);
+  }
+
+  /**
+   * Reads a quoted string. Single quotes preserve everything literally;
+   * double-quoted text is kept as written, escapes included, for the
+   * expander to interpret.
+   */
+  _readQuoted(quoteChar) {
+    const startPos = this.position;
+    let text = "";
+    this.position++;
 
-        value += innerChar;
+    while (this.position < this.input.length) {
+      const char = this.input[this.position];
+      const nextChar = this.input[this.position + 1];
+      if (char === quoteChar) {
         this.position++;
+        return { text, quote: quoteChar };
       }
-
-      if (value) {
-        this.tokens.push(new Token(TokenType.WORD, value, startPos));
+      if (quoteChar === '"' && char === "\\" && nextChar !== undefined) {
+        text += char + nextChar;
+        this.position += 2;
       } else if (
-          this.position < this.input.length &&
-          !specialChars.includes(this.input[this.position]) &&
-          !/\s/.test(this.input[this.position])
+          quoteChar === '"' &&
+          char === "$" &&
+          (nextChar === "(" || nextChar === "{")
       ) {
-        throw new Error(
-            `Lexer Error: Unhandled character '${this.input[this.position]}' at position ${this.position} after word processing.`
-        );
+        text += this._readExpansion();
+      } else {
+        text += char;
+        this.position++;
       }
     }
-    this.tokens.push(new Token(TokenType.EOF, null, this.position));
-    return this.tokens;
+
+    const error = new Error(
+        `Lexer Error: Unclosed string literal starting at position ${startPos}. Expected closing ${quoteChar}.`
+    );
+    error.isIncomplete = true;
+    throw error;
   }
 
-  _tokenizeString(quoteChar) {
+  /**
+   * Reads a `$(...)`, `$((...))` or `${...}` expansion, or an extglob group,
+   * as a single unit so quotes and operators inside it do not end the
+   * surrounding word.
+   */
+  _readExpansion() {
     const startPos = this.position;
-    let value = "";
+    const open = this.input[this.position + 1];
+    const close = open === "(" ? ")" : "}";
+    let depth = 0;
+    let quote = null;
     this.position++;
-
     while (this.position < this.input.length) {
-      let char = this.input[this.position];
-
-      if (char === "\\") {
-        const nextChar = this.input[this.position + 1];
-        if (nextChar === quoteChar || nextChar === "\\") {
-          value += nextChar;
-          this.position += 2;
-        } else {
-          value += char;
+      const char = this.input[this.position];
+      this.position++;
+      if (quote) {
+        if (char === "\\" && quote === '"') {
           this.position++;
+        } else if (char === quote) {
+          quote = null;
         }
+        continue;
       }
-      else if (char === quoteChar) {
-        this.position++;
-        return new Token(
-            quoteChar === '"' ? TokenType.STRING_DQ : TokenType.STRING_SQ,
-            value,
-            startPos
-        );
-      }
-      else {
-        value += char;
+      if (char === "\\") {
         this.position++;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === open) {
+        depth++;
+      } else if (char === close) {
+        depth--;
+        if (depth === 0) {
+          return this.input.substring(startPos, this.position);
+        }
       }
     }
-
-    throw new Error(
-        `Lexer Error: Unclosed string literal starting at position ${startPos}. Expected closing ${quoteChar}.`
+    const error = new Error(
+        `Lexer Error: Unclosed '${this.input[startPos]}${open}' starting at position ${startPos}.`
     );
+    error.isIncomplete = true;
+    throw error;
   }
 }
+
 class ParsedCommandSegment {
-  constructor(command, args) {
+  constructor(command, words) {
     this.command = command;
-    this.args = args;
+    this.words = words;
+    this.redirections = [];
+  }
+}
+
+class ParsedCompoundCommand {
+  constructor(kind) {
+    this.kind = kind;
+    this.command = kind;
+    this.redirections = [];
+  }
+}
+
+class ParsedIfClause extends ParsedCompoundCommand {
+  constructor() {
+    super("if");
+    this.clauses = [];
+    this.elseBody = null;
+  }
+}
+
+class ParsedForLoop extends ParsedCompoundCommand {
+  constructor(variable, words, body) {
+    super("for");
+    this.variable = variable;
+    this.words = words;
+    this.body = body;
+  }
+}
+
+class ParsedWhileLoop extends ParsedCompoundCommand {
+  constructor(condition, body, isUntil = false) {
+    super(isUntil ? "until" : "while");
+    this.condition = condition;
+    this.body = body;
+    this.isUntil = isUntil;
+  }
+}
+
+class ParsedCaseClause extends ParsedCompoundCommand {
+  constructor(word, items) {
+    super("case");
+    this.word = word;
+    this.items = items;
+  }
+}
+
+class ParsedFunctionDefinition extends ParsedCompoundCommand {
+  constructor(name, body) {
+    super("function");
+    this.name = name;
+    this.body = body;
+  }
+}
+
+class ParsedSubshell extends ParsedCompoundCommand {
+  constructor(body) {
+    super("subshell");
+    this.body = body;
+  }
+}
+
+class ParsedBraceGroup extends ParsedCompoundCommand {
+  constructor(body) {
+    super("group");
+    this.body = body;
   }
 }
 
 class ParsedPipeline {
   constructor() {
     this.segments = [];
-    this.redirection = null;
-    this.inputRedirectFile = null;
     this.isBackground = false;
     this.jobId = null;
   }
@@ -223,11 +577,60 @@ class Parser {
     if (optional) {
       return null;
     }
+    if (current.type === TokenType.EOF) {
+      throw this._incompleteInputError(tokenType);
+    }
     throw new Error(
         `Parser Error: Expected token ${tokenType} but got ${current.type} ('${current.value}') at input position ${current.position}.`
     );
   }
 
+  _incompleteInputError(expected) {
+    const error = new Error(
+        `Parser Error: Unexpected end of input, expected '${expected}'.`
+    );
+    error.isIncomplete = true;
+    return error;
+  }
+
+  _isKeyword(token, keywords) {
+    return (
+        token.type === TokenType.WORD &&
+        token.parts.every((part) => part.quote === null) &&
+        keywords.includes(token.value)
+    );
+  }
+
+  _skipNewlines() {
+    while (this._currentToken().type === TokenType.NEWLINE) {
+      this._nextToken();
+    }
+  }
+
+  _skipSeparators() {
+    while (
+        [TokenType.NEWLINE, TokenType.OPERATOR_SEMICOLON].includes(
+            this._currentToken().type
+        )
+    ) {
+      this._nextToken();
+    }
+  }
+
+  _expectKeyword(keyword) {
+    const current = this._currentToken();
+    if (this._isKeyword(current, [keyword])) {
+      this._nextToken();
+      return current;
+    }
+    if (current.type === TokenType.EOF) {
+      throw this._incompleteInputError(keyword);
+    }
+    throw new Error(
+        `Parser Error: Expected '${keyword}' but got '${current.value}' at input position ${current.position}.`
+    );
+  }
+
   _parseSingleCommandSegment() {
     const terminators = [
       TokenType.EOF,
@@ -236,145 +639,349 @@ class Parser {
       TokenType.OPERATOR_BG,
       TokenType.OPERATOR_AND,
       TokenType.OPERATOR_OR,
-      TokenType.OPERATOR_GT,
-      TokenType.OPERATOR_GTGT,
-      TokenType.OPERATOR_LT,
+      ...REDIRECTION_OPERATORS,
+      TokenType.OPERATOR_DSEMI,
+      TokenType.OPERATOR_LPAREN,
+      TokenType.OPERATOR_RPAREN,
+      TokenType.NEWLINE,
     ];
+    if (this._currentToken().type === TokenType.OPERATOR_LPAREN) {
+      return this._parseSubshell();
+    }
     if (terminators.includes(this._currentToken().type)) {
       return null;
     }
+    if (this._isKeyword(this._currentToken(), COMPOUND_KEYWORDS)) {
+      return this._parseCompoundCommand();
+    }
+    if (this._isKeyword(this._currentToken(), ["{"])) {
+      return this._parseBraceGroup();
+    }
+    if (this._isFunctionDefinition()) {
+      return this._parseFunctionDefinition();
+    }
     const cmdToken = this._expectAndConsume(TokenType.WORD);
-    const command = cmdToken.value;
-    const args = [];
+    const words = [cmdToken];
     while (!terminators.includes(this._currentToken().type)) {
       const argToken = this._currentToken();
       if (argToken.type === TokenType.WORD) {
-        const globPattern = argToken.value;
-        const { FileSystemManager, Utils } = this.dependencies;
-        if (globPattern.includes("*") || globPattern.includes("?")) {
-          const lastSlashIndex = globPattern.lastIndexOf("/");
-          const pathPrefix =
-              lastSlashIndex > -1
-                  ? globPattern.substring(0, lastSlashIndex + 1)
-                  : ".";
-          const patternPart =
-              lastSlashIndex > -1
-                  ? globPattern.substring(lastSlashIndex + 1)
-                  : globPattern;
-
-          const searchDir =
-              pathPrefix === "/"
-                  ? "/"
-                  : FileSystemManager.getAbsolutePath(
-                      pathPrefix,
-                      FileSystemManager.getCurrentPath()
-                  );
-          const dirNode = FileSystemManager.getNodeByPath(searchDir);
-
-          if (dirNode && dirNode.type === "directory") {
-            const regex = Utils.globToRegex(patternPart);
-            if (regex) {
-              const matches = Object.keys(dirNode.children).filter((name) =>
-                  regex.test(name)
-              );
-              if (matches.length > 0) {
-                args.push(
-                    ...matches.map((name) =>
-                        pathPrefix === "." ? name : `${pathPrefix}${name}`
-                    )
-                );
-              } else {
-                args.push(globPattern);
-              }
-            } else {
-              args.push(globPattern);
-            }
-          } else {
-            args.push(globPattern);
-          }
-        } else {
-          args.push(globPattern);
-        }
-        this._nextToken();
-      } else if (
-          argToken.type === TokenType.STRING_DQ ||
-          argToken.type === TokenType.STRING_SQ
-      ) {
-        args.push(argToken.value);
+        words.push(argToken);
         this._nextToken();
       } else {
         throw new Error(
-            `Parser Error: Unexpected token ${argToken.type} ('${argToken.value}') in arguments at position ${argToken.position}. Expected WORD or STRING.`
+            `Parser Error: Unexpected token ${argToken.type} ('${argToken.value}') in arguments at position ${argToken.position}. Expected WORD.`
         );
       }
     }
-    return new ParsedCommandSegment(command, args);
+    return new ParsedCommandSegment(cmdToken.value, words);
   }
 
-  _parseSinglePipeline() {
-    const pipeline = new ParsedPipeline();
+  _parseCompoundCommand() {
+    const keyword = this._currentToken().value;
+    this._nextToken();
+    switch (keyword) {
+      case "if":
+        return this._parseIfClause();
+      case "for":
+        return this._parseForLoop();
+      case "while":
+      case "until":
+        return this._parseWhileLoop(keyword === "until");
+      case "case":
+        return this._parseCaseClause();
+    }
+    return null;
+  }
 
-    if (this._currentToken().type === TokenType.OPERATOR_LT) {
+  _parseSubshell() {
+    const openToken = this._currentToken();
+    this._nextToken();
+    const body = this._parseCommandList();
+    const closeToken = this._currentToken();
+    if (closeToken.type === TokenType.EOF) {
+      throw this._incompleteInputError(")");
+    }
+    if (closeToken.type !== TokenType.OPERATOR_RPAREN) {
+      throw new Error(
+          `Parser Error: Expected ')' but got '${closeToken.value}' at input position ${closeToken.position}.`
+      );
+    }
+    if (body.length === 0) {
+      throw new Error(
+          `Parser Error: Empty subshell at input position ${openToken.position}.`
+      );
+    }
+    this._nextToken();
+    return new ParsedSubshell(body);
+  }
+
+  _parseBraceGroup() {
+    const openToken = this._currentToken();
+    this._nextToken();
+    const body = this._parseCommandList(["}"]);
+    this._expectKeyword("}");
+    if (body.length === 0) {
+      throw new Error(
+          `Parser Error: Empty command group at input position ${openToken.position}.`
+      );
+    }
+    return new ParsedBraceGroup(body);
+  }
+
+  _isFunctionDefinition() {
+    const [nameToken, openToken, closeToken] = this.tokens.slice(
+        this.position,
+        this.position + 3
+    );
+    return (
+        nameToken?.type === TokenType.WORD &&
+        openToken?.type === TokenType.OPERATOR_LPAREN &&
+        closeToken?.type === TokenType.OPERATOR_RPAREN
+    );
+  }
+
+  _parseFunctionDefinition() {
+    const nameToken = this._currentToken();
+    if (!/^[a-zA-Z_][a-zA-Z0-9_-]*$/.test(nameToken.value)) {
+      throw new Error(
+          `Parser Error: '${nameToken.value}' is not a valid function name.`
+      );
+    }
+    this._nextToken();
+    this._expectAndConsume(TokenType.OPERATOR_LPAREN);
+    this._expectAndConsume(TokenType.OPERATOR_RPAREN);
+    this._skipNewlines();
+    this._expectKeyword("{");
+    const body = this._parseCommandList(["}"]);
+    this._expectKeyword("}");
+    return new ParsedFunctionDefinition(nameToken.value, body);
+  }
+
+  _parseIfClause() {
+    const node = new ParsedIfClause();
+    let condition = this._parseCommandList(["then"]);
+    this._expectKeyword("then");
+    let body = this._parseCommandList(["elif", "else", "fi"]);
+    node.clauses.push({ condition, body });
+
+    while (this._isKeyword(this._currentToken(), ["elif"])) {
       this._nextToken();
-      const fileToken =
-          this._expectAndConsume(TokenType.WORD, true) ||
-          this._expectAndConsume(TokenType.STRING_DQ, true) ||
-          this._expectAndConsume(TokenType.STRING_SQ, true);
-      if (!fileToken) {
+      condition = this._parseCommandList(["then"]);
+      this._expectKeyword("then");
+      body = this._parseCommandList(["elif", "else", "fi"]);
+      node.clauses.push({ condition, body });
+    }
+
+    if (this._isKeyword(this._currentToken(), ["else"])) {
+      this._nextToken();
+      node.elseBody = this._parseCommandList(["fi"]);
+    }
+    this._expectKeyword("fi");
+    return node;
+  }
+
+  _parseForLoop() {
+    const nameToken = this._expectAndConsume(TokenType.WORD);
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(nameToken.value)) {
+      throw new Error(
+          `Parser Error: '${nameToken.value}' is not a valid identifier in 'for' loop.`
+      );
+    }
+    let words = null;
+    this._skipNewlines();
+    if (this._isKeyword(this._currentToken(), ["in"])) {
+      this._nextToken();
+      words = [];
+      while (this._currentToken().type === TokenType.WORD) {
+        words.push(this._currentToken());
+        this._nextToken();
+      }
+    }
+    this._skipSeparators();
+    this._expectKeyword("do");
+    const body = this._parseCommandList(["done"]);
+    this._expectKeyword("done");
+    return new ParsedForLoop(nameToken.value, words, body);
+  }
+
+  _parseWhileLoop(isUntil) {
+    const condition = this._parseCommandList(["do"]);
+    this._expectKeyword("do");
+    const body = this._parseCommandList(["done"]);
+    this._expectKeyword("done");
+    return new ParsedWhileLoop(condition, body, isUntil);
+  }
+
+  _parseCaseClause() {
+    const wordToken = this._currentToken();
+    if (wordToken.type !== TokenType.WORD) {
+      if (wordToken.type === TokenType.EOF) {
+        throw this._incompleteInputError("in");
+      }
+      throw new Error(
+          `Parser Error: Expected word after 'case' at input position ${wordToken.position}.`
+      );
+    }
+    this._nextToken();
+    this._skipNewlines();
+    this._expectKeyword("in");
+
+    const items = [];
+    this._skipSeparators();
+    while (!this._isKeyword(this._currentToken(), ["esac"])) {
+      this._expectAndConsume(TokenType.OPERATOR_LPAREN, true);
+      const patterns = [];
+      do {
+        const patternToken = this._currentToken();
+        if (patternToken.type !== TokenType.WORD) {
+          if (patternToken.type === TokenType.EOF) {
+            throw this._incompleteInputError("esac");
+          }
+          throw new Error(
+              `Parser Error: Expected pattern in 'case' but got '${patternToken.value}' at input position ${patternToken.position}.`
+          );
+        }
+        patterns.push(patternToken);
+        this._nextToken();
+      } while (this._expectAndConsume(TokenType.OPERATOR_PIPE, true));
+      this._expectAndConsume(TokenType.OPERATOR_RPAREN);
+
+      const body = this._parseCommandList(["esac"]);
+      items.push({ patterns, body });
+
+      if (this._expectAndConsume(TokenType.OPERATOR_DSEMI, true)) {
+        this._skipSeparators();
+      } else if (!this._isKeyword(this._currentToken(), ["esac"])) {
+        if (this._currentToken().type === TokenType.EOF) {
+          throw this._incompleteInputError("esac");
+        }
         throw new Error(
-            "Parser Error: Expected filename after input redirection operator '<'."
+            `Parser Error: Expected ';;' or 'esac' but got '${this._currentToken().value}' at input position ${this._currentToken().position}.`
         );
       }
-      pipeline.inputRedirectFile = fileToken.value;
     }
+    this._expectKeyword("esac");
+    return new ParsedCaseClause(wordToken, items);
+  }
+
+  _parseSinglePipeline() {
+    const pipeline = new ParsedPipeline();
+
+    // Redirections may also come before the command: `< in.txt sort`.
+    const leadingRedirections = new ParsedCommandSegment("", []);
+    this._parseRedirections(leadingRedirections);
 
     let currentSegment = this._parseSingleCommandSegment();
     if (currentSegment) {
+      currentSegment.redirections.push(...leadingRedirections.redirections);
+    } else if (leadingRedirections.redirections.length > 0) {
+      currentSegment = leadingRedirections;
+    }
+    if (currentSegment) {
+      this._parseRedirections(currentSegment);
       pipeline.segments.push(currentSegment);
     }
 
     while (this._currentToken().type === TokenType.OPERATOR_PIPE) {
       this._nextToken();
+      this._skipNewlines();
       currentSegment = this._parseSingleCommandSegment();
       if (!currentSegment) {
         throw new Error(
             "Parser Error: Expected command after pipe operator '|'."
         );
       }
+      this._parseRedirections(currentSegment);
       pipeline.segments.push(currentSegment);
     }
 
-    if (
-        this._currentToken().type === TokenType.OPERATOR_GT ||
-        this._currentToken().type === TokenType.OPERATOR_GTGT
-    ) {
+    return pipeline.segments.length > 0 ? pipeline : null;
+  }
+
+  _parseRedirections(segment) {
+    while (REDIRECTION_OPERATORS.includes(this._currentToken().type)) {
       const opToken = this._currentToken();
       this._nextToken();
-      const fileToken =
-          this._expectAndConsume(TokenType.WORD, true) ||
-          this._expectAndConsume(TokenType.STRING_DQ, true) ||
-          this._expectAndConsume(TokenType.STRING_SQ, true);
+
+      if (opToken.type === TokenType.OPERATOR_ERR_TO_OUT) {
+        segment.redirections.push({ fd: 2, duplicate: 1 });
+        continue;
+      }
+      if (opToken.type === TokenType.OPERATOR_OUT_TO_ERR) {
+        segment.redirections.push({ fd: 1, duplicate: 2 });
+        continue;
+      }
+      if (opToken.type === TokenType.OPERATOR_HEREDOC) {
+        const { body, quoted } = opToken.heredoc;
+        segment.redirections.push({
+          fd: 0,
+          type: "heredoc",
+          fileToken: new Token(TokenType.WORD, body, opToken.position, [
+            { text: body, quote: quoted ? "'" : '"' },
+          ]),
+        });
+        continue;
+      }
+
+      const fileToken = this._expectAndConsume(TokenType.WORD, true);
       if (!fileToken) {
         throw new Error(
             `Parser Error: Expected filename after redirection operator '${opToken.value}'.`
         );
       }
-      pipeline.redirection = {
-        type: opToken.type === TokenType.OPERATOR_GTGT ? "append" : "overwrite",
-        file: fileToken.value,
-      };
-    }
 
-    return pipeline.segments.length > 0 ||
-    pipeline.redirection ||
-    pipeline.inputRedirectFile
-        ? pipeline
-        : null;
-  }
+      const target = { file: fileToken.value, fileToken };
+      switch (opToken.type) {
+        case TokenType.OPERATOR_LT:
+          segment.redirections.push({ fd: 0, type: "input", ...target });
+          break;
+        case TokenType.OPERATOR_HERESTRING:
+          segment.redirections.push({ fd: 0, type: "herestring", ...target });
+          break;
+        case TokenType.OPERATOR_GT:
+        case TokenType.OPERATOR_GTGT:
+          segment.redirections.push({
+            fd: 1,
+            type: opToken.type === TokenType.OPERATOR_GTGT ? "append" : "overwrite",
+            ...target,
+          });
+          break;
+        case TokenType.OPERATOR_ERR_GT:
+        case TokenType.OPERATOR_ERR_GTGT:
+          segment.redirections.push({
+            fd: 2,
+            type: opToken.type === TokenType.OPERATOR_ERR_GTGT ? "append" : "overwrite",
+            ...target,
+          });
+          break;
+        case TokenType.OPERATOR_ALL_GT:
+        case TokenType.OPERATOR_ALL_GTGT:
+          segment.redirections.push(
+              {
+                fd: 1,
+                type: opToken.type === TokenType.OPERATOR_ALL_GTGT ? "append" : "overwrite",
+                ...target,
+              },
+              { fd: 2, duplicate: 1 }
+          );
+          break;
+      }
+    }
+  }
 
-  parse() {
+  _parseCommandList(endKeywords = []) {
     const commandSequence = [];
+    this._skipNewlines();
     while (this._currentToken().type !== TokenType.EOF) {
+      const current = this._currentToken();
+      if (
+          this._isKeyword(current, endKeywords) ||
+          current.type === TokenType.OPERATOR_DSEMI ||
+          current.type === TokenType.OPERATOR_RPAREN
+      ) {
+        break;
+      }
+
       const pipeline = this._parseSinglePipeline();
 
       if (!pipeline) {
@@ -402,24 +1009,1001 @@ class Parser {
             TokenType.OPERATOR_OR,
             TokenType.OPERATOR_SEMICOLON,
             TokenType.OPERATOR_BG,
+            TokenType.NEWLINE,
           ].includes(currentToken.type)
       ) {
-        operator = currentToken.value;
+        operator = currentToken.type === TokenType.NEWLINE ? ";" : currentToken.value;
         this._nextToken();
       }
 
       commandSequence.push({ pipeline, operator });
+      this._skipNewlines();
 
-      if (
-          this._currentToken().type === TokenType.EOF &&
-          (operator === "&&" || operator === "||")
-      ) {
-        throw new Error(
-            `Parser Error: Command expected after '${operator}' operator.`
-        );
+      if (operator === "&&" || operator === "||") {
+        if (this._currentToken().type === TokenType.EOF) {
+          if (endKeywords.length > 0) {
+            throw this._incompleteInputError(endKeywords[0]);
+          }
+          throw new Error(
+              `Parser Error: Command expected after '${operator}' operator.`
+          );
+        }
+        if (this._isKeyword(this._currentToken(), endKeywords)) {
+          throw new Error(
+              `Parser Error: Command expected after '${operator}' operator.`
+          );
+        }
+      }
+
+      if (!operator) {
+        break;
       }
     }
+    return commandSequence;
+  }
+
+  parse() {
+    const commandSequence = this._parseCommandList();
     this._expectAndConsume(TokenType.EOF);
     return commandSequence;
   }
-}
\ No newline at end of file
+}
+
+const ARITHMETIC_BINARY_PRECEDENCE = {
+  "||": 1,
+  "&&": 2,
+  "|": 3,
+  "^": 4,
+  "&": 5,
+  "==": 6,
+  "!=": 6,
+  "<": 7,
+  "<=": 7,
+  ">": 7,
+  ">=": 7,
+  "<<": 8,
+  ">>": 8,
+  "+": 9,
+  "-": 9,
+  "*": 10,
+  "/": 10,
+  "%": 10,
+  "**": 11,
+};
+
+const ARITHMETIC_ASSIGNMENT_OPERATORS = [
+  "=", "+=", "-=", "*=", "/=", "%=", "<<=", ">>=", "&=", "|=", "^=",
+];
+
+/**
+ * Evaluates the integer expressions of `$(( ))`. Variables may be named
+ * without a leading `$`; unset or non-numeric variables count as 0.
+ */
+class ArithmeticEvaluator {
+  /**
+   * @param {string} expression - The expression, already parameter-expanded.
+   * @param {{get: function(string): string, set: function(string, string)}} variables
+   */
+  constructor(expression, variables) {
+    this.expression = expression;
+    this.variables = variables;
+    this.tokens = [];
+    this.position = 0;
+  }
+
+  evaluate() {
+    this.tokens = this._tokenize();
+    if (this.tokens.length === 0) {
+      return 0;
+    }
+    const value = this._parseAssignment();
+    if (this.position < this.tokens.length) {
+      throw this._syntaxError(this.tokens[this.position]);
+    }
+    return value;
+  }
+
+  _tokenize() {
+    const pattern =
+        /\s*(0[xX][0-9a-fA-F]+|\d+|[a-zA-Z_][a-zA-Z0-9_]*|<<=|>>=|\*\*|\+\+|--|&&|\|\||<<|>>|[-+*/%<>=!&|^]=|[-+*/%<>=!~?:()&|^])/y;
+    const tokens = [];
+    let position = 0;
+    while (this.expression.substring(position).trim() !== "") {
+      pattern.lastIndex = position;
+      const match = pattern.exec(this.expression);
+      if (!match) {
+        throw this._syntaxError(this.expression.substring(position).trim());
+      }
+      tokens.push(match[1]);
+      position = pattern.lastIndex;
+    }
+    return tokens;
+  }
+
+  _syntaxError(token) {
+    return new Error(
+        `${this.expression.trim()}: syntax error in expression (error token is "${token ?? ""}")`
+    );
+  }
+
+  _peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  _consume(expected) {
+    const token = this.tokens[this.position];
+    if (expected !== undefined && token !== expected) {
+      throw this._syntaxError(token);
+    }
+    this.position++;
+    return token;
+  }
+
+  _isName(token) {
+    return token !== undefined && /^[a-zA-Z_]/.test(token);
+  }
+
+  _getVariable(name) {
+    const value = this.variables.get(name).trim();
+    const number = /^0[xX]/.test(value) ? parseInt(value, 16) : parseInt(value, 10);
+    return Number.isNaN(number) ? 0 : number;
+  }
+
+  _setVariable(name, value) {
+    this.variables.set(name, String(value));
+    return value;
+  }
+
+  _parseAssignment() {
+    const name = this._peek();
+    if (
+        this._isName(name) &&
+        ARITHMETIC_ASSIGNMENT_OPERATORS.includes(this._peek(1))
+    ) {
+      this.position += 2;
+      const operator = this.tokens[this.position - 1];
+      const value = this._parseAssignment();
+      if (operator === "=") {
+        return this._setVariable(name, value);
+      }
+      return this._setVariable(
+          name,
+          this._applyBinary(operator.slice(0, -1), this._getVariable(name), value)
+      );
+    }
+    return this._parseTernary();
+  }
+
+  _parseTernary() {
+    const condition = this._parseBinary(1);
+    if (this._peek() !== "?") {
+      return condition;
+    }
+    this._consume("?");
+    const whenTrue = this._parseAssignment();
+    this._consume(":");
+    const whenFalse = this._parseTernary();
+    return condition !== 0 ? whenTrue : whenFalse;
+  }
+
+  _parseBinary(minPrecedence) {
+    let left = this._parseUnary();
+    while (true) {
+      const operator = this._peek();
+      const precedence = ARITHMETIC_BINARY_PRECEDENCE[operator];
+      if (precedence === undefined || precedence < minPrecedence) {
+        return left;
+      }
+      this._consume();
+      const right = this._parseBinary(
+          operator === "**" ? precedence : precedence + 1
+      );
+      left = this._applyBinary(operator, left, right);
+    }
+  }
+
+  _applyBinary(operator, left, right) {
+    switch (operator) {
+      case "||": return left !== 0 || right !== 0 ? 1 : 0;
+      case "&&": return left !== 0 && right !== 0 ? 1 : 0;
+      case "|": return left | right;
+      case "^": return left ^ right;
+      case "&": return left & right;
+      case "==": return left === right ? 1 : 0;
+      case "!=": return left !== right ? 1 : 0;
+      case "<": return left < right ? 1 : 0;
+      case "<=": return left <= right ? 1 : 0;
+      case ">": return left > right ? 1 : 0;
+      case ">=": return left >= right ? 1 : 0;
+      case "<<": return left << right;
+      case ">>": return left >> right;
+      case "+": return left + right;
+      case "-": return left - right;
+      case "*": return left * right;
+      case "/":
+      case "%":
+        if (right === 0) {
+          throw new Error(`${this.expression.trim()}: division by 0`);
+        }
+        return operator === "/" ? Math.trunc(left / right) : left % right;
+      case "**":
+        if (right < 0) {
+          throw new Error(`${this.expression.trim()}: exponent less than 0`);
+        }
+        return left ** right;
+      default:
+        throw this._syntaxError(operator);
+    }
+  }
+
+  _parseUnary() {
+    const token = this._peek();
+    if (token === "++" || token === "--") {
+      this._consume();
+      const name = this._consume();
+      if (!this._isName(name)) {
+        throw this._syntaxError(name);
+      }
+      return this._setVariable(
+          name,
+          this._getVariable(name) + (token === "++" ? 1 : -1)
+      );
+    }
+    if (["+", "-", "!", "~"].includes(token)) {
+      this._consume();
+      const operand = this._parseUnary();
+      switch (token) {
+        case "+": return operand;
+        case "-": return -operand;
+        case "!": return operand === 0 ? 1 : 0;
+        default: return ~operand;
+      }
+    }
+    return this._parsePrimary();
+  }
+
+  _parsePrimary() {
+    const token = this._consume();
+    if (token === "(") {
+      const value = this._parseAssignment();
+      this._consume(")");
+      return value;
+    }
+    if (this._isName(token)) {
+      const value = this._getVariable(token);
+      const next = this._peek();
+      if (next === "++" || next === "--") {
+        this._consume();
+        this._setVariable(token, value + (next === "++" ? 1 : -1));
+      }
+      return value;
+    }
+    if (token !== undefined && /^\d/.test(token)) {
+      if (/^0[xX]/.test(token)) return parseInt(token, 16);
+      if (/^0[0-7]+$/.test(token)) return parseInt(token, 8);
+      if (/^\d+$/.test(token) && !/^0\d/.test(token)) return parseInt(token, 10);
+    }
+    throw this._syntaxError(token);
+  }
+}
+
+const IFS_WHITESPACE = " \t\n";
+const DEFAULT_IFS = " \t\n";
+
+/**
+ * Expands the words of a parsed command in POSIX order: brace expansion,
+ * tilde expansion, parameter, command and arithmetic substitution, field
+ * splitting on IFS, pathname expansion and quote removal. Each step only
+ * applies to the parts of a word its quoting leaves open.
+ *
+ * Substitution produces "pieces" of `{ text, quoted, split }`; quoted
+ * pieces are exempt from splitting and globbing, and `split` marks unquoted
+ * expansion results, the only text field splitting looks at.
+ */
+class WordExpander {
+  constructor(dependencies) {
+    this.dependencies = dependencies;
+  }
+
+  async expandWords(tokens, context = {}) {
+    const results = [];
+    for (const token of tokens) {
+      results.push(...(await this.expandWord(token, context)));
+    }
+    return results;
+  }
+
+  /**
+   * Expands one word into zero or more fields.
+   * @param {Token} token - A WORD token.
+   * @param {object} context - Positional arguments and exit statuses.
+   * @param {{split: boolean, glob: boolean}} [options] - Without `split`,
+   *   brace expansion and field splitting are skipped and the word always
+   *   yields exactly one field.
+   * @returns {Promise<string[]>}
+   */
+  async expandWord(token, context = {}, { split = true, glob = true } = {}) {
+    const variants = split ? this._expandBraces(token.parts) : [token.parts];
+    const results = [];
+    for (const parts of variants) {
+      const pieces = await this._substituteParts(parts, context);
+      const fields = split ? this._splitFields(pieces) : [pieces];
+      for (const field of fields) {
+        if (glob) {
+          results.push(...this._expandPathname(field, context));
+        } else {
+          results.push(this._joinPieces(field));
+        }
+      }
+    }
+    return results;
+  }
+
+  async expandString(token, context = {}) {
+    const [value] = await this.expandWord(token, context, {
+      split: false,
+      glob: false,
+    });
+    return value ?? "";
+  }
+
+  async expandAssignment(tokens, context = {}) {
+    const [first, ...rest] = tokens;
+    if (!first || rest.length > 0 || first.type !== TokenType.WORD) {
+      return null;
+    }
+    const [head, ...tail] = first.parts;
+    if (!head || head.quote !== null) {
+      return null;
+    }
+    const match = head.text.match(/^([a-zA-Z_][a-zA-Z0-9_]*)=(.*)$/s);
+    if (!match) {
+      return null;
+    }
+    const [, name, valueText] = match;
+    const valueParts = valueText
+        ? [{ text: valueText, quote: null }, ...tail]
+        : tail;
+    const pieces = await this._substituteParts(valueParts, context);
+    return { name, value: this._joinPieces(pieces) };
+  }
+
+  async matchesPattern(patternToken, value, context = {}) {
+    const { Utils } = this.dependencies;
+    const pieces = await this._substituteParts(patternToken.parts, context);
+    const regex = Utils.globToRegex(this._piecesToGlob(pieces), {
+      extglob: context.shellOptions?.extglob,
+    });
+    return regex ? regex.test(value) : this._joinPieces(pieces) === value;
+  }
+
+  _expandBraces(parts) {
+    for (const [index, part] of parts.entries()) {
+      if (part.quote !== null) continue;
+      const brace = this._findBraceExpression(part.text);
+      if (!brace) continue;
+      const prefix = part.text.substring(0, brace.start);
+      const suffix = part.text.substring(brace.end + 1);
+      return brace.alternatives.flatMap((alternative) =>
+          this._expandBraces([
+            ...parts.slice(0, index),
+            { text: prefix + alternative + suffix, quote: null },
+            ...parts.slice(index + 1),
+          ])
+      );
+    }
+    return [parts];
+  }
+
+  _findBraceExpression(text) {
+    for (let start = 0; start < text.length; start++) {
+      const char = text[start];
+      const next = text[start + 1];
+      if (char === "$" && (next === "{" || next === "(")) {
+        const end = this._findClosing(text, start + 1);
+        if (end === -1) return null;
+        start = end;
+        continue;
+      }
+      if (char !== "{") continue;
+      const end = this._findClosing(text, start);
+      if (end === -1) return null;
+      const alternatives = this._braceAlternatives(
+          text.substring(start + 1, end)
+      );
+      if (alternatives) {
+        return { start, end, alternatives };
+      }
+    }
+    return null;
+  }
+
+  _braceAlternatives(body) {
+    const sequence = body.match(
+        /^(-?\d+|[a-zA-Z])\.\.(-?\d+|[a-zA-Z])(?:\.\.(-?\d+))?$/
+    );
+    if (sequence) {
+      return this._braceSequence(sequence[1], sequence[2], sequence[3]);
+    }
+
+    const alternatives = [];
+    let depth = 0;
+    let current = "";
+    for (let i = 0; i < body.length; i++) {
+      const char = body[i];
+      if (char === "$" && (body[i + 1] === "{" || body[i + 1] === "(")) {
+        const end = this._findClosing(body, i + 1);
+        if (end === -1) return null;
+        current += body.substring(i, end + 1);
+        i = end;
+        continue;
+      }
+      if (char === "{") depth++;
+      if (char === "}") depth--;
+      if (char === "," && depth === 0) {
+        alternatives.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    alternatives.push(current);
+    return alternatives.length > 1 ? alternatives : null;
+  }
+
+  _braceSequence(startText, endText, stepText) {
+    const isNumeric = /^-?\d+$/.test(startText) && /^-?\d+$/.test(endText);
+    if (!isNumeric && (/\d/.test(startText) || /\d/.test(endText))) {
+      return null;
+    }
+    const from = isNumeric ? parseInt(startText, 10) : startText.charCodeAt(0);
+    const to = isNumeric ? parseInt(endText, 10) : endText.charCodeAt(0);
+    const step = Math.abs(parseInt(stepText || "1", 10)) || 1;
+    const direction = from <= to ? 1 : -1;
+    const width =
+        isNumeric && (/^-?0\d/.test(startText) || /^-?0\d/.test(endText))
+            ? Math.max(startText.length, endText.length)
+            : 0;
+
+    const values = [];
+    for (
+        let value = from;
+        direction > 0 ? value <= to : value >= to;
+        value += step * direction
+    ) {
+      if (!isNumeric) {
+        values.push(String.fromCharCode(value));
+      } else {
+        const sign = value < 0 ? "-" : "";
+        values.push(sign + String(Math.abs(value)).padStart(width - sign.length, "0"));
+      }
+    }
+    return values;
+  }
+
+  async _substituteParts(parts, context) {
+    const pieces = [];
+    for (const [index, part] of parts.entries()) {
+      if (part.quote === "'" || part.quote === "\\") {
+        pieces.push({ text: part.text, quoted: true });
+      } else if (part.quote === '"') {
+        // An empty quoted piece keeps "" as a field, except for "$@",
+        // which vanishes entirely when there are no positional arguments.
+        if (!/^\$(@|\{@\})$/.test(part.text)) {
+          pieces.push({ text: "", quoted: true });
+        }
+        await this._substitute(part.text, context, pieces, true);
+      } else {
+        let text = part.text;
+        if (index === 0) {
+          text = this._expandTilde(text, pieces, parts.length === 1);
+        }
+        await this._substitute(text, context, pieces, false);
+      }
+    }
+    return pieces;
+  }
+
+  _expandTilde(text, pieces, endsWord) {
+    const { EnvironmentManager, FileSystemManager } = this.dependencies;
+    const match = text.match(/^~([a-zA-Z0-9_-]*)/);
+    if (!match) {
+      return text;
+    }
+    const rest = text.substring(match[0].length);
+    if (!(rest.startsWith("/") || (rest === "" && endsWord))) {
+      return text;
+    }
+    let home = null;
+    if (match[1] === "") {
+      home = EnvironmentManager.get("HOME");
+    } else if (FileSystemManager.getNodeByPath(`/home/${match[1]}`)) {
+      home = `/home/${match[1]}`;
+    }
+    if (home === null) {
+      return text;
+    }
+    pieces.push({ text: home, quoted: true });
+    return rest;
+  }
+
+  async _substitute(text, context, pieces, quoted) {
+    let literal = "";
+    const flush = () => {
+      if (literal) {
+        pieces.push({ text: literal, quoted });
+        literal = "";
+      }
+    };
+    const pushValue = (value) => {
+      flush();
+      pieces.push({ text: value, quoted, split: !quoted });
+    };
+
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      const next = text[i + 1];
+      if (quoted && char === "\\" && next !== undefined && "$`\"\\\n".includes(next)) {
+        if (next !== "\n") literal += next;
+        i += 2;
+        continue;
+      }
+      if (char !== "$" || next === undefined) {
+        literal += char;
+        i++;
+        continue;
+      }
+
+      if (next === "(" || next === "{") {
+        const end = this._findClosing(text, i + 1);
+        if (end === -1) {
+          literal += text.substring(i);
+          break;
+        }
+        const inner = text.substring(i + 2, end);
+        if (next === "{") {
+          if (quoted && inner === "@") {
+            flush();
+            this._pushPositionalFields(pieces, context);
+          } else {
+            pushValue(await this._expandParameter(inner, context));
+          }
+        } else if (inner.startsWith("(") && inner.endsWith(")")) {
+          pushValue(
+              await this._evaluateArithmetic(inner.slice(1, -1), context)
+          );
+        } else {
+          pushValue(await this._runCommandSubstitution(inner, context));
+        }
+        i = end + 1;
+      } else if (/[a-zA-Z_]/.test(next)) {
+        const name = text.substring(i + 1).match(/^[a-zA-Z_][a-zA-Z0-9_]*/)[0];
+        pushValue(this._lookupParameter(name, context));
+        i += 1 + name.length;
+      } else if (/[0-9?#@*]/.test(next)) {
+        if (quoted && next === "@") {
+          flush();
+          this._pushPositionalFields(pieces, context);
+        } else {
+          pushValue(this._lookupParameter(next, context));
+        }
+        i += 2;
+      } else {
+        literal += char;
+        i++;
+      }
+    }
+    flush();
+  }
+
+  _pushPositionalFields(pieces, context) {
+    (context.positionalArgs || []).forEach((arg, index) => {
+      if (index > 0) pieces.push({ fieldBreak: true });
+      pieces.push({ text: arg, quoted: true });
+    });
+  }
+
+  _findClosing(text, openIndex) {
+    const open = text[openIndex];
+    const close = open === "{" ? "}" : ")";
+    let depth = 0;
+    let quote = null;
+    for (let i = openIndex; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === "\\" && quote === '"') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+        continue;
+      }
+      if (char === "\\") {
+        i++;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === open) {
+        depth++;
+      } else if (char === close) {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  async _expandParameter(inner, context) {
+    const { EnvironmentManager } = this.dependencies;
+    const namePattern =
+        /^([a-zA-Z_][a-zA-Z0-9_]*(?:\[[^\]]*\])?|[0-9]+|[?#@*])/;
+
+    const lengthMatch = inner.match(/^#(.+)$/s);
+    if (lengthMatch) {
+      const nameMatch = lengthMatch[1].match(namePattern);
+      if (!nameMatch || nameMatch[0] !== lengthMatch[1]) {
+        throw new Error(`\${${inner}}: bad substitution`);
+      }
+      const name = nameMatch[0];
+      if (name === "@" || name === "*") {
+        return String((context.positionalArgs || []).length);
+      }
+      return String([...this._lookupParameter(name, context)].length);
+    }
+
+    const nameMatch = inner.match(namePattern);
+    if (!nameMatch) {
+      throw new Error(`\${${inner}}: bad substitution`);
+    }
+    const name = nameMatch[0];
+    const rest = inner.substring(name.length);
+    const value = this._lookupParameter(name, context);
+    if (rest === "") {
+      return value;
+    }
+
+    const operatorMatch = rest.match(/^(:?[-=+?]|##?|%%?)(.*)$/s);
+    if (!operatorMatch) {
+      throw new Error(`\${${inner}}: bad substitution`);
+    }
+    const [, operator, word] = operatorMatch;
+    const isSet = this._isParameterSet(name, context);
+    const isNull = operator.startsWith(":") ? !isSet || value === "" : !isSet;
+
+    switch (operator.replace(":", "")) {
+      case "-":
+        return isNull ? this._expandText(word, context) : value;
+      case "+":
+        return isNull ? "" : this._expandText(word, context);
+      case "=": {
+        if (!isNull) {
+          return value;
+        }
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+          throw new Error(`$${name}: cannot assign in this way`);
+        }
+        const assigned = await this._expandText(word, context);
+        EnvironmentManager.set(name, assigned);
+        return assigned;
+      }
+      case "?": {
+        if (!isNull) {
+          return value;
+        }
+        const message = await this._expandText(word, context);
+        throw new Error(`${name}: ${message || "parameter null or not set"}`);
+      }
+      default:
+        return this._removePattern(
+            value,
+            operator,
+            await this._expandPattern(word, context),
+            context
+        );
+    }
+  }
+
+  _isParameterSet(name, context) {
+    const { EnvironmentManager } = this.dependencies;
+    if (/^[0-9]+$/.test(name)) {
+      const index = parseInt(name, 10);
+      return index <= (context.positionalArgs || []).length;
+    }
+    if (/^[a-zA-Z_]/.test(name) && !name.startsWith("PIPESTATUS")) {
+      return Object.prototype.hasOwnProperty.call(
+          EnvironmentManager.getAll(),
+          name
+      );
+    }
+    return true;
+  }
+
+  _removePattern(value, operator, glob, context) {
+    const { Utils } = this.dependencies;
+    const regex = Utils.globToRegex(glob, {
+      extglob: context.shellOptions?.extglob,
+    });
+    if (!regex) {
+      return value;
+    }
+    const fromStart = operator.startsWith("#");
+    const lengths = [...Array(value.length + 1).keys()];
+    if (operator.length === 2) {
+      lengths.reverse();
+    }
+    for (const length of lengths) {
+      const candidate = fromStart
+          ? value.substring(0, length)
+          : value.substring(value.length - length);
+      if (regex.test(candidate)) {
+        return fromStart
+            ? value.substring(length)
+            : value.substring(0, value.length - length);
+      }
+    }
+    return value;
+  }
+
+  async _expandText(text, context) {
+    const pieces = await this._substituteParts(
+        Lexer.splitWordParts(text),
+        context
+    );
+    return this._joinPieces(pieces);
+  }
+
+  async _expandPattern(text, context) {
+    const pieces = await this._substituteParts(
+        Lexer.splitWordParts(text),
+        context
+    );
+    return this._piecesToGlob(pieces);
+  }
+
+  async _evaluateArithmetic(expression, context) {
+    const { EnvironmentManager } = this.dependencies;
+    const expanded = await this._expandText(expression, context);
+    const evaluator = new ArithmeticEvaluator(expanded, {
+      get: (name) => EnvironmentManager.get(name),
+      set: (name, value) => EnvironmentManager.set(name, value),
+    });
+    return String(evaluator.evaluate());
+  }
+
+  _lookupParameter(name, context) {
+    const { EnvironmentManager } = this.dependencies;
+    const positionalArgs = context.positionalArgs || [];
+    if (name === "?") {
+      return String(context.lastExitStatus ?? 0);
+    }
+    const pipeStatusMatch = name.match(/^PIPESTATUS(?:\[(\d+|@|\*)\])?$/);
+    if (pipeStatusMatch) {
+      const statuses = context.pipeStatus || [];
+      const index = pipeStatusMatch[1] ?? "0";
+      if (index === "@" || index === "*") {
+        return statuses.join(" ");
+      }
+      const status = statuses[parseInt(index, 10)];
+      return status !== undefined ? String(status) : "";
+    }
+    if (name === "#") {
+      return String(positionalArgs.length);
+    }
+    if (name === "@") {
+      return positionalArgs.join(" ");
+    }
+    if (name === "*") {
+      return positionalArgs.join(this._getIFS().charAt(0));
+    }
+    if (/^[0-9]+$/.test(name)) {
+      const index = parseInt(name, 10);
+      return index > 0 ? positionalArgs[index - 1] ?? "" : "";
+    }
+    return EnvironmentManager.get(name);
+  }
+
+  _getIFS() {
+    const { EnvironmentManager } = this.dependencies;
+    const env = EnvironmentManager.getAll();
+    return Object.prototype.hasOwnProperty.call(env, "IFS")
+        ? env.IFS
+        : DEFAULT_IFS;
+  }
+
+  async _runCommandSubstitution(subCommand, context) {
+    const { CommandExecutor } = this.dependencies;
+    const result = await CommandExecutor.processSingleCommand(subCommand, {
+      isInteractive: false,
+      suppressOutput: true,
+      positionalArgs: context.positionalArgs,
+      tty: context.tty,
+    });
+    return result.success ? (result.output || "").replace(/\n+$/, "") : "";
+  }
+
+  /**
+   * Splits unquoted expansion results on IFS. Runs of IFS whitespace
+   * separate fields and are otherwise dropped; every other IFS character
+   * ends a field, so adjacent ones delimit empty fields.
+   */
+  _splitFields(pieces) {
+    const ifs = this._getIFS();
+    const fields = [];
+    let current = [];
+    let hasContent = false;
+    const endField = () => {
+      if (hasContent) fields.push(current);
+      current = [];
+      hasContent = false;
+    };
+
+    for (const piece of pieces) {
+      if (piece.fieldBreak) {
+        endField();
+        continue;
+      }
+      if (!piece.split || ifs === "") {
+        current.push(piece);
+        if (piece.quoted || piece.text) hasContent = true;
+        continue;
+      }
+      let text = "";
+      for (const char of piece.text) {
+        if (!ifs.includes(char)) {
+          text += char;
+          continue;
+        }
+        if (text) {
+          current.push({ text, quoted: false });
+          hasContent = true;
+          text = "";
+        }
+        if (!IFS_WHITESPACE.includes(char)) {
+          hasContent = true;
+        }
+        endField();
+      }
+      if (text) {
+        current.push({ text, quoted: false });
+        hasContent = true;
+      }
+    }
+    endField();
+    return fields;
+  }
+
+  _joinPieces(pieces) {
+    return pieces
+        .map((piece) => (piece.fieldBreak ? " " : piece.text))
+        .join("");
+  }
+
+  /** Builds a glob pattern in which quoted characters match literally. */
+  _piecesToGlob(pieces) {
+    return pieces
+        .map((piece) => {
+          if (piece.fieldBreak) return " ";
+          return piece.quoted
+              ? piece.text.replace(/[*?[\]\\]/g, "\\$&")
+              : piece.text;
+        })
+        .join("");
+  }
+
+  /**
+   * Matches a field against the file system. Every path component may
+   * hold wildcards, and a `**` component matches any number of
+   * directories. Names starting with "." only match a pattern that starts
+   * with a literal "." unless dotglob is set. With nullglob, a pattern
+   * that matches nothing expands to no fields instead of itself.
+   */
+  _expandPathname(pieces, context) {
+    const { FileSystemManager } = this.dependencies;
+    const options = context.shellOptions || {};
+    const text = this._joinPieces(pieces);
+    const hasPattern = pieces.some(
+        (piece) =>
+            !piece.quoted &&
+            (/[*?[]/.test(piece.text) ||
+                (options.extglob && /[?*+@!]\(/.test(piece.text)))
+    );
+    if (!hasPattern) {
+      return [text];
+    }
+
+    const globPattern = this._piecesToGlob(pieces);
+    const isAbsolute = globPattern.startsWith("/");
+    const directoriesOnly = globPattern.endsWith("/");
+    const components = globPattern.split("/").filter(Boolean);
+    let matches = [isAbsolute ? "/" : ""];
+
+    for (const [index, component] of components.entries()) {
+      const isLast = index === components.length - 1;
+      const nextMatches = [];
+      for (const match of matches) {
+        const dirNode = FileSystemManager.getNodeByPath(
+            FileSystemManager.getAbsolutePath(
+                match || ".",
+                FileSystemManager.getCurrentPath()
+            )
+        );
+        if (!dirNode || dirNode.type !== "directory") continue;
+
+        if (component === "**") {
+          if (!isLast) nextMatches.push(match);
+          this._collectDescendants(dirNode, match, isLast, options, nextMatches);
+        } else if (!this._isGlobComponent(component, options)) {
+          const name = component.replace(/\\(.)/g, "$1");
+          if (name === "." || name === ".." || dirNode.children[name]) {
+            nextMatches.push(this._joinPath(match, name));
+          }
+        } else {
+          nextMatches.push(
+              ...this._matchComponent(dirNode, component, options).map(
+                  (name) => this._joinPath(match, name)
+              )
+          );
+        }
+      }
+      matches = nextMatches;
+      if (matches.length === 0) break;
+    }
+
+    if (directoriesOnly) {
+      matches = matches
+          .filter((match) => {
+            const node = FileSystemManager.getNodeByPath(
+                FileSystemManager.getAbsolutePath(
+                    match,
+                    FileSystemManager.getCurrentPath()
+                )
+            );
+            return node && node.type === "directory";
+          })
+          .map((match) => `${match}/`);
+    }
+    matches = matches.filter((match) => match !== "" && match !== "/");
+    if (matches.length === 0) {
+      return options.nullglob ? [] : [text];
+    }
+    return matches.sort();
+  }
+
+  _isGlobComponent(component, options) {
+    const unescaped = component.replace(/\\./g, "");
+    return (
+        /[*?[]/.test(unescaped) ||
+        (options.extglob && /[?*+@!]\(/.test(unescaped))
+    );
+  }
+
+  _matchComponent(dirNode, component, options) {
+    const { Utils } = this.dependencies;
+    const regex = Utils.globToRegex(component, { extglob: options.extglob });
+    if (!regex) {
+      return [];
+    }
+    const matchesDotfiles = options.dotglob || /^\\?\./.test(component);
+    return Object.keys(dirNode.children).filter(
+        (name) => (matchesDotfiles || !name.startsWith(".")) && regex.test(name)
+    );
+  }
+
+  _collectDescendants(dirNode, path, includeFiles, options, results) {
+    for (const [name, child] of Object.entries(dirNode.children)) {
+      if (name.startsWith(".") && !options.dotglob) continue;
+      const childPath = this._joinPath(path, name);
+      if (child.type === "directory") {
+        results.push(childPath);
+        this._collectDescendants(child, childPath, includeFiles, options, results);
+      } else if (includeFiles) {
+        results.push(childPath);
+      }
+    }
+  }
+
+  _joinPath(base, name) {
+    if (base === "") return name;
+    return base.endsWith("/") ? base + name : `${base}/${name}`;
+  }
+}
@@ -25,9 +25,12 @@ class OutputManager {
   }
 
   async appendToOutput(text, options = {}) {
-    const { Config, TerminalUI, Utils } = this.dependencies;
+    const { Config, TerminalUI, Utils, SessionManager } = this.dependencies;
+    // Output for a terminal that is not on screen is kept until it is.
+    const offscreenOutputDiv = options.tty ? SessionManager.getTerminalOutput(options.tty) : null;
     if (
         this.isEditorActive &&
+        !offscreenOutputDiv &&
         options.typeClass !== Config.CSS_CLASSES.EDITOR_MSG &&
         !options.isCompletionSuggestion
     )
@@ -40,9 +43,11 @@ class OutputManager {
       return;
     }
     const { typeClass = options.messageType || null, isBackground = false, asBlock = false } = options;
+    const outputDiv = offscreenOutputDiv || this.cachedOutputDiv;
 
     if (
         isBackground &&
+        !offscreenOutputDiv &&
         this.cachedInputLineContainerDiv &&
         !this.cachedInputLineContainerDiv.classList.contains(Config.CSS_CLASSES.HIDDEN)
     ) {
@@ -52,7 +57,7 @@ class OutputManager {
         className: Config.CSS_CLASSES.OUTPUT_LINE,
         textContent: `${promptText}${currentInputVal}`,
       });
-      this.cachedOutputDiv.appendChild(echoLine);
+      outputDiv.appendChild(echoLine);
     }
 
     if (asBlock) {
@@ -60,8 +65,8 @@ class OutputManager {
         className: typeClass || "",
         innerHTML: text,
       });
-      this.cachedOutputDiv.appendChild(blockWrapper);
-      this.cachedOutputDiv.scrollTop = this.cachedOutputDiv.scrollHeight;
+      outputDiv.appendChild(blockWrapper);
+      outputDiv.scrollTop = outputDiv.scrollHeight;
       return;
     }
 
@@ -84,8 +89,8 @@ class OutputManager {
       fragment.appendChild(Utils.createElement("div", lineAttributes));
     }
 
-    this.cachedOutputDiv.appendChild(fragment);
-    this.cachedOutputDiv.scrollTop = this.cachedOutputDiv.scrollHeight;
+    outputDiv.appendChild(fragment);
+    outputDiv.scrollTop = outputDiv.scrollHeight;
   }
 
   clearOutput() {
@@ -0,0 +1,166 @@
+// scripts/pipe_stream.js
+
+/**
+ * Common interface for the places a command can write its standard output.
+ * Writers accept string chunks and resolve to false once nobody is reading.
+ */
+class StreamWriter {
+  constructor() {
+    this.linesWritten = 0;
+  }
+
+  /**
+   * Writes a raw chunk of output.
+   * @param {string} chunk - The text to write.
+   * @returns {Promise<boolean>} False if the reader has gone away.
+   */
+  async write(chunk) {
+    throw new Error("Method 'write()' must be implemented.");
+  }
+
+  /**
+   * Writes a line, separating it from the previous one with a newline, so
+   * the concatenated output matches `lines.join("\n")`.
+   * @param {string} line - The line to write, without a trailing newline.
+   * @returns {Promise<boolean>} False if the reader has gone away.
+   */
+  async writeLine(line) {
+    return this.write((this.linesWritten++ > 0 ? "\n" : "") + line);
+  }
+}
+
+/**
+ * Collects the output of a command that is not writing into a pipe, so it
+ * can be returned as the command's result data.
+ */
+class OutputBuffer extends StreamWriter {
+  constructor() {
+    super();
+    this.chunks = [];
+  }
+
+  async write(chunk) {
+    this.chunks.push(chunk);
+    return true;
+  }
+
+  hasOutput() {
+    return this.chunks.length > 0;
+  }
+
+  toString() {
+    return this.chunks.join("");
+  }
+}
+
+/**
+ * A bounded, single-reader pipe between two pipeline segments. Writers wait
+ * while the buffer is full; the reader consumes chunks with `for await` and
+ * cancels the pipe when it stops early, which makes further writes fail.
+ */
+class PipeStream extends StreamWriter {
+  /**
+   * @param {number} [highWaterMark=16] - Chunks buffered before writers wait.
+   */
+  constructor(highWaterMark = 16) {
+    super();
+    this.highWaterMark = highWaterMark;
+    this.chunks = [];
+    this.closed = false;
+    this.cancelled = false;
+    this.readWaiters = [];
+    this.writeWaiters = [];
+    this.cancelListeners = [];
+  }
+
+  async write(chunk) {
+    if (this.cancelled) {
+      return false;
+    }
+    if (chunk === null || chunk === undefined || chunk === "") {
+      return true;
+    }
+    while (this.chunks.length >= this.highWaterMark && !this.cancelled) {
+      await new Promise((resolve) => this.writeWaiters.push(resolve));
+    }
+    if (this.cancelled) {
+      return false;
+    }
+    this.chunks.push(chunk);
+    this._wake(this.readWaiters);
+    return true;
+  }
+
+  /**
+   * Terminates each line instead of separating it, so the reader can act on
+   * a line as soon as it arrives rather than waiting for the next one.
+   */
+  async writeLine(line) {
+    return this.write(line + "\n");
+  }
+
+  /** Signals end of input once the writer has finished. */
+  close() {
+    this.closed = true;
+    this._wake(this.readWaiters);
+  }
+
+  /** Discards buffered data and stops accepting writes. */
+  cancel() {
+    if (this.cancelled) {
+      return;
+    }
+    this.cancelled = true;
+    this.chunks = [];
+    this._wake(this.writeWaiters);
+    this._wake(this.readWaiters);
+    this._wake(this.cancelListeners);
+  }
+
+  /**
+   * Registers a callback run when the reader goes away.
+   * @param {function(): void} listener
+   */
+  onCancel(listener) {
+    if (this.cancelled) {
+      listener();
+    } else {
+      this.cancelListeners.push(listener);
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    try {
+      while (true) {
+        if (this.chunks.length > 0) {
+          const chunk = this.chunks.shift();
+          this._wake(this.writeWaiters);
+          yield chunk;
+        } else if (this.closed || this.cancelled) {
+          return;
+        } else {
+          await new Promise((resolve) => this.readWaiters.push(resolve));
+        }
+      }
+    } finally {
+      this.cancel();
+    }
+  }
+
+  /**
+   * Reads everything the writer produces, for commands that need their
+   * whole input at once.
+   * @returns {Promise<string>} The concatenated input.
+   */
+  async readAll() {
+    const chunks = [];
+    for await (const chunk of this) {
+      chunks.push(chunk);
+    }
+    return chunks.length === 1 ? chunks[0] : chunks.join("");
+  }
+
+  _wake(waiters) {
+    waiters.splice(0).forEach((resolve) => resolve());
+  }
+}
@@ -0,0 +1,180 @@
+// scripts/quota_manager.js
+
+/**
+ * Holds the disk quota limits for users and groups. Usage itself is counted
+ * by FileSystemManager, which asks this manager whether a write fits.
+ *
+ * Each quota has a soft and a hard limit in bytes (0 meaning no limit).
+ * Usage may go over the soft limit for the grace period; once that runs
+ * out, the soft limit is enforced like the hard one until usage drops
+ * back below it.
+ */
+class QuotaManager {
+  constructor() {
+    this.quotas = { users: {}, groups: {} };
+    this.gracePeriod = 0;
+    this.dependencies = {};
+  }
+
+  setDependencies(dependencies) {
+    this.dependencies = dependencies;
+  }
+
+  initialize() {
+    const { StorageManager, Config } = this.dependencies;
+    const saved = StorageManager.loadItem(
+        Config.STORAGE_KEYS.DISK_QUOTAS,
+        "Disk Quotas",
+        {}
+    );
+    this.quotas = {
+      users: saved.users || {},
+      groups: saved.groups || {},
+    };
+    this.gracePeriod = saved.gracePeriod ?? Config.FILESYSTEM.QUOTA_GRACE_PERIOD;
+  }
+
+  _save() {
+    const { StorageManager, Config } = this.dependencies;
+    StorageManager.saveItem(
+        Config.STORAGE_KEYS.DISK_QUOTAS,
+        { ...this.quotas, gracePeriod: this.gracePeriod },
+        "Disk Quotas"
+    );
+  }
+
+  _table(kind) {
+    return kind === "group" ? this.quotas.groups : this.quotas.users;
+  }
+
+  /**
+   * @param {"user"|"group"} kind
+   * @param {string} name
+   * @returns {{soft: number, hard: number, graceExpires: ?string}|null}
+   */
+  getQuota(kind, name) {
+    return this._table(kind)[name] || null;
+  }
+
+  /** @returns {string[]} The names that have a quota of the given kind. */
+  getQuotaNames(kind) {
+    return Object.keys(this._table(kind)).sort();
+  }
+
+  /**
+   * Sets the limits for a user or group. Setting both to 0 removes the quota.
+   */
+  setQuota(kind, name, soft, hard) {
+    const table = this._table(kind);
+    if (!soft && !hard) {
+      delete table[name];
+    } else {
+      table[name] = {
+        soft,
+        hard,
+        graceExpires: table[name]?.graceExpires || null,
+      };
+    }
+    this._save();
+  }
+
+  removeQuota(kind, name) {
+    if (this._table(kind)[name]) {
+      delete this._table(kind)[name];
+      this._save();
+    }
+  }
+
+  /** @returns {number} The grace period in milliseconds. */
+  getGracePeriod() {
+    return this.gracePeriod;
+  }
+
+  setGracePeriod(milliseconds) {
+    this.gracePeriod = milliseconds;
+    this._save();
+  }
+
+  /**
+   * Checks whether `delta` more bytes fit within a quota.
+   * @returns {string|null} Why the write is refused, or null if it fits.
+   */
+  checkAllocation(kind, name, usage, delta) {
+    const quota = this.getQuota(kind, name);
+    if (!quota || delta <= 0) {
+      return null;
+    }
+    const { Utils } = this.dependencies;
+    const newUsage = usage + delta;
+    if (quota.hard && newUsage > quota.hard) {
+      return `${kind} '${name}' would exceed its hard limit of ${Utils.formatBytes(quota.hard)}`;
+    }
+    if (
+        quota.soft &&
+        newUsage > quota.soft &&
+        quota.graceExpires &&
+        Date.now() > new Date(quota.graceExpires).getTime()
+    ) {
+      return `${kind} '${name}' is over its soft limit of ${Utils.formatBytes(quota.soft)} and its grace period has expired`;
+    }
+    return null;
+  }
+
+  /**
+   * Starts the grace period when usage first goes over the soft limit, and
+   * clears it once usage is back under.
+   */
+  updateGraceState(kind, name, usage) {
+    const quota = this.getQuota(kind, name);
+    if (!quota) {
+      return;
+    }
+    const overSoftLimit = quota.soft > 0 && usage > quota.soft;
+    if (overSoftLimit && !quota.graceExpires) {
+      quota.graceExpires = new Date(Date.now() + this.gracePeriod).toISOString();
+      this._save();
+    } else if (!overSoftLimit && quota.graceExpires) {
+      quota.graceExpires = null;
+      this._save();
+    }
+  }
+
+  /**
+   * Parses a size such as "500", "20K", "1.5M" or "2G" into bytes.
+   * @returns {number|null} The size, or null if it is not valid.
+   */
+  parseSize(sizeString) {
+    const match = String(sizeString).trim().match(/^(\d+(?:\.\d+)?)([KMG]?)B?$/i);
+    if (!match) {
+      return null;
+    }
+    const multipliers = { "": 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+    return Math.round(parseFloat(match[1]) * multipliers[match[2].toUpperCase()]);
+  }
+
+  /**
+   * Parses a duration such as "7days", "12h", "30m" or a number of seconds.
+   * @returns {number|null} The duration in milliseconds, or null.
+   */
+  parseDuration(durationString) {
+    const match = String(durationString).trim().match(/^(\d+)\s*(s|sec|seconds?|m|min|minutes?|h|hours?|d|days?)?$/i);
+    if (!match) {
+      return null;
+    }
+    const unit = (match[2] || "s").toLowerCase()[0];
+    const multipliers = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1], 10) * multipliers[unit];
+  }
+
+  /** Formats a duration in milliseconds the way `quota` prints grace times. */
+  formatDuration(milliseconds) {
+    if (milliseconds <= 0) {
+      return "none";
+    }
+    const minutes = Math.ceil(milliseconds / 60000);
+    if (minutes >= 24 * 60) {
+      return `${Math.ceil(minutes / (24 * 60))}days`;
+    }
+    return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+  }
+}
@@ -72,6 +72,14 @@ class EnvironmentManager {
   clear() {
     this.envStack[this.envStack.length - 1] = {};
   }
+
+  getStack() {
+    return this.envStack;
+  }
+
+  setStack(envStack) {
+    this.envStack = envStack;
+  }
 }
 
 class HistoryManager {
@@ -243,8 +251,15 @@ class AliasManager {
 class SessionManager {
   constructor() {
     this.userSessionStack = [];
+    this.tty = "tty1";
+    // Each open terminal keeps its shell state here. The terminal on screen
+    // keeps the rest of its state in the managers; the others keep theirs
+    // in `saved`, under the managers' field names, until switched to.
+    this.terminals = { tty1: { shell: null, saved: null } };
+    this.boundDependencies = {};
     this.elements = {};
     this.dependencies = {};
+    this.rawDependencies = {};
     this.config = null;
     this.fsManager = null;
     this.userManager = null;
@@ -256,6 +271,7 @@ class SessionManager {
 
   setDependencies(dependencies) {
     this.dependencies = dependencies;
+    this.rawDependencies = dependencies;
     this.config = dependencies.Config;
     this.fsManager = dependencies.FileSystemManager;
     this.userManager = dependencies.UserManager;
@@ -274,6 +290,227 @@ class SessionManager {
     return this.userSessionStack;
   }
 
+  getTty() {
+    return this.tty;
+  }
+
+  /**
+   * Returns a terminal's shell state: its functions, shell options, exit
+   * statuses and function call stack. It stays with the terminal whether
+   * the terminal is on screen or not.
+   * @param {string} tty
+   * @returns {object}
+   */
+  getShellState(tty) {
+    const terminal = this.terminals[tty];
+    if (!terminal.shell) {
+      terminal.shell = this.dependencies.CommandExecutor.createShellState();
+    }
+    return terminal.shell;
+  }
+
+  /**
+   * Returns the dependencies as a command running on a terminal sees them.
+   * The user, working directory, umask, environment and user stack the
+   * managers hand out are that terminal's, whether it is on screen or not,
+   * so switching terminals does not change who a running command is. The
+   * bound SessionManager reports the terminal as its own, and the bound
+   * OutputManager writes to it unless told otherwise.
+   * @param {string} tty
+   * @returns {object}
+   */
+  getDependencies(tty) {
+    if (!this.boundDependencies[tty]) {
+      // A bound SessionManager sees its own bound `dependencies`.
+      const base = this.rawDependencies;
+      const references = {};
+      const bind = (manager, fields, methods = {}) => new Proxy(manager, {
+        get: (target, key, receiver) => {
+          if (fields.includes(key)) {
+            const { saved } = this.terminals[tty];
+            return saved ? saved[key] : target[key];
+          }
+          if (Object.hasOwn(methods, key)) {
+            return methods[key];
+          }
+          if (Object.hasOwn(references, key)) {
+            return references[key];
+          }
+          return Reflect.get(target, key, receiver);
+        },
+        set: (target, key, value, receiver) => {
+          const { saved } = this.terminals[tty];
+          if (fields.includes(key) && saved) {
+            saved[key] = value;
+            return true;
+          }
+          return Reflect.set(target, key, value, receiver);
+        },
+      });
+      const overrides = {
+        FileSystemManager: bind(base.FileSystemManager, ["currentPath", "umask"]),
+        UserManager: bind(base.UserManager, ["currentUser"]),
+        SessionManager: bind(base.SessionManager, ["userSessionStack"], {
+          getTty: () => tty,
+        }),
+        EnvironmentManager: bind(base.EnvironmentManager, ["envStack"]),
+        OutputManager: bind(base.OutputManager, [], {
+          appendToOutput: (text, options = {}) =>
+              base.OutputManager.appendToOutput(text, { ...options, tty: options.tty || tty }),
+        }),
+        CommandExecutor: bind(base.CommandExecutor, []),
+      };
+      Object.assign(references, {
+        dependencies: new Proxy(base, {
+          get: (target, key) => Object.hasOwn(overrides, key) ? overrides[key] : target[key],
+        }),
+        fsManager: overrides.FileSystemManager,
+        userManager: overrides.UserManager,
+        sessionManager: overrides.SessionManager,
+        environmentManager: overrides.EnvironmentManager,
+        outputManager: overrides.OutputManager,
+        commandExecutor: overrides.CommandExecutor,
+      });
+      this.boundDependencies[tty] = references.dependencies;
+    }
+    return this.boundDependencies[tty];
+  }
+
+  /**
+   * Lists the open virtual terminals in order, with the stack of users
+   * logged in on each.
+   * @returns {Array<{tty: string, stack: string[]}>}
+   */
+  getTerminals() {
+    return Object.keys(this.terminals)
+        .sort((a, b) => parseInt(a.slice(3), 10) - parseInt(b.slice(3), 10))
+        .map((tty) => ({
+          tty,
+          stack: tty === this.tty
+              ? this.userSessionStack
+              : this.terminals[tty].saved.userSessionStack,
+        }));
+  }
+
+  /**
+   * Returns the element holding the output of a terminal that is not on
+   * screen, or null for the one that is.
+   */
+  getTerminalOutput(tty) {
+    const saved = this.terminals[tty]?.saved;
+    return saved ? saved.outputDiv : null;
+  }
+
+  markTerminalIdle(tty) {
+    const saved = this.terminals[tty]?.saved;
+    if (saved) {
+      saved.inputHidden = false;
+      saved.currentInput = "";
+    }
+  }
+
+  _captureTerminal() {
+    const outputDiv = document.createElement("div");
+    if (this.elements.outputDiv) {
+      while (this.elements.outputDiv.firstChild) {
+        outputDiv.appendChild(this.elements.outputDiv.firstChild);
+      }
+    }
+    return {
+      userSessionStack: this.userSessionStack,
+      currentUser: this.userManager.getCurrentUser(),
+      currentPath: this.fsManager.getCurrentPath(),
+      umask: this.fsManager.getUmask(),
+      envStack: this.environmentManager.getStack(),
+      commandHistory: this.dependencies.HistoryManager.getFullHistory(),
+      currentInput: this.terminalUI.getCurrentInputValue(),
+      inputHidden: !!this.elements.inputLineContainerDiv?.classList.contains(
+          this.config.CSS_CLASSES.HIDDEN
+      ),
+      outputDiv,
+    };
+  }
+
+  _restoreTerminal(terminal) {
+    this.userSessionStack = terminal.userSessionStack;
+    this.userManager.setCurrentUser(terminal.currentUser.name);
+    this.fsManager.setCurrentPath(terminal.currentPath);
+    this.fsManager.setUmask(terminal.umask);
+    this.environmentManager.setStack(terminal.envStack);
+    this.dependencies.HistoryManager.setHistory(terminal.commandHistory);
+    if (this.elements.outputDiv) {
+      while (terminal.outputDiv.firstChild) {
+        this.elements.outputDiv.appendChild(terminal.outputDiv.firstChild);
+      }
+    }
+    this.terminalUI.setCurrentInputValue(terminal.currentInput);
+    if (terminal.inputHidden) {
+      this.terminalUI.hideInputLine();
+    } else {
+      this.terminalUI.showInputLine();
+      this.terminalUI.setInputState(true);
+    }
+  }
+
+  async _openTerminal() {
+    const username = this.config.USER.DEFAULT_NAME;
+    this.userSessionStack = [username];
+    this.userManager.setCurrentUser(username);
+    this.environmentManager.initialize();
+    this.loadAutomaticState(username);
+    if (!this.fsManager.getNodeByPath(this.fsManager.getCurrentPath())) {
+      this.fsManager.setCurrentPath(this.config.FILESYSTEM.ROOT_PATH);
+    }
+    this.outputManager.clearOutput();
+    await this.outputManager.appendToOutput(
+        `${this.config.MESSAGES.WELCOME_PREFIX} ${username}${this.config.MESSAGES.WELCOME_SUFFIX}`
+    );
+    this.terminalUI.showInputLine();
+    this.terminalUI.setInputState(true);
+    await this.userManager.recordLogin();
+  }
+
+  /**
+   * Puts another virtual terminal on screen, opening it with the default
+   * user logged in if it is not open yet. Commands already running on the
+   * terminal being left carry on as its user, and their output is kept for
+   * it.
+   */
+  async switchTerminal(tty) {
+    const { ModalManager, AppLayerManager } = this.dependencies;
+    const number = parseInt(/^tty(\d+)$/.exec(tty)?.[1], 10);
+    if (!(number >= 1 && number <= this.config.TERMINAL.MAX_TTYS)) {
+      return { success: false, error: `No such terminal: ${tty}` };
+    }
+    if (tty === this.tty) {
+      return { success: true };
+    }
+    if (ModalManager.isAwaiting() || AppLayerManager.isActive()) {
+      return {
+        success: false,
+        error: "Cannot switch terminals while a prompt or application is open.",
+      };
+    }
+
+    const target = this.terminals[tty];
+    this.terminals[this.tty].saved = this._captureTerminal();
+    this.tty = tty;
+    if (target) {
+      const { saved } = target;
+      target.saved = null;
+      this._restoreTerminal(saved);
+    } else {
+      this.terminals[tty] = { shell: null, saved: null };
+      await this._openTerminal();
+    }
+
+    this.terminalUI.updatePrompt();
+    this.terminalUI.renderTerminalTabs();
+    this.terminalUI.scrollOutputToEnd();
+    this.terminalUI.focusInput();
+    return { success: true };
+  }
+
   pushUserToStack(username) {
     this.userSessionStack.push(username);
   }
@@ -317,6 +554,7 @@ class SessionManager {
     const currentInput = this.terminalUI.getCurrentInputValue();
     const autoState = {
       currentPath: this.fsManager.getCurrentPath(),
+      umask: this.fsManager.getUmask(),
       outputHTML: this.elements.outputDiv
           ? this.elements.outputDiv.innerHTML
           : "",
@@ -339,6 +577,7 @@ class SessionManager {
       if (this.elements.outputDiv) this.elements.outputDiv.innerHTML = "";
       this.terminalUI.setCurrentInputValue("");
       this.fsManager.setCurrentPath(this.config.FILESYSTEM.ROOT_PATH);
+      this.fsManager.setUmask(this.config.FILESYSTEM.DEFAULT_UMASK);
       this.dependencies.HistoryManager.clearHistory();
       void this.outputManager.appendToOutput(
           `${this.config.MESSAGES.WELCOME_PREFIX} ${this.config.USER.DEFAULT_NAME}${this.config.MESSAGES.WELCOME_SUFFIX}`
@@ -357,6 +596,9 @@ class SessionManager {
       this.fsManager.setCurrentPath(
           autoState.currentPath || this.config.FILESYSTEM.ROOT_PATH
       );
+      this.fsManager.setUmask(
+          autoState.umask ?? this.config.FILESYSTEM.DEFAULT_UMASK
+      );
       if (this.elements.outputDiv) {
         if (autoState.hasOwnProperty("outputHTML")) {
           this.elements.outputDiv.innerHTML = autoState.outputHTML || "";
@@ -379,6 +621,7 @@ class SessionManager {
       } else {
         this.fsManager.setCurrentPath(this.config.FILESYSTEM.ROOT_PATH);
       }
+      this.fsManager.setUmask(this.config.FILESYSTEM.DEFAULT_UMASK);
       this.dependencies.HistoryManager.clearHistory();
 
       const newEnv = {};
@@ -477,7 +720,7 @@ class SessionManager {
                   type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
                   children: {},
                   owner: manualStateData.user,
-                  mode: this.config.FILESYSTEM.DEFAULT_DIR_MODE,
+                  mode: 0o755,
                   mtime: new Date().toISOString(),
                 },
               }
@@ -537,19 +780,6 @@ class SessionManager {
     try {
       this.storageManager.removeItem(this._getAutomaticSessionStateKey(username));
       this.storageManager.removeItem(this._getManualUserTerminalStateKey(username));
-      const users = this.storageManager.loadItem(
-          this.config.STORAGE_KEYS.USER_CREDENTIALS,
-          "User list",
-          {}
-      );
-      if (users.hasOwnProperty(username)) {
-        delete users[username];
-        this.storageManager.saveItem(
-            this.config.STORAGE_KEYS.USER_CREDENTIALS,
-            users,
-            "User list"
-        );
-      }
       return true;
     } catch (e) {
       console.error(`Error clearing session states for user '${username}':`, e);
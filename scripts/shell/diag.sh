@@ -53,8 +53,8 @@ chmod 770 /home/diagUser/diag_workspace/
 # Permissions on the parent directory must allow others to pass through
 chmod 755 /home/diagUser
 
-echo "sudouser ALL" >> /etc/sudoers
-echo "sudouser2 ls" >> /etc/sudoers
+echo "sudouser ALL=(ALL) ALL" >> /etc/sudoers
+echo "sudouser2 ALL=ls" >> /etc/sudoers
 echo "Setup complete."
 echo "---------------------------------------------------------------------"
 echo ""
@@ -280,6 +280,12 @@ testpass
 delay 200
 echo "Attempting disallowed specific command (rm)..."
 check_fail "sudo rm -f /home/Guest/README.md"
+echo "Attempting to smuggle shell syntax through allowed arguments..."
+check_fail "sudo ls '/home/root; touch /home/root/sudo_injected'"
+check_fail "sudo ls '/home/root | touch /home/root/sudo_injected'"
+check_fail "sudo ls '/home/root && touch /home/root/sudo_injected'"
+check_fail "sudo ls '\$(touch /home/root/sudo_injected)'"
+check_fail "sudo ls /home/root/sudo_injected"
 logout
 su diagUser testpass
 cd /home/diagUser/diag_workspace
@@ -403,6 +409,35 @@ base64 -d b64_encoded.txt
 rm b64_test.txt b64_encoded.txt
 echo "base64 tests complete."
 delay 200
+echo "--- Test: Binary files in text and byte tools ---"
+echo "AHhh/2dyZXAK" | base64 -d -o bin_a.dat
+echo "AHhh/mdyZXAK" | base64 -d -o bin_b.dat
+mkdir bin_dir; cp bin_a.dat bin_dir/
+grep "grep" bin_a.dat
+grep -r "grep" bin_dir
+check_fail "cmp bin_a.dat bin_b.dat"
+cmp bin_a.dat bin_dir/bin_a.dat
+check_fail "diff bin_a.dat bin_b.dat"
+diff bin_a.dat bin_dir/bin_a.dat
+comm bin_a.dat bin_b.dat
+csplit bin_a.dat 1
+rm -f xx00 xx01
+check_fail "patch bin_a.dat bin_b.dat"
+xor diag_pass bin_a.dat bin_x.dat
+xor diag_pass bin_x.dat bin_y.dat
+cmp bin_a.dat bin_y.dat
+ocrypt diag_secure_pass bin_a.dat bin_o.dat
+ocrypt -d diag_secure_pass bin_o.dat bin_p.dat
+chmod 755 bin_a.dat
+check_fail "run bin_a.dat"
+check_fail "edit bin_a.dat"
+tail -f bin_a.dat &
+TAIL_PID=$(ps | grep "tail" | awk '{print $1}')
+delay 1500
+kill $TAIL_PID || true
+rm -r -f bin_a.dat bin_b.dat bin_x.dat bin_y.dat bin_o.dat bin_p.dat bin_dir
+echo "Binary file tests complete."
+delay 200
 echo "--- Test: xor (encrypt/decrypt) ---"
 echo "Harmony and order." > xor_test.txt
 xor diag_pass xor_test.txt > xor_encrypted.txt
@@ -716,7 +751,9 @@ echo "--- Test: Starting a long-running background job ---"
 delay 30000 &
 # Use ps and grep to get the job ID programmatically
 JOB_ID=$(ps | grep "delay" | awk '{print $1}')
-echo "Started background job with PID: $JOB_ID"
+# Job numbers are per terminal, so take the %n for 'bg' from 'jobs'
+JOB_NUM=$(jobs | grep "delay" | awk '{print $1}' | tr -d '[]')
+echo "Started background job with PID: $JOB_ID (job %$JOB_NUM)"
 delay 200
 
 echo "--- Test: Verifying job is 'Running' (R) with 'ps' and 'jobs' ---"
@@ -737,8 +774,8 @@ echo "Job status is correctly reported as 'T'."
 delay 400
 
 echo "--- Test: Resuming the job with 'bg' ---"
-bg %$JOB_ID
-echo "'bg' command sent to job $JOB_ID."
+bg %$JOB_NUM
+echo "'bg' command sent to job %$JOB_NUM."
 delay 400
 
 echo "--- Test: Verifying job is 'Running' (R) again ---"
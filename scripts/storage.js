@@ -127,6 +127,15 @@ class IndexedDBManager {
           tempDb.createObjectStore(Config.DATABASE.FS_STORE_NAME, {
             keyPath: "id",
           });
+        if (!tempDb.objectStoreNames.contains(Config.DATABASE.NODE_STORE_NAME))
+          tempDb.createObjectStore(Config.DATABASE.NODE_STORE_NAME, {
+            keyPath: "path",
+          });
+        if (!tempDb.objectStoreNames.contains(Config.DATABASE.JOURNAL_STORE_NAME))
+          tempDb.createObjectStore(Config.DATABASE.JOURNAL_STORE_NAME, {
+            keyPath: "seq",
+            autoIncrement: true,
+          });
       };
 
       request.onsuccess = (event) => {
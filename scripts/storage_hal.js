@@ -35,33 +35,208 @@ class StorageHAL {
      * @returns {Promise<boolean>} A promise that resolves to true on success.
      */
     async clear() { throw new Error("Method 'clear()' must be implemented."); }
+
+    /**
+     * Whether the backend implements commit(). Backends that don't are sent
+     * the whole tree through save() instead.
+     * @returns {boolean}
+     */
+    get supportsCommit() { return false; }
+
+    /**
+     * Stores only what changed since the last save or commit.
+     * @param {{puts: object[], deletes: string[]}} changes - Node records
+     *   (see toRecords) to write and the paths of records to remove.
+     * @returns {Promise<boolean>} A promise that resolves to true once all
+     *   of the changes are stored, or false if none of them were.
+     */
+    async commit(changes) { throw new Error("Method 'commit(changes)' is not supported by this backend."); }
+
+    setDependencies(dependencies) {
+        this.dependencies = dependencies;
+    }
+
+    /**
+     * Flattens a filesystem tree into one record per node, keyed by path,
+     * with content shared between records as shareContent describes.
+     * @param {object} fsData - The filesystem data.
+     * @returns {Map<string, object>} The records, each with its own `path`.
+     */
+    static toRecords(fsData) {
+        const records = new Map();
+        const walk = (node, path) => {
+            records.set(path, StorageHAL.toRecord(node, path));
+            for (const [name, child] of Object.entries(node.children || {})) {
+                walk(child, path === "/" ? `/${name}` : `${path}/${name}`);
+            }
+        };
+        if (fsData && fsData["/"]) {
+            walk(fsData["/"], "/");
+        }
+        StorageHAL.shareContent(records.values());
+        return records;
+    }
+
+    /**
+     * Makes the record for one node. Directory records list their children's
+     * names instead of holding the child nodes; other fields are copied so
+     * later edits to the tree do not reach the record. Binary contents are
+     * shared rather than copied, as they are replaced, never modified in place.
+     * @param {object} node - The node.
+     * @param {string} path - The path the node is stored under.
+     * @returns {object} The record.
+     */
+    static toRecord(node, path) {
+        const record = { path };
+        for (const [field, value] of Object.entries(node)) {
+            if (field === "children") {
+                record.children = Object.keys(value);
+            } else {
+                record[field] = value !== null && typeof value === "object" && !ArrayBuffer.isView(value)
+                    ? JSON.parse(JSON.stringify(value))
+                    : value;
+            }
+        }
+        return record;
+    }
+
+    /**
+     * Gives a record whose content an earlier record in the list already
+     * holds for the same inode number (a hard link, or a snapshot of a file
+     * that has not changed since) a `contentRef` naming that record's path
+     * in place of its own copy of the content. References only name records
+     * in the same list, so all records of an inode must be passed together.
+     * @param {Iterable<object>} records - Records made by toRecord.
+     */
+    static shareContent(records) {
+        const holders = new Map();
+        for (const record of records) {
+            if (record.content === undefined || !Number.isInteger(record.inode)) continue;
+            const candidates = holders.get(record.inode) || [];
+            const holder = candidates.find((candidate) => candidate.content === record.content);
+            if (holder) {
+                record.contentRef = holder.path;
+                delete record.content;
+            } else {
+                holders.set(record.inode, [...candidates, record]);
+            }
+        }
+    }
+
+    /**
+     * Rebuilds a filesystem tree from records made by toRecords. Records
+     * that no directory refers to are ignored.
+     * @param {Iterable<object>} records - The node records.
+     * @returns {object|null} The filesystem data, or null without a root record.
+     */
+    static fromRecords(records) {
+        const byPath = new Map();
+        for (const record of records) {
+            byPath.set(record.path, record);
+        }
+        const build = (path) => {
+            const { path: _path, children, contentRef, ...node } = byPath.get(path);
+            if (contentRef !== undefined) {
+                node.content = byPath.get(contentRef)?.content ?? "";
+            }
+            if (children) {
+                node.children = {};
+                for (const name of children) {
+                    const childPath = path === "/" ? `/${name}` : `${path}/${name}`;
+                    if (byPath.has(childPath)) {
+                        node.children[name] = build(childPath);
+                    }
+                }
+            }
+            return node;
+        };
+        return byPath.has("/") ? { "/": build("/") } : null;
+    }
+
+    /**
+     * @returns {boolean} Whether two node records hold the same data.
+     */
+    static recordsEqual(a, b) {
+        if (!a || !b) {
+            return a === b;
+        }
+        const fields = Object.keys(a);
+        if (fields.length !== Object.keys(b).length) {
+            return false;
+        }
+        return fields.every((field) => {
+            const left = a[field];
+            const right = b[field];
+            if (left === right) return true;
+            if (left === null || right === null || typeof left !== "object" || typeof right !== "object") {
+                return false;
+            }
+            if (ArrayBuffer.isView(left) || ArrayBuffer.isView(right)) {
+                return ArrayBuffer.isView(left) && ArrayBuffer.isView(right) &&
+                    left.byteLength === right.byteLength &&
+                    left.every((byte, index) => byte === right[index]);
+            }
+            return JSON.stringify(left) === JSON.stringify(right);
+        });
+    }
+
+    /**
+     * Creates the backend registered under the given name.
+     * @param {string} name - One of the names from getBackendNames().
+     * @returns {StorageHAL|null} A new, uninitialized backend, or null if the name is unknown.
+     */
+    static create(name) {
+        const Backend = STORAGE_BACKENDS[name];
+        return Backend ? new Backend() : null;
+    }
+
+    /**
+     * @returns {string[]} The names of all registered backends.
+     */
+    static getBackendNames() {
+        return Object.keys(STORAGE_BACKENDS);
+    }
+
+    /**
+     * @param {string} name - A registered backend name.
+     * @returns {string} A one-line description of the backend.
+     */
+    static describe(name) {
+        return STORAGE_BACKENDS[name]?.description || "";
+    }
+
+    async _reportError(errorMsg) {
+        const { Config, OutputManager } = this.dependencies;
+        if (
+            typeof OutputManager !== "undefined" &&
+            typeof OutputManager.appendToOutput === "function"
+        ) {
+            await OutputManager.appendToOutput(errorMsg, {
+                typeClass: Config.CSS_CLASSES.ERROR_MSG,
+            });
+        } else {
+            console.error(errorMsg);
+        }
+    }
 }
 
 /**
- * The default storage implementation using IndexedDB.
+ * The default storage implementation using IndexedDB. Each node is its own
+ * record, and every commit is first written to a journal so that one cut
+ * short by a crash or a closed tab can be replayed on the next load.
  */
 class IndexedDBStorageHAL extends StorageHAL {
-    setDependencies(dependencies) {
-        this.dependencies = dependencies;
-    }
+    static description = "Browser IndexedDB database (default)";
+
+    get supportsCommit() { return true; }
 
     async init() {
-        const { IndexedDBManager, Config, OutputManager } = this.dependencies;
+        const { IndexedDBManager } = this.dependencies;
         try {
             this.dbInstance = await IndexedDBManager.init();
             return true;
         } catch (e) {
-            const errorMsg = `StorageHAL Error: Could not initialize IndexedDB. Error: ${e.message}.`;
-            if (
-                typeof OutputManager !== "undefined" &&
-                typeof OutputManager.appendToOutput === "function"
-            ) {
-                await OutputManager.appendToOutput(errorMsg, {
-                    typeClass: Config.CSS_CLASSES.ERROR_MSG,
-                });
-            } else {
-                console.error(errorMsg);
-            }
+            await this._reportError(`StorageHAL Error: Could not initialize IndexedDB. Error: ${e.message}.`);
             return false;
         }
     }
@@ -72,42 +247,67 @@ class IndexedDBStorageHAL extends StorageHAL {
             console.error("IndexedDB not initialized before load.");
             return null;
         }
-        return new Promise((resolve) => {
-            const transaction = this.dbInstance.transaction(
-                [Config.DATABASE.FS_STORE_NAME],
-                "readonly"
+        try {
+            await this._recoverJournal();
+            const records = await this._request(
+                this._store(Config.DATABASE.NODE_STORE_NAME, "readonly").getAll()
             );
-            const store = transaction.objectStore(Config.DATABASE.FS_STORE_NAME);
-            const request = store.get(Config.DATABASE.UNIFIED_FS_KEY);
-            request.onsuccess = (event) => {
-                const result = event.target.result;
-                resolve(result ? result.data : null);
-            };
-            request.onerror = () => {
-                resolve(null);
-            };
-        });
+            if (records.length > 0) {
+                return StorageHAL.fromRecords(records);
+            }
+            return await this._upgradeUnifiedRecord();
+        } catch (e) {
+            console.error(`IndexedDB load failed: ${e.message}`);
+            return null;
+        }
     }
 
     async save(fsData) {
-        const { Config, Utils } = this.dependencies;
+        const { Config } = this.dependencies;
         if (!this.dbInstance) {
             console.error("IndexedDB not initialized before save.");
             return false;
         }
-        return new Promise((resolve) => {
+        try {
             const transaction = this.dbInstance.transaction(
-                [Config.DATABASE.FS_STORE_NAME],
+                [Config.DATABASE.NODE_STORE_NAME, Config.DATABASE.JOURNAL_STORE_NAME],
                 "readwrite"
             );
-            const store = transaction.objectStore(Config.DATABASE.FS_STORE_NAME);
-            const request = store.put({
-                id: Config.DATABASE.UNIFIED_FS_KEY,
-                data: Utils.deepCopyNode(fsData),
-            });
-            request.onsuccess = () => resolve(true);
-            request.onerror = () => resolve(false);
-        });
+            const nodeStore = transaction.objectStore(Config.DATABASE.NODE_STORE_NAME);
+            nodeStore.clear();
+            for (const record of StorageHAL.toRecords(fsData).values()) {
+                nodeStore.put(record);
+            }
+            transaction.objectStore(Config.DATABASE.JOURNAL_STORE_NAME).clear();
+            await this._transactionDone(transaction);
+            return true;
+        } catch (e) {
+            console.error(`IndexedDB save failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    async commit(changes) {
+        const { Config } = this.dependencies;
+        if (!this.dbInstance) {
+            console.error("IndexedDB not initialized before commit.");
+            return false;
+        }
+        try {
+            const entry = {
+                puts: changes.puts,
+                deletes: changes.deletes,
+                size: changes.puts.length + changes.deletes.length,
+            };
+            const seq = await this._request(
+                this._store(Config.DATABASE.JOURNAL_STORE_NAME, "readwrite").add(entry)
+            );
+            await this._applyJournalEntry({ ...entry, seq });
+            return true;
+        } catch (e) {
+            console.error(`IndexedDB commit failed: ${e.message}`);
+            return false;
+        }
     }
 
     async clear() {
@@ -116,17 +316,353 @@ class IndexedDBStorageHAL extends StorageHAL {
             console.error("IndexedDB not initialized before clear.");
             return false;
         }
-        return new Promise((resolve) => {
-            const transaction = this.dbInstance.transaction(
-                [Config.DATABASE.FS_STORE_NAME],
-                "readwrite"
+        try {
+            const storeNames = [
+                Config.DATABASE.FS_STORE_NAME,
+                Config.DATABASE.NODE_STORE_NAME,
+                Config.DATABASE.JOURNAL_STORE_NAME,
+            ];
+            const transaction = this.dbInstance.transaction(storeNames, "readwrite");
+            storeNames.forEach((name) => transaction.objectStore(name).clear());
+            await this._transactionDone(transaction);
+            return true;
+        } catch (e) {
+            console.error(`IndexedDB clear failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Applies, in order, the journal entries left by commits that did not
+     * finish, and discards entries that were not written out in full.
+     */
+    async _recoverJournal() {
+        const { Config } = this.dependencies;
+        const entries = await this._request(
+            this._store(Config.DATABASE.JOURNAL_STORE_NAME, "readonly").getAll()
+        );
+        entries.sort((a, b) => a.seq - b.seq);
+        for (const entry of entries) {
+            const isComplete =
+                Array.isArray(entry.puts) &&
+                Array.isArray(entry.deletes) &&
+                entry.size === entry.puts.length + entry.deletes.length;
+            if (isComplete) {
+                await this._applyJournalEntry(entry);
+                console.log(`StorageHAL: Replayed journal entry ${entry.seq}.`);
+            } else {
+                await this._request(
+                    this._store(Config.DATABASE.JOURNAL_STORE_NAME, "readwrite").delete(entry.seq)
+                );
+                console.warn(`StorageHAL: Discarded incomplete journal entry ${entry.seq}.`);
+            }
+        }
+    }
+
+    /**
+     * Writes a journal entry's changes and removes the entry in a single
+     * transaction, so either all of it lands or the entry stays for replay.
+     */
+    async _applyJournalEntry(entry) {
+        const { Config } = this.dependencies;
+        const transaction = this.dbInstance.transaction(
+            [Config.DATABASE.NODE_STORE_NAME, Config.DATABASE.JOURNAL_STORE_NAME],
+            "readwrite"
+        );
+        const nodeStore = transaction.objectStore(Config.DATABASE.NODE_STORE_NAME);
+        entry.deletes.forEach((path) => nodeStore.delete(path));
+        entry.puts.forEach((record) => nodeStore.put(record));
+        transaction.objectStore(Config.DATABASE.JOURNAL_STORE_NAME).delete(entry.seq);
+        await this._transactionDone(transaction);
+    }
+
+    /**
+     * Converts a file system saved by older versions as one record into
+     * per-node records.
+     */
+    async _upgradeUnifiedRecord() {
+        const { Config } = this.dependencies;
+        const result = await this._request(
+            this._store(Config.DATABASE.FS_STORE_NAME, "readonly").get(Config.DATABASE.UNIFIED_FS_KEY)
+        );
+        if (!result || !result.data) {
+            return null;
+        }
+        if (await this.save(result.data)) {
+            await this._request(
+                this._store(Config.DATABASE.FS_STORE_NAME, "readwrite").delete(Config.DATABASE.UNIFIED_FS_KEY)
             );
-            const store = transaction.objectStore(Config.DATABASE.FS_STORE_NAME);
-            const request = store.clear();
-            request.onsuccess = () => resolve(true);
-            request.onerror = () => resolve(false);
+            console.log("StorageHAL: Converted the file system to per-node records.");
+        }
+        return result.data;
+    }
+
+    _store(storeName, mode) {
+        return this.dbInstance.transaction([storeName], mode).objectStore(storeName);
+    }
+
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error("transaction aborted"));
         });
     }
 }
 
-window.IndexedDBStorageHAL = IndexedDBStorageHAL;
\ No newline at end of file
+const OPFS_TREE_FILE = "tree.json";
+const OPFS_BLOB_DIRECTORY = "blobs";
+
+/**
+ * Stores the filesystem in the browser's Origin Private File System. The
+ * directory tree is kept in a single index file while each file's content
+ * lives in its own entry, so a save only rewrites the files that changed.
+ */
+class OPFSStorageHAL extends StorageHAL {
+    static description = "Origin Private File System, one entry per file";
+
+    async init() {
+        const { Config } = this.dependencies;
+        try {
+            if (typeof navigator === "undefined" || !navigator.storage?.getDirectory) {
+                throw new Error("the Origin Private File System is not supported by this browser");
+            }
+            const root = await navigator.storage.getDirectory();
+            this.directory = await root.getDirectoryHandle(Config.STORAGE.OPFS_DIRECTORY, { create: true });
+            this.blobDirectory = await this.directory.getDirectoryHandle(OPFS_BLOB_DIRECTORY, { create: true });
+            this.storedBlobs = new Map();
+            return true;
+        } catch (e) {
+            await this._reportError(`StorageHAL Error: Could not initialize OPFS. Error: ${e.message}.`);
+            return false;
+        }
+    }
+
+    async load() {
+        if (!this.directory) {
+            console.error("OPFS not initialized before load.");
+            return null;
+        }
+        try {
+            const treeText = await this._readEntry(this.directory, OPFS_TREE_FILE);
+            if (treeText === null) {
+                return null;
+            }
+            const fsData = JSON.parse(treeText);
+            this.storedBlobs = new Map();
+            for (const [, node] of this._collectFileNodes(fsData)) {
+                if (node.blob === undefined) continue;
+                if (!this.storedBlobs.has(node.blob)) {
+                    const content = await this._readEntry(this.blobDirectory, node.blob, node.encoding === "binary");
+                    this.storedBlobs.set(node.blob, content ?? "");
+                }
+                node.content = this.storedBlobs.get(node.blob);
+                delete node.blob;
+            }
+            return fsData;
+        } catch (e) {
+            console.error(`OPFS load failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    async save(fsData) {
+        const { Utils } = this.dependencies;
+        if (!this.directory) {
+            console.error("OPFS not initialized before save.");
+            return false;
+        }
+        try {
+            const blobs = new Map();
+            const blobNames = new Map();
+            const inodeBlobs = new Map();
+            for (const [path, node] of this._collectFileNodes(fsData)) {
+                if (!node.content) continue;
+                // Hard links and unchanged snapshot copies share one blob.
+                const candidates = inodeBlobs.get(node.inode) || [];
+                const shared = candidates.find((blobName) => Utils.contentEquals(blobs.get(blobName), node.content));
+                const blobName = shared ?? encodeURIComponent(path);
+                if (!shared && Number.isInteger(node.inode)) {
+                    inodeBlobs.set(node.inode, [...candidates, blobName]);
+                }
+                blobs.set(blobName, node.content);
+                blobNames.set(node, blobName);
+            }
+            const tree = JSON.stringify(fsData, (key, value) => {
+                const blobName = blobNames.get(value);
+                return blobName === undefined ? value : { ...value, content: undefined, blob: blobName };
+            });
+            for (const [blobName, content] of blobs) {
+                if (this.storedBlobs.get(blobName) !== content) {
+                    await this._writeEntry(this.blobDirectory, blobName, content);
+                }
+            }
+            // The index is written last so it never refers to a missing blob.
+            await this._writeEntry(this.directory, OPFS_TREE_FILE, tree);
+            for (const blobName of this.storedBlobs.keys()) {
+                if (!blobs.has(blobName)) {
+                    await this.blobDirectory.removeEntry(blobName).catch(() => {});
+                }
+            }
+            this.storedBlobs = blobs;
+            return true;
+        } catch (e) {
+            console.error(`OPFS save failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    async clear() {
+        if (!this.directory) {
+            console.error("OPFS not initialized before clear.");
+            return false;
+        }
+        try {
+            await this.directory.removeEntry(OPFS_TREE_FILE).catch(() => {});
+            await this.directory.removeEntry(OPFS_BLOB_DIRECTORY, { recursive: true }).catch(() => {});
+            this.blobDirectory = await this.directory.getDirectoryHandle(OPFS_BLOB_DIRECTORY, { create: true });
+            this.storedBlobs = new Map();
+            return true;
+        } catch (e) {
+            console.error(`OPFS clear failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Lists every file node in the tree.
+     * @param {object} fsData - The filesystem data.
+     * @returns {Array<[string, object]>} [path, node] pairs.
+     */
+    _collectFileNodes(fsData) {
+        const found = [];
+        const walk = (node, path) => {
+            if (!node) return;
+            if (node.type === "directory") {
+                for (const [name, child] of Object.entries(node.children || {})) {
+                    walk(child, path === "/" ? `/${name}` : `${path}/${name}`);
+                }
+            } else if (node.type === "file") {
+                found.push([path, node]);
+            }
+        };
+        walk(fsData["/"], "/");
+        return found;
+    }
+
+    async _readEntry(directory, name, asBytes = false) {
+        try {
+            const handle = await directory.getFileHandle(name);
+            const file = await handle.getFile();
+            return asBytes ? new Uint8Array(await file.arrayBuffer()) : await file.text();
+        } catch (e) {
+            if (e.name === "NotFoundError") {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    async _writeEntry(directory, name, data) {
+        const handle = await directory.getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+}
+
+/**
+ * Keeps the filesystem in memory only, for tests and kiosk sessions that
+ * should start fresh on every load.
+ */
+class MemoryStorageHAL extends StorageHAL {
+    static description = "In memory only; discarded when the page is closed";
+
+    async init() {
+        this.data = this.data ?? null;
+        return true;
+    }
+
+    async load() {
+        const { Utils } = this.dependencies;
+        return this.data ? Utils.deepCopyNode(this.data) : null;
+    }
+
+    async save(fsData) {
+        const { Utils } = this.dependencies;
+        this.data = Utils.deepCopyNode(fsData);
+        return true;
+    }
+
+    async clear() {
+        this.data = null;
+        return true;
+    }
+}
+
+/**
+ * Stores the filesystem as a JSON file in the desktop app's data folder.
+ * Only available in the Electron build, which exposes the file operations
+ * through its preload script.
+ */
+class JSONFileStorageHAL extends StorageHAL {
+    static description = "JSON file in the desktop app's data folder";
+
+    async init() {
+        if (typeof window === "undefined" || !window.electronAPI?.readStorageFile) {
+            await this._reportError("StorageHAL Error: The JSON file backend is only available in the desktop app.");
+            return false;
+        }
+        return true;
+    }
+
+    async load() {
+        try {
+            const { Utils } = this.dependencies;
+            const text = await window.electronAPI.readStorageFile();
+            return text ? Utils.parseJSONWithBinary(text) : null;
+        } catch (e) {
+            console.error(`JSON file load failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    async save(fsData) {
+        try {
+            const { Utils } = this.dependencies;
+            return await window.electronAPI.writeStorageFile(Utils.stringifyJSONWithBinary(fsData));
+        } catch (e) {
+            console.error(`JSON file save failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    async clear() {
+        try {
+            return await window.electronAPI.clearStorageFile();
+        } catch (e) {
+            console.error(`JSON file clear failed: ${e.message}`);
+            return false;
+        }
+    }
+}
+
+const STORAGE_BACKENDS = {
+    indexeddb: IndexedDBStorageHAL,
+    opfs: OPFSStorageHAL,
+    memory: MemoryStorageHAL,
+    json: JSONFileStorageHAL,
+};
+
+window.StorageHAL = StorageHAL;
+window.IndexedDBStorageHAL = IndexedDBStorageHAL;
+window.OPFSStorageHAL = OPFSStorageHAL;
+window.MemoryStorageHAL = MemoryStorageHAL;
+window.JSONFileStorageHAL = JSONFileStorageHAL;
@@ -15,64 +15,272 @@ class SudoManager {
     this.config = config;
   }
 
-  _parseSudoers() {
-    const sudoersNode = this.fsManager.getNodeByPath(
-        this.config.SUDO.SUDOERS_PATH
-    );
-    if (!sudoersNode || sudoersNode.type !== "file") {
-      this.sudoersConfig = {
-        users: {},
-        groups: {},
-        timeout: this.config.SUDO.DEFAULT_TIMEOUT,
-      };
-      return;
+  /**
+   * Parses sudoers text. Besides comments, blank lines and lines continued
+   * with a trailing backslash, it understands:
+   *   Defaults timestamp_timeout=<minutes>
+   *   User_Alias, Runas_Alias, Host_Alias and Cmnd_Alias NAME = item, ...
+   *   <users> <hosts> = [(<runas users>[:<groups>])] [NOPASSWD:|PASSWD:] [!]<command> [<args>], ...
+   * A run-as list and tag carry on to the following commands of the same
+   * rule. Without a run-as list, commands may only be run as root. A
+   * command without arguments allows any; "" allows none; otherwise the
+   * arguments are matched as a wildcard pattern.
+   * Lines with errors are left out of the returned config; callers that
+   * enforce the rules should treat any error as granting nothing.
+   * @param {string} content
+   * @returns {{isValid: boolean, error: ?string, config: object}}
+   */
+  parseSudoers(content) {
+    const config = this._createEmptyConfig();
+    const errors = [];
+    const references = [];
+
+    const physicalLines = (content || "").split("\n");
+    for (let i = 0; i < physicalLines.length; i++) {
+      const lineNumber = i + 1;
+      let line = physicalLines[i];
+      while (line.endsWith("\\") && i + 1 < physicalLines.length) {
+        line = line.slice(0, -1) + " " + physicalLines[++i];
+      }
+      line = line.replace(/(^|\s)#.*$/, "").trim();
+      if (line === "") continue;
+
+      try {
+        if (/^defaults(\s|$)/i.test(line)) {
+          this._parseDefaults(line.replace(/^defaults/i, ""), config);
+        } else if (/^(User|Runas|Host|Cmnd)_Alias\s/.test(line)) {
+          this._parseAliases(line, config, references, lineNumber);
+        } else {
+          config.rules.push(this._parseRule(line, references, lineNumber));
+        }
+      } catch (e) {
+        errors.push(`line ${lineNumber}: ${e.message}`);
+      }
+    }
+
+    for (const { type, name, lineNumber } of references) {
+      if (!config.aliases[type][name]) {
+        errors.push(`line ${lineNumber}: ${type} "${name}" is not defined`);
+      }
     }
+    return { isValid: errors.length === 0, error: errors[0] || null, config };
+  }
 
-    const content = sudoersNode.content || "";
-    const lines = content.split("\n");
-    const config = {
-      users: {},
-      groups: {},
+  _createEmptyConfig() {
+    return {
       timeout: this.config.SUDO.DEFAULT_TIMEOUT,
+      aliases: { User_Alias: {}, Runas_Alias: {}, Host_Alias: {}, Cmnd_Alias: {} },
+      rules: [],
     };
+  }
 
-    lines.forEach((line) => {
-      line = line.trim();
-      if (line.startsWith("#") || line === "") return;
+  _parseDefaults(settings, config) {
+    for (const setting of this._splitList(settings)) {
+      const match = /^(\w+)\s*=\s*(\S+)$/.exec(setting);
+      if (!match || match[1] !== "timestamp_timeout") {
+        throw new Error(`unknown Defaults entry "${setting}"`);
+      }
+      const timeoutValue = parseInt(match[2], 10);
+      if (isNaN(timeoutValue) || timeoutValue < 0) {
+        throw new Error(`invalid timestamp_timeout "${match[2]}"`);
+      }
+      config.timeout = timeoutValue;
+    }
+  }
 
-      if (line.toLowerCase().startsWith("defaults timestamp_timeout=")) {
-        const timeoutValue = parseInt(line.split("=")[1], 10);
-        if (!isNaN(timeoutValue) && timeoutValue >= 0) {
-          config.timeout = timeoutValue;
-        }
-        return;
+  _parseAliases(line, config, references, lineNumber) {
+    const type = /^\w+/.exec(line)[0];
+    const definitions = this._splitList(line.substring(type.length), ":");
+    for (const definition of definitions) {
+      const match = /^([A-Z][A-Z0-9_]*)\s*=\s*(.+)$/.exec(definition);
+      if (!match || match[1] === "ALL") {
+        throw new Error(`bad ${type} definition "${definition}"`);
       }
+      const items = type === "Cmnd_Alias"
+          ? this._splitList(match[2]).map((item) => this._parseCommand(item))
+          : this._parseList(match[2]);
+      this._noteReferences(type, items, references, lineNumber);
+      config.aliases[type][match[1]] = items;
+    }
+  }
 
-      const parts = line.split(/\s+/);
-      if (parts.length < 2) {
-        console.warn(
-            `SudoManager: Malformed line in /etc/sudoers: "${line}". Ignoring.`
-        );
-        return;
+  _parseRule(line, references, lineNumber) {
+    const separatorIndex = line.indexOf("=");
+    if (separatorIndex === -1) {
+      throw new Error(`expected "<users> <hosts> = <commands>" in "${line}"`);
+    }
+    const left = line.substring(0, separatorIndex).replace(/\s*,\s*/g, ",").trim().split(/\s+/);
+    if (left.length !== 2) {
+      throw new Error(`expected a user list and a host list before "="`);
+    }
+    const rule = {
+      users: this._parseList(left[0]),
+      hosts: this._parseList(left[1]),
+      commands: [],
+    };
+    this._noteReferences("User_Alias", rule.users, references, lineNumber);
+    this._noteReferences("Host_Alias", rule.hosts, references, lineNumber);
+
+    let runas = null;
+    let noPassword = false;
+    for (let spec of this._splitList(line.substring(separatorIndex + 1))) {
+      if (spec.startsWith("(")) {
+        const closeIndex = spec.indexOf(")");
+        if (closeIndex === -1) {
+          throw new Error(`missing ")" in "${spec}"`);
+        }
+        const runasUsers = spec.substring(1, closeIndex).split(":")[0].trim();
+        runas = runasUsers ? this._parseList(runasUsers) : null;
+        if (runas) {
+          this._noteReferences("Runas_Alias", runas, references, lineNumber);
+        }
+        spec = spec.substring(closeIndex + 1).trim();
       }
+      let tagMatch;
+      while ((tagMatch = /^([A-Z_]+):\s*/.exec(spec))) {
+        if (tagMatch[1] === "NOPASSWD") noPassword = true;
+        else if (tagMatch[1] === "PASSWD") noPassword = false;
+        else throw new Error(`unknown tag "${tagMatch[1]}"`);
+        spec = spec.substring(tagMatch[0].length);
+      }
+      const command = this._parseCommand(spec);
+      this._noteReferences("Cmnd_Alias", [command], references, lineNumber);
+      rule.commands.push({ ...command, runas, noPassword });
+    }
+    return rule;
+  }
+
+  /**
+   * @returns {{negated: boolean, value: string, args: ?string}} A command
+   * name, path, alias or ALL, with its argument pattern if one was given.
+   */
+  _parseCommand(text) {
+    const { negated, value } = this._parseItem(text);
+    const spaceIndex = value.search(/\s/);
+    if (value === "") {
+      throw new Error("missing command");
+    }
+    if (spaceIndex === -1) {
+      return { negated, value, args: null };
+    }
+    const args = value.substring(spaceIndex).trim();
+    return {
+      negated,
+      value: value.substring(0, spaceIndex),
+      args: args === '""' ? "" : args,
+    };
+  }
 
-      const entity = parts[0];
-      const permissions = parts.slice(1).join(" ");
+  _parseItem(text) {
+    let value = text.trim();
+    let negated = false;
+    while (value.startsWith("!")) {
+      negated = !negated;
+      value = value.substring(1).trim();
+    }
+    return { negated, value };
+  }
+
+  _parseList(text) {
+    return this._splitList(text).map((item) => {
+      const parsed = this._parseItem(item);
+      if (parsed.value === "" || /\s/.test(parsed.value)) {
+        throw new Error(`bad list entry "${item}"`);
+      }
+      return parsed;
+    });
+  }
 
-      if (entity.startsWith("%")) {
-        config.groups[entity.substring(1)] = permissions;
+  /** Splits on a separator that is not inside parentheses. */
+  _splitList(text, separator = ",") {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+    for (const char of text) {
+      if (char === "(") depth++;
+      if (char === ")") depth--;
+      if (char === separator && depth === 0) {
+        parts.push(current.trim());
+        current = "";
       } else {
-        config.users[entity] = permissions;
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+    if (parts.some((part) => part === "")) {
+      throw new Error(`empty entry in "${text.trim()}"`);
+    }
+    return parts;
+  }
+
+  _noteReferences(type, items, references, lineNumber) {
+    for (const { value } of items) {
+      if (/^[A-Z][A-Z0-9_]*$/.test(value) && value !== "ALL") {
+        references.push({ type, name: value, lineNumber });
       }
+    }
+  }
+
+  /**
+   * Rewrites rules left in the format older versions used,
+   * "<user> <command>, ...", which let the user run those commands as
+   * root, into "<user> ALL=(root) <command>, ...".
+   */
+  async initialize() {
+    const sudoersPath = this.config.SUDO.SUDOERS_PATH;
+    const content = this.fsManager.readSystemFile(sudoersPath);
+    if (content === null) return;
+
+    let migratedCount = 0;
+    let continued = false;
+    const lines = content.split("\n").map((line) => {
+      const isContinuation = continued;
+      continued = line.endsWith("\\");
+      const rule = line.replace(/(^|\s)#.*$/, "").trim();
+      const match = /^(\S+)\s+([^=]+)$/.exec(rule);
+      if (isContinuation || continued || !match || /^defaults$/i.test(match[1])) {
+        return line;
+      }
+      migratedCount++;
+      return `${match[1]} ALL=(root) ${match[2]}`;
     });
-    this.sudoersConfig = config;
+    if (migratedCount > 0) {
+      this.fsManager.writeSystemFile(sudoersPath, lines.join("\n"), 0o440);
+      await this.fsManager.save();
+      console.log(`SudoManager Migration: Rewrote ${migratedCount} rule(s) in ${sudoersPath} in sudoers format.`);
+    }
   }
 
-  _getSudoersConfig() {
-    this._parseSudoers();
+  /**
+   * Parses /etc/sudoers, reusing the last result while its content is
+   * unchanged. Like sudo, a file with any error grants nothing at all.
+   * @returns {{error: ?string, config: object}}
+   */
+  _loadSudoers() {
+    const content = this.fsManager.readSystemFile(this.config.SUDO.SUDOERS_PATH) || "";
+    if (!this.sudoersConfig || this.sudoersConfig.content !== content) {
+      const { error, config } = this.parseSudoers(content);
+      if (error) {
+        console.warn(`SudoManager: ${this.config.SUDO.SUDOERS_PATH}: ${error}. No rules will apply until it is fixed.`);
+      }
+      this.sudoersConfig = {
+        content,
+        error,
+        config: error ? this._createEmptyConfig() : config,
+      };
+    }
     return this.sudoersConfig;
   }
 
+  _getSudoersConfig() {
+    return this._loadSudoers().config;
+  }
+
+  /** @returns {?string} The first error in /etc/sudoers, or null if it parses. */
+  getSudoersError() {
+    return this._loadSudoers().error;
+  }
+
   invalidateSudoersCache() {
     this.sudoersConfig = null;
   }
@@ -101,33 +309,161 @@ class SudoManager {
     }
   }
 
-  canUserRunCommand(username, commandToRun) {
-    if (username === "root") return true;
-
-    const config = this._getSudoersConfig();
-    let userPermissions = config.users[username];
-
-    if (!userPermissions) {
-      const userGroups = this.groupManager.getGroupsForUser(username);
-      for (const group of userGroups) {
-        if (config.groups[group]) {
-          userPermissions = config.groups[group];
-          break;
-        }
+  /**
+   * Matches a list of users, hosts or commands with sudoers' rule that the
+   * last matching entry decides, so "ALL, !bob" leaves out bob.
+   * @returns {?boolean} Whether the list includes or excludes what was
+   * looked for, or null if nothing in it matched.
+   */
+  _matchList(items, aliasType, matchesItem, aliases, seen = new Set()) {
+    let result = null;
+    for (const item of items) {
+      let matched;
+      if (item.value === "ALL") {
+        matched = true;
+      } else if (aliases[aliasType][item.value] && !seen.has(item.value)) {
+        matched = this._matchList(
+            aliases[aliasType][item.value],
+            aliasType,
+            matchesItem,
+            aliases,
+            new Set([...seen, item.value])
+        );
+      } else {
+        matched = matchesItem(item) ? true : null;
+      }
+      if (matched !== null) {
+        result = item.negated ? !matched : matched;
       }
     }
+    return result;
+  }
+
+  _matchesUser(items, username, aliasType, aliases) {
+    const userGroups = this.groupManager.getGroupsForUser(username);
+    return this._matchList(items, aliasType, ({ value }) =>
+        value.startsWith("%") ? userGroups.includes(value.substring(1)) : value === username,
+        aliases
+    ) === true;
+  }
 
-    if (!userPermissions) return false;
-    if (userPermissions.trim() === "ALL") return true;
+  _matchesHost(items, aliases) {
+    const hostName = this.config.OS.DEFAULT_HOST_NAME.toLowerCase();
+    return this._matchList(items, "Host_Alias", ({ value }) => value.toLowerCase() === hostName, aliases) === true;
+  }
 
-    const allowedCommands = userPermissions.split(",").map((cmd) => cmd.trim());
+  /**
+   * Commands may be named bare or by a path ending in the name; both may
+   * use wildcards. An empty command line is a login shell, which only ALL
+   * allows.
+   */
+  _matchesCommand(item, commandArgs) {
+    if (commandArgs.length === 0) {
+      return false;
+    }
+    const name = item.value.substring(item.value.lastIndexOf("/") + 1);
+    if (!Utils.globToRegex(name)?.test(commandArgs[0])) {
+      return false;
+    }
+    if (item.args === null) {
+      return true;
+    }
+    if (item.args === "") {
+      return commandArgs.length === 1;
+    }
+    return !!Utils.globToRegex(item.args)?.test(commandArgs.slice(1).join(" "));
+  }
+
+  /**
+   * Decides whether a user may run a command line as another user. Every
+   * rule for the user on this host is consulted in order and the last
+   * matching command wins, so a later "!" entry can take back a grant.
+   * @param {string} username
+   * @param {string} targetUser
+   * @param {string[]} commandArgs - The command and its arguments, or none for a login shell.
+   * @returns {{allowed: boolean, noPassword: boolean}}
+   */
+  checkCommand(username, targetUser, commandArgs) {
+    if (username === "root") {
+      return { allowed: true, noPassword: true };
+    }
+    const { rules, aliases } = this._getSudoersConfig();
+    let decision = { allowed: false, noPassword: false };
+    for (const rule of rules) {
+      if (
+          !this._matchesUser(rule.users, username, "User_Alias", aliases) ||
+          !this._matchesHost(rule.hosts, aliases)
+      ) {
+        continue;
+      }
+      for (const spec of rule.commands) {
+        const runasAllowed = spec.runas
+            ? this._matchesUser(spec.runas, targetUser, "Runas_Alias", aliases)
+            : targetUser === "root";
+        if (!runasAllowed) continue;
+        const matched = this._matchList(
+            [spec],
+            "Cmnd_Alias",
+            (item) => this._matchesCommand(item, commandArgs),
+            aliases
+        );
+        if (matched !== null) {
+          decision = { allowed: matched, noPassword: matched && spec.noPassword };
+        }
+      }
+    }
+    return decision;
+  }
 
-    for (const allowed of allowedCommands) {
-      if (allowed === commandToRun || allowed.endsWith("/" + commandToRun)) {
-        return true;
+  /**
+   * @returns {{defaults: string[], commands: string[]}} What 'sudo -l'
+   * shows for a user: each command of each rule that applies to them.
+   */
+  listPrivileges(username) {
+    const { timeout, rules, aliases } = this._getSudoersConfig();
+    const commands = [];
+    for (const rule of rules) {
+      if (
+          !this._matchesUser(rule.users, username, "User_Alias", aliases) ||
+          !this._matchesHost(rule.hosts, aliases)
+      ) {
+        continue;
       }
+      for (const spec of rule.commands) {
+        const runas = spec.runas
+            ? spec.runas.map(({ negated, value }) => (negated ? "!" : "") + value).join(", ")
+            : "root";
+        const args = spec.args === null ? "" : ` ${spec.args === "" ? '""' : spec.args}`;
+        commands.push(
+            `(${runas}) ${spec.noPassword ? "NOPASSWD: " : ""}${spec.negated ? "!" : ""}${spec.value}${args}`
+        );
+      }
+    }
+    if (username === "root" && commands.length === 0) {
+      commands.push("(ALL) ALL");
     }
+    return { defaults: [`timestamp_timeout=${timeout}`], commands };
+  }
 
-    return false;
+  /**
+   * Appends an attempt to the audit log in sudo's own format:
+   * "<time> : <user> : [<reason> ; ]PWD=<cwd> ; USER=<target> ; COMMAND=<command>",
+   * where a reason marks the attempt as denied. The log is readable by
+   * root only.
+   * @returns {boolean} Whether the entry was written.
+   */
+  logAttempt(username, cwd, targetUser, command, reason = null) {
+    const logPath = this.config.SUDO.AUDIT_LOG_PATH;
+    const fields = [
+      `PWD=${cwd}`,
+      `USER=${targetUser}`,
+      `COMMAND=${command}`,
+    ];
+    if (reason) {
+      fields.unshift(reason);
+    }
+    const entry = `${new Date().toISOString()} : ${username} : ${fields.join(" ; ")}\n`;
+    const existing = this.fsManager.readSystemFile(logPath) || "";
+    return this.fsManager.writeSystemFile(logPath, existing + entry, 0o600).success;
   }
 }
\ No newline at end of file
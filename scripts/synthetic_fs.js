@@ -0,0 +1,226 @@
+// scripts/synthetic_fs.js
+
+/**
+ * @abstract
+ * A filesystem whose nodes are generated rather than stored. FileSystemManager
+ * mounts one on a directory, and path lookups below that directory are
+ * answered by getRoot() instead of the stored tree. Nodes are rebuilt on
+ * every lookup and file content is produced when it is read, so it always
+ * reflects the current state of the system. Nothing here is ever saved.
+ */
+class SyntheticFilesystem {
+    constructor() {
+        if (this.constructor === SyntheticFilesystem) {
+            throw new Error("Abstract classes can't be instantiated.");
+        }
+        this.dependencies = {};
+    }
+
+    setDependencies(dependencies) {
+        this.dependencies = dependencies;
+    }
+
+    /**
+     * Whether the mount refuses to create, change or remove entries.
+     * @returns {boolean}
+     */
+    get readOnly() { return true; }
+
+    /**
+     * Builds the directory node mounted at the mount point.
+     * @returns {object} A directory node.
+     */
+    getRoot() { throw new Error("Method 'getRoot()' must be implemented."); }
+
+    /**
+     * @param {string} type - A registered filesystem type.
+     * @returns {SyntheticFilesystem|null} A new instance, or null if unknown.
+     */
+    static create(type) {
+        const Filesystem = FILESYSTEM_TYPES[type];
+        return Filesystem ? new Filesystem() : null;
+    }
+
+    /**
+     * @returns {string[]} The names of all registered filesystem types.
+     */
+    static getTypes() {
+        return Object.keys(FILESYSTEM_TYPES);
+    }
+
+    /**
+     * @param {string} type - A registered filesystem type.
+     * @returns {string} A one-line description of the type.
+     */
+    static describe(type) {
+        return FILESYSTEM_TYPES[type]?.description || "";
+    }
+
+    /**
+     * Generated nodes have just come into being, so every time is now.
+     */
+    _timestamps() {
+        const now = new Date().toISOString();
+        return { atime: now, mtime: now, ctime: now, btime: now };
+    }
+
+    /**
+     * Makes a directory node whose children are built each time they are
+     * looked at.
+     * @param {function(): object} buildChildren - Returns the name → node map.
+     */
+    _directory(buildChildren, mode = 0o555) {
+        const { Config } = this.dependencies;
+        return {
+            ...this._timestamps(),
+            type: Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
+            get children() { return buildChildren(); },
+            owner: "root",
+            group: "root",
+            mode,
+            readOnly: this.readOnly,
+            synthetic: true,
+        };
+    }
+
+    /**
+     * Makes a file node whose content is generated when it is read.
+     * @param {function(): (string|Uint8Array)} generate
+     * @param {object} [extra] - Further node properties, e.g. `device`.
+     */
+    _file(generate, mode = 0o444, extra = {}) {
+        const { Config } = this.dependencies;
+        return {
+            ...this._timestamps(),
+            type: Config.FILESYSTEM.DEFAULT_FILE_TYPE,
+            get content() { return generate(); },
+            owner: "root",
+            group: "root",
+            mode,
+            readOnly: this.readOnly,
+            synthetic: true,
+            ...extra,
+        };
+    }
+}
+
+/**
+ * Process and system information: one directory per background job, plus
+ * filesystem usage, the mount table and the uptime.
+ */
+class ProcFilesystem extends SyntheticFilesystem {
+    static description = "Background jobs and system statistics";
+
+    constructor() {
+        super();
+        this.bootTime = Date.now();
+    }
+
+    getRoot() {
+        return this._directory(() => {
+            const { CommandExecutor } = this.dependencies;
+            const children = {
+                meminfo: this._file(() => this._meminfo()),
+                mounts: this._file(() => this._mounts()),
+                uptime: this._file(() => `${((Date.now() - this.bootTime) / 1000).toFixed(2)}\n`),
+            };
+            for (const [jobId, job] of Object.entries(CommandExecutor.getActiveJobs())) {
+                children[jobId] = this._jobDirectory(jobId, job);
+            }
+            return children;
+        });
+    }
+
+    _jobDirectory(jobId, job) {
+        return this._directory(() => ({
+            cmdline: this._file(() => `${job.command}\n`),
+            status: this._file(() => [
+                `Name:\t${String(job.command).trim().split(/\s+/)[0]}`,
+                `State:\t${job.status === "paused" ? "T (stopped)" : "R (running)"}`,
+                `Pid:\t${jobId}`,
+                "",
+            ].join("\n")),
+        }));
+    }
+
+    _meminfo() {
+        const { Config, FileSystemManager } = this.dependencies;
+        const total = Config.FILESYSTEM.MAX_VFS_SIZE;
+        const used = FileSystemManager.getUsedSize();
+        const line = (label, bytes) =>
+            `${`${label}:`.padEnd(14)}${String(Math.ceil(bytes / 1024)).padStart(10)} kB`;
+        return [
+            line("VfsTotal", total),
+            line("VfsUsed", used),
+            line("VfsFree", total - used),
+            "",
+        ].join("\n");
+    }
+
+    _mounts() {
+        const { FileSystemManager } = this.dependencies;
+        return FileSystemManager.getMounts()
+            .map((mount) => `${mount.source} ${mount.target} ${mount.type} ${mount.readOnly ? "ro" : "rw"} 0 0\n`)
+            .join("");
+    }
+}
+
+/**
+ * Device files. Writes to null, zero and random are discarded, and the
+ * shell routes writes to tty, stdout and stderr to the matching stream.
+ * Reads of zero and random return one block of bytes.
+ */
+class DevFilesystem extends SyntheticFilesystem {
+    static description = "Device files: null, zero, random, tty, stdout, stderr";
+    static BLOCK_SIZE = 1024;
+
+    getRoot() {
+        const device = (name, generate = () => "") =>
+            this._file(generate, 0o666, { device: name, readOnly: false });
+        return this._directory(() => ({
+            null: device("null"),
+            zero: device("zero", () => new Uint8Array(DevFilesystem.BLOCK_SIZE)),
+            random: device("random", () =>
+                crypto.getRandomValues(new Uint8Array(DevFilesystem.BLOCK_SIZE))
+            ),
+            tty: device("tty"),
+            stdout: device("stdout"),
+            stderr: device("stderr"),
+        }), 0o755);
+    }
+}
+
+/**
+ * Kernel-style views of the managers; for now the network peers.
+ */
+class SysFilesystem extends SyntheticFilesystem {
+    static description = "Network instance and peer connections";
+
+    getRoot() {
+        return this._directory(() => ({
+            net: this._directory(() => ({
+                instance_id: this._file(() => `${this.dependencies.NetworkManager.getInstanceId()}\n`),
+                peers: this._file(() => this._peers()),
+            })),
+        }));
+    }
+
+    _peers() {
+        const { NetworkManager } = this.dependencies;
+        const peers = NetworkManager.getPeers();
+        return NetworkManager.getRemoteInstances()
+            .map((id) => `${id} ${peers.get(id)?.connectionState || "disconnected"}\n`)
+            .join("");
+    }
+}
+
+const FILESYSTEM_TYPES = {
+    proc: ProcFilesystem,
+    devfs: DevFilesystem,
+    sysfs: SysFilesystem,
+};
+
+window.SyntheticFilesystem = SyntheticFilesystem;
+window.ProcFilesystem = ProcFilesystem;
+window.DevFilesystem = DevFilesystem;
+window.SysFilesystem = SysFilesystem;
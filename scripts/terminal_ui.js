@@ -53,6 +53,40 @@ class TerminalUI {
     }
   }
 
+  /**
+   * Draws a tab for each open virtual terminal, showing the user on it,
+   * and one to open the next terminal while there are fewer than
+   * TERMINAL.MAX_TTYS.
+   */
+  renderTerminalTabs() {
+    const { SessionManager, Config, Utils } = this.dependencies;
+    if (!this.elements.terminalTabs) return;
+
+    const activeTty = SessionManager.getTty();
+    const terminals = SessionManager.getTerminals();
+    const tabs = terminals.map(({ tty, stack }) =>
+        Utils.createElement("button", {
+          className: `terminal-tabs__tab${tty === activeTty ? " terminal-tabs__tab--active" : ""}`,
+          textContent: `${tty}: ${stack[stack.length - 1]}`,
+          title: `Ctrl+Alt+F${tty.slice(3)}`,
+          eventListeners: { click: () => SessionManager.switchTerminal(tty) },
+        })
+    );
+    if (terminals.length < Config.TERMINAL.MAX_TTYS) {
+      let number = 1;
+      while (terminals.some(({ tty }) => tty === `tty${number}`)) number++;
+      tabs.push(
+          Utils.createElement("button", {
+            className: "terminal-tabs__tab",
+            textContent: "+",
+            title: `Open tty${number} (Ctrl+Alt+F${number})`,
+            eventListeners: { click: () => SessionManager.switchTerminal(`tty${number}`) },
+          })
+      );
+    }
+    this.elements.terminalTabs.replaceChildren(...tabs);
+  }
+
   getPromptText() {
     return this.elements.promptContainer ? this.elements.promptContainer.textContent : "";
   }
@@ -375,7 +409,7 @@ class TabCompletionManager {
     const { currentWordPrefix, isCompletingCommand, commandName } = context;
     let suggestions = [];
 
-    const { CommandExecutor, Config, StorageManager, FileSystemManager, UserManager } = this.dependencies;
+    const { CommandExecutor, Config, FileSystemManager, UserManager } = this.dependencies;
 
     if (isCompletingCommand) {
       suggestions = Config.COMMANDS_MANIFEST.filter((cmd) =>
@@ -391,12 +425,7 @@ class TabCompletionManager {
             cmd.toLowerCase().startsWith(currentWordPrefix.toLowerCase())
         ).sort();
       } else if (commandDefinition.definition.completionType === "users") {
-        const users = StorageManager.loadItem(
-            Config.STORAGE_KEYS.USER_CREDENTIALS,
-            "User list",
-            {}
-        );
-        const userNames = Object.keys(users);
+        const userNames = UserManager.getUsernames();
         if (!userNames.includes(Config.USER.DEFAULT_NAME))
           userNames.push(Config.USER.DEFAULT_NAME);
         suggestions = userNames
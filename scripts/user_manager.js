@@ -12,6 +12,7 @@ class UserManager {
     this.commandExecutor = null;
     this.modalManager = null;
     this.currentUser = { name: this.config.USER.DEFAULT_NAME };
+    this.cache = { passwd: null, shadow: null, users: {} };
   }
 
   setDependencies(sessionManager, sudoManager, commandExecutor, modalManager) {
@@ -76,26 +77,406 @@ class UserManager {
     );
   }
 
+  /**
+   * Reads the accounts in /etc/passwd, each with its password field and
+   * ageing fields from /etc/shadow. A user missing from /etc/shadow is
+   * locked. Both files are parsed again only when one of them changes.
+   * @returns {Object<string, {uid: number, gid: number, gecos: string, home: string, shell: string, password: string, aging: string[], passwordData: ?{salt: string, hash: string}}>}
+   */
+  _loadUsers() {
+    const passwd = this.fsManager.readSystemFile(this.config.FILESYSTEM.PASSWD_PATH) || "";
+    const shadow = this.fsManager.readSystemFile(this.config.FILESYSTEM.SHADOW_PATH) || "";
+    if (passwd === this.cache.passwd && shadow === this.cache.shadow) {
+      return this.cache.users;
+    }
+    const shadowEntries = {};
+    for (const line of shadow.split("\n")) {
+      const [username, password = "", ...aging] = line.split(":");
+      if (!username || line.startsWith("#")) continue;
+      shadowEntries[username] = { password, aging };
+    }
+    const users = {};
+    for (const line of passwd.split("\n")) {
+      const [username, , uid, gid, gecos = "", home = "", shell = ""] = line.split(":");
+      if (!username || line.startsWith("#")) continue;
+      const { password = "!", aging = [] } = shadowEntries[username] || {};
+      users[username] = {
+        uid: parseInt(uid, 10),
+        gid: parseInt(gid, 10),
+        gecos,
+        home,
+        shell,
+        password,
+        aging,
+        passwordData: this._parsePasswordField(password),
+      };
+    }
+    this.cache = { passwd, shadow, users };
+    return users;
+  }
+
+  _saveUsers(users) {
+    const entries = Object.entries(users);
+    const passwdResult = this.fsManager.writeSystemFile(
+        this.config.FILESYSTEM.PASSWD_PATH,
+        entries
+            .map(([username, user]) =>
+                `${username}:x:${user.uid}:${user.gid}:${user.gecos}:${user.home}:${user.shell}\n`
+            )
+            .join(""),
+        0o644
+    );
+    const shadowResult = this.fsManager.writeSystemFile(
+        this.config.FILESYSTEM.SHADOW_PATH,
+        entries
+            .map(([username, user]) => `${[username, user.password, ...user.aging].join(":")}\n`)
+            .join(""),
+        0o600
+    );
+    return passwdResult.success && shadowResult.success;
+  }
+
+  /**
+   * Password fields hold '$pbkdf2-sha256$<salt>$<hash>' in hex. An empty
+   * field means no password is needed; anything else, such as '!', cannot
+   * be matched and locks the account.
+   */
+  _parsePasswordField(field) {
+    const match = /^\$pbkdf2-sha256\$([0-9a-f]+)\$([0-9a-f]+)$/.exec(field);
+    return match ? { salt: match[1], hash: match[2] } : null;
+  }
+
+  _formatPasswordField(passwordData) {
+    return passwordData
+        ? `$pbkdf2-sha256$${passwordData.salt}$${passwordData.hash}`
+        : "";
+  }
+
+  _daysSinceEpoch() {
+    return String(Math.floor(Date.now() / (24 * 60 * 60 * 1000)));
+  }
+
+  _createAccount(username, users, gid, passwordData) {
+    const usedUids = new Set(Object.values(users).map((user) => user.uid));
+    let uid = username === "root" ? 0 : 1000;
+    while (username !== "root" && usedUids.has(uid)) uid++;
+    return {
+      uid,
+      gid,
+      gecos: "",
+      home: `/home/${username}`,
+      shell: "/bin/oopis_shell",
+      password: this._formatPasswordField(passwordData),
+      aging: [
+        this._daysSinceEpoch(),
+        String(this.config.LOGIN.PASS_MIN_DAYS),
+        String(this.config.LOGIN.PASS_MAX_DAYS),
+        String(this.config.LOGIN.PASS_WARN_AGE),
+        "",
+        "",
+        "",
+      ],
+    };
+  }
+
+  /**
+   * The faillog holds one '<user> <service> <ISO time>' line per failed
+   * password attempt, kept until the user next gets their password right
+   * or root resets them with 'faillock'.
+   */
+  _loadFailedAttempts() {
+    const content = this.fsManager.readSystemFile(this.config.LOGIN.FAILLOG_PATH) || "";
+    return content
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          const [username, service, time] = line.split(" ");
+          return { username, service, time };
+        });
+  }
+
+  _saveFailedAttempts(attempts) {
+    return this.fsManager.writeSystemFile(
+        this.config.LOGIN.FAILLOG_PATH,
+        attempts
+            .map(({ username, service, time }) => `${username} ${service} ${time}\n`)
+            .join(""),
+        0o600
+    ).success;
+  }
+
+  getFailedAttempts(username) {
+    return this._loadFailedAttempts().filter((attempt) => attempt.username === username);
+  }
+
+  /**
+   * An account is locked once it has MAX_FAILED_ATTEMPTS failures in a
+   * row, until LOCKOUT_MINUTES have passed since the last, or for good if
+   * that is 0. Root is never locked out.
+   */
+  isAccountLocked(username) {
+    const { MAX_FAILED_ATTEMPTS, LOCKOUT_MINUTES } = this.config.LOGIN;
+    const attempts = this.getFailedAttempts(username);
+    if (username === "root" || !MAX_FAILED_ATTEMPTS || attempts.length < MAX_FAILED_ATTEMPTS) {
+      return false;
+    }
+    const lastFailure = new Date(attempts[attempts.length - 1].time).getTime();
+    return !LOCKOUT_MINUTES || Date.now() - lastFailure < LOCKOUT_MINUTES * 60 * 1000;
+  }
+
+  getLockMessage(username) {
+    const { LOCKOUT_MINUTES } = this.config.LOGIN;
+    const attempts = this.getFailedAttempts(username);
+    const message = `The account is locked due to ${attempts.length} failed logins.`;
+    if (!LOCKOUT_MINUTES || attempts.length === 0) {
+      return message;
+    }
+    const unlockTime =
+        new Date(attempts[attempts.length - 1].time).getTime() + LOCKOUT_MINUTES * 60 * 1000;
+    const minutesLeft = Math.max(1, Math.ceil((unlockTime - Date.now()) / (60 * 1000)));
+    return `${message} (${minutesLeft} minute(s) left to unlock)`;
+  }
+
+  /**
+   * Counts a failed password attempt against a user, or clears their
+   * count once they get it right. This is saved straight away, as the
+   * command that asked for the password may well fail.
+   */
+  async _recordAuthAttempt(username, service, succeeded) {
+    if (!this._loadUsers()[username]) {
+      return;
+    }
+    const attempts = this._loadFailedAttempts();
+    const ownAttempts = attempts.filter((attempt) => attempt.username === username);
+    const otherAttempts = attempts.filter((attempt) => attempt.username !== username);
+    if (succeeded) {
+      if (ownAttempts.length === 0) {
+        return;
+      }
+      this._saveFailedAttempts(otherAttempts);
+    } else {
+      // Once a lock has run out, counting starts again.
+      const expiredLock =
+          ownAttempts.length >= this.config.LOGIN.MAX_FAILED_ATTEMPTS &&
+          !this.isAccountLocked(username);
+      this._saveFailedAttempts([
+        ...otherAttempts,
+        ...(expiredLock ? [] : ownAttempts),
+        { username, service, time: new Date().toISOString() },
+      ]);
+    }
+    await this.fsManager.save();
+  }
+
+  /**
+   * @returns {number} How many failed attempts were cleared.
+   */
+  resetFailedAttempts(username) {
+    const attempts = this._loadFailedAttempts();
+    const remaining = attempts.filter((attempt) => attempt.username !== username);
+    if (remaining.length !== attempts.length) {
+      this._saveFailedAttempts(remaining);
+    }
+    return attempts.length - remaining.length;
+  }
+
+  /**
+   * Appends a '<ISO time> <type> <user> <tty> [<from>]' line to the wtmp
+   * log. The type is login, su or logout for a user's session, where su
+   * records the user it was run by, or reboot or shutdown for the system,
+   * recorded with the OS version.
+   */
+  _recordSession(type, username, from = null, tty = this.sessionManager.getTty()) {
+    const wtmpPath = this.config.LOGIN.WTMP_PATH;
+    const fields = [new Date().toISOString(), type, username, tty];
+    if (from) {
+      fields.push(from);
+    }
+    const existing = this.fsManager.readSystemFile(wtmpPath) || "";
+    return this.fsManager.writeSystemFile(wtmpPath, `${existing}${fields.join(" ")}\n`, 0o644)
+        .success;
+  }
+
+  getSessionRecords() {
+    const content = this.fsManager.readSystemFile(this.config.LOGIN.WTMP_PATH) || "";
+    return content
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          const [time, type, username, tty, from = null] = line.split(" ");
+          return { time, type, username, tty, from };
+        });
+  }
+
+  /**
+   * Pairs up the wtmp records into sessions, oldest first. Each boot is a
+   * session of the 'reboot' pseudo-user lasting until shutdown. A session
+   * still open has no end; one still open when the system booted again
+   * ends then and is marked as crashed.
+   * @returns {Array<{type: string, username: string, tty: string, from: ?string, start: string, end: ?string, crashed: boolean}>}
+   */
+  getLoginSessions() {
+    const sessions = [];
+    let openSessions = [];
+    for (const { time, type, username, tty, from } of this.getSessionRecords()) {
+      if (type === "reboot" || type === "shutdown") {
+        for (const session of openSessions) {
+          session.end = time;
+          session.crashed = type === "reboot";
+        }
+        openSessions = [];
+      }
+      if (type === "logout") {
+        const index = openSessions.findLastIndex(
+            (session) => session.username === username && session.tty === tty
+        );
+        if (index !== -1) {
+          openSessions[index].end = time;
+          openSessions.splice(index, 1);
+        }
+      } else if (type !== "shutdown") {
+        const session = { type, username, tty, from, start: time, end: null, crashed: false };
+        sessions.push(session);
+        openSessions.push(session);
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Starts the wtmp records for a new boot and the default user's session
+   * on it.
+   */
+  async recordBoot() {
+    this._recordSession("reboot", "reboot", this.config.OS.VERSION, "~");
+    this._recordSession("login", this.currentUser.name);
+    await this.fsManager.save();
+  }
+
+  /**
+   * Records the default user's session on a newly opened terminal.
+   */
+  async recordLogin() {
+    this._recordSession("login", this.currentUser.name);
+    await this.fsManager.save();
+  }
+
+  async recordShutdown() {
+    for (const { tty, stack } of this.sessionManager.getTerminals()) {
+      for (const username of [...stack].reverse()) {
+        this._recordSession("logout", username, null, tty);
+      }
+    }
+    this._recordSession("shutdown", "shutdown", this.config.OS.VERSION, "~");
+    await this.fsManager.save();
+  }
+
+  validatePassword(password) {
+    if (!password || password.trim() === "") {
+      return { isValid: false, error: this.config.MESSAGES.EMPTY_PASSWORD_NOT_ALLOWED };
+    }
+    const minLength = this.config.LOGIN.MIN_PASSWORD_LENGTH;
+    if (password.length < minLength) {
+      return {
+        isValid: false,
+        error: `BAD PASSWORD: The password is shorter than ${minLength} characters.`,
+      };
+    }
+    return { isValid: true, error: null };
+  }
+
+  /**
+   * Reads a user's password ageing from /etc/shadow. A last change of 0
+   * means the password must be changed at the next login; a maximum age
+   * of 99999 days or none means it never expires.
+   * @returns {?{status: string, lastChange: ?number, minDays: number, maxDays: ?number, warnDays: number, daysLeft: ?number, expired: boolean}}
+   * status is P for a usable password, NP for none and L for locked.
+   */
+  getPasswordAging(username) {
+    const user = this._loadUsers()[username];
+    if (!user) {
+      return null;
+    }
+    const [lastChange, minDays, maxDays, warnDays] = [0, 1, 2, 3].map((i) =>
+        user.aging[i] ? parseInt(user.aging[i], 10) : null
+    );
+    const today = parseInt(this._daysSinceEpoch(), 10);
+    const expires = lastChange !== null && maxDays !== null && maxDays < 99999;
+    const daysLeft = lastChange === 0 ? 0 : expires ? lastChange + maxDays - today : null;
+    return {
+      status: user.passwordData ? "P" : user.password ? "L" : "NP",
+      lastChange,
+      minDays: minDays || 0,
+      maxDays: maxDays !== null && maxDays < 99999 ? maxDays : null,
+      warnDays: warnDays || 0,
+      daysLeft,
+      expired: lastChange === 0 || (daysLeft !== null && daysLeft < 0),
+    };
+  }
+
+  /**
+   * Changes the ageing fields 'passwd' sets: minDays, maxDays and
+   * warnDays, and expire to make the user change it at their next login.
+   */
+  setPasswordAging(username, { minDays = null, maxDays = null, warnDays = null, expire = false }) {
+    const users = { ...this._loadUsers() };
+    if (!users[username]) {
+      return ErrorHandler.createError(`User '${username}' not found.`);
+    }
+    const aging = [...users[username].aging];
+    while (aging.length < 7) aging.push("");
+    if (expire) aging[0] = "0";
+    if (minDays !== null) aging[1] = String(minDays);
+    if (maxDays !== null) aging[2] = String(maxDays);
+    if (warnDays !== null) aging[3] = String(warnDays);
+    users[username] = { ...users[username], aging };
+    if (this._saveUsers(users)) {
+      return ErrorHandler.createSuccess("", { stateModified: true });
+    }
+    return ErrorHandler.createError("Failed to save password ageing.");
+  }
+
+  async _setPassword(username, password) {
+    const passwordData = await this._secureHashPassword(password);
+    if (!passwordData) {
+      return ErrorHandler.createError("Failed to securely process new password.");
+    }
+    const users = { ...this._loadUsers() };
+    const aging = [...users[username].aging];
+    aging[0] = this._daysSinceEpoch();
+    users[username] = {
+      ...users[username],
+      password: this._formatPasswordField(passwordData),
+      aging,
+    };
+    if (this._saveUsers(users)) {
+      return ErrorHandler.createSuccess(
+          `Password for '${username}' updated successfully.`,
+          { stateModified: true }
+      );
+    }
+    return ErrorHandler.createError("Failed to save updated password.");
+  }
+
   getCurrentUser() {
     return this.currentUser;
   }
 
+  setCurrentUser(username) {
+    this.currentUser = { name: username };
+  }
+
   getPrimaryGroupForUser(username) {
-    const users = this.storageManager.loadItem(
-        this.config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
-    );
-    return users[username]?.primaryGroup || null;
+    const user = this._loadUsers()[username];
+    return user ? this.groupManager.getGroupName(user.gid) : null;
+  }
+
+  getUsernames() {
+    return Object.keys(this._loadUsers());
   }
 
   async userExists(username) {
-    const users = this.storageManager.loadItem(
-        this.config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
-    );
-    return users.hasOwnProperty(username);
+    return Object.prototype.hasOwnProperty.call(this._loadUsers(), username);
   }
 
   async register(username, password) {
@@ -108,6 +489,10 @@ class UserManager {
     }
     let passwordData = null;
     if (password) {
+      const passwordValidation = this.validatePassword(password);
+      if (!passwordValidation.isValid) {
+        return ErrorHandler.createError(passwordValidation.error);
+      }
       passwordData = await this._secureHashPassword(password);
       if (!passwordData) {
         return ErrorHandler.createError("Failed to securely process password.");
@@ -115,21 +500,16 @@ class UserManager {
     }
     this.groupManager.createGroup(username);
     this.groupManager.addUserToGroup(username, username);
-    const users = this.storageManager.loadItem(
-        this.config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
+    const users = { ...this._loadUsers() };
+    users[username] = this._createAccount(
+        username,
+        users,
+        this.groupManager.getGid(username),
+        passwordData
     );
-    users[username] = { passwordData, primaryGroup: username };
     await this.fsManager.createUserHomeDirectory(username);
 
-    if (
-        this.storageManager.saveItem(
-            this.config.STORAGE_KEYS.USER_CREDENTIALS,
-            users,
-            "User list"
-        )
-    ) {
+    if (this._saveUsers(users)) {
       return ErrorHandler.createSuccess(
           `User '${username}' registered. Home directory created at /home/${username}.`,
           { stateModified: true }
@@ -138,26 +518,43 @@ class UserManager {
     return ErrorHandler.createError("Failed to save new user credentials.");
   }
 
-  async verifyPassword(username, password) {
-    const users = this.storageManager.loadItem(
-        this.config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
-    );
-    const userEntry = users[username];
+  /**
+   * Checks a user's password for a service such as sudo, counting a wrong
+   * one towards locking the account.
+   */
+  async verifyPassword(username, password, service = "sudo") {
+    const userEntry = this._loadUsers()[username];
     if (!userEntry) return ErrorHandler.createError("User not found.");
     const { salt, hash } = userEntry?.passwordData || {};
     if (!salt || !hash)
       return ErrorHandler.createError("User does not have a password set.");
-    return (await this._verifyPasswordWithSalt(password, salt, hash))
+    if (this.isAccountLocked(username)) {
+      return ErrorHandler.createError(this.getLockMessage(username));
+    }
+    const matches = await this._verifyPasswordWithSalt(password, salt, hash);
+    await this._recordAuthAttempt(username, service, matches);
+    return matches
         ? ErrorHandler.createSuccess()
         : ErrorHandler.createError("Incorrect password.");
   }
 
-  async sudoExecute(commandStr, options) {
+  /**
+   * Runs a command as another user, root by default, once sudo has allowed
+   * it. With `login`, the command runs from that user's home directory.
+   */
+  async sudoExecute(commandStr, options, { user = "root", login = false } = {}) {
     const originalUser = this.currentUser;
+    const originalPath = this.fsManager.getCurrentPath();
     try {
-      this.currentUser = { name: "root" };
+      this.currentUser = { name: user };
+      if (login) {
+        const homePath = `/home/${user}`;
+        this.fsManager.setCurrentPath(
+            this.fsManager.getNodeByPath(homePath)
+                ? homePath
+                : this.config.FILESYSTEM.ROOT_PATH
+        );
+      }
       return await this.commandExecutor.processSingleCommand(
           commandStr,
           options
@@ -166,6 +563,27 @@ class UserManager {
       return ErrorHandler.createError(
           `sudo: an unexpected error occurred during execution: ${e.message}`
       );
+    } finally {
+      this.currentUser = originalUser;
+      if (login && this.fsManager.getNodeByPath(originalPath)) {
+        this.fsManager.setCurrentPath(originalPath);
+      }
+    }
+  }
+
+  /**
+   * Starts a login shell as a user for 'sudo -i', which has already
+   * authenticated the caller. 'logout' returns to the caller.
+   */
+  sudoLogin(username) {
+    return this._performSu(username);
+  }
+
+  async executeAsUser(username, callback) {
+    const originalUser = this.currentUser;
+    try {
+      this.currentUser = { name: username };
+      return await callback();
     } finally {
       this.currentUser = originalUser;
     }
@@ -177,11 +595,6 @@ class UserManager {
       oldPassword,
       newPassword
   ) {
-    const users = this.storageManager.loadItem(
-        this.config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
-    );
     if (!(await this.userExists(targetUsername))) {
       return ErrorHandler.createError(`User '${targetUsername}' not found.`);
     }
@@ -191,36 +604,108 @@ class UserManager {
             "You can only change your own password."
         );
       }
+      if (this.isAccountLocked(actorUsername)) {
+        return ErrorHandler.createError(this.getLockMessage(actorUsername));
+      }
       const authResult = await this.verifyPassword(
           actorUsername,
-          oldPassword
+          oldPassword,
+          "passwd"
       );
       if (!authResult.success) {
         return ErrorHandler.createError("Incorrect current password.");
       }
+      const { lastChange, minDays, expired } = this.getPasswordAging(actorUsername);
+      if (
+          !expired &&
+          minDays > 0 &&
+          parseInt(this._daysSinceEpoch(), 10) - lastChange < minDays
+      ) {
+        return ErrorHandler.createError(
+            "You must wait longer to change your password."
+        );
+      }
     }
-    if (!newPassword || newPassword.trim() === "") {
-      return ErrorHandler.createError("New password cannot be empty.");
+    const passwordValidation = this.validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return ErrorHandler.createError(passwordValidation.error);
     }
-    const newPasswordData = await this._secureHashPassword(newPassword);
-    if (!newPasswordData) {
-      return ErrorHandler.createError(
-          "Failed to securely process new password."
-      );
+    return this._setPassword(targetUsername, newPassword);
+  }
+
+  /**
+   * Asks a user whose password has expired for a new one before their
+   * session starts.
+   */
+  _requirePasswordChange(username, options) {
+    return new Promise((resolve) => {
+      const onCancel = () =>
+          resolve(ErrorHandler.createError("Password change cancelled."));
+      this.modalManager.request({
+        context: "terminal",
+        type: "input",
+        messageLines: [
+          "You are required to change your password immediately (password expired).",
+          `Enter new password for ${username}:`,
+        ],
+        obscured: true,
+        onConfirm: (newPassword) => {
+          const passwordValidation = this.validatePassword(newPassword);
+          if (!passwordValidation.isValid) {
+            resolve(ErrorHandler.createError(passwordValidation.error));
+            return;
+          }
+          this.modalManager.request({
+            context: "terminal",
+            type: "input",
+            messageLines: [this.config.MESSAGES.PASSWORD_CONFIRM_PROMPT],
+            obscured: true,
+            onConfirm: async (confirmedPassword) => {
+              if (confirmedPassword !== newPassword) {
+                resolve(ErrorHandler.createError(this.config.MESSAGES.PASSWORD_MISMATCH));
+                return;
+              }
+              const result = await this._setPassword(username, newPassword);
+              if (result.success) {
+                await this.fsManager.save();
+              }
+              resolve(result);
+            },
+            onCancel,
+            options,
+          });
+        },
+        onCancel,
+        options,
+      });
+    });
+  }
+
+  /**
+   * Starts the session of a user who has given the right password, once
+   * any expired password is changed. A password that expires soon is
+   * reported in the result's passwordWarning.
+   */
+  async _completeAuth(username, service, successCallback, failureMessage, options) {
+    await this._recordAuthAttempt(username, service, true);
+    const { daysLeft, warnDays, expired } = this.getPasswordAging(username);
+    if (expired) {
+      const changeResult = await this._requirePasswordChange(username, options);
+      if (!changeResult.success) {
+        return ErrorHandler.createError(`${failureMessage} ${changeResult.error}`);
+      }
     }
-    users[targetUsername].passwordData = newPasswordData;
-    if (
-        this.storageManager.saveItem(
-            this.config.STORAGE_KEYS.USER_CREDENTIALS,
-            users,
-            "User list"
-        )
-    ) {
-      return ErrorHandler.createSuccess(
-          `Password for '${targetUsername}' updated successfully.`
-      );
+    const result = await successCallback(username);
+    if (result.success && !expired && daysLeft !== null && daysLeft <= warnDays) {
+      return {
+        ...result,
+        data: {
+          ...result.data,
+          passwordWarning: `Warning: your password will expire in ${daysLeft} day(s).`,
+        },
+      };
     }
-    return ErrorHandler.createError("Failed to save updated password.");
+    return result;
   }
 
   async _handleAuthFlow(
@@ -228,14 +713,10 @@ class UserManager {
       providedPassword,
       successCallback,
       failureMessage,
+      service,
       options
   ) {
-    const users = this.storageManager.loadItem(
-        this.config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
-    );
-    const userEntry = users[username];
+    const userEntry = this._loadUsers()[username];
 
     if (!userEntry && username !== this.config.USER.DEFAULT_NAME && username !== "root") {
       return ErrorHandler.createError("Invalid username.");
@@ -244,12 +725,23 @@ class UserManager {
     const { salt, hash } = userEntry?.passwordData || {};
 
     if (salt && hash) {
-      if (providedPassword !== null) {
-        if (await this._verifyPasswordWithSalt(providedPassword, salt, hash)) {
-          return await successCallback(username);
-        } else {
-          return ErrorHandler.createError(this.config.MESSAGES.INVALID_PASSWORD);
+      if (this.isAccountLocked(username)) {
+        return ErrorHandler.createError(
+            `${failureMessage} ${this.getLockMessage(username)}`
+        );
+      }
+      const checkPassword = async (passwordAttempt) => {
+        if (await this._verifyPasswordWithSalt(passwordAttempt, salt, hash)) {
+          return this._completeAuth(username, service, successCallback, failureMessage, options);
         }
+        await this._recordAuthAttempt(username, service, false);
+        return null;
+      };
+      if (providedPassword !== null) {
+        return (
+            (await checkPassword(providedPassword)) ||
+            ErrorHandler.createError(this.config.MESSAGES.INVALID_PASSWORD)
+        );
       } else {
         return new Promise((resolve) => {
           this.modalManager.request({
@@ -258,11 +750,10 @@ class UserManager {
             messageLines: [this.config.MESSAGES.PASSWORD_PROMPT],
             obscured: true,
             onConfirm: async (passwordFromPrompt) => {
-              if (await this._verifyPasswordWithSalt(passwordFromPrompt, salt, hash)) {
-                resolve(await successCallback(username));
-              } else {
-                resolve(ErrorHandler.createError(failureMessage));
-              }
+              resolve(
+                  (await checkPassword(passwordFromPrompt)) ||
+                  ErrorHandler.createError(failureMessage)
+              );
             },
             onCancel: () =>
                 resolve(
@@ -274,6 +765,8 @@ class UserManager {
           });
         });
       }
+    } else if (userEntry?.password) {
+      return ErrorHandler.createError(failureMessage);
     } else {
       if (providedPassword !== null) {
         return ErrorHandler.createError(
@@ -302,6 +795,7 @@ class UserManager {
         providedPassword,
         this._performLogin.bind(this),
         "Login failed.",
+        "login",
         options
     );
   }
@@ -311,6 +805,10 @@ class UserManager {
       this.sessionManager.saveAutomaticState(this.currentUser.name);
       this.sudoManager.clearUserTimestamp(this.currentUser.name);
     }
+    for (const stackedUser of [...this.sessionManager.getStack()].reverse()) {
+      this._recordSession("logout", stackedUser);
+    }
+    this._recordSession("login", username);
     this.sessionManager.clearUserStack(username);
     this.currentUser = { name: username };
     this.sessionManager.loadAutomaticState(username);
@@ -340,11 +838,13 @@ class UserManager {
         providedPassword,
         this._performSu.bind(this),
         "su: Authentication failure.",
+        "su",
         options
     );
   }
 
   _performSu(username) {
+    this._recordSession("su", username, this.currentUser.name);
     this.sessionManager.saveAutomaticState(this.currentUser.name);
     this.sessionManager.pushUserToStack(username);
     this.currentUser = { name: username };
@@ -370,6 +870,7 @@ class UserManager {
     }
     this.sessionManager.saveAutomaticState(oldUser);
     this.sudoManager.clearUserTimestamp(oldUser);
+    this._recordSession("logout", oldUser);
     this.sessionManager.popUserFromStack();
     const newUsername = this.sessionManager.getCurrentUserFromStack();
     this.currentUser = { name: newUsername };
@@ -387,19 +888,59 @@ class UserManager {
     });
   }
 
+  deleteUser(username) {
+    const users = { ...this._loadUsers() };
+    if (!users[username]) {
+      return true;
+    }
+    delete users[username];
+    this.resetFailedAttempts(username);
+    return this._saveUsers(users);
+  }
+
+  /**
+   * Makes sure root has a password and the default user exists. The first
+   * time round, accounts kept in localStorage by older versions are moved
+   * into /etc/passwd and /etc/shadow, after GroupManager has moved their
+   * groups into /etc/group.
+   */
   async initializeDefaultUsers() {
     const { OutputManager, Config } = this.dependencies;
-    const users = this.storageManager.loadItem(
-        this.config.STORAGE_KEYS.USER_CREDENTIALS,
-        "User list",
-        {}
-    );
+    const users = { ...this._loadUsers() };
     let changesMade = false;
-    if (!users["root"] || !users["root"].passwordData) {
+    let migrated = false;
+    if (this.fsManager.readSystemFile(this.config.FILESYSTEM.PASSWD_PATH) === null) {
+      const legacyUsers = this.storageManager.loadItem(
+          this.config.STORAGE_KEYS.USER_CREDENTIALS,
+          "User list",
+          {}
+      );
+      for (const [username, legacyUser] of Object.entries(legacyUsers)) {
+        const primaryGroup = legacyUser.primaryGroup || username;
+        this.groupManager.createGroup(primaryGroup);
+        users[username] = this._createAccount(
+            username,
+            users,
+            this.groupManager.getGid(primaryGroup),
+            legacyUser.passwordData
+        );
+      }
+      migrated = Object.keys(legacyUsers).length > 0;
+      if (migrated) {
+        console.log(
+            `UserManager Migration: Moved ${Object.keys(legacyUsers).length} account(s) into ${this.config.FILESYSTEM.PASSWD_PATH} and ${this.config.FILESYSTEM.SHADOW_PATH}.`
+        );
+      }
+      changesMade = true;
+    }
+    if (!users["root"] || !this._parsePasswordField(users["root"].password)) {
       const randomPassword = Math.random().toString(36).slice(-8);
       users["root"] = {
-        passwordData: await this._secureHashPassword(randomPassword),
-        primaryGroup: "root",
+        ...(users["root"] ||
+            this._createAccount("root", users, this.groupManager.getGid("root"), null)),
+        password: this._formatPasswordField(
+            await this._secureHashPassword(randomPassword)
+        ),
       };
       setTimeout(() => {
         OutputManager.appendToOutput(
@@ -414,18 +955,20 @@ class UserManager {
       changesMade = true;
     }
     if (!users[this.config.USER.DEFAULT_NAME]) {
-      users[this.config.USER.DEFAULT_NAME] = {
-        passwordData: null,
-        primaryGroup: this.config.USER.DEFAULT_NAME,
-      };
+      users[this.config.USER.DEFAULT_NAME] = this._createAccount(
+          this.config.USER.DEFAULT_NAME,
+          users,
+          this.groupManager.getGid(this.config.USER.DEFAULT_NAME),
+          null
+      );
       changesMade = true;
     }
     if (changesMade) {
-      this.storageManager.saveItem(
-          this.config.STORAGE_KEYS.USER_CREDENTIALS,
-          users,
-          "User list"
-      );
+      this._saveUsers(users);
+      await this.fsManager.save();
+    }
+    if (migrated) {
+      this.storageManager.removeItem(this.config.STORAGE_KEYS.USER_CREDENTIALS);
     }
   }
 }
\ No newline at end of file
@@ -104,8 +104,171 @@ class Utils {
     return { name, value };
   }
 
+  /**
+   * Single-quotes a word so the shell lexer reads it back as one literal
+   * argument, with no expansion or operators.
+   * @returns {string} The quoted word.
+   */
+  static quoteShellWord(word) {
+    return `'${String(word).replace(/'/g, "'\\''")}'`;
+  }
+
   static deepCopyNode(node) {
-    return node ? JSON.parse(JSON.stringify(node)) : null;
+    if (!node) return null;
+    const buffers = [];
+    const json = JSON.stringify(node, (key, value) =>
+        ArrayBuffer.isView(value) ? { $bufferIndex: buffers.push(value.slice()) - 1 } : value
+    );
+    if (buffers.length === 0) return JSON.parse(json);
+    return JSON.parse(json, (key, value) =>
+        value && typeof value === "object" && "$bufferIndex" in value ? buffers[value.$bufferIndex] : value
+    );
+  }
+
+  /**
+   * File contents are either a string (text) or a Uint8Array (binary).
+   * @returns {boolean} Whether the content is binary.
+   */
+  static isBinaryContent(content) {
+    return ArrayBuffer.isView(content);
+  }
+
+  /** @returns {number} The size of file content: bytes for binary, characters for text. */
+  static getContentSize(content) {
+    if (Utils.isBinaryContent(content)) return content.byteLength;
+    return (content || "").length;
+  }
+
+  /** @returns {string} The content as text, decoding binary content as UTF-8. */
+  static contentToText(content) {
+    if (Utils.isBinaryContent(content)) return new TextDecoder().decode(content);
+    return content || "";
+  }
+
+  /** @returns {Uint8Array} The content as bytes, encoding text as UTF-8. */
+  static contentToBytes(content) {
+    if (Utils.isBinaryContent(content)) return content;
+    return new TextEncoder().encode(content || "");
+  }
+
+  /** @returns {boolean} Whether two file contents hold the same bytes. */
+  static contentEquals(a, b) {
+    if (!Utils.isBinaryContent(a) && !Utils.isBinaryContent(b)) return (a || "") === (b || "");
+    const bytesA = Utils.contentToBytes(a);
+    const bytesB = Utils.contentToBytes(b);
+    return bytesA.length === bytesB.length && bytesA.every((byte, index) => byte === bytesB[index]);
+  }
+
+  /**
+   * Decodes bytes that hold UTF-8 text.
+   * @returns {string|null} The text, or null if the bytes look binary.
+   */
+  static decodeTextIfPossible(bytes) {
+    try {
+      const text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+      return text.includes("\u0000") ? null : text;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Guesses the MIME type of binary content from its leading bytes.
+   * @returns {string} The MIME type, or "application/octet-stream".
+   */
+  static detectMimeType(bytes) {
+    const signatures = [
+      { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+      { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+      { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+      { type: "image/bmp", bytes: [0x42, 0x4d] },
+      { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46] },
+      { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+      { type: "application/gzip", bytes: [0x1f, 0x8b] },
+      { type: "audio/mpeg", bytes: [0x49, 0x44, 0x33] },
+      { type: "audio/ogg", bytes: [0x4f, 0x67, 0x67, 0x53] },
+      { type: "audio/flac", bytes: [0x66, 0x4c, 0x61, 0x43] },
+    ];
+    const match = signatures.find((signature) =>
+        signature.bytes.every((byte, index) => bytes[index] === byte)
+    );
+    if (match) return match.type;
+    const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (tag(0) === "RIFF" && tag(8) === "WAVE") return "audio/wav";
+    if (tag(0) === "RIFF" && tag(8) === "WEBP") return "image/webp";
+    return "application/octet-stream";
+  }
+
+  /**
+   * Guesses the MIME type of text from what it holds: a shebang line,
+   * JSON (including paint drawings and adventure games), HTML or a
+   * line-numbered BASIC program.
+   * @returns {string} The MIME type, or "text/plain".
+   */
+  static detectTextMimeType(text) {
+    if (text.startsWith("#!")) {
+      const words = text.slice(2).split("\n")[0].trim().split(/\s+/);
+      const program = words[0].endsWith("/env") && words[1] ? words[1] : words[0];
+      const interpreter = program.substring(program.lastIndexOf("/") + 1);
+      if (/^(oopis_shell|sh|bash|zsh)$/.test(interpreter)) return "text/x-shellscript";
+      if (interpreter === "node") return "text/javascript";
+      if (/^python/.test(interpreter)) return "text/x-python";
+      return "text/x-script";
+    }
+    const trimmed = text.trim();
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        const data = JSON.parse(trimmed);
+        if (data && data.dimensions && Array.isArray(data.cells)) return "application/x-oopic";
+        if (data && data.rooms && typeof data.rooms === "object") return "application/x-adventure";
+        return "application/json";
+      } catch (e) {
+        // Not JSON after all.
+      }
+    }
+    if (/^(<!doctype html|<html)/i.test(trimmed)) return "text/html";
+    const lines = trimmed.split("\n").filter((line) => line.trim());
+    if (lines.length > 0 && lines.every((line) => /^\s*\d+\s+[A-Za-z]/.test(line))) {
+      return "text/x-basic";
+    }
+    return "text/plain";
+  }
+
+  static bytesToBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static base64ToBytes(base64) {
+    const binary = atob(base64.replace(/\s+/g, ""));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Like JSON.stringify, but writes binary file contents as base64 so they
+   * survive the trip through text. Read the result with parseJSONWithBinary.
+   */
+  static stringifyJSONWithBinary(value, space) {
+    return JSON.stringify(
+        value,
+        (key, item) => (ArrayBuffer.isView(item) ? { $binary: Utils.bytesToBase64(item) } : item),
+        space
+    );
+  }
+
+  static parseJSONWithBinary(text) {
+    return JSON.parse(text, (key, value) =>
+        value && typeof value === "object" && typeof value.$binary === "string"
+            ? Utils.base64ToBytes(value.$binary)
+            : value
+    );
   }
 
   static formatBytes(bytes, decimals = 2) {
@@ -117,6 +280,17 @@ class Utils {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + " " + sizes[i];
   }
 
+  /**
+   * @returns {string} The date as 'YYYY-MM-DD HH:MM:SS' in local time.
+   */
+  static formatLocalDateTime(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return (
+        `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+    );
+  }
+
   static getFileExtension(filePath) {
     if (!filePath || typeof filePath !== "string") return "";
     const separator =
@@ -263,6 +437,17 @@ class Utils {
         continue;
       }
 
+      if (arg.startsWith("--") && arg.includes("=")) {
+        const separatorIndex = arg.indexOf("=");
+        const longDef = flagDefinitions.find(
+            (d) => d.long === arg.substring(0, separatorIndex) && d.takesValue
+        );
+        if (longDef) {
+          flags[longDef.name] = arg.substring(separatorIndex + 1);
+          continue;
+        }
+      }
+
       if (!arg.startsWith("--") && arg.length > 2) {
         const shortFlag = arg.substring(0, 2);
         const valueTakingDef = flagDefinitions.find(
@@ -301,12 +486,50 @@ class Utils {
     });
   }
 
-  static globToRegex(glob) {
+  static globToRegex(glob, { extglob = false } = {}) {
     if (glob === "*") return /.*/;
 
-    let regexStr = "^";
+    try {
+      return new RegExp(
+          "^" + Utils._globToRegexSource(glob, { extglob }) + "$",
+          "u"
+      );
+    } catch (e) {
+      console.warn(
+          `Utils.globToRegex: Failed to convert glob "${glob}" to regex: ${e.message}`
+      );
+      return null;
+    }
+  }
+
+  static _globToRegexSource(glob, options) {
+    let regexStr = "";
     for (let i = 0; i < glob.length; i++) {
       const char = glob[i];
+      if (
+          options.extglob &&
+          "?*+@!".includes(char) &&
+          glob[i + 1] === "("
+      ) {
+        const group = Utils._parseExtglobGroup(glob, i + 1);
+        if (group) {
+          const alternatives = group.alternatives
+              .map((alternative) => Utils._globToRegexSource(alternative, options))
+              .join("|");
+          if (char === "!") {
+            const rest = Utils._globToRegexSource(
+                glob.substring(group.end + 1),
+                options
+            );
+            regexStr += `(?:(?!(?:${alternatives})${rest}$).*?)`;
+          } else {
+            const quantifier = { "?": "?", "*": "*", "+": "+", "@": "" }[char];
+            regexStr += `(?:${alternatives})${quantifier}`;
+          }
+          i = group.end;
+          continue;
+        }
+      }
       switch (char) {
         case "*":
           regexStr += ".*";
@@ -314,29 +537,26 @@ class Utils {
         case "?":
           regexStr += ".";
           break;
-        case "[":
-          let charClass = "[";
-          let k = i + 1;
-          if (k < glob.length && (glob[k] === "!" || glob[k] === "^")) {
-            charClass += "^";
-            k++;
-          }
-          while (k < glob.length && glob[k] !== "]") {
-            if (["\\", "-", "]"].includes(glob[k])) {
-              charClass += "\\";
-            }
-            charClass += glob[k];
-            k++;
+        case "\\":
+          if (i + 1 < glob.length) {
+            i++;
+            regexStr += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+          } else {
+            regexStr += "\\\\";
           }
-          if (k < glob.length && glob[k] === "]") {
-            charClass += "]";
-            i = k;
+          break;
+        case "[": {
+          const charClass = Utils._parseGlobCharClass(glob, i);
+          if (charClass) {
+            regexStr += charClass.source;
+            i = charClass.end;
           } else {
             regexStr += "\\[";
           }
           break;
+        }
         default:
-          if (/[.\\+?()|[\]{}^$]/.test(char)) {
+          if (/[.\\+?()|[\]{}^$/]/.test(char)) {
             regexStr += "\\" + char;
           } else {
             regexStr += char;
@@ -344,14 +564,80 @@ class Utils {
           break;
       }
     }
-    regexStr += "$";
-    try {
-      return new RegExp(regexStr, "u");
-    } catch (e) {
-      console.warn(
-          `Utils.globToRegex: Failed to convert glob "${glob}" to regex: ${e.message}`
-      );
+    return regexStr;
+  }
+
+  static _parseGlobCharClass(glob, start) {
+    const posixClasses = {
+      alpha: "a-zA-Z",
+      digit: "0-9",
+      alnum: "a-zA-Z0-9",
+      upper: "A-Z",
+      lower: "a-z",
+      space: "\\s",
+      blank: " \\t",
+      xdigit: "0-9A-Fa-f",
+      punct: "!-\\/:-@\\[-`{-~",
+      cntrl: "\\x00-\\x1f\\x7f",
+      graph: "!-~",
+      print: " -~",
+      word: "\\w",
+    };
+    let k = start + 1;
+    let negate = false;
+    if (glob[k] === "!" || glob[k] === "^") {
+      negate = true;
+      k++;
+    }
+    let body = "";
+    const first = k;
+    while (k < glob.length && (glob[k] !== "]" || k === first)) {
+      const posixMatch = glob.substring(k).match(/^\[:([a-z]+):\]/);
+      if (posixMatch && posixClasses[posixMatch[1]]) {
+        body += posixClasses[posixMatch[1]];
+        k += posixMatch[0].length;
+        continue;
+      }
+      let char = glob[k];
+      if (char === "\\" && k + 1 < glob.length) {
+        k++;
+        char = glob[k];
+      }
+      body += /[\\\]\[^]/.test(char) ? "\\" + char : char;
+      k++;
+    }
+    if (k >= glob.length) {
       return null;
     }
+    return { source: `[${negate ? "^" : ""}${body}]`, end: k };
+  }
+
+  static _parseExtglobGroup(glob, openIndex) {
+    const alternatives = [];
+    let depth = 0;
+    let current = "";
+    for (let i = openIndex; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === "\\" && i + 1 < glob.length) {
+        current += char + glob[++i];
+        continue;
+      }
+      if (char === "(") {
+        depth++;
+        if (depth === 1) continue;
+      } else if (char === ")") {
+        depth--;
+        if (depth === 0) {
+          alternatives.push(current);
+          return { alternatives, end: i };
+        }
+      } else if (char === "|" && depth === 1) {
+        alternatives.push(current);
+        current = "";
+        continue;
+      }
+      current += char;
+    }
+    return null;
   }
 }
\ No newline at end of file